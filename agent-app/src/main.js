@@ -11,7 +11,11 @@ const AppState = {
     agent: null,
     contacts: new Map(),
     selectedContactId: null,
-    voiceContactIds: new Set()
+    voiceContactIds: new Set(),
+    // Chat contact ID -> { voiceContactId, downgradedAt } for customers who switched from a call
+    downgradedContacts: new Map(),
+    // Voice contacts whose customer is sharing their screen (CustomerScreenSharing attribute)
+    screenSharingContactIds: new Set()
 };
 
 // Initialize the application
@@ -29,7 +33,14 @@ function initializeCCP() {
             loginPopup: true,
             loginPopupAutoClose: true,
             softphone: {
-                allowFramedSoftphone: true
+                allowFramedSoftphone: true,
+                // Customers can share their camera; the CCP shows it when the
+                // agent's security profile has the video permission
+                allowFramedVideoCall: true,
+                // Escalated customers can share their screen; the CCP shows it from
+                // its own meeting session, so the agent app never joins the meeting itself
+                allowFramedScreenSharing: true,
+                allowFramedScreenSharingPopUp: true
             }
         });
 
@@ -152,10 +163,37 @@ function handleContactEvent(contact) {
 // Handle contact refresh
 function handleContactRefresh(contact) {
     log(`Contact refreshed: ${contact.getContactId()}`, 'info');
+    
+    // A call's existing chat leg only gains the downgrade attributes once the customer switches
+    if (contact.getType() === connect.ContactType.CHAT) {
+        checkDowngradedChat(contact);
+    }
+    // The customer widget flags the call through /screen-share when sharing starts or stops
+    if (contact.getType() === connect.ContactType.VOICE) {
+        checkScreenSharing(contact);
+    }
     updateContactsList();
     updateContactDetails();
 }
 
+// Track the customer's screen share state and log when it changes
+function checkScreenSharing(contact) {
+    const contactId = contact.getContactId();
+    const sharing = contact.getAttributes().CustomerScreenSharing?.value === 'true';
+    
+    if (sharing === AppState.screenSharingContactIds.has(contactId)) {
+        return;
+    }
+    
+    if (sharing) {
+        AppState.screenSharingContactIds.add(contactId);
+        log(`Customer started sharing their screen on ${contactId}; it opens from the CCP`, 'success');
+    } else {
+        AppState.screenSharingContactIds.delete(contactId);
+        log(`Customer stopped sharing their screen on ${contactId}`, 'info');
+    }
+}
+
 // Handle incoming contact
 function handleContactIncoming(contact) {
     const contactId = contact.getContactId();
@@ -195,11 +233,15 @@ async function checkAndAutoAcceptChat(contact) {
         log(`Chat contact ${contactId} relatedContactId: ${relatedContactId}`, 'info');
         log(`Current voice contacts: ${Array.from(AppState.voiceContactIds).join(', ')}`, 'info');
         
+        // A downgraded chat arrives as its call ends, so the call may already be in
+        // after-contact work rather than active; it is still this agent's customer
+        const downgradedFrom = checkDowngradedChat(contact);
+        
         if (relatedContactId) {
             log(`Chat has relatedContactId: ${relatedContactId}`, 'info');
             
             // Check if we have an active voice contact with this ID
-            if (AppState.voiceContactIds.has(relatedContactId)) {
+            if (AppState.voiceContactIds.has(relatedContactId) || (downgradedFrom && AppState.contacts.has(downgradedFrom))) {
                 log(`Auto-accepting chat related to active voice contact ${relatedContactId}`, 'success');
                 
                 // Auto-accept the chat
@@ -223,6 +265,64 @@ async function checkAndAutoAcceptChat(contact) {
     }
 }
 
+// Check if this chat continues a voice call the customer switched out of
+// Returns the voice contact ID, or null for any other chat
+function checkDowngradedChat(contact) {
+    const contactId = contact.getContactId();
+    const attributes = contact.getAttributes();
+    const downgradedFrom = attributes.DowngradedFromContactId?.value;
+    
+    if (!downgradedFrom) {
+        return null;
+    }
+    
+    if (!AppState.downgradedContacts.has(contactId)) {
+        const downgradeInfo = {
+            voiceContactId: downgradedFrom,
+            downgradedAt: attributes.DowngradedAt?.value
+        };
+        AppState.downgradedContacts.set(contactId, downgradeInfo);
+        log(`Downgraded chat detected: ${contactId} continues voice contact ${downgradedFrom}`, 'info');
+        showDowngradeInfo(contactId, downgradeInfo);
+    }
+    return downgradedFrom;
+}
+
+// Show informational notification about a voice-to-chat downgrade
+function showDowngradeInfo(contactId, downgradeInfo) {
+    const notification = document.createElement('div');
+    notification.className = 'escalation-notification downgrade';
+    notification.id = `escalation-info-${contactId}`;
+    
+    notification.innerHTML = `
+        <div class="escalation-header">
+            <h3>💬 Switched to Chat</h3>
+            <span class="escalation-close" onclick="dismissEscalationInfo('${contactId}')">&times;</span>
+        </div>
+        <div class="escalation-content">
+            <p><strong>Chat Contact:</strong> ${contactId}</p>
+            <p><strong>Previous Call:</strong> ${downgradeInfo.voiceContactId}</p>
+            <p>Customer has ended the call and is continuing in chat with you.</p>
+        </div>
+    `;
+    
+    let container = document.getElementById('escalation-notifications');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'escalation-notifications';
+        container.className = 'escalation-notifications-container';
+        document.body.appendChild(container);
+    }
+    
+    container.appendChild(notification);
+    
+    setTimeout(() => {
+        if (document.getElementById(`escalation-info-${contactId}`)) {
+            dismissEscalationInfo(contactId);
+        }
+    }, 15000);
+}
+
 // Check if this is an escalated voice contact
 function checkEscalatedVoiceContact(contact) {
     try {
@@ -363,6 +463,7 @@ function handleContactEnded(contact) {
     
     // Remove from voice contacts tracking
     AppState.voiceContactIds.delete(contactId);
+    AppState.screenSharingContactIds.delete(contactId);
     
     // Handle escalated contact cleanup
     if (AppState.escalatedContacts?.has(contactId)) {
@@ -380,6 +481,10 @@ function handleContactEnded(contact) {
         dismissEscalationInfo(contactId);
     }
     
+    if (AppState.downgradedContacts.delete(contactId)) {
+        dismissEscalationInfo(contactId);
+    }
+    
     updateContactsList();
 }
 
@@ -391,11 +496,13 @@ function handleContactDestroy(contact) {
     // Remove from state
     AppState.contacts.delete(contactId);
     AppState.voiceContactIds.delete(contactId);
+    AppState.screenSharingContactIds.delete(contactId);
     
     // Remove from escalated contacts tracking
     if (AppState.escalatedContacts) {
         AppState.escalatedContacts.delete(contactId);
     }
+    AppState.downgradedContacts.delete(contactId);
     
     // Dismiss any remaining notifications
     dismissEscalationInfo(contactId);
@@ -434,6 +541,22 @@ function updateContactsList() {
             escalationBadge = '<span class="escalation-badge">🔄 Escalated</span>';
         }
         
+        // Customer switched to this chat from a call
+        const downgradeInfo = AppState.downgradedContacts.get(contactId);
+        const downgradeBadge = downgradeInfo
+            ? '<span class="downgrade-badge">💬 Downgraded</span>'
+            : '';
+        
+        // Customer asked for a video call
+        const videoBadge = contact.getAttributes().VideoRequested?.value === 'true'
+            ? '<span class="video-badge">📹 Video</span>'
+            : '';
+        
+        // Customer is sharing their screen on this call
+        const screenShareBadge = AppState.screenSharingContactIds.has(contactId)
+            ? '<span class="screen-share-badge">🖥️ Customer sharing</span>'
+            : '';
+        
         // Check if this contact is related to an escalated contact
         let relatedEscalation = '';
         if (AppState.escalatedContacts) {
@@ -446,15 +569,19 @@ function updateContactsList() {
         }
         
         return `
-            <div class="contact-card ${isSelected ? 'selected' : ''} ${isEscalated ? 'escalated' : ''}" onclick="selectContact('${contactId}')">
+            <div class="contact-card ${isSelected ? 'selected' : ''} ${isEscalated ? 'escalated' : ''} ${downgradeInfo ? 'downgraded' : ''}" onclick="selectContact('${contactId}')">
                 <div class="contact-header">
                     <span class="contact-type ${type.toLowerCase()}">${type}</span>
                     <span class="contact-state">${state}</span>
                 </div>
                 <div class="contact-id">${contactId}</div>
                 ${escalationBadge}
+                ${downgradeBadge}
+                ${videoBadge}
+                ${screenShareBadge}
                 ${relatedEscalation}
                 ${escalationInfo ? `<div class="escalation-info">Related: ${escalationInfo.relatedContactId}</div>` : ''}
+                ${downgradeInfo ? `<div class="escalation-info">From call: ${downgradeInfo.voiceContactId}</div>` : ''}
             </div>
         `;
     }).join('');
@@ -485,6 +612,8 @@ function updateContactDetails() {
     const attributes = contact.getAttributes();
     const relatedContactId = attributes.relatedContactId?.value;
     const initiationMethod = attributes.InitiationMethod?.value;
+    const videoRequested = attributes.VideoRequested?.value === 'true';
+    const screenSharing = AppState.screenSharingContactIds.has(AppState.selectedContactId);
     
     // Check if this is an escalated contact
     const isEscalated = AppState.escalatedContacts?.has(AppState.selectedContactId);
@@ -511,6 +640,30 @@ function updateContactDetails() {
         `;
     }
     
+    const downgradeInfo = AppState.downgradedContacts.get(AppState.selectedContactId);
+    let downgradeSection = '';
+    if (downgradeInfo) {
+        downgradeSection = `
+            <div class="detail-section downgrade-section">
+                <h3>💬 Downgrade Details</h3>
+                <div class="detail-row">
+                    <div class="detail-label">Downgrade Type:</div>
+                    <div class="detail-value">Voice → Chat</div>
+                </div>
+                <div class="detail-row">
+                    <div class="detail-label">Previous Call:</div>
+                    <div class="detail-value highlight">${downgradeInfo.voiceContactId}</div>
+                </div>
+                ${downgradeInfo.downgradedAt ? `
+                <div class="detail-row">
+                    <div class="detail-label">Switched At:</div>
+                    <div class="detail-value">${new Date(downgradeInfo.downgradedAt).toLocaleTimeString()}</div>
+                </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
     // Check if this contact is related to an escalated contact
     let relatedEscalationSection = '';
     if (AppState.escalatedContacts) {
@@ -557,6 +710,18 @@ function updateContactDetails() {
             <div class="detail-value">${initiationMethod}</div>
         </div>
         ` : ''}
+        ${videoRequested ? `
+        <div class="detail-row">
+            <div class="detail-label">Customer Video:</div>
+            <div class="detail-value highlight">Requested</div>
+        </div>
+        ` : ''}
+        ${contact.getType() === connect.ContactType.VOICE ? `
+        <div class="detail-row">
+            <div class="detail-label">Customer Screen:</div>
+            <div class="detail-value${screenSharing ? ' highlight' : ''}">${screenSharing ? 'Sharing (open in CCP)' : 'Not sharing'}</div>
+        </div>
+        ` : ''}
         ${relatedContactId ? `
         <div class="detail-row">
             <div class="detail-label">Related Contact:</div>
@@ -568,6 +733,7 @@ function updateContactDetails() {
             <div class="detail-value">${contact.getQueue()?.name || 'N/A'}</div>
         </div>
         ${escalationSection}
+        ${downgradeSection}
         ${relatedEscalationSection}
     `;
 }
@@ -8,20 +8,18 @@ echo "🚀 Amazon Connect Multi-Modal Demo Deployment"
 echo "=============================================="
 echo ""
 
-# Check if config.json exists
-if [ ! -f "config.json" ]; then
-    echo "❌ Error: config.json not found"
-    echo "Please create config.json with your Connect configuration"
+# Validate the central configuration (config.json plus config.$DEPLOY_ENV.json)
+if ! AWS_REGION=$(node lambda-shared/config.js aws.region); then
+    echo "❌ Error: configuration is invalid (see above)"
+    echo "Copy config.example.json to config.json and fill in your Connect configuration"
     exit 1
 fi
+export AWS_REGION
+STACK_NAME=$(node lambda-shared/config.js deployment.stageStackName)
 
-echo "✅ Configuration file found"
+echo "✅ Configuration validated for stack $STACK_NAME"
 echo ""
 
-# Extract region from config.json
-AWS_REGION=$(grep -o '"region"[[:space:]]*:[[:space:]]*"[^"]*"' config.json | cut -d'"' -f4)
-export AWS_REGION
-
 echo "🌍 Using AWS region: $AWS_REGION"
 echo ""
 
@@ -43,11 +41,13 @@ cd ..
 echo "✅ CDK dependencies installed"
 echo ""
 
-# Install Lambda dependencies
+# Install Lambda dependencies (also links lambda-shared into each Lambda)
 echo "📦 Installing Lambda dependencies..."
-cd lambda
-npm install
-cd ..
+for lambda_dir in lambda lambda-chat-routing lambda-contact-event; do
+  cd $lambda_dir
+  npm install
+  cd ..
+done
 echo "✅ Lambda dependencies installed"
 echo ""
 
@@ -113,7 +113,7 @@ echo "✅ Deployment complete!"
 echo ""
 echo "📝 Deployment outputs:"
 aws cloudformation describe-stacks \
-  --stack-name ConnectMultimodalStack \
+  --stack-name "$STACK_NAME" \
   --query 'Stacks[0].Outputs' \
   --output table
 
@@ -0,0 +1,65 @@
+// Active contact persistence for resuming after a page reload
+// Keeps the chat leg, the voice leg and the interaction mode in sessionStorage
+// so a reloaded page can ask the backend to resume the same contact.
+
+const STORAGE_KEY = 'activeContact';
+
+function read() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Discarding unreadable active contact state:', error);
+    return {};
+  }
+}
+
+function write(state) {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Returns the persisted contact state
+ * @returns {{mode?: string, chat?: Object, voice?: Object, voiceContactIds?: string[]}|null} Null when nothing is stored
+ */
+export function loadActiveContact() {
+  const state = read();
+  return state.chat || state.voice ? state : null;
+}
+
+/**
+ * Persists the chat leg needed to rejoin with ChatJS
+ * @param {{contactId: string, participantId: string, participantToken: string}} details - Chat participant details
+ * @param {string} mode - 'chat-only' or 'voice-chat'
+ */
+export function saveChatLeg({ contactId, participantId, participantToken }, mode) {
+  write({ ...read(), mode, chat: { contactId, participantId, participantToken } });
+}
+
+/**
+ * Persists the voice leg so it can be re-offered after a reload
+ * Every voice leg is also remembered in voiceContactIds for the transcript.
+ * @param {{contactId: string, participantToken?: string}} details - Voice contact details
+ * @param {string} widget - 'voice' (voice+chat mode) or 'escalation' (escalated chat)
+ */
+export function saveVoiceLeg({ contactId, participantToken }, widget) {
+  const state = read();
+  // A rejoined leg keeps the participant token from StartWebRTCContact
+  const token = participantToken || (state.voice?.contactId === contactId ? state.voice.participantToken : undefined);
+  const voiceContactIds = [...new Set([...(state.voiceContactIds || []), contactId])];
+  write({ ...state, voice: { contactId, participantToken: token, widget }, voiceContactIds });
+}
+
+/**
+ * Forgets the active voice leg once it has been ended (it stays in voiceContactIds)
+ */
+export function clearVoiceLeg() {
+  const { voice, ...state } = read();
+  write(state);
+}
+
+/**
+ * Forgets the whole contact once the interaction is over
+ */
+export function clearActiveContact() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
@@ -4,6 +4,15 @@
 import { config } from './config.js';
 import { ChatWidget } from './chat.js';
 import { VoiceWidget } from './voice.js';
+import { ensureSession } from './userId.js';
+import { formatMessageTime } from './transcript.js';
+import { setupAttachmentInput } from './attachments.js';
+import { createMessageContent } from './richMessage.js';
+import { setupDeviceSettings } from './deviceSettings.js';
+import { setupCallControls } from './callControls.js';
+import { setupQualityMonitor } from './qualityMonitor.js';
+import { setupVideo } from './videoCall.js';
+import { setupScreenShare } from './screenShare.js';
 
 console.log('Application initialized with config:', {
   region: config.aws.region,
@@ -116,6 +125,11 @@ function initApp() {
   }
   
   if (chatInput) {
+    chatInput.addEventListener('input', () => {
+      if (chatInput.value) {
+        sendTypingToActiveWidget();
+      }
+    });
     chatInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter' && !chatInput.disabled && chatInput.value) {
         sendMessageToActiveWidget(chatInput.value);
@@ -124,6 +138,13 @@ function initApp() {
     });
   }
   
+  setupAttachmentInput(sendAttachmentToActiveWidget);
+  setupDeviceSettings();
+  setupCallControls();
+  setupQualityMonitor();
+  setupVideo();
+  setupScreenShare();
+  
   // Vehicle category tabs functionality
   const categoryTabs = document.querySelectorAll('.category-tab');
   categoryTabs.forEach(tab => {
@@ -271,17 +292,60 @@ async function endVoice() {
   await VoiceWidget.end();
 }
 
-async function callAPI(endpoint, data) {
+// Requests with an Idempotency-Key are safe to resend after network failures
+const IDEMPOTENT_RETRY_ATTEMPTS = 3;
+const IDEMPOTENT_RETRY_DELAY_MS = 1000;
+
+async function callAPI(endpoint, data, { idempotencyKey } = {}) {
   const url = `${AppState.apiEndpoint}${endpoint}`;
   console.log('Calling API:', url);
   
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(data)
-  });
+  // Contact routes identify the customer by the signed session token
+  const { sessionToken } = await ensureSession(AppState.apiEndpoint);
+  
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${sessionToken}`
+  };
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+  
+  const maxAttempts = idempotencyKey ? IDEMPOTENT_RETRY_ATTEMPTS : 1;
+  let response;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(data)
+      });
+    } catch (error) {
+      if (attempt >= maxAttempts) {
+        throw error;
+      }
+      console.warn(`API call to ${endpoint} failed (attempt ${attempt}), retrying:`, error.message);
+      await new Promise(resolve => setTimeout(resolve, IDEMPOTENT_RETRY_DELAY_MS));
+      continue;
+    }
+    
+    // 409: the first request with this key is still running; wait for its result
+    if (response.status === 409 && attempt < maxAttempts) {
+      console.log(`Request with Idempotency-Key still in progress, retrying ${endpoint}`);
+      await new Promise(resolve => setTimeout(resolve, IDEMPOTENT_RETRY_DELAY_MS));
+      continue;
+    }
+    break;
+  }
+  
+  if (response.headers.get('Idempotent-Replayed') === 'true') {
+    console.log(`Received replayed response for ${endpoint}`);
+  }
+  
+  if (response.status === 429) {
+    const retryAfter = response.headers.get('Retry-After');
+    throw new Error(`Too many requests. Please try again in ${retryAfter || 'a few'} seconds.`);
+  }
   
   if (!response.ok) {
     const errorText = await response.text();
@@ -327,6 +391,16 @@ function showContinueChatButton(show) {
   }
 }
 
+// Both switch-to-chat controls: the end-call option and the poor-quality offer
+function setSwitchToChatEnabled(enabled) {
+  for (const id of ['continue-chat-btn', 'quality-switch-chat-btn']) {
+    const button = document.getElementById(id);
+    if (button) {
+      button.disabled = !enabled;
+    }
+  }
+}
+
 function showEndChatButton(show) {
   const endChatBtn = document.getElementById('end-chat-btn');
   if (endChatBtn) {
@@ -344,6 +418,7 @@ function showModeSelection(show) {
 function enableChatInput(enabled) {
   const chatInput = document.getElementById('chat-input');
   const sendBtn = document.getElementById('send-message-btn');
+  const attachBtn = document.getElementById('attach-file-btn');
   
   if (chatInput) {
     chatInput.disabled = !enabled;
@@ -352,6 +427,10 @@ function enableChatInput(enabled) {
   if (sendBtn) {
     sendBtn.disabled = !enabled;
   }
+  
+  if (attachBtn) {
+    attachBtn.disabled = !enabled;
+  }
 }
 
 // Smart message routing function
@@ -380,39 +459,98 @@ async function sendMessageToActiveWidget(message) {
   displayError('No active chat session');
 }
 
+// Lets the agent see the customer typing; the widgets throttle the events
+async function sendTypingToActiveWidget() {
+  const { EscalationWidget } = await import('./escalation.js');
+  if (EscalationWidget.chatSession) {
+    EscalationWidget.sendTyping();
+  } else if (ChatWidget.session) {
+    ChatWidget.sendTyping();
+  }
+}
+
+// Routes a picked or dropped file the same way as a typed message
+async function sendAttachmentToActiveWidget(file) {
+  const { EscalationWidget } = await import('./escalation.js');
+  if (EscalationWidget.chatSession) {
+    return EscalationWidget.sendAttachment(file);
+  }
+  
+  if (ChatWidget.session) {
+    return ChatWidget.sendAttachment(file);
+  }
+  
+  displayError('No active chat session');
+}
+
 // Export additional UI helper functions
-export { updateStatus, displayMessage, displayError, callAPI, showCallBanner, toggleCallButtons, enableChatInput, showContinueChatButton, showEndChatButton, showModeSelection, sendMessageToActiveWidget, endChat, startChatOnly, startVoiceWithChat };
+export { updateStatus, displayMessage, displayMessageContent, displayError, callAPI, showCallBanner, toggleCallButtons, enableChatInput, showContinueChatButton, setSwitchToChatEnabled, showEndChatButton, showModeSelection, sendMessageToActiveWidget, sendAttachmentToActiveWidget, endChat, startChatOnly, startVoiceWithChat };
+
+// Messages with a timestamp (agent and customer chat messages) are placed in
+// time order, so history loaded after live messages still reads top to bottom.
+// contentType selects plain text, Markdown or an interactive template; choices
+// made in a template are sent back like a typed message.
+function displayMessage(message, sender = 'system', senderName = null, { timestamp, contentType, answered } = {}) {
+  const content = createMessageContent(message, contentType, {
+    answered,
+    onSelect: sender === 'customer' ? null : sendMessageToActiveWidget
+  });
+  return displayMessageContent(content, sender, senderName, { timestamp });
+}
 
-function displayMessage(message, sender = 'system', senderName = null) {
+/**
+ * Adds a message bubble with prepared content (attachments, rich messages)
+ * @param {HTMLElement} contentNode - Element shown inside the bubble
+ * @param {string} sender - 'customer', 'agent' or 'system'
+ * @param {string|null} senderName - Shown above agent messages
+ * @param {{timestamp?: string}} options - Transcript time used for ordering
+ * @returns {HTMLElement|null} The message element, or null without a message container
+ */
+function displayMessageContent(contentNode, sender = 'system', senderName = null, { timestamp } = {}) {
   const container = document.getElementById('chat-messages');
-  if (container) {
-    // Clear welcome message if present
-    const welcomeMessage = container.querySelector('.welcome-message');
-    if (welcomeMessage) {
-      welcomeMessage.remove();
-    }
-    
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message message-${sender}`;
+  if (!container) {
+    return null;
+  }
+  
+  // Clear welcome message if present
+  const welcomeMessage = container.querySelector('.welcome-message');
+  if (welcomeMessage) {
+    welcomeMessage.remove();
+  }
+  
+  const messageDiv = document.createElement('div');
+  messageDiv.className = `message message-${sender}`;
+  
+  // Add sender name for agent messages
+  if (sender === 'agent' && senderName) {
+    const nameSpan = document.createElement('div');
+    nameSpan.className = 'message-sender-name';
+    nameSpan.textContent = senderName;
+    messageDiv.appendChild(nameSpan);
+  }
+  
+  messageDiv.appendChild(contentNode);
+  
+  if (timestamp) {
+    messageDiv.dataset.timestamp = timestamp;
+    const timeSpan = document.createElement('div');
+    timeSpan.className = 'message-time';
+    timeSpan.textContent = formatMessageTime(timestamp);
+    messageDiv.appendChild(timeSpan);
     
-    // Add sender name for agent messages
-    if (sender === 'agent' && senderName) {
-      const nameSpan = document.createElement('div');
-      nameSpan.className = 'message-sender-name';
-      nameSpan.textContent = senderName;
-      messageDiv.appendChild(nameSpan);
+    const later = [...container.querySelectorAll('[data-timestamp]')]
+      .find(el => new Date(el.dataset.timestamp) > new Date(timestamp));
+    if (later) {
+      container.insertBefore(messageDiv, later);
+      return messageDiv;
     }
-    
-    const contentSpan = document.createElement('div');
-    contentSpan.className = 'message-content';
-    contentSpan.textContent = message;
-    messageDiv.appendChild(contentSpan);
-    
-    container.appendChild(messageDiv);
-    
-    // Auto-scroll to bottom
-    container.scrollTop = container.scrollHeight;
   }
+  
+  container.appendChild(messageDiv);
+  
+  // Auto-scroll to bottom
+  container.scrollTop = container.scrollHeight;
+  return messageDiv;
 }
 
 function displayError(message) {
@@ -0,0 +1,70 @@
+// Chat attachment rules
+// The file types and size Amazon Connect accepts for chat attachments, and the
+// check each picked or dropped file goes through before it is uploaded.
+
+// Amazon Connect rejects chat attachments larger than 20 MB
+export const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+// File extensions Amazon Connect accepts for chat attachments, with their MIME types
+export const SUPPORTED_TYPES = {
+  csv: 'text/csv',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  heic: 'image/heic',
+  jfif: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  mov: 'video/quicktime',
+  mp4: 'video/mp4',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  rtf: 'application/rtf',
+  txt: 'text/plain',
+  wav: 'audio/wav',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+function getExtension(fileName) {
+  const dot = fileName.lastIndexOf('.');
+  return dot === -1 ? '' : fileName.slice(dot + 1).toLowerCase();
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Checks a file against the attachment rules before uploading
+ * @param {File} file - File picked or dropped by the customer
+ * @returns {string|null} Message for the customer, or null when the file can be sent
+ */
+export function validateAttachment(file) {
+  if (!file) {
+    return 'No file selected';
+  }
+  if (!SUPPORTED_TYPES[getExtension(file.name)]) {
+    return `${file.name} can't be sent. Supported files: ${Object.keys(SUPPORTED_TYPES).join(', ')}`;
+  }
+  if (file.size === 0) {
+    return `${file.name} is empty`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is ${formatSize(file.size)}; attachments must be ${formatSize(MAX_ATTACHMENT_BYTES)} or smaller`;
+  }
+  return null;
+}
+
+/**
+ * MIME type to show an outgoing attachment with
+ * @param {File} file - File being sent
+ * @returns {string|undefined} The browser's type, else the one implied by the extension
+ */
+export function getAttachmentContentType(file) {
+  return file.type || SUPPORTED_TYPES[getExtension(file.name)];
+}
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { MAX_ATTACHMENT_BYTES, validateAttachment, getAttachmentContentType } from './attachmentRules.js';
+
+// Stands in for a browser File; only name, size and type are read
+const file = (name, size, type = '') => ({ name, size, type });
+
+describe('Attachment rules', () => {
+  it('accepts a supported type in any extension case', () => {
+    assert.strictEqual(validateAttachment(file('invoice.pdf', 1024, 'application/pdf')), null);
+    assert.strictEqual(validateAttachment(file('Photo.JPG', 2048)), null);
+  });
+
+  it('rejects unsupported types and files without an extension', () => {
+    assert.match(validateAttachment(file('setup.exe', 1024)), /setup\.exe can't be sent\. Supported files: .*pdf/);
+    assert.match(validateAttachment(file('README', 1024)), /can't be sent/);
+  });
+
+  it('accepts a file of exactly the size limit', () => {
+    assert.strictEqual(validateAttachment(file('video.mp4', MAX_ATTACHMENT_BYTES)), null);
+  });
+
+  it('rejects a file one byte over the size limit', () => {
+    assert.strictEqual(
+      validateAttachment(file('video.mp4', MAX_ATTACHMENT_BYTES + 1)),
+      'video.mp4 is 20.0 MB; attachments must be 20.0 MB or smaller'
+    );
+  });
+
+  it('rejects an empty file and a missing file', () => {
+    assert.strictEqual(validateAttachment(file('notes.txt', 0)), 'notes.txt is empty');
+    assert.strictEqual(validateAttachment(null), 'No file selected');
+  });
+
+  it('falls back to the extension\'s MIME type when the browser gives none', () => {
+    assert.strictEqual(getAttachmentContentType(file('scan.png', 10, 'image/png')), 'image/png');
+    assert.strictEqual(getAttachmentContentType(file('scan.jfif', 10)), 'image/jpeg');
+  });
+});
@@ -0,0 +1,169 @@
+// Chat attachments for the customer widget
+// Files are picked with the attach button or dropped on the chat pane, checked
+// against the rules in attachmentRules.js, and uploaded through the
+// ChatJS sendAttachment API. Attachments from either side render inline: images
+// as previews, everything else as a download link.
+
+import { displayMessageContent, displayError } from './app.js';
+import { SUPPORTED_TYPES, validateAttachment, getAttachmentContentType } from './attachmentRules.js';
+
+// Browsers can't preview HEIC, so it is offered as a download instead
+const PREVIEWABLE_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+// Builds the inline view of an attachment: an image preview or a file link
+function createAttachmentContent({ name, contentType, url }) {
+  const content = document.createElement('div');
+  content.className = 'message-content message-attachment';
+
+  if (url && PREVIEWABLE_IMAGE_TYPES.includes(contentType)) {
+    const image = document.createElement('img');
+    image.className = 'attachment-image';
+    image.src = url;
+    image.alt = name;
+    content.appendChild(image);
+  }
+
+  const link = document.createElement(url ? 'a' : 'span');
+  link.className = 'attachment-link';
+  link.textContent = `📎 ${name}`;
+  if (url) {
+    link.href = url;
+    link.download = name;
+  }
+  content.appendChild(link);
+
+  return content;
+}
+
+function setAttachmentStatus(messageDiv, text, state) {
+  let status = messageDiv.querySelector('.attachment-status');
+  if (!status) {
+    status = document.createElement('div');
+    status.className = 'attachment-status';
+    messageDiv.querySelector('.message-attachment').appendChild(status);
+  }
+  status.dataset.state = state;
+  status.replaceChildren(text);
+  if (state === 'uploading') {
+    // Upload progress isn't reported by ChatJS, so the bar is indeterminate
+    status.appendChild(document.createElement('progress'));
+  }
+}
+
+/**
+ * Uploads a file to the chat and shows it with upload progress and errors
+ * @param {Object} session - ChatJS customer session
+ * @param {File} file - File to send
+ * @returns {Promise<boolean>} True when the upload completed
+ */
+export async function uploadAttachment(session, file) {
+  const error = validateAttachment(file);
+  if (error) {
+    displayError(error);
+    return false;
+  }
+
+  const contentType = getAttachmentContentType(file);
+  const url = URL.createObjectURL(file);
+  const messageDiv = displayMessageContent(
+    createAttachmentContent({ name: file.name, contentType, url }),
+    'customer',
+    null,
+    { timestamp: new Date().toISOString() }
+  );
+  if (messageDiv) {
+    setAttachmentStatus(messageDiv, 'Uploading…', 'uploading');
+  }
+
+  try {
+    console.log('Uploading attachment:', { name: file.name, size: file.size, contentType });
+    await session.sendAttachment({ attachment: file });
+    if (messageDiv) {
+      setAttachmentStatus(messageDiv, 'Sent', 'sent');
+    }
+    return true;
+  } catch (uploadError) {
+    console.error('Failed to upload attachment:', uploadError);
+    if (messageDiv) {
+      setAttachmentStatus(messageDiv, 'Not sent', 'failed');
+    }
+    displayError(`${file.name} could not be sent`);
+    return false;
+  }
+}
+
+/**
+ * Renders an attachment from a chat message or the transcript
+ * The file is downloaded with the participant connection, so the link works
+ * without exposing the short-lived S3 URL.
+ * @param {Object} session - ChatJS customer session
+ * @param {{AttachmentId: string, AttachmentName: string, ContentType: string}} attachment - Attachment item
+ * @param {string} sender - 'agent' or 'customer'
+ * @param {string|null} senderName - Shown above agent messages
+ * @param {{timestamp?: string}} options - Transcript time of the message
+ */
+export async function renderAttachment(session, attachment, sender, senderName, { timestamp } = {}) {
+  const name = attachment.AttachmentName || 'attachment';
+  const contentType = attachment.ContentType;
+
+  try {
+    const blob = await session.downloadAttachment({ attachmentId: attachment.AttachmentId });
+    const url = URL.createObjectURL(blob);
+    displayMessageContent(createAttachmentContent({ name, contentType, url }), sender, senderName, { timestamp });
+  } catch (error) {
+    console.error('Failed to download attachment:', attachment.AttachmentId, error);
+    const messageDiv = displayMessageContent(createAttachmentContent({ name, contentType }), sender, senderName, { timestamp });
+    if (messageDiv) {
+      setAttachmentStatus(messageDiv, 'Unavailable', 'failed');
+    }
+  }
+}
+
+/**
+ * Wires the attach button, the hidden file input and drag-and-drop on the chat pane
+ * @param {function(File): Promise<*>} onFile - Sends a file through the active chat widget
+ */
+export function setupAttachmentInput(onFile) {
+  const attachBtn = document.getElementById('attach-file-btn');
+  const fileInput = document.getElementById('attachment-input');
+  const dropZone = document.getElementById('chat-messages');
+
+  if (fileInput) {
+    fileInput.accept = Object.keys(SUPPORTED_TYPES).map(extension => `.${extension}`).join(',');
+    fileInput.addEventListener('change', () => {
+      [...fileInput.files].forEach(onFile);
+      // Allow picking the same file again
+      fileInput.value = '';
+    });
+  }
+
+  if (attachBtn && fileInput) {
+    attachBtn.addEventListener('click', () => {
+      if (!attachBtn.disabled) {
+        fileInput.click();
+      }
+    });
+  }
+
+  if (dropZone) {
+    // Drops are only accepted while chat input is enabled, i.e. a chat is connected
+    const canDrop = () => attachBtn && !attachBtn.disabled;
+
+    dropZone.addEventListener('dragover', (e) => {
+      if (!canDrop() || !e.dataTransfer?.types.includes('Files')) {
+        return;
+      }
+      e.preventDefault();
+      dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+    dropZone.addEventListener('drop', (e) => {
+      dropZone.classList.remove('drag-over');
+      if (!canDrop()) {
+        return;
+      }
+      e.preventDefault();
+      [...e.dataTransfer.files].forEach(onFile);
+    });
+  }
+}
@@ -0,0 +1,136 @@
+// In-call controls for the customer: mute, keypad (DTMF) and hold indication
+// Works for whichever widget owns the active voice session (voice+chat or
+// escalation). Hold changes come from the backend over the WebSocket, as the
+// agent's hold state is only visible in Connect's agent event stream.
+
+import { displayError, displayMessage } from './app.js';
+
+const KEYPAD_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '*', '0', '#'];
+
+// Voice session and contact the controls currently act on
+let active = null;
+
+function updateMuteButton(muted) {
+  const button = document.getElementById('mute-btn');
+  if (button) {
+    button.classList.toggle('active', muted);
+    button.setAttribute('aria-pressed', String(muted));
+    button.querySelector('span').textContent = muted ? 'Unmute' : 'Mute';
+  }
+}
+
+function showControls(show) {
+  const controls = document.getElementById('call-controls');
+  if (controls) {
+    controls.style.display = show ? 'flex' : 'none';
+  }
+  if (!show) {
+    const keypad = document.getElementById('dtmf-keypad');
+    if (keypad) {
+      keypad.style.display = 'none';
+    }
+    updateMuteButton(false);
+    showOnHold(false);
+  }
+}
+
+function showOnHold(onHold) {
+  const banner = document.getElementById('call-active-banner');
+  const label = document.getElementById('call-banner-label');
+  if (banner) {
+    banner.classList.toggle('on-hold', onHold);
+  }
+  if (label) {
+    label.textContent = onHold ? 'You are on hold. Please stay on the line.' : 'Call in progress';
+  }
+}
+
+/**
+ * Connects the call controls to a voice session until that session stops
+ * @param {VoiceSession} voiceSession - Session created by the voice or escalation widget
+ * @param {string} contactId - Voice contact ID, used to match hold notifications
+ */
+export function attachCallControls(voiceSession, contactId) {
+  active = { voiceSession, contactId };
+
+  voiceSession
+    .on('started', () => showControls(true))
+    .on('mute', ({ muted }) => updateMuteButton(muted))
+    .on('stopped', () => {
+      if (active?.voiceSession === voiceSession) {
+        active = null;
+        showControls(false);
+      }
+    });
+}
+
+/**
+ * Applies a CALL_HOLD_CHANGED notification to the active call
+ * @param {{contactId: string, onHold: boolean}} message - WebSocket message
+ */
+export function handleHoldChanged({ contactId, onHold }) {
+  if (!active || active.contactId !== contactId) {
+    console.log('Ignoring hold change for another contact:', contactId);
+    return;
+  }
+  showOnHold(onHold);
+  displayMessage(onHold ? 'The agent has placed you on hold.' : 'The agent is back on the line.', 'system');
+}
+
+async function pressKey(key) {
+  if (!active) {
+    return;
+  }
+  try {
+    await active.voiceSession.sendDtmf(key);
+  } catch (error) {
+    console.error('Failed to send keypad tone:', error);
+    displayError(error.message);
+  }
+}
+
+/**
+ * Wires the mute button and builds the keypad (called once on page load)
+ */
+export function setupCallControls() {
+  const muteBtn = document.getElementById('mute-btn');
+  const keypadBtn = document.getElementById('keypad-btn');
+  const keypad = document.getElementById('dtmf-keypad');
+
+  if (muteBtn) {
+    muteBtn.addEventListener('click', () => {
+      if (!active) {
+        return;
+      }
+      if (active.voiceSession.isMuted()) {
+        active.voiceSession.unmute();
+      } else {
+        active.voiceSession.mute();
+      }
+    });
+  }
+
+  if (keypadBtn && keypad) {
+    keypadBtn.addEventListener('click', () => {
+      const open = keypad.style.display !== 'none';
+      keypad.style.display = open ? 'none' : 'grid';
+      keypadBtn.setAttribute('aria-expanded', String(!open));
+    });
+
+    keypad.replaceChildren(...KEYPAD_KEYS.map(key => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'dtmf-key';
+      button.textContent = key;
+      button.addEventListener('click', () => pressKey(key));
+      return button;
+    }));
+  }
+
+  // Number keys typed while the keypad is open are sent too
+  document.addEventListener('keydown', (e) => {
+    if (keypad?.style.display === 'grid' && KEYPAD_KEYS.includes(e.key) && e.target.tagName !== 'INPUT') {
+      pressKey(e.key);
+    }
+  });
+}
@@ -0,0 +1,129 @@
+// Audio quality tracking for voice calls
+// Rates each Chime metrics report against fixed thresholds, decides when a call
+// has degraded enough to offer chat instead, and aggregates the reports into the
+// summaries sent to /call-quality.
+
+// Above any of these a report counts as poor
+export const QUALITY_THRESHOLDS = {
+  packetLossPercent: 5,
+  jitterMs: 60,
+  roundTripTimeMs: 400
+};
+
+// Chime reports metrics about once a second; this many poor reports in a row
+// (or this many reconnects) means the call has degraded
+export const DEGRADED_AFTER_POOR_REPORTS = 8;
+export const DEGRADED_AFTER_RECONNECTS = 2;
+
+const finite = value => (Number.isFinite(value) ? value : null);
+
+function highest(...values) {
+  const known = values.filter(Number.isFinite);
+  return known.length ? Math.max(...known) : null;
+}
+
+/**
+ * Picks the audio figures out of a Chime observable metrics report
+ * Metrics Chime has not measured yet come back as null.
+ * @param {Object} observable - clientMetricReport.getObservableMetrics()
+ * @returns {{packetLossPercent: ?number, jitterMs: ?number, roundTripTimeMs: ?number}}
+ */
+export function readAudioMetrics(observable = {}) {
+  const receivedLoss = finite(observable.audioPacketsReceivedFractionLoss);
+
+  return {
+    packetLossPercent: highest(
+      receivedLoss === null ? null : receivedLoss * 100,
+      observable.audioUpstreamPacketLossPercent,
+      observable.audioDownstreamPacketLossPercent
+    ),
+    jitterMs: highest(observable.audioUpstreamJitterMs, observable.audioDownstreamJitterMs),
+    roundTripTimeMs: highest(observable.currentRoundTripTimeMs, observable.audioUpstreamRoundTripTimeMs)
+  };
+}
+
+/**
+ * @param {{packetLossPercent: ?number, jitterMs: ?number, roundTripTimeMs: ?number}} sample
+ * @returns {'good'|'poor'}
+ */
+export function rateSample(sample) {
+  const poor = Object.entries(QUALITY_THRESHOLDS)
+    .some(([metric, threshold]) => sample[metric] !== null && sample[metric] > threshold);
+  return poor ? 'poor' : 'good';
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+export class CallQualityTracker {
+  constructor() {
+    this.consecutivePoor = 0;
+    this.reconnects = 0;
+    this.resetSummary();
+  }
+
+  resetSummary() {
+    this.totals = {
+      sampleCount: 0,
+      reconnects: 0,
+      sums: { packetLossPercent: 0, jitterMs: 0, roundTripTimeMs: 0 },
+      counts: { packetLossPercent: 0, jitterMs: 0, roundTripTimeMs: 0 },
+      maxPacketLossPercent: null
+    };
+  }
+
+  get degraded() {
+    return this.consecutivePoor >= DEGRADED_AFTER_POOR_REPORTS || this.reconnects >= DEGRADED_AFTER_RECONNECTS;
+  }
+
+  /**
+   * Records one metrics report
+   * @param {Object} sample - Result of readAudioMetrics
+   * @returns {{rating: 'good'|'poor', degraded: boolean}}
+   */
+  addSample(sample) {
+    const rating = rateSample(sample);
+    this.consecutivePoor = rating === 'poor' ? this.consecutivePoor + 1 : 0;
+
+    this.totals.sampleCount++;
+    for (const metric of Object.keys(this.totals.sums)) {
+      if (sample[metric] !== null) {
+        this.totals.sums[metric] += sample[metric];
+        this.totals.counts[metric]++;
+      }
+    }
+    this.totals.maxPacketLossPercent = highest(this.totals.maxPacketLossPercent, sample.packetLossPercent);
+
+    return { rating, degraded: this.degraded };
+  }
+
+  /**
+   * @returns {boolean} Whether the call now counts as degraded
+   */
+  addReconnect() {
+    this.reconnects++;
+    this.totals.reconnects++;
+    return this.degraded;
+  }
+
+  /**
+   * Averages since the previous summary, in /call-quality request fields
+   * Metrics with no data are left out.
+   * @returns {Object}
+   */
+  takeSummary() {
+    const { sampleCount, reconnects, sums, counts, maxPacketLossPercent } = this.totals;
+    const summary = { sampleCount, reconnects };
+
+    for (const metric of Object.keys(sums)) {
+      if (counts[metric]) {
+        summary[metric] = round(sums[metric] / counts[metric]);
+      }
+    }
+    if (maxPacketLossPercent !== null) {
+      summary.maxPacketLossPercent = round(maxPacketLossPercent);
+    }
+
+    this.resetSummary();
+    return summary;
+  }
+}
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  readAudioMetrics,
+  rateSample,
+  CallQualityTracker,
+  DEGRADED_AFTER_POOR_REPORTS,
+  DEGRADED_AFTER_RECONNECTS
+} from './callQuality.js';
+
+const GOOD = { packetLossPercent: 0.5, jitterMs: 10, roundTripTimeMs: 80 };
+const LOSSY = { packetLossPercent: 12, jitterMs: 10, roundTripTimeMs: 80 };
+
+describe('Call quality', () => {
+  it('reads the worst direction of each audio metric from a Chime report', () => {
+    assert.deepStrictEqual(readAudioMetrics({
+      audioPacketsReceivedFractionLoss: 0.02,
+      audioUpstreamPacketLossPercent: 4,
+      audioUpstreamJitterMs: 12,
+      audioDownstreamJitterMs: 30,
+      currentRoundTripTimeMs: 120
+    }), { packetLossPercent: 4, jitterMs: 30, roundTripTimeMs: 120 });
+
+    assert.deepStrictEqual(readAudioMetrics({}), { packetLossPercent: null, jitterMs: null, roundTripTimeMs: null });
+  });
+
+  it('rates a report poor when any metric crosses its threshold', () => {
+    assert.strictEqual(rateSample(GOOD), 'good');
+    assert.strictEqual(rateSample(LOSSY), 'poor');
+    assert.strictEqual(rateSample({ packetLossPercent: null, jitterMs: 200, roundTripTimeMs: null }), 'poor');
+    assert.strictEqual(rateSample({ packetLossPercent: null, jitterMs: null, roundTripTimeMs: null }), 'good');
+  });
+
+  it('degrades only after consecutive poor reports', () => {
+    const tracker = new CallQualityTracker();
+
+    for (let i = 1; i < DEGRADED_AFTER_POOR_REPORTS; i++) {
+      assert.strictEqual(tracker.addSample(LOSSY).degraded, false);
+    }
+    assert.strictEqual(tracker.addSample(GOOD).degraded, false);
+    for (let i = 1; i < DEGRADED_AFTER_POOR_REPORTS; i++) {
+      tracker.addSample(LOSSY);
+    }
+    assert.deepStrictEqual(tracker.addSample(LOSSY), { rating: 'poor', degraded: true });
+  });
+
+  it('degrades after repeated reconnects', () => {
+    const tracker = new CallQualityTracker();
+    const results = Array.from({ length: DEGRADED_AFTER_RECONNECTS }, () => tracker.addReconnect());
+
+    assert.strictEqual(results.at(-1), true);
+    assert.ok(results.slice(0, -1).every(degraded => !degraded));
+  });
+
+  it('summarises reports since the previous summary', () => {
+    const tracker = new CallQualityTracker();
+    tracker.addSample(GOOD);
+    tracker.addSample({ packetLossPercent: 8.5, jitterMs: 30, roundTripTimeMs: null });
+    tracker.addReconnect();
+
+    assert.deepStrictEqual(tracker.takeSummary(), {
+      sampleCount: 2,
+      reconnects: 1,
+      packetLossPercent: 4.5,
+      jitterMs: 20,
+      roundTripTimeMs: 80,
+      maxPacketLossPercent: 8.5
+    });
+    assert.deepStrictEqual(tracker.takeSummary(), { sampleCount: 0, reconnects: 0 });
+  });
+});
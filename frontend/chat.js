@@ -2,10 +2,20 @@
 import { config } from './config.js';
 import { updateStatus, displayMessage, displayError, callAPI, enableChatInput, showModeSelection } from './app.js';
 import { wsClient } from './websocket.js';
+import { saveChatLeg, clearActiveContact } from './activeContact.js';
+import { loadTranscript, markMessageSeen, resetSeenMessages } from './transcript.js';
+import { prepareTranscript, showTranscriptActions } from './transcriptDownload.js';
+import { uploadAttachment, renderAttachment } from './attachments.js';
+import { isRichContentType, INTERACTIVE_CONTENT_TYPE } from './richMessage.js';
+import { subscribeToChatEvents, sendTypingEvent, acknowledgeMessage, trackOwnMessage, hideTypingIndicator } from './chatEvents.js';
+import { runPreflightCheck } from './preflight.js';
+import { loadDevicePreferences } from './deviceSettings.js';
 
 export const ChatWidget = {
     session: null,
     contactId: null,
+    startRequestKey: null, // Idempotency-Key shared by repeated start attempts for one contact
+    escalationRequest: null, // { key, video } shared by repeated escalation attempts in one mode
     mode: null, // 'chat-only' or 'voice-chat' - for UI management only
     escalationEnabled: false, // Track if escalation is available
 
@@ -15,22 +25,19 @@ export const ChatWidget = {
 
         // Store the mode for UI management
         this.mode = mode;
+        resetSeenMessages();
 
         try {
-            // Get UserId for this session
-            const { getUserId } = await import('./userId.js');
-            const userId = getUserId();
-            
-            // Call Lambda to get contact details with UserId in attributes
-            const contactData = await callAPI('/start-chat-contact', { 
-                attributes: {
-                    userId: userId
-                }
-            });
+            // Call Lambda to get contact details; the backend sets the userId
+            // attribute from our session token. Reusing the Idempotency-Key until
+            // this contact ends makes double clicks and retries return the same contact.
+            this.startRequestKey = this.startRequestKey || crypto.randomUUID();
+            const contactData = await callAPI('/start-chat-contact', {}, { idempotencyKey: this.startRequestKey });
             console.log('Chat contact data received:', contactData);
 
-            // Store contact ID for later use
+            // Store contact ID for later use, and persist the participant so a reload can rejoin
             this.contactId = contactData.contactId;
+            saveChatLeg(contactData, mode);
 
             // Initialize amazon-connect-chatjs
             const chatSession = connect.ChatSession.create({
@@ -46,12 +53,7 @@ export const ChatWidget = {
             });
 
             this.session = chatSession;
-
-            // Set up event handlers
-            this.session.onMessage(this.handleMessage.bind(this));
-            this.session.onConnectionEstablished(this.handleConnected.bind(this));
-            this.session.onConnectionBroken(this.handleDisconnected.bind(this));
-            this.session.onEnded(this.handleEnded.bind(this));
+            this.registerSessionHandlers(chatSession);
 
             // Connect
             await this.session.connect();
@@ -69,7 +71,17 @@ export const ChatWidget = {
         }
     },
 
-    handleConnected() {
+    // Handlers get the session itself: after escalation the EscalationWidget owns
+    // it and this.session is cleared, but messages still arrive here
+    registerSessionHandlers(session) {
+        session.onMessage(event => this.handleMessage(event, session));
+        session.onConnectionEstablished(() => this.handleConnected(session));
+        session.onConnectionBroken(this.handleDisconnected.bind(this));
+        session.onEnded(this.handleEnded.bind(this));
+        subscribeToChatEvents(session);
+    },
+
+    handleConnected(session) {
         console.log('Chat connection established');
         updateStatus('Chat connected');
         
@@ -82,23 +94,94 @@ export const ChatWidget = {
 
         // Conditionally display voice-related UI elements based on mode
         this.updateUIForMode();
+
+        // Fill in anything said before this connection (reload, reconnect, chat leg created mid-call)
+        this.renderTranscript(session);
     },
 
-    handleMessage(event) {
+    // Render transcript messages that are not on screen yet
+    async renderTranscript(session = this.session) {
+        if (!session) {
+            return;
+        }
+
+        try {
+            const items = await loadTranscript(session);
+            let rendered = 0;
+            let lastAgentMessageId = null;
+
+            // Interactive messages the customer has replied to are shown read-only
+            const lastCustomerTime = items
+                .filter(item => item.ParticipantRole === 'CUSTOMER')
+                .reduce((latest, item) => (item.AbsoluteTime > latest ? item.AbsoluteTime : latest), '');
+
+            for (const item of items) {
+                const isAttachment = item.Type === 'ATTACHMENT' && item.Attachments?.length;
+                if (!isAttachment && (item.Type !== 'MESSAGE' || !item.Content)) {
+                    continue;
+                }
+                const fromFlow = item.ParticipantRole === 'SYSTEM' && isRichContentType(item.ContentType);
+                if (item.ParticipantRole !== 'AGENT' && item.ParticipantRole !== 'CUSTOMER' && !fromFlow) {
+                    continue;
+                }
+                if (!markMessageSeen(item.Id)) {
+                    continue;
+                }
+
+                const sender = item.ParticipantRole === 'CUSTOMER' ? 'customer' : 'agent';
+                const options = { timestamp: item.AbsoluteTime };
+                if (isAttachment) {
+                    item.Attachments.forEach(attachment =>
+                        renderAttachment(session, attachment, sender, item.DisplayName || 'Agent', options));
+                } else {
+                    displayMessage(item.Content, sender, item.DisplayName || 'Agent', {
+                        ...options,
+                        contentType: item.ContentType,
+                        answered: item.ContentType === INTERACTIVE_CONTENT_TYPE && item.AbsoluteTime < lastCustomerTime
+                    });
+                }
+                if (sender === 'agent') {
+                    lastAgentMessageId = item.Id;
+                }
+                rendered++;
+            }
+
+            // One receipt for the newest agent message covers the history just shown
+            acknowledgeMessage(session, lastAgentMessageId);
+
+            console.log(`Transcript loaded: ${items.length} items, ${rendered} newly rendered`);
+        } catch (error) {
+            // History is best effort; live messages keep flowing either way
+            console.error('Failed to load chat transcript:', error);
+        }
+    },
+
+    handleMessage(event, session = this.session) {
         console.log('Message received:', event);
 
         const data = event.data;
         const participantRole = data.ParticipantRole;
         const content = data.Content;
+
+        if (data.Type === 'ATTACHMENT') {
+            this.handleAttachmentMessage(data, session);
+            return;
+        }
         
         // Skip messages without content
         if (!content || content === 'undefined') {
             console.log('Skipping message without content');
             return;
         }
+
+        // Skip messages already rendered from the transcript
+        if (!markMessageSeen(data.Id)) {
+            console.log('Skipping message already shown:', data.Id);
+            return;
+        }
         
-        // Skip system messages
-        if (participantRole === 'SYSTEM') {
+        // Skip system messages, except Markdown and interactive messages sent by flows and bots
+        if (participantRole === 'SYSTEM' && !isRichContentType(data.ContentType)) {
             console.log('Skipping system message:', content);
             return;
         }
@@ -111,7 +194,22 @@ export const ChatWidget = {
         
         // Display agent messages
         const displayName = data.DisplayName || 'Agent';
-        displayMessage(content, 'agent', displayName);
+        hideTypingIndicator();
+        displayMessage(content, 'agent', displayName, { timestamp: data.AbsoluteTime, contentType: data.ContentType });
+        acknowledgeMessage(session, data.Id);
+    },
+
+    // Render files sent by the agent; our own uploads are already on screen
+    handleAttachmentMessage(data, session) {
+        if (!markMessageSeen(data.Id) || data.ParticipantRole !== 'AGENT') {
+            return;
+        }
+
+        hideTypingIndicator();
+        for (const attachment of data.Attachments || []) {
+            renderAttachment(session, attachment, 'agent', data.DisplayName || 'Agent', { timestamp: data.AbsoluteTime });
+        }
+        acknowledgeMessage(session, data.Id);
     },
 
     handleDisconnected() {
@@ -121,6 +219,7 @@ export const ChatWidget = {
     },
 
     handleEnded() {
+        hideTypingIndicator();
         displayMessage('Chat session ended', 'system');
         console.log('Chat session ended');
         updateStatus('Chat ended');
@@ -145,7 +244,10 @@ export const ChatWidget = {
 
         // Clear contact ID and mode
         this.contactId = null;
+        this.startRequestKey = null;
+        this.escalationRequest = null;
         this.mode = null;
+        clearActiveContact();
     },
 
     async end() {
@@ -165,6 +267,9 @@ export const ChatWidget = {
         try {
             updateStatus('Ending chat...');
             
+            // Fetch the transcript while the participant token is still accepted
+            await prepareTranscript();
+
             console.log('ChatWidget.end() - About to call /stop-contact API with contactId:', this.contactId);
             
             // Call Lambda to stop the contact
@@ -180,6 +285,7 @@ export const ChatWidget = {
             }
             
             displayMessage('Chat ended by customer', 'system');
+            showTranscriptActions();
             
         } catch (error) {
             console.error('ChatWidget.end() - Failed to end chat:', error);
@@ -200,13 +306,35 @@ export const ChatWidget = {
 
         console.log('Sending message:', text);
 
+        // Display own message; it shows the agent's receipts once its ID is known
+        const messageDiv = displayMessage(text, 'customer', null, { timestamp: new Date().toISOString() });
+
         this.session.sendMessage({
             contentType: 'text/plain',
             message: text
+        }).then(response => {
+            // The transcript will contain this message too; don't render it twice
+            markMessageSeen(response?.data?.Id);
+            trackOwnMessage(messageDiv, response?.data?.Id);
+        }).catch(error => {
+            console.error('Failed to send message:', error);
+            displayError('Message could not be sent');
         });
+    },
 
-        // Display own message
-        displayMessage(text, 'customer');
+    sendTyping() {
+        if (this.session) {
+            sendTypingEvent(this.session);
+        }
+    },
+
+    sendAttachment(file) {
+        if (!this.session) {
+            console.error('No active chat session');
+            return;
+        }
+
+        return uploadAttachment(this.session, file);
     },
 
     // Update UI elements based on mode
@@ -269,6 +397,7 @@ export const ChatWidget = {
         try {
             // Store contact ID
             this.contactId = contactId;
+            saveChatLeg({ contactId, participantId, participantToken }, mode);
 
             // Initialize amazon-connect-chatjs with provided details
             const chatSession = connect.ChatSession.create({
@@ -284,12 +413,7 @@ export const ChatWidget = {
             });
 
             this.session = chatSession;
-
-            // Set up event handlers
-            this.session.onMessage(this.handleMessage.bind(this));
-            this.session.onConnectionEstablished(this.handleConnected.bind(this));
-            this.session.onConnectionBroken(this.handleDisconnected.bind(this));
-            this.session.onEnded(this.handleEnded.bind(this));
+            this.registerSessionHandlers(chatSession);
 
             // Connect
             await this.session.connect();
@@ -327,42 +451,66 @@ export const ChatWidget = {
         this.showEscalationButton();
         
         displayMessage('✓ Connected to agent. You can start chatting!', 'system');
-        displayMessage('✓ Voice escalation is now available. Click "Escalate to Voice" to upgrade your conversation.', 'system');
+        displayMessage('✓ Voice and video escalation are now available. Click "Escalate to Voice" or "Escalate to Video" to upgrade your conversation.', 'system');
     },
 
-    // Show escalation button
+    // Escalation buttons and whether each one adds video
+    escalationButtons() {
+        return [
+            { button: document.getElementById('escalate-to-voice-btn'), video: false },
+            { button: document.getElementById('escalate-to-video-btn'), video: true }
+        ].filter(({ button }) => button);
+    },
+
+    // Show escalation buttons
     // Requirements: 4.1, 4.3
     showEscalationButton() {
-        const escalationBtn = document.getElementById('escalate-to-voice-btn');
-        if (escalationBtn) {
+        const buttons = this.escalationButtons();
+        if (buttons.length === 0) {
+            console.error('Escalation button not found in HTML');
+            return;
+        }
+        
+        for (const { button, video } of buttons) {
             // Add click handler if not already added
-            if (!escalationBtn.hasAttribute('data-handler-added')) {
-                escalationBtn.addEventListener('click', () => this.handleEscalationClick());
-                escalationBtn.setAttribute('data-handler-added', 'true');
+            if (!button.hasAttribute('data-handler-added')) {
+                button.addEventListener('click', () => this.handleEscalationClick({ video }));
+                button.setAttribute('data-handler-added', 'true');
             }
             
             // Show the button
-            escalationBtn.style.display = 'flex';
-            console.log('Escalation button shown');
-        } else {
-            console.error('Escalation button not found in HTML');
+            button.style.display = 'flex';
         }
+        console.log('Escalation buttons shown');
     },
 
-    // Hide escalation button
+    // Hide escalation buttons
     // Requirements: 4.5
     hideEscalationButton() {
-        const escalationBtn = document.getElementById('escalate-to-voice-btn');
-        if (escalationBtn) {
-            escalationBtn.style.display = 'none';
-            console.log('Escalation button hidden');
+        for (const { button } of this.escalationButtons()) {
+            button.style.display = 'none';
         }
+        console.log('Escalation buttons hidden');
     },
 
-    // Handle escalation button click
+    // Disable the escalation buttons while a contact is being created, or restore them
+    setEscalationPending(pending) {
+        for (const { button } of this.escalationButtons()) {
+            const label = button.querySelector('span');
+            button.disabled = pending;
+            if (pending) {
+                button.dataset.label = label.textContent;
+                label.textContent = 'Escalating...';
+            } else if (button.dataset.label) {
+                label.textContent = button.dataset.label;
+            }
+        }
+    },
+
+    // Handle escalation button click; video escalations turn the camera on once connected
     // Requirements: 4.3, 5.1, 5.2, 5.5
-    async handleEscalationClick() {
-        console.log('Escalation button clicked for contact:', this.contactId);
+    async handleEscalationClick({ video = false } = {}) {
+        console.log('Escalation button clicked for contact:', this.contactId, { video });
         
         if (!this.contactId) {
             console.error('No active chat contact for escalation');
@@ -370,27 +518,32 @@ export const ChatWidget = {
             return;
         }
         
+        // Disable escalation buttons to prevent double-clicks, including during the check
+        this.setEscalationPending(true);
+        
+        // The escalated voice contact is only created once the microphone and network check out
+        const preflight = await runPreflightCheck({ deviceId: loadDevicePreferences().audioinput });
+        if (preflight !== 'call') {
+            console.log('Pre-call check ended without escalating:', preflight);
+            displayMessage('Staying in chat. You can escalate to voice again at any time.', 'system');
+            this.setEscalationPending(false);
+            return;
+        }
+        
+        // Retries share a key so a lost response cannot create a second voice contact
+        if (this.escalationRequest?.video !== video) {
+            this.escalationRequest = { key: crypto.randomUUID(), video };
+        }
+        
         try {
-            // Disable escalation button to prevent double-clicks
-            const escalationBtn = document.getElementById('escalate-to-voice-btn');
-            if (escalationBtn) {
-                escalationBtn.disabled = true;
-                escalationBtn.innerHTML = `
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <circle cx="12" cy="12" r="10"></circle>
-                        <path d="M12 6v6l4 2"></path>
-                    </svg>
-                    <span>Escalating...</span>
-                `;
-            }
-            
             updateStatus('Creating voice contact...');
-            displayMessage('Escalating to voice call...', 'system');
+            displayMessage(video ? 'Escalating to video call...' : 'Escalating to voice call...', 'system');
             
             // Call API to create escalated voice contact
             const voiceContactData = await callAPI('/start-voice-contact', {
-                relatedContactId: this.contactId
-            });
+                relatedContactId: this.contactId,
+                ...(video && { video: true })
+            }, { idempotencyKey: this.escalationRequest.key });
             
             console.log('Escalated voice contact created:', voiceContactData);
             
@@ -402,17 +555,8 @@ export const ChatWidget = {
             displayError('Failed to escalate to voice: ' + error.message);
             updateStatus('Chat connected');
             
-            // Re-enable escalation button on error
-            const escalationBtn = document.getElementById('escalate-to-voice-btn');
-            if (escalationBtn) {
-                escalationBtn.disabled = false;
-                escalationBtn.innerHTML = `
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"></path>
-                    </svg>
-                    <span>Escalate to Voice</span>
-                `;
-            }
+            // Re-enable escalation buttons on error
+            this.setEscalationPending(false);
         }
     },
 
@@ -434,6 +578,8 @@ export const ChatWidget = {
             // Clear ChatWidget state (session is now managed by EscalationWidget)
             this.session = null;
             this.contactId = null;
+            this.startRequestKey = null;
+            this.escalationRequest = null;
             this.mode = null;
             this.escalationEnabled = false;
             
@@ -0,0 +1,170 @@
+// Typing indicators and message receipts for the customer chat
+// Uses the ChatJS event APIs on the customer's participant connection: typing
+// events both ways (throttled when sending), "delivered" and "read" receipts
+// for agent messages, and the agent's receipts shown on customer messages.
+
+const TYPING_EVENT = 'application/vnd.amazonaws.connect.event.typing';
+const DELIVERED_EVENT = 'application/vnd.amazonaws.connect.event.message.delivered';
+const READ_EVENT = 'application/vnd.amazonaws.connect.event.message.read';
+
+// At most one outgoing typing event per interval while the customer keeps typing
+const TYPING_THROTTLE_MS = 5000;
+// Agent typing events repeat while they type; the indicator hides when they stop arriving
+const TYPING_INDICATOR_TIMEOUT_MS = 10000;
+
+const RECEIPT_LABELS = { delivered: 'Delivered', read: 'Read' };
+
+// Last outgoing typing event per chat session
+const lastTypingSent = new WeakMap();
+let typingIndicatorTimer = null;
+
+// Agent message IDs already acknowledged per chat session; a reconnect reloads
+// the transcript and would otherwise acknowledge its newest message again
+const acknowledgedMessages = new WeakMap();
+// Agent messages waiting for the page to become visible before they count as read
+const unreadMessages = [];
+// Receipts for customer messages whose ID is not known yet (sendMessage still pending)
+const pendingReceipts = new Map();
+
+/**
+ * Tells the agent the customer is typing, at most once per TYPING_THROTTLE_MS
+ * @param {Object} session - ChatJS customer session
+ */
+export function sendTypingEvent(session) {
+  const now = Date.now();
+  if (now - (lastTypingSent.get(session) || 0) < TYPING_THROTTLE_MS) {
+    return;
+  }
+  lastTypingSent.set(session, now);
+
+  session.sendEvent({ contentType: TYPING_EVENT }).catch(error => {
+    console.warn('Failed to send typing event:', error);
+  });
+}
+
+/**
+ * Hides the agent typing indicator (the agent sent a message or the chat ended)
+ */
+export function hideTypingIndicator() {
+  clearTimeout(typingIndicatorTimer);
+  const indicator = document.getElementById('typing-indicator');
+  if (indicator) {
+    indicator.style.display = 'none';
+  }
+}
+
+function showTypingIndicator(displayName) {
+  const indicator = document.getElementById('typing-indicator');
+  if (!indicator) {
+    return;
+  }
+
+  indicator.textContent = `${displayName || 'Agent'} is typing…`;
+  indicator.style.display = 'block';
+  clearTimeout(typingIndicatorTimer);
+  typingIndicatorTimer = setTimeout(hideTypingIndicator, TYPING_INDICATOR_TIMEOUT_MS);
+}
+
+function sendReceipt(session, contentType, messageId) {
+  session.sendEvent({ contentType, content: JSON.stringify({ messageId }) }).catch(error => {
+    console.warn('Failed to send message receipt:', { contentType, messageId, error });
+  });
+}
+
+function flushReadReceipts() {
+  if (document.visibilityState !== 'visible') {
+    return;
+  }
+  for (const { session, messageId } of unreadMessages.splice(0)) {
+    sendReceipt(session, READ_EVENT, messageId);
+  }
+}
+
+document.addEventListener('visibilitychange', flushReadReceipts);
+
+/**
+ * Acknowledges an agent message once: delivered right away, read once the page is visible
+ * @param {Object} session - ChatJS customer session
+ * @param {string} [messageId] - Transcript item ID of the agent message
+ */
+export function acknowledgeMessage(session, messageId) {
+  if (!session || !messageId) {
+    return;
+  }
+
+  const acknowledged = acknowledgedMessages.get(session) || new Set();
+  if (acknowledged.has(messageId)) {
+    return;
+  }
+  acknowledgedMessages.set(session, acknowledged.add(messageId));
+
+  sendReceipt(session, DELIVERED_EVENT, messageId);
+  unreadMessages.push({ session, messageId });
+  flushReadReceipts();
+}
+
+// Read replaces delivered; a late delivered receipt never downgrades a read one
+function applyReceipt(messageDiv, state) {
+  if (messageDiv.dataset.receipt === 'read') {
+    return;
+  }
+  messageDiv.dataset.receipt = state;
+
+  let label = messageDiv.querySelector('.message-receipt');
+  if (!label) {
+    label = document.createElement('div');
+    label.className = 'message-receipt';
+    messageDiv.appendChild(label);
+  }
+  label.textContent = RECEIPT_LABELS[state];
+}
+
+/**
+ * Links a displayed customer message to its transcript ID so receipts can find it
+ * @param {HTMLElement|null} messageDiv - Message element from displayMessage
+ * @param {string} [messageId] - ID returned by sendMessage
+ */
+export function trackOwnMessage(messageDiv, messageId) {
+  if (!messageDiv || !messageId) {
+    return;
+  }
+  messageDiv.dataset.messageId = messageId;
+
+  const state = pendingReceipts.get(messageId);
+  if (state) {
+    pendingReceipts.delete(messageId);
+    applyReceipt(messageDiv, state);
+  }
+}
+
+function handleReceipt(event, state) {
+  const messageId = event.data?.MessageMetadata?.MessageId;
+  if (!messageId) {
+    return;
+  }
+
+  const messageDiv = document.querySelector(`.message-customer[data-message-id="${CSS.escape(messageId)}"]`);
+  if (messageDiv) {
+    applyReceipt(messageDiv, state);
+  } else if (pendingReceipts.get(messageId) !== 'read') {
+    pendingReceipts.set(messageId, state);
+  }
+}
+
+/**
+ * Subscribes to agent typing and receipt events on a chat session
+ * @param {Object} session - ChatJS customer session
+ */
+export function subscribeToChatEvents(session) {
+  session.onTyping(event => {
+    // Our own typing events are echoed back to us
+    if (event.data?.ParticipantRole === 'CUSTOMER') {
+      return;
+    }
+    showTypingIndicator(event.data?.DisplayName);
+  });
+
+  // Receipts for agent messages (sent by us) don't match any customer message and are ignored
+  session.onDeliveredReceipt(event => handleReceipt(event, 'delivered'));
+  session.onReadReceipt(event => handleReceipt(event, 'read'));
+}
@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+
+// chatEvents listens for visibilitychange on load, so the page must exist before the import
+const visibilityListeners = [];
+globalThis.document = {
+  visibilityState: 'visible',
+  addEventListener: (type, listener) => {
+    if (type === 'visibilitychange') {
+      visibilityListeners.push(listener);
+    }
+  }
+};
+
+const { sendTypingEvent, acknowledgeMessage } = await import('./chatEvents.js');
+
+const TYPING_EVENT = 'application/vnd.amazonaws.connect.event.typing';
+const DELIVERED_EVENT = 'application/vnd.amazonaws.connect.event.message.delivered';
+const READ_EVENT = 'application/vnd.amazonaws.connect.event.message.read';
+
+// Records every event a chat session is asked to send
+function createStubSession() {
+  const events = [];
+  return {
+    events,
+    sendEvent: async event => { events.push(event); }
+  };
+}
+
+const receipts = (session, contentType) => session.events
+  .filter(event => event.contentType === contentType)
+  .map(event => JSON.parse(event.content).messageId);
+
+function setVisibility(state) {
+  document.visibilityState = state;
+  visibilityListeners.forEach(listener => listener());
+}
+
+describe('Chat events', () => {
+  describe('typing events', () => {
+    let now;
+    beforeEach(() => {
+      now = 1_000_000;
+      mock.method(Date, 'now', () => now);
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('sends one typing event per throttle window', () => {
+      const session = createStubSession();
+
+      sendTypingEvent(session);
+      now += 1000;
+      sendTypingEvent(session);
+      now += 3999;
+      sendTypingEvent(session);
+      assert.strictEqual(session.events.length, 1);
+
+      now += 1;
+      sendTypingEvent(session);
+      sendTypingEvent(session);
+      assert.deepStrictEqual(session.events, [{ contentType: TYPING_EVENT }, { contentType: TYPING_EVENT }]);
+    });
+
+    it('throttles each chat session separately', () => {
+      const chat = createStubSession();
+      const escalationChat = createStubSession();
+
+      sendTypingEvent(chat);
+      sendTypingEvent(escalationChat);
+
+      assert.strictEqual(chat.events.length, 1);
+      assert.strictEqual(escalationChat.events.length, 1);
+    });
+  });
+
+  describe('message receipts', () => {
+    afterEach(() => setVisibility('visible'));
+
+    it('sends one delivered and one read receipt per messageId', () => {
+      const session = createStubSession();
+
+      acknowledgeMessage(session, 'message-1');
+      acknowledgeMessage(session, 'message-1');
+      acknowledgeMessage(session, 'message-2');
+      acknowledgeMessage(session, 'message-1');
+
+      assert.deepStrictEqual(receipts(session, DELIVERED_EVENT), ['message-1', 'message-2']);
+      assert.deepStrictEqual(receipts(session, READ_EVENT), ['message-1', 'message-2']);
+    });
+
+    it('holds read receipts until the page is visible, then sends each once', () => {
+      const session = createStubSession();
+      setVisibility('hidden');
+
+      acknowledgeMessage(session, 'message-3');
+      acknowledgeMessage(session, 'message-3');
+      assert.deepStrictEqual(receipts(session, DELIVERED_EVENT), ['message-3']);
+      assert.deepStrictEqual(receipts(session, READ_EVENT), []);
+
+      setVisibility('visible');
+      setVisibility('visible');
+      assert.deepStrictEqual(receipts(session, READ_EVENT), ['message-3']);
+    });
+
+    it('ignores messages without an ID', () => {
+      const session = createStubSession();
+
+      acknowledgeMessage(session, undefined);
+
+      assert.deepStrictEqual(session.events, []);
+    });
+  });
+});
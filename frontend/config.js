@@ -14,5 +14,8 @@ export const config = {
   },
   websocket: {
     url: 'wss://2jn06ucuwi.execute-api.us-west-2.amazonaws.com/prod'
+  },
+  preflight: {
+    stunUrls: []
   }
 };
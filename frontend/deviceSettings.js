@@ -0,0 +1,137 @@
+// Microphone and speaker settings for voice calls
+// Lets the customer pick audio devices for the active voice session and keeps
+// the lists current as devices are plugged in or removed. Choices are stored
+// in localStorage, so the next call starts on the same headset.
+
+import { displayError } from './app.js';
+
+const STORAGE_KEY = 'voiceDevices';
+
+const SELECT_IDS = {
+  audioinput: 'audio-input-select',
+  audiooutput: 'audio-output-select'
+};
+
+// Voice session the panel currently controls
+let activeSession = null;
+
+/**
+ * Returns the devices the customer chose in earlier calls
+ * @returns {{audioinput?: string, audiooutput?: string}}
+ */
+export function loadDevicePreferences() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Discarding unreadable device preferences:', error);
+    return {};
+  }
+}
+
+function saveDevicePreference(kind, deviceId) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...loadDevicePreferences(), [kind]: deviceId }));
+}
+
+function renderOptions(kind, devices, selectedId) {
+  const select = document.getElementById(SELECT_IDS[kind]);
+  if (!select) {
+    return;
+  }
+
+  select.replaceChildren(...devices.map((device, index) => {
+    const option = document.createElement('option');
+    option.value = device.deviceId;
+    // Labels are empty until the page has microphone permission
+    option.textContent = device.label || `${kind === 'audioinput' ? 'Microphone' : 'Speaker'} ${index + 1}`;
+    return option;
+  }));
+  select.value = selectedId || '';
+
+  // Browsers without setSinkId list no outputs; audio then plays on the system default
+  select.closest('.device-setting').style.display = devices.length ? 'flex' : 'none';
+}
+
+async function refreshDevices() {
+  for (const kind of Object.keys(SELECT_IDS)) {
+    renderOptions(kind, await activeSession.listDevices(kind), activeSession.devices[kind]);
+  }
+}
+
+function showPanel(show) {
+  const toggle = document.getElementById('device-settings-btn');
+  const panel = document.getElementById('device-settings');
+  if (toggle) {
+    toggle.style.display = show ? 'inline-flex' : 'none';
+  }
+  if (panel && !show) {
+    panel.style.display = 'none';
+  }
+}
+
+/**
+ * Connects the settings panel to a voice session until that session stops
+ * @param {VoiceSession} voiceSession - Session created by the voice or escalation widget
+ */
+export function attachDeviceSettings(voiceSession) {
+  activeSession = voiceSession;
+
+  voiceSession
+    .on('started', () => {
+      showPanel(true);
+      refreshDevices().catch(error => console.error('Failed to list audio devices:', error));
+    })
+    .on('devicesChanged', ({ kind, devices }) => {
+      if (activeSession === voiceSession) {
+        renderOptions(kind, devices, voiceSession.devices[kind]);
+      }
+    })
+    .on('deviceChanged', ({ kind, deviceId }) => {
+      const select = document.getElementById(SELECT_IDS[kind]);
+      if (activeSession === voiceSession && select) {
+        select.value = deviceId;
+      }
+    })
+    .on('stopped', () => {
+      if (activeSession === voiceSession) {
+        activeSession = null;
+        showPanel(false);
+      }
+    });
+}
+
+/**
+ * Wires the settings toggle and the device selects (called once on page load)
+ */
+export function setupDeviceSettings() {
+  const toggle = document.getElementById('device-settings-btn');
+  const panel = document.getElementById('device-settings');
+
+  if (toggle && panel) {
+    toggle.addEventListener('click', () => {
+      const open = panel.style.display !== 'none';
+      panel.style.display = open ? 'none' : 'flex';
+      toggle.setAttribute('aria-expanded', String(!open));
+    });
+  }
+
+  for (const [kind, id] of Object.entries(SELECT_IDS)) {
+    const select = document.getElementById(id);
+    if (!select) {
+      continue;
+    }
+
+    select.addEventListener('change', async () => {
+      if (!activeSession) {
+        return;
+      }
+      try {
+        await activeSession.selectDevice(kind, select.value);
+        saveDevicePreference(kind, select.value);
+      } catch (error) {
+        console.error(`Failed to switch ${kind}:`, error);
+        select.value = activeSession.devices[kind] || '';
+        displayError('Could not switch to that device');
+      }
+    });
+  }
+}
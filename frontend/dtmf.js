@@ -0,0 +1,83 @@
+// DTMF keypad tones for the WebRTC contact
+// The Chime SDK has no DTMF API, so the tones are generated in the browser and
+// mixed into the microphone audio (in-band) through a Chime AudioTransformDevice.
+// Connect then detects them like key presses on a phone.
+
+// Row and column frequencies (Hz) of each key
+export const DTMF_FREQUENCIES = {
+  '1': [697, 1209], '2': [697, 1336], '3': [697, 1477],
+  '4': [770, 1209], '5': [770, 1336], '6': [770, 1477],
+  '7': [852, 1209], '8': [852, 1336], '9': [852, 1477],
+  '*': [941, 1209], '0': [941, 1336], '#': [941, 1477]
+};
+
+const TONE_SECONDS = 0.12;
+const GAP_SECONDS = 0.08;
+const TONE_LEVEL = 0.25;
+
+/**
+ * Microphone input that can mix DTMF tones into the outgoing audio
+ * Implements the Chime SDK AudioTransformDevice interface.
+ */
+export class DtmfInputDevice {
+  /**
+   * @param {string} deviceId - Microphone device ID
+   */
+  constructor(deviceId) {
+    this.deviceId = deviceId;
+    this.context = null;
+    this.mixer = null;
+  }
+
+  async intrinsicDevice() {
+    return this.deviceId;
+  }
+
+  async mute() {}
+
+  async stop() {
+    this.mixer?.disconnect();
+    this.mixer = null;
+    this.context = null;
+  }
+
+  // Chime connects the microphone to `start` and sends whatever leaves `end`
+  async createAudioNode(context) {
+    this.context = context;
+    this.mixer = context.createGain();
+    return { start: this.mixer, end: this.mixer };
+  }
+
+  /**
+   * Plays a sequence of keys into the call
+   * @param {string} digits - Keys from DTMF_FREQUENCIES, e.g. "1#"
+   * @returns {Promise<void>} Resolves when the last tone has played
+   */
+  playDigits(digits) {
+    if (!this.context || !this.mixer) {
+      return Promise.reject(new Error('Microphone audio is not running'));
+    }
+
+    const keys = [...digits].filter(key => DTMF_FREQUENCIES[key]);
+    let time = this.context.currentTime;
+
+    for (const key of keys) {
+      const gain = this.context.createGain();
+      gain.gain.value = TONE_LEVEL;
+      gain.connect(this.mixer);
+
+      for (const frequency of DTMF_FREQUENCIES[key]) {
+        const oscillator = this.context.createOscillator();
+        oscillator.frequency.value = frequency;
+        oscillator.connect(gain);
+        oscillator.start(time);
+        oscillator.stop(time + TONE_SECONDS);
+        oscillator.onended = () => gain.disconnect();
+      }
+      time += TONE_SECONDS + GAP_SECONDS;
+    }
+
+    const durationMs = keys.length * (TONE_SECONDS + GAP_SECONDS) * 1000;
+    return new Promise(resolve => setTimeout(resolve, durationMs));
+  }
+}
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { DtmfInputDevice, DTMF_FREQUENCIES } from './dtmf.js';
+
+// Records the oscillators a tone sequence schedules
+function createFakeAudioContext() {
+  const oscillators = [];
+  const node = () => ({ gain: { value: 1 }, connect() {}, disconnect() {} });
+
+  return {
+    oscillators,
+    currentTime: 10,
+    createGain: node,
+    createOscillator: () => {
+      const oscillator = { ...node(), frequency: { value: 0 } };
+      oscillator.start = time => { oscillator.startTime = time; };
+      oscillator.stop = time => { oscillator.stopTime = time; };
+      oscillators.push(oscillator);
+      return oscillator;
+    }
+  };
+}
+
+describe('DtmfInputDevice', () => {
+  it('passes the microphone through one mixer node', async () => {
+    const device = new DtmfInputDevice('mic-1');
+    const { start, end } = await device.createAudioNode(createFakeAudioContext());
+
+    assert.strictEqual(start, end);
+    assert.strictEqual(await device.intrinsicDevice(), 'mic-1');
+  });
+
+  it('schedules both frequencies of each key one after another', async () => {
+    const context = createFakeAudioContext();
+    const device = new DtmfInputDevice('mic-1');
+    await device.createAudioNode(context);
+
+    await device.playDigits('5x#');
+
+    const [first, second, third, fourth] = context.oscillators;
+    assert.strictEqual(context.oscillators.length, 4);
+    assert.deepStrictEqual([first.frequency.value, second.frequency.value], DTMF_FREQUENCIES['5']);
+    assert.deepStrictEqual([third.frequency.value, fourth.frequency.value], DTMF_FREQUENCIES['#']);
+    assert.strictEqual(first.startTime, 10);
+    assert.ok(third.startTime > first.stopTime);
+  });
+
+  it('rejects tones before Chime has started the microphone', async () => {
+    await assert.rejects(new DtmfInputDevice('mic-1').playDigits('1'), /not running/);
+  });
+});
@@ -1,13 +1,19 @@
 // Escalation Widget for combined chat-voice interactions
 // Handles escalated interactions where chat is preserved and voice is added
-import {
-  ConsoleLogger,
-  DefaultDeviceController,
-  DefaultMeetingSession,
-  LogLevel,
-  MeetingSessionConfiguration
-} from 'amazon-chime-sdk-js';
-import { updateStatus, displayMessage, displayError, callAPI, showCallBanner, enableChatInput } from './app.js';
+import * as ChimeSDK from 'amazon-chime-sdk-js';
+import { updateStatus, displayMessage, displayError, callAPI, showCallBanner, enableChatInput, setSwitchToChatEnabled } from './app.js';
+import { saveVoiceLeg, clearVoiceLeg } from './activeContact.js';
+import { markMessageSeen } from './transcript.js';
+import { uploadAttachment } from './attachments.js';
+import { sendTypingEvent, trackOwnMessage } from './chatEvents.js';
+import { prepareTranscript, showTranscriptActions } from './transcriptDownload.js';
+import { VoiceSession, getAudioElement } from './voiceSession.js';
+import { loadDevicePreferences, attachDeviceSettings } from './deviceSettings.js';
+import { attachCallControls } from './callControls.js';
+import { attachQualityMonitor } from './qualityMonitor.js';
+import { attachVideo } from './videoCall.js';
+import { attachScreenShare } from './screenShare.js';
+import { DtmfInputDevice } from './dtmf.js';
 
 export const EscalationWidget = {
     // Chat session (preserved from ChatWidget)
@@ -15,9 +21,10 @@ export const EscalationWidget = {
     chatContactId: null,
     
     // Voice session (new for escalation)
-    meetingSession: null,
+    voiceSession: null,
     voiceContactId: null,
-    audioElement: null,
+    downgradeRequest: null, // { key, contactId } shared by repeated switch-to-chat attempts for one call
+    switchingToChat: false,
     
     // State management
     mode: 'escalated', // Always escalated mode
@@ -59,80 +66,30 @@ export const EscalationWidget = {
         try {
             updateStatus('Connecting to voice...');
             
-            // Store voice contact ID
+            // Store voice contact ID; the leg is re-offered if the page reloads mid-call
             this.voiceContactId = voiceContactData.contactId;
-            
-            // Parse the connection data from Connect
-            const connectionData = voiceContactData.connectionData;
-            
-            // Create Chime meeting session configuration
-            const meetingResponse = {
-                Meeting: connectionData.Meeting
-            };
-            
-            const attendeeResponse = {
-                Attendee: connectionData.Attendee
-            };
-
-            const configuration = new MeetingSessionConfiguration(
-                meetingResponse,
-                attendeeResponse
-            );
-
-            // Create logger
-            const logger = new ConsoleLogger('EscalationWidget', LogLevel.INFO);
-
-            // Create device controller
-            const deviceController = new DefaultDeviceController(logger);
-
-            // Create meeting session
-            this.meetingSession = new DefaultMeetingSession(
-                configuration,
-                logger,
-                deviceController
-            );
-
-            // Get or create audio element
-            this.audioElement = document.getElementById('escalation-voice-audio');
-            if (!this.audioElement) {
-                this.audioElement = document.createElement('audio');
-                this.audioElement.id = 'escalation-voice-audio';
-                document.body.appendChild(this.audioElement);
-            }
-
-            // Bind audio element
-            await this.meetingSession.audioVideo.bindAudioElement(this.audioElement);
-
-            // Set up observers
-            const observer = {
-                audioVideoDidStart: () => {
-                    console.log('Escalation voice started');
-                    this.handleVoiceConnected();
-                },
-                audioVideoDidStop: (sessionStatus) => {
-                    console.log('Escalation voice stopped:', sessionStatus);
-                    this.handleVoiceDisconnected();
-                }
-            };
-
-            this.meetingSession.audioVideo.addObserver(observer);
-
-            // Start the session
-            await this.meetingSession.audioVideo.start();
-
-            // Choose audio input device (microphone)
-            const audioInputDevices = await this.meetingSession.audioVideo.listAudioInputDevices();
-            if (audioInputDevices.length > 0) {
-                await this.meetingSession.audioVideo.startAudioInput(audioInputDevices[0].deviceId);
-                console.log('Escalation audio input started:', audioInputDevices[0].label);
-            }
-
-            // Choose audio output device (speakers)
-            const audioOutputDevices = await this.meetingSession.audioVideo.listAudioOutputDevices();
-            if (audioOutputDevices.length > 0) {
-                await this.meetingSession.audioVideo.chooseAudioOutput(audioOutputDevices[0].deviceId);
-                console.log('Escalation audio output selected:', audioOutputDevices[0].label);
-            }
+            saveVoiceLeg(voiceContactData, 'escalation');
+            
+            this.voiceSession = new VoiceSession({
+                sdk: ChimeSDK,
+                connectionData: voiceContactData.connectionData,
+                audioElement: getAudioElement('escalation-voice-audio'),
+                name: 'EscalationWidget',
+                preferredDevices: loadDevicePreferences(),
+                createInputDevice: deviceId => new DtmfInputDevice(deviceId)
+            })
+                .on('started', () => this.handleVoiceConnected())
+                .on('stopped', () => this.handleVoiceDisconnected());
+
+            attachDeviceSettings(this.voiceSession);
+            attachCallControls(this.voiceSession, this.voiceContactId);
+            attachQualityMonitor(this.voiceSession, {
+                contactId: this.voiceContactId,
+                onSwitchToChat: () => this.continueInChatOnly()
+            });
+            attachVideo(this.voiceSession, { startCamera: !!voiceContactData.video });
+            attachScreenShare(this.voiceSession, this.voiceContactId);
+            await this.voiceSession.start();
 
             console.log('Escalation voice session started successfully');
             
@@ -194,13 +151,35 @@ export const EscalationWidget = {
 
         console.log('Sending escalation chat message:', text);
 
+        // Display own message
+        const messageDiv = displayMessage(text, 'customer', null, { timestamp: new Date().toISOString() });
+
         this.chatSession.sendMessage({
             contentType: 'text/plain',
             message: text
+        }).then(response => {
+            markMessageSeen(response?.data?.Id);
+            trackOwnMessage(messageDiv, response?.data?.Id);
+        }).catch(error => {
+            console.error('Failed to send escalation message:', error);
+            displayError('Message could not be sent');
         });
+    },
 
-        // Display own message
-        displayMessage(text, 'customer');
+    sendTyping() {
+        if (this.chatSession) {
+            sendTypingEvent(this.chatSession);
+        }
+    },
+
+    // Send a file over the preserved chat session
+    sendAttachment(file) {
+        if (!this.chatSession) {
+            console.error('No active chat session in escalation');
+            return;
+        }
+
+        return uploadAttachment(this.chatSession, file);
     },
 
     // Continue in chat only (end voice portion)
@@ -220,22 +199,51 @@ export const EscalationWidget = {
             return;
         }
 
+        // The end-call button and the quality offer can both fire for one switch
+        if (this.switchingToChat) {
+            console.log('Switch to chat already in progress');
+            return;
+        }
+
+        // One key per call, so every attempt replays the same switch
+        if (this.downgradeRequest?.contactId !== this.voiceContactId) {
+            this.downgradeRequest = { key: crypto.randomUUID(), contactId: this.voiceContactId };
+        }
+
+        this.switchingToChat = true;
+        setSwitchToChatEnabled(false);
+        try {
+            updateStatus('Switching to chat...');
+            
+            // Records the downgrade on the chat and stops the voice contact; the
+            // call stays up if this fails
+            console.log('Calling /downgrade-to-chat API for voice contact:', this.voiceContactId);
+            await callAPI('/downgrade-to-chat', {
+                contactId: this.voiceContactId,
+                chatContactId: this.chatContactId
+            }, { idempotencyKey: this.downgradeRequest.key });
+            console.log('Escalated voice contact downgraded to chat');
+        } catch (error) {
+            // The call is still up, so the customer can keep talking or try again with the same key
+            console.error('Failed to switch escalated call to chat:', error);
+            displayError('Could not switch to chat: ' + error.message);
+            return;
+        } finally {
+            this.switchingToChat = false;
+            setSwitchToChatEnabled(true);
+        }
+        this.downgradeRequest = null;
+
         try {
-            updateStatus('Ending voice call...');
-            
             // Stop the meeting session
-            if (this.meetingSession) {
+            if (this.voiceSession) {
                 console.log('Stopping Chime meeting session');
-                this.meetingSession.audioVideo.stop();
+                await this.voiceSession.stop();
             }
-
-            // Call Lambda to stop the voice contact
-            console.log('Calling /stop-contact API for voice contact:', this.voiceContactId);
-            await callAPI('/stop-contact', { contactId: this.voiceContactId });
-            console.log('Escalated voice contact stopped successfully');
             
             // Clear voice contact ID
             this.voiceContactId = null;
+            clearVoiceLeg();
             
             displayMessage('Voice call ended. Continuing in chat only.', 'system');
             
@@ -260,9 +268,12 @@ export const EscalationWidget = {
         try {
             updateStatus('Ending escalated session...');
             
+            // Fetch the transcript while the participant token is still accepted
+            await prepareTranscript();
+            
             // Stop voice if active
-            if (this.meetingSession && this.voiceContactId) {
-                this.meetingSession.audioVideo.stop();
+            if (this.voiceSession && this.voiceContactId) {
+                await this.voiceSession.stop();
                 await callAPI('/stop-contact', { contactId: this.voiceContactId });
                 console.log('Escalated voice contact stopped');
             }
@@ -283,6 +294,7 @@ export const EscalationWidget = {
             }
             
             displayMessage('Escalated session ended', 'system');
+            showTranscriptActions();
             
         } catch (error) {
             console.error('Failed to end escalated session:', error);
@@ -398,10 +410,12 @@ export const EscalationWidget = {
             endChatBtn.style.display = 'none';
         }
         
-        // Hide escalation button (no longer needed)
-        const escalateBtn = document.getElementById('escalate-to-voice-btn');
-        if (escalateBtn) {
-            escalateBtn.style.display = 'none';
+        // Hide escalation buttons (no longer needed)
+        for (const id of ['escalate-to-voice-btn', 'escalate-to-video-btn']) {
+            const escalateBtn = document.getElementById(id);
+            if (escalateBtn) {
+                escalateBtn.style.display = 'none';
+            }
         }
     },
 
@@ -478,15 +492,12 @@ export const EscalationWidget = {
         
         this.chatSession = null;
         this.chatContactId = null;
-        this.meetingSession = null;
+        this.voiceSession = null;
         this.voiceContactId = null;
         this.escalationActive = false;
         
         // Remove audio element
-        if (this.audioElement) {
-            this.audioElement.remove();
-            this.audioElement = null;
-        }
+        document.getElementById('escalation-voice-audio')?.remove();
         
         // Reset UI
         this.hideEscalationControls();
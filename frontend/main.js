@@ -4,12 +4,16 @@ import { config } from './config.js';
 import { ChatWidget } from './chat.js';
 import { VoiceWidget } from './voice.js';
 import { wsClient } from './websocket.js';
-import { displayMessage } from './app.js';
+import { displayMessage, callAPI, updateStatus } from './app.js';
+import { ensureSession } from './userId.js';
+import { loadActiveContact, clearActiveContact, clearVoiceLeg } from './activeContact.js';
+import { hideTranscriptActions } from './transcriptDownload.js';
+import { handleHoldChanged } from './callControls.js';
 import './app.js';
 
 // Application state for mode selection
 const AppState = {
-  selectedMode: null, // 'chat-only' or 'voice-chat'
+  selectedMode: null, // 'chat-only', 'voice-chat' or 'video-chat'
   isConnected: false,
   showModeSelection: true
 };
@@ -17,11 +21,13 @@ const AppState = {
 // Initialize mode selection event handlers when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   initializeModeSelection();
+  resumeActiveContact();
 });
 
 function initializeModeSelection() {
   const startChatBtn = document.getElementById('start-chat-btn');
   const startCallBtn = document.getElementById('start-call-btn');
+  const startVideoBtn = document.getElementById('start-video-btn');
   
   if (startChatBtn) {
     startChatBtn.addEventListener('click', () => handleModeSelection('chat-only'));
@@ -31,12 +37,19 @@ function initializeModeSelection() {
     startCallBtn.addEventListener('click', () => handleModeSelection('voice-chat'));
   }
   
+  if (startVideoBtn) {
+    startVideoBtn.addEventListener('click', () => handleModeSelection('video-chat'));
+  }
+  
   console.log('Mode selection event handlers initialized');
 }
 
 function handleModeSelection(mode) {
   console.log(`Mode selected: ${mode}`);
   
+  // A new session replaces the previous session's transcript
+  hideTranscriptActions();
+  
   // Update application state
   AppState.selectedMode = mode;
   AppState.showModeSelection = false;
@@ -50,7 +63,8 @@ function handleModeSelection(mode) {
   // Initialize chat or voice based on selected mode
   if (mode === 'chat-only') {
     initializeChatOnly();
-  } else if (mode === 'voice-chat') {
+  } else if (mode === 'voice-chat' || mode === 'video-chat') {
+    // Video mode is a voice+chat call that starts with the camera on
     initializeVoiceWithChat();
   }
 }
@@ -59,22 +73,13 @@ async function initializeChatOnly() {
   console.log('Initializing chat-only mode');
   
   try {
+    // Obtain the signed session first so the WebSocket registers the issued UserId
+    await ensureSession(config.api.endpoint);
+    
     // Connect WebSocket
     await wsClient.connect();
     
-    // Pass mode to chat initialization
-    await ChatWidget.start(AppState.selectedMode);
-    
-    // Update connection state
-    AppState.isConnected = true;
-    
-    // Show end chat button
-    const endChatBtn = document.getElementById('end-chat-btn');
-    if (endChatBtn) {
-      endChatBtn.style.display = 'flex';
-    }
-    
-    // No need for additional message here - ChatWidget.handleConnected() already shows the appropriate message
+    await startChatSession();
   } catch (error) {
     console.error('Failed to initialize chat-only mode:', error);
     resetModeSelection();
@@ -82,20 +87,53 @@ async function initializeChatOnly() {
   }
 }
 
+// Start the chat contact once the session and WebSocket are ready
+async function startChatSession() {
+  // Pass mode to chat initialization
+  await ChatWidget.start(AppState.selectedMode);
+  
+  // Update connection state
+  AppState.isConnected = true;
+  
+  // Show end chat button
+  const endChatBtn = document.getElementById('end-chat-btn');
+  if (endChatBtn) {
+    endChatBtn.style.display = 'flex';
+  }
+  
+  // No need for additional message here - ChatWidget.handleConnected() already shows the appropriate message
+}
+
 async function initializeVoiceWithChat() {
   console.log('Initializing voice+chat mode');
   
   try {
+    // Obtain the signed session first so the WebSocket registers the issued UserId
+    await ensureSession(config.api.endpoint);
+    
     // Connect WebSocket
     await wsClient.connect();
     
     // Pass mode to voice initialization
-    await VoiceWidget.start(AppState.selectedMode);
+    const outcome = await VoiceWidget.start(AppState.selectedMode);
+    
+    // The customer left the pre-call check without calling
+    if (outcome === 'chat') {
+      AppState.selectedMode = 'chat-only';
+      await startChatSession();
+      return;
+    }
+    if (outcome === 'cancel') {
+      resetModeSelection();
+      return;
+    }
     
     // Update connection state
     AppState.isConnected = true;
     
-    displayMessage('✓ Voice+chat session started. You can speak or type messages.', 'system');
+    displayMessage(AppState.selectedMode === 'video-chat'
+      ? '✓ Video+chat session started. Show the agent the issue, speak or type messages.'
+      : '✓ Voice+chat session started. You can speak or type messages.', 'system');
   } catch (error) {
     console.error('Failed to initialize voice+chat mode:', error);
     resetModeSelection();
@@ -103,6 +141,102 @@ async function initializeVoiceWithChat() {
   }
 }
 
+// Rejoin the chat (and offer to rejoin the call) that was in progress before a page reload
+async function resumeActiveContact() {
+  const saved = loadActiveContact();
+  if (!saved) {
+    return;
+  }
+  
+  // The chat leg is what gets resumed; a call that never got its chat can't be
+  if (!saved.chat) {
+    clearActiveContact();
+    return;
+  }
+  
+  console.log('Resuming active contact:', { contactId: saved.chat.contactId, mode: saved.mode });
+  
+  let resumed;
+  try {
+    await ensureSession(config.api.endpoint);
+    resumed = await callAPI('/resume-contact', {
+      contactId: saved.chat.contactId,
+      participantToken: saved.chat.participantToken,
+      ...(saved.voice && {
+        voiceContactId: saved.voice.contactId,
+        voiceParticipantToken: saved.voice.participantToken
+      })
+    });
+  } catch (error) {
+    // Ended, expired or not ours any more: start over from mode selection
+    console.log('Previous contact could not be resumed:', error.message);
+    clearActiveContact();
+    return;
+  }
+  
+  AppState.selectedMode = saved.mode;
+  AppState.showModeSelection = false;
+  AppState.isConnected = true;
+  
+  const modeSelection = document.getElementById('mode-selection');
+  if (modeSelection) {
+    modeSelection.style.display = 'none';
+  }
+  
+  try {
+    await wsClient.connect();
+  } catch (error) {
+    console.error('Failed to reconnect WebSocket:', error);
+    // Continue without WebSocket - the chat itself still works
+  }
+  
+  await ChatWidget.initializeWithDetails(resumed.contactId, saved.chat.participantId, resumed.participantToken, saved.mode);
+  
+  if (saved.mode === 'chat-only') {
+    ChatWidget.setupEscalationHandlers();
+    const endChatBtn = document.getElementById('end-chat-btn');
+    if (endChatBtn) {
+      endChatBtn.style.display = 'flex';
+    }
+  }
+  
+  displayMessage('✓ Reconnected to your conversation.', 'system');
+  
+  // The agent joined before the reload, so ENABLE_ESCALATION won't be sent again
+  if (saved.mode === 'chat-only' && resumed.agentConnected && !resumed.voice?.active) {
+    ChatWidget.enableEscalation();
+  }
+  
+  if (resumed.voice?.active) {
+    offerVoiceRejoin({ ...resumed.voice, participantToken: saved.voice.participantToken }, saved.voice.widget);
+  } else if (saved.voice) {
+    clearVoiceLeg();
+  }
+}
+
+// Show the Rejoin Call button for a voice leg that is still active
+function offerVoiceRejoin(voiceContactData, widget) {
+  const rejoinBtn = document.getElementById('rejoin-call-btn');
+  if (!rejoinBtn) {
+    return;
+  }
+  
+  displayMessage('Your call is still active. Click "Rejoin Call" to reconnect.', 'system');
+  updateStatus('Call waiting to be rejoined');
+  rejoinBtn.style.display = 'flex';
+  
+  rejoinBtn.onclick = async () => {
+    rejoinBtn.style.display = 'none';
+    
+    if (widget === 'escalation') {
+      // Same path as a fresh escalation: the resumed chat session moves to EscalationWidget
+      await ChatWidget.transitionToEscalationWidget(voiceContactData);
+    } else {
+      await VoiceWidget.rejoin(voiceContactData);
+    }
+  };
+}
+
 function resetModeSelection() {
   console.log('Resetting mode selection');
   
@@ -111,6 +245,9 @@ function resetModeSelection() {
     wsClient.disconnect();
   }
   
+  // The interaction is over; nothing to resume after a reload
+  clearActiveContact();
+  
   // Reset application state
   AppState.selectedMode = null;
   AppState.isConnected = false;
@@ -151,6 +288,12 @@ function resetModeSelection() {
   if (callBanner) {
     callBanner.style.display = 'none';
   }
+  
+  // Hide rejoin call button
+  const rejoinBtn = document.getElementById('rejoin-call-btn');
+  if (rejoinBtn) {
+    rejoinBtn.style.display = 'none';
+  }
 }
 
 // Set up WebSocket message handlers
@@ -163,6 +306,9 @@ wsClient.onMessage('chatContactCreated', (message) => {
   // No need for additional message here - ChatWidget.handleConnected() already shows the appropriate message
 });
 
+// The agent put the voice call on hold or resumed it (from the agent event stream)
+wsClient.onMessage('CALL_HOLD_CHANGED', handleHoldChanged);
+
 wsClient.onMessage('error', (message) => {
   console.error('WebSocket error message:', message);
   displayMessage('WebSocket error: ' + (message.error || 'Unknown error'), 'system');
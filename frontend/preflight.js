@@ -0,0 +1,332 @@
+// Pre-call microphone and network check
+// Runs before /start-voice-contact so a customer whose microphone is blocked or
+// whose network can't carry a call never gets a contact queued in Connect.
+// Failures come with guidance and a way to continue in chat instead.
+
+import { config } from './config.js';
+
+// Optional STUN servers (preflight.stunUrls in config.json) used to see whether
+// UDP can leave the network directly. None by default, so no customer address
+// goes to a third party; Chime relays media over its own TURN servers anyway.
+const STUN_URLS = config.preflight?.stunUrls || [];
+const ICE_TIMEOUT_MS = 4000;
+
+// Static file asked for (HEAD, uncached) to check the servers are reachable and time the round trip
+const REACHABILITY_PROBE_URL = '/index.html';
+
+const LEVEL_TEST_MS = 3000;
+const LEVEL_SAMPLE_MS = 100;
+// RMS input level that counts as hearing the customer speak
+export const SPEECH_LEVEL = 0.02;
+
+// Above this round trip, conversation lags noticeably
+export const MAX_CALL_RTT_MS = 500;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Root-mean-square level of a block of audio samples
+ * @param {Float32Array} samples - Time-domain samples in [-1, 1]
+ * @returns {number}
+ */
+export function rmsLevel(samples) {
+  if (!samples.length) {
+    return 0;
+  }
+  let sum = 0;
+  for (const sample of samples) {
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Turns a getUserMedia failure into guidance for the customer
+ * @param {Error} error - DOMException from getUserMedia
+ * @returns {{name: string, status: string, message: string}}
+ */
+export function describeMicrophoneError(error) {
+  const messages = {
+    NotAllowedError: 'Microphone access is blocked. Allow it from the icon in your browser\'s address bar, then try again.',
+    SecurityError: 'Microphone access is blocked. Allow it from the icon in your browser\'s address bar, then try again.',
+    NotFoundError: 'No microphone was found. Connect a headset or microphone, then try again.',
+    OverconstrainedError: 'No microphone was found. Connect a headset or microphone, then try again.',
+    NotReadableError: 'Your microphone is being used by another application. Close it, then try again.'
+  };
+
+  return {
+    name: 'Microphone access',
+    status: 'fail',
+    message: messages[error?.name] || `We couldn't open your microphone (${error?.message || 'unknown error'}).`
+  };
+}
+
+/**
+ * @param {number} peakLevel - Highest RMS level heard during the level test
+ */
+export function assessInputLevel(peakLevel) {
+  return peakLevel >= SPEECH_LEVEL
+    ? { name: 'Microphone level', status: 'pass', message: 'We can hear you.' }
+    : { name: 'Microphone level', status: 'warn', message: 'We couldn\'t hear anything. Check that your microphone isn\'t muted or turned down.' };
+}
+
+/**
+ * @param {Array<string>} candidateTypes - ICE candidate types gathered ('host', 'srflx', 'relay')
+ * @param {Object} [options]
+ * @param {boolean} [options.stunProbed] - Whether a STUN server was asked; srflx can only appear then
+ */
+export function assessConnectivity(candidateTypes, { stunProbed = false } = {}) {
+  if (!candidateTypes.length) {
+    return { name: 'Call connection', status: 'fail', message: 'Your browser couldn\'t set up a call connection. WebRTC may be disabled by an extension or browser policy.' };
+  }
+  // Calls still work without direct UDP, since Chime relays the media, so this is not a warning
+  if (stunProbed && !candidateTypes.includes('srflx')) {
+    return { name: 'Call connection', status: 'info', message: 'Your network doesn\'t allow direct call traffic, so the call will be relayed.' };
+  }
+  return { name: 'Call connection', status: 'pass', message: 'Your browser can make calls.' };
+}
+
+/**
+ * Rates reachability and round-trip time; bandwidth is not measured, since one
+ * small request mostly times latency. Chime's own quality monitoring covers it
+ * once the call is up.
+ * @param {{reachable: boolean, rttMs?: number}} probe - Network probe results
+ */
+export function assessReachability({ reachable, rttMs }) {
+  if (!reachable) {
+    return { name: 'Network', status: 'fail', message: 'We couldn\'t reach our servers. Check your internet connection, then try again.' };
+  }
+  if (rttMs > MAX_CALL_RTT_MS) {
+    return { name: 'Network', status: 'warn', message: `Your connection has high latency (about ${Math.round(rttMs)} ms). Expect a delay when talking.` };
+  }
+  return { name: 'Network', status: 'pass', message: 'We can reach our servers quickly.' };
+}
+
+/**
+ * Overall outcome of a set of checks
+ * @param {Array<{status: string}>} results
+ * @returns {'pass'|'warn'|'fail'}
+ */
+export function summarizePreflight(results) {
+  if (results.some(result => result.status === 'fail')) {
+    return 'fail';
+  }
+  return results.some(result => result.status === 'warn') ? 'warn' : 'pass';
+}
+
+// Highest input level over the test window; stops early once speech is heard
+async function measureInputLevel(stream, onLevel) {
+  const context = new AudioContext();
+  try {
+    await context.resume();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    context.createMediaStreamSource(stream).connect(analyser);
+
+    const samples = new Float32Array(analyser.fftSize);
+    const deadline = performance.now() + LEVEL_TEST_MS;
+    let peak = 0;
+
+    while (performance.now() < deadline && peak < SPEECH_LEVEL) {
+      await delay(LEVEL_SAMPLE_MS);
+      analyser.getFloatTimeDomainData(samples);
+      const level = rmsLevel(samples);
+      peak = Math.max(peak, level);
+      onLevel(level);
+    }
+    return peak;
+  } finally {
+    await context.close();
+  }
+}
+
+async function checkMicrophone(deviceId, onResult) {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    return [onResult({ name: 'Microphone access', status: 'fail', message: 'This browser can\'t make calls from this page. Try an up-to-date Chrome, Edge, Firefox or Safari.' })];
+  }
+
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: deviceId ? { deviceId: { ideal: deviceId } } : true });
+  } catch (error) {
+    console.warn('Microphone permission check failed:', error);
+    return [onResult(describeMicrophoneError(error))];
+  }
+
+  try {
+    const access = onResult({ name: 'Microphone access', status: 'pass', message: 'Microphone access allowed.' });
+    showLevelMeter(true);
+    const peak = await measureInputLevel(stream, setLevelMeter);
+    return [access, onResult(assessInputLevel(peak))];
+  } finally {
+    showLevelMeter(false);
+    stream.getTracks().forEach(track => track.stop());
+  }
+}
+
+// Gathers ICE candidates; any candidate means WebRTC works, and with a STUN
+// server configured a server-reflexive candidate means UDP gets out
+async function probeConnectivity() {
+  if (typeof RTCPeerConnection === 'undefined') {
+    return [];
+  }
+
+  const peerConnection = new RTCPeerConnection({ iceServers: STUN_URLS.length ? [{ urls: STUN_URLS }] : [] });
+  const candidateTypes = new Set();
+  try {
+    const gathered = new Promise(resolve => {
+      peerConnection.onicecandidate = ({ candidate }) => {
+        if (!candidate) {
+          resolve();
+        } else if (candidate.type) {
+          candidateTypes.add(candidate.type);
+        }
+      };
+    });
+    peerConnection.createDataChannel('preflight');
+    await peerConnection.setLocalDescription(await peerConnection.createOffer());
+    await Promise.race([gathered, delay(ICE_TIMEOUT_MS)]);
+  } catch (error) {
+    console.warn('ICE connectivity probe failed:', error);
+  } finally {
+    peerConnection.close();
+  }
+  return [...candidateTypes];
+}
+
+// Times an uncached HEAD request; with no body, the response approximates the round-trip time
+async function probeReachability() {
+  try {
+    const startedAt = performance.now();
+    const response = await fetch(`${REACHABILITY_PROBE_URL}?preflight=${Date.now()}`, { method: 'HEAD', cache: 'no-store' });
+    return { reachable: response.ok, rttMs: performance.now() - startedAt };
+  } catch (error) {
+    console.warn('Reachability probe failed:', error);
+    return { reachable: false };
+  }
+}
+
+async function checkNetwork(onResult) {
+  const [candidateTypes, reachability] = await Promise.all([probeConnectivity(), probeReachability()]);
+  console.log('Network probe results:', { candidateTypes, reachability });
+  return [
+    onResult(assessConnectivity(candidateTypes, { stunProbed: STUN_URLS.length > 0 })),
+    onResult(assessReachability(reachability))
+  ];
+}
+
+function showLevelMeter(show) {
+  const meter = document.getElementById('preflight-level-row');
+  if (meter) {
+    meter.style.display = show ? 'flex' : 'none';
+  }
+}
+
+function setLevelMeter(level) {
+  const meter = document.getElementById('preflight-level');
+  if (meter) {
+    meter.value = level;
+  }
+}
+
+function renderResult(result) {
+  const list = document.getElementById('preflight-results');
+  if (list) {
+    const item = document.createElement('li');
+    item.className = `preflight-result ${result.status}`;
+    const name = document.createElement('strong');
+    name.textContent = `${result.name}: `;
+    item.append(name, result.message);
+    list.appendChild(item);
+  }
+  return result;
+}
+
+function showPanel(show) {
+  const panel = document.getElementById('preflight-check');
+  if (panel) {
+    panel.style.display = show ? 'flex' : 'none';
+  }
+}
+
+function setHeading(text) {
+  const heading = document.getElementById('preflight-heading');
+  if (heading) {
+    heading.textContent = text;
+  }
+}
+
+// Shows the buttons that fit the outcome and resolves with the one the customer clicks
+function waitForChoice(outcome) {
+  const buttons = {
+    call: document.getElementById('preflight-call-btn'),
+    retry: document.getElementById('preflight-retry-btn'),
+    chat: document.getElementById('preflight-chat-btn'),
+    cancel: document.getElementById('preflight-cancel-btn')
+  };
+  const available = outcome === 'warn' ? ['call', 'chat', 'cancel'] : ['retry', 'chat', 'cancel'];
+
+  const actions = document.getElementById('preflight-actions');
+  if (actions) {
+    actions.style.display = 'flex';
+  }
+
+  return new Promise(resolve => {
+    const listeners = [];
+    for (const [choice, button] of Object.entries(buttons)) {
+      if (!button) {
+        continue;
+      }
+      button.style.display = available.includes(choice) ? 'inline-flex' : 'none';
+      const listener = () => {
+        listeners.forEach(([other, otherListener]) => other.removeEventListener('click', otherListener));
+        if (actions) {
+          actions.style.display = 'none';
+        }
+        resolve(choice);
+      };
+      button.addEventListener('click', listener);
+      listeners.push([button, listener]);
+    }
+  });
+}
+
+/**
+ * Checks the microphone and network before a voice contact is created
+ * Proceeds straight to the call when everything passes; otherwise shows the
+ * results and lets the customer call anyway (warnings only), retry, switch to
+ * chat or cancel.
+ * @param {Object} [options]
+ * @param {string} [options.deviceId] - Preferred microphone to test
+ * @returns {Promise<'call'|'chat'|'cancel'>}
+ */
+export async function runPreflightCheck({ deviceId } = {}) {
+  showPanel(true);
+  try {
+    for (;;) {
+      document.getElementById('preflight-results')?.replaceChildren();
+      setHeading('Checking your microphone and connection...');
+
+      const results = (await Promise.all([
+        checkMicrophone(deviceId, renderResult),
+        checkNetwork(renderResult)
+      ])).flat();
+      const outcome = summarizePreflight(results);
+      console.log('Pre-call check outcome:', outcome, results);
+
+      if (outcome === 'pass') {
+        return 'call';
+      }
+
+      setHeading(outcome === 'fail'
+        ? 'We can\'t start a call right now'
+        : 'Your call may not sound right');
+      const choice = await waitForChoice(outcome);
+      if (choice !== 'retry') {
+        return choice;
+      }
+    }
+  } finally {
+    showPanel(false);
+  }
+}
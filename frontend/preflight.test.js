@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  rmsLevel,
+  describeMicrophoneError,
+  assessInputLevel,
+  assessConnectivity,
+  assessReachability,
+  summarizePreflight,
+  SPEECH_LEVEL,
+  MAX_CALL_RTT_MS
+} from './preflight.js';
+
+describe('Pre-call check', () => {
+  it('fails with guidance when microphone access is denied or missing', () => {
+    const denied = describeMicrophoneError(Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' }));
+    const missing = describeMicrophoneError(Object.assign(new Error('Requested device not found'), { name: 'NotFoundError' }));
+    const other = describeMicrophoneError(new Error('boom'));
+
+    assert.strictEqual(denied.status, 'fail');
+    assert.match(denied.message, /address bar/);
+    assert.match(missing.message, /No microphone was found/);
+    assert.match(other.message, /boom/);
+  });
+
+  it('measures the input level and warns when nothing is heard', () => {
+    assert.strictEqual(rmsLevel(new Float32Array([0.5, -0.5, 0.5, -0.5])), 0.5);
+    assert.strictEqual(rmsLevel(new Float32Array()), 0);
+
+    assert.strictEqual(assessInputLevel(SPEECH_LEVEL).status, 'pass');
+    assert.strictEqual(assessInputLevel(0.001).status, 'warn');
+  });
+
+  it('rates WebRTC connectivity from the gathered ICE candidates', () => {
+    assert.strictEqual(assessConnectivity([]).status, 'fail');
+    assert.strictEqual(assessConnectivity(['host']).status, 'pass');
+    assert.strictEqual(assessConnectivity(['host'], { stunProbed: true }).status, 'info');
+    assert.strictEqual(assessConnectivity(['host', 'srflx'], { stunProbed: true }).status, 'pass');
+  });
+
+  it('rates the network from reachability and round-trip time only', () => {
+    assert.strictEqual(assessReachability({ reachable: false }).status, 'fail');
+    assert.strictEqual(assessReachability({ reachable: true, rttMs: MAX_CALL_RTT_MS + 400 }).status, 'warn');
+    assert.strictEqual(assessReachability({ reachable: true, rttMs: 50 }).status, 'pass');
+    assert.doesNotMatch(assessReachability({ reachable: true, rttMs: 50 }).message, /fast enough|kbps/);
+  });
+
+  it('blocks the call on any failure and asks on warnings', () => {
+    const pass = { status: 'pass' };
+    const warn = { status: 'warn' };
+    const fail = { status: 'fail' };
+
+    assert.strictEqual(summarizePreflight([pass, pass]), 'pass');
+    assert.strictEqual(summarizePreflight([pass, warn]), 'warn');
+    assert.strictEqual(summarizePreflight([warn, fail, pass]), 'fail');
+  });
+});
@@ -0,0 +1,151 @@
+// In-call connection quality for the customer
+// Shows the connection state on the call banner, reports quality summaries to
+// the backend and, once the call has degraded, offers a one-click move to chat
+// through the owning widget's "continue in chat" path.
+
+import { callAPI, displayMessage } from './app.js';
+import { CallQualityTracker, readAudioMetrics } from './callQuality.js';
+
+const REPORT_INTERVAL_MS = 30000;
+
+const INDICATOR_LABELS = {
+  good: 'Good connection',
+  poor: 'Poor connection',
+  reconnecting: 'Reconnecting...'
+};
+
+// Monitor for the call the banner currently shows
+let active = null;
+
+function showIndicator(state) {
+  const indicator = document.getElementById('call-quality');
+  if (indicator) {
+    indicator.style.display = state ? 'inline' : 'none';
+    indicator.className = `call-quality ${state || ''}`.trim();
+    indicator.textContent = INDICATOR_LABELS[state] || '';
+  }
+}
+
+function showOffer(show) {
+  const offer = document.getElementById('quality-offer');
+  if (offer) {
+    offer.style.display = show ? 'flex' : 'none';
+  }
+}
+
+// Chime's own poor/good signal and the metric ratings both feed the indicator
+function refreshIndicator(monitor) {
+  if (monitor === active) {
+    showIndicator(monitor.reconnecting ? 'reconnecting' : (monitor.chimePoor || monitor.metricsPoor) ? 'poor' : 'good');
+  }
+}
+
+function reportQuality(monitor, trigger) {
+  const summary = monitor.tracker.takeSummary();
+  if (trigger === 'interval' && !summary.sampleCount) {
+    return;
+  }
+
+  callAPI('/call-quality', { contactId: monitor.contactId, trigger, ...summary })
+    .catch(error => console.warn('Failed to report call quality:', error));
+}
+
+function offerChat(monitor) {
+  if (monitor.offered || monitor !== active) {
+    return;
+  }
+  monitor.offered = true;
+  console.warn('Call quality degraded, offering chat');
+  reportQuality(monitor, 'degraded');
+  showOffer(true);
+  displayMessage('Your call quality is poor. You can switch to chat and keep the conversation going.', 'system');
+}
+
+/**
+ * Monitors a voice session's connection until it stops
+ * @param {VoiceSession} voiceSession - Session created by the voice or escalation widget
+ * @param {Object} options
+ * @param {string} options.contactId - Voice contact the reports belong to
+ * @param {function(): Promise<void>} options.onSwitchToChat - Ends the voice leg and keeps the chat
+ */
+export function attachQualityMonitor(voiceSession, { contactId, onSwitchToChat }) {
+  const monitor = {
+    voiceSession,
+    contactId,
+    onSwitchToChat,
+    tracker: new CallQualityTracker(),
+    timer: null,
+    offered: false,
+    switched: false,
+    reconnecting: false,
+    chimePoor: false,
+    metricsPoor: false
+  };
+  active = monitor;
+
+  voiceSession
+    .on('started', () => {
+      refreshIndicator(monitor);
+      if (!monitor.timer) {
+        monitor.timer = setInterval(() => reportQuality(monitor, 'interval'), REPORT_INTERVAL_MS);
+      }
+    })
+    .on('reconnecting', () => {
+      monitor.reconnecting = true;
+      refreshIndicator(monitor);
+      if (monitor.tracker.addReconnect()) {
+        offerChat(monitor);
+      }
+    })
+    .on('connectionQuality', ({ poor }) => {
+      monitor.chimePoor = poor;
+      refreshIndicator(monitor);
+    })
+    .on('metrics', observable => {
+      const { rating, degraded } = monitor.tracker.addSample(readAudioMetrics(observable));
+      // Metrics only flow while connected
+      monitor.reconnecting = false;
+      monitor.metricsPoor = rating === 'poor';
+      refreshIndicator(monitor);
+      if (degraded) {
+        offerChat(monitor);
+      }
+    })
+    .on('stopped', () => {
+      clearInterval(monitor.timer);
+      reportQuality(monitor, monitor.switched ? 'switched' : 'ended');
+      if (active === monitor) {
+        active = null;
+        showIndicator(null);
+        showOffer(false);
+      }
+    });
+}
+
+/**
+ * Wires the switch-to-chat offer (called once on page load)
+ */
+export function setupQualityMonitor() {
+  const switchBtn = document.getElementById('quality-switch-chat-btn');
+  const dismissBtn = document.getElementById('quality-dismiss-btn');
+
+  if (switchBtn) {
+    switchBtn.addEventListener('click', async () => {
+      if (!active) {
+        return;
+      }
+      const monitor = active;
+      monitor.switched = true;
+      showOffer(false);
+      try {
+        await monitor.onSwitchToChat();
+      } catch (error) {
+        console.error('Failed to switch to chat:', error);
+      }
+    });
+  }
+
+  if (dismissBtn) {
+    dismissBtn.addEventListener('click', () => showOffer(false));
+  }
+}
@@ -0,0 +1,329 @@
+// Rich chat message rendering
+// Turns message content into DOM nodes by content type: plain text with
+// auto-linked URLs, a small Markdown subset (bold, italic, code, links, lists,
+// line breaks) and Connect interactive message templates (list picker, time
+// picker, quick replies). Everything is built with textContent and checked
+// link URLs; message content is never assigned as HTML.
+
+export const INTERACTIVE_CONTENT_TYPE = 'application/vnd.amazonaws.connect.message.interactive';
+const MARKDOWN_CONTENT_TYPE = 'text/markdown';
+
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// **bold**, *italic* / _italic_, `code`, [text](url) and bare http(s) URLs
+const INLINE_PATTERN = /\*\*([^*]+)\*\*|\*([^*\s][^*]*)\*|(?<!\w)_([^_\s][^_]*)_(?!\w)|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]+)/g;
+const AUTOLINK_PATTERN = /https?:\/\/[^\s<]+/g;
+// Sentence punctuation that ends a bare URL rather than belonging to it
+const TRAILING_URL_PUNCTUATION = /[.,!?;:)\]'"]+$/;
+
+/**
+ * Whether a message of this type should be shown even when sent by a flow or bot (SYSTEM)
+ * @param {string} [contentType] - Message content type
+ * @returns {boolean}
+ */
+export function isRichContentType(contentType) {
+  return contentType === MARKDOWN_CONTENT_TYPE || contentType === INTERACTIVE_CONTENT_TYPE;
+}
+
+/**
+ * Normalises a link URL, allowing only http(s) and mailto
+ * @param {string} href - URL from message content
+ * @returns {string|null} - Safe absolute URL, or null when the link must be shown as text
+ */
+export function toSafeUrl(href) {
+  try {
+    const url = new URL(href);
+    return SAFE_LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// A link whose URL is not safe is kept as plain text
+function linkToken(text, href) {
+  const url = toSafeUrl(href);
+  return url ? { type: 'link', text, href: url } : { type: 'text', text };
+}
+
+// A bare URL followed by punctuation keeps the punctuation as text
+function bareUrlTokens(match) {
+  const trailing = match.match(TRAILING_URL_PUNCTUATION)?.[0] || '';
+  const href = match.slice(0, match.length - trailing.length);
+  return trailing ? [linkToken(href, href), { type: 'text', text: trailing }] : [linkToken(href, href)];
+}
+
+// Splits text around each match of a global pattern; toTokens maps a match to its tokens
+function tokenize(text, pattern, toTokens) {
+  const tokens = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) {
+      tokens.push({ type: 'text', text: text.slice(last, match.index) });
+    }
+    tokens.push(...toTokens(match));
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    tokens.push({ type: 'text', text: text.slice(last) });
+  }
+  return tokens;
+}
+
+/**
+ * Splits plain text into text and auto-linked URL tokens
+ * @param {string} text - Message text
+ * @returns {Array<{ type: 'text'|'link', text: string, href?: string }>}
+ */
+export function tokenizeLinkedText(text) {
+  return tokenize(text, AUTOLINK_PATTERN, match => bareUrlTokens(match[0]));
+}
+
+/**
+ * Splits one line of Markdown into inline tokens
+ * @param {string} text - Markdown line
+ * @returns {Array<{ type: 'text'|'strong'|'em'|'code'|'link', text: string, href?: string }>}
+ */
+export function tokenizeInlineMarkdown(text) {
+  return tokenize(text, INLINE_PATTERN, match => {
+    const [whole, bold, italicStar, italicUnderscore, code, linkText, linkHref] = match;
+
+    if (bold) {
+      return [{ type: 'strong', text: bold }];
+    }
+    if (italicStar || italicUnderscore) {
+      return [{ type: 'em', text: italicStar || italicUnderscore }];
+    }
+    if (code) {
+      return [{ type: 'code', text: code }];
+    }
+    if (linkText) {
+      return [linkToken(linkText, linkHref)];
+    }
+    return bareUrlTokens(whole);
+  });
+}
+
+function appendStyled(parent, tagName, text) {
+  const element = document.createElement(tagName);
+  element.textContent = text;
+  parent.appendChild(element);
+}
+
+function appendTokens(parent, tokens) {
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      parent.appendChild(document.createTextNode(token.text));
+    } else if (token.type === 'link') {
+      const link = document.createElement('a');
+      link.href = token.href;
+      link.textContent = token.text;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      parent.appendChild(link);
+    } else {
+      appendStyled(parent, token.type, token.text);
+    }
+  }
+}
+
+function appendLines(parent, lines) {
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      parent.appendChild(document.createElement('br'));
+    }
+    appendTokens(parent, tokenizeInlineMarkdown(line));
+  });
+}
+
+// Paragraphs are separated by blank lines; "- item" / "* item" and "1. item" lines form lists
+function renderMarkdown(container, markdown) {
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      const p = document.createElement('p');
+      appendLines(p, paragraph);
+      container.appendChild(p);
+      paragraph = [];
+    }
+  };
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const item = line.match(/^\s*(?:([-*])|(\d+)[.)])\s+(.*)$/);
+
+    if (item) {
+      flushParagraph();
+      const tagName = item[1] ? 'ul' : 'ol';
+      if (!list || list.tagName.toLowerCase() !== tagName) {
+        list = document.createElement(tagName);
+        container.appendChild(list);
+      }
+      const li = document.createElement('li');
+      appendTokens(li, tokenizeInlineMarkdown(item[3]));
+      list.appendChild(li);
+    } else if (line.trim() === '') {
+      flushParagraph();
+      list = null;
+    } else {
+      list = null;
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+}
+
+/**
+ * Parses interactive message JSON
+ * @param {string} content - Interactive message content
+ * @returns {Object|null} - The message, or null when the content is not a JSON object
+ */
+export function parseInteractive(content) {
+  try {
+    const message = JSON.parse(content);
+    return message && typeof message === 'object' ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function createOptionButton(label, detail, onChoose) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'interactive-option';
+  appendStyled(button, 'span', label);
+  if (detail) {
+    const subtitle = document.createElement('span');
+    subtitle.className = 'interactive-option-subtitle';
+    subtitle.textContent = detail;
+    button.appendChild(subtitle);
+  }
+  button.addEventListener('click', onChoose);
+  return button;
+}
+
+function appendImage(parent, { imageType, imageData, imageDescription }, className) {
+  const url = imageType === 'URL' ? toSafeUrl(imageData) : null;
+  if (url && url.startsWith('https:')) {
+    const image = document.createElement('img');
+    image.className = className;
+    image.src = url;
+    image.alt = imageDescription || '';
+    parent.appendChild(image);
+  }
+}
+
+// Slot dates look like 2026-01-02T10:00+00:00; show them in the customer's local time
+function formatTimeslot({ date, duration }) {
+  const start = new Date(date);
+  if (Number.isNaN(start.getTime())) {
+    return date;
+  }
+  const label = start.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  return duration ? `${label} (${duration} min)` : label;
+}
+
+// Maps each supported template to its choices: the visible label and the text sent back
+const TEMPLATE_OPTIONS = {
+  ListPicker: content => (content.elements || []).map(element => ({
+    label: element.title,
+    detail: element.subtitle,
+    image: element,
+    reply: element.title
+  })),
+  QuickReply: content => (content.elements || []).map(element => ({
+    label: element.title,
+    reply: element.title
+  })),
+  TimePicker: content => (content.timeslots || []).map(slot => ({
+    label: formatTimeslot(slot),
+    reply: slot.date
+  }))
+};
+
+/**
+ * Lists the choices of a supported interactive template
+ * @param {Object|null} message - Parsed interactive message
+ * @returns {Array<{ label: string, detail?: string, image?: Object, reply: string }>|null} - null for unsupported templates
+ */
+export function getInteractiveOptions(message) {
+  const getOptions = TEMPLATE_OPTIONS[message?.templateType];
+  if (!getOptions) {
+    return null;
+  }
+  return getOptions(message.data?.content || {}).filter(option => option.label && option.reply);
+}
+
+/**
+ * Renders a Connect interactive message template
+ * @param {Object} container - Element receiving the template
+ * @param {string} content - Interactive message JSON
+ * @param {Object} options
+ * @param {function(string): *} [options.onSelect] - Sends the customer's choice as a chat message
+ * @param {boolean} [options.answered] - Show the choices disabled (already answered in history)
+ */
+function renderInteractive(container, content, { onSelect, answered = false }) {
+  const message = parseInteractive(content);
+  const templateContent = message?.data?.content || {};
+  const options = getInteractiveOptions(message);
+
+  if (!options) {
+    console.warn('Unsupported interactive message template:', message?.templateType);
+    container.textContent = templateContent.title || 'This message can\'t be displayed here.';
+    return;
+  }
+
+  container.classList.add('message-interactive', `interactive-${message.templateType.toLowerCase()}`);
+  appendImage(container, templateContent, 'interactive-image');
+  if (templateContent.title) {
+    appendStyled(container, 'strong', templateContent.title);
+  }
+  if (templateContent.subtitle) {
+    const subtitle = document.createElement('div');
+    subtitle.className = 'interactive-subtitle';
+    subtitle.textContent = templateContent.subtitle;
+    container.appendChild(subtitle);
+  }
+
+  const optionList = document.createElement('div');
+  optionList.className = 'interactive-options';
+  container.appendChild(optionList);
+
+  // Each template is answered once; the choice is then shown as a normal customer message
+  const buttons = options.map(option => {
+    const button = createOptionButton(option.label, option.detail, () => {
+      buttons.forEach(other => { other.disabled = true; });
+      button.classList.add('selected');
+      onSelect?.(option.reply);
+    });
+    if (option.image) {
+      appendImage(button, option.image, 'interactive-option-image');
+    }
+    button.disabled = answered || !onSelect;
+    optionList.appendChild(button);
+    return button;
+  });
+}
+
+/**
+ * Builds the .message-content element for a chat message
+ * @param {string} content - Message content
+ * @param {string} [contentType] - text/plain (default), text/markdown or the interactive type
+ * @param {Object} [options] - onSelect and answered, used by interactive templates
+ * @returns {HTMLElement}
+ */
+export function createMessageContent(content, contentType = 'text/plain', options = {}) {
+  const container = document.createElement('div');
+  container.className = 'message-content';
+
+  if (contentType === INTERACTIVE_CONTENT_TYPE) {
+    renderInteractive(container, content, options);
+  } else if (contentType === MARKDOWN_CONTENT_TYPE) {
+    container.classList.add('message-markdown');
+    renderMarkdown(container, content);
+  } else {
+    appendTokens(container, tokenizeLinkedText(content));
+  }
+
+  return container;
+}
@@ -0,0 +1,167 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  INTERACTIVE_CONTENT_TYPE,
+  toSafeUrl,
+  tokenizeLinkedText,
+  tokenizeInlineMarkdown,
+  parseInteractive,
+  getInteractiveOptions,
+  createMessageContent
+} from './richMessage.js';
+
+// Just enough of document for createMessageContent's plain-text fallback
+function createFakeDocument() {
+  const createElement = tagName => ({
+    tagName,
+    children: [],
+    className: '',
+    textContent: '',
+    classList: { add() {} },
+    appendChild(child) { this.children.push(child); }
+  });
+  return { createElement, createTextNode: text => ({ text }) };
+}
+
+const interactive = (templateType, content) => JSON.stringify({ templateType, version: '1.0', data: { content } });
+
+describe('Rich messages', () => {
+  describe('link URLs', () => {
+    it('allows http, https and mailto links', () => {
+      assert.strictEqual(toSafeUrl('https://example.com/a?b=1'), 'https://example.com/a?b=1');
+      assert.strictEqual(toSafeUrl('http://example.com'), 'http://example.com/');
+      assert.strictEqual(toSafeUrl('mailto:help@example.com'), 'mailto:help@example.com');
+    });
+
+    it('rejects javascript:, data: and relative hrefs', () => {
+      assert.strictEqual(toSafeUrl('javascript:alert(1)'), null);
+      assert.strictEqual(toSafeUrl('JavaScript:alert(1)'), null);
+      assert.strictEqual(toSafeUrl('data:text/html,<script>alert(1)</script>'), null);
+      assert.strictEqual(toSafeUrl('/relative/path'), null);
+    });
+
+    it('keeps Markdown links with unsafe URLs as plain text', () => {
+      assert.deepStrictEqual(tokenizeInlineMarkdown('[click](javascript:alert%281%29)'), [
+        { type: 'text', text: 'click' }
+      ]);
+      assert.deepStrictEqual(tokenizeInlineMarkdown('[pay](data:text/html;base64,PHNjcmlwdD4=)'), [
+        { type: 'text', text: 'pay' }
+      ]);
+    });
+  });
+
+  describe('auto-linking', () => {
+    it('links bare URLs and leaves the surrounding text alone', () => {
+      assert.deepStrictEqual(tokenizeLinkedText('See https://example.com/help for details'), [
+        { type: 'text', text: 'See ' },
+        { type: 'link', text: 'https://example.com/help', href: 'https://example.com/help' },
+        { type: 'text', text: ' for details' }
+      ]);
+    });
+
+    it('excludes trailing punctuation from the link', () => {
+      assert.deepStrictEqual(tokenizeLinkedText('Go to https://example.com/a.'), [
+        { type: 'text', text: 'Go to ' },
+        { type: 'link', text: 'https://example.com/a', href: 'https://example.com/a' },
+        { type: 'text', text: '.' }
+      ]);
+      assert.deepStrictEqual(tokenizeLinkedText('(https://example.com/b),'), [
+        { type: 'text', text: '(' },
+        { type: 'link', text: 'https://example.com/b', href: 'https://example.com/b' },
+        { type: 'text', text: '),' }
+      ]);
+    });
+
+    it('does not link text without a URL', () => {
+      assert.deepStrictEqual(tokenizeLinkedText('javascript:alert(1)'), [
+        { type: 'text', text: 'javascript:alert(1)' }
+      ]);
+    });
+  });
+
+  describe('Markdown', () => {
+    it('tokenizes bold, italic, code and links', () => {
+      assert.deepStrictEqual(tokenizeInlineMarkdown('**Hi** _you_, run `npm test` or [read](https://example.com/docs)!'), [
+        { type: 'strong', text: 'Hi' },
+        { type: 'text', text: ' ' },
+        { type: 'em', text: 'you' },
+        { type: 'text', text: ', run ' },
+        { type: 'code', text: 'npm test' },
+        { type: 'text', text: ' or ' },
+        { type: 'link', text: 'read', href: 'https://example.com/docs' },
+        { type: 'text', text: '!' }
+      ]);
+    });
+
+    it('does not treat underscores inside words as italics', () => {
+      assert.deepStrictEqual(tokenizeInlineMarkdown('snake_case_name'), [
+        { type: 'text', text: 'snake_case_name' }
+      ]);
+    });
+  });
+
+  describe('interactive messages', () => {
+    let originalDocument;
+    before(() => {
+      originalDocument = globalThis.document;
+      globalThis.document = createFakeDocument();
+    });
+    after(() => {
+      globalThis.document = originalDocument;
+    });
+
+    it('falls back to plain text for malformed or unsupported content', () => {
+      assert.strictEqual(parseInteractive('{"templateType": "ListPicker"'), null);
+      assert.strictEqual(parseInteractive('"just a string"'), null);
+      assert.strictEqual(getInteractiveOptions(null), null);
+      assert.strictEqual(getInteractiveOptions({ templateType: 'Carousel', data: { content: {} } }), null);
+
+      const malformed = createMessageContent('{not json', INTERACTIVE_CONTENT_TYPE);
+      assert.strictEqual(malformed.textContent, 'This message can\'t be displayed here.');
+      assert.strictEqual(malformed.children.length, 0);
+
+      const unsupported = createMessageContent(interactive('Carousel', { title: 'Pick a car' }), INTERACTIVE_CONTENT_TYPE);
+      assert.strictEqual(unsupported.textContent, 'Pick a car');
+    });
+
+    it('replies with the chosen ListPicker element title', () => {
+      const options = getInteractiveOptions(parseInteractive(interactive('ListPicker', {
+        title: 'Which model?',
+        elements: [
+          { title: 'Model S', subtitle: 'Sedan' },
+          { title: 'Model X', subtitle: 'SUV' },
+          { subtitle: 'No title, skipped' }
+        ]
+      })));
+
+      assert.deepStrictEqual(options.map(({ label, detail, reply }) => ({ label, detail, reply })), [
+        { label: 'Model S', detail: 'Sedan', reply: 'Model S' },
+        { label: 'Model X', detail: 'SUV', reply: 'Model X' }
+      ]);
+    });
+
+    it('replies with the chosen QuickReply title', () => {
+      const options = getInteractiveOptions(parseInteractive(interactive('QuickReply', {
+        title: 'Did that help?',
+        elements: [{ title: 'Yes' }, { title: 'No' }]
+      })));
+
+      assert.deepStrictEqual(options.map(option => option.reply), ['Yes', 'No']);
+    });
+
+    it('replies with the chosen TimePicker slot date and labels it in local time', () => {
+      const options = getInteractiveOptions(parseInteractive(interactive('TimePicker', {
+        title: 'Book a test drive',
+        timeslots: [
+          { date: '2026-01-02T10:00+00:00', duration: 30 },
+          { date: 'not a date' }
+        ]
+      })));
+
+      assert.deepStrictEqual(options.map(option => option.reply), ['2026-01-02T10:00+00:00', 'not a date']);
+      assert.match(options[0].label, /\(30 min\)$/);
+      assert.strictEqual(options[1].label, 'not a date');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// Screen sharing for escalated calls
+// Lets the customer show the agent their screen (the configurator, an error
+// page) over the escalated call's Chime meeting, with the sharing state on the
+// call banner. The agent sees the share in the CCP, which the agent app embeds
+// with allowFramedScreenSharing; /screen-share flags the contact so the agent
+// app can mark it as sharing.
+
+import { callAPI, displayError, displayMessage } from './app.js';
+
+// Voice session the share button currently controls
+let active = null;
+
+function isSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.mediaDevices?.getDisplayMedia === 'function';
+}
+
+function showShareButton(show) {
+  const button = document.getElementById('share-screen-btn');
+  if (button) {
+    button.style.display = show ? 'inline-flex' : 'none';
+  }
+}
+
+function showSharingState(on) {
+  const button = document.getElementById('share-screen-btn');
+  if (button) {
+    button.classList.toggle('active', on);
+    button.setAttribute('aria-pressed', String(on));
+    button.querySelector('span').textContent = on ? 'Stop sharing' : 'Share screen';
+  }
+
+  const status = document.getElementById('screen-share-status');
+  if (status) {
+    status.style.display = on ? 'inline' : 'none';
+  }
+}
+
+// Best effort: the share itself works without the agent app's indicator
+function reportSharing(contactId, sharing) {
+  callAPI('/screen-share', { contactId, sharing })
+    .catch(error => console.warn('Failed to report screen share state:', error));
+}
+
+async function startSharing(voiceSession) {
+  try {
+    await voiceSession.startScreenShare();
+  } catch (error) {
+    // Closing the browser's picker is not an error worth reporting
+    if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
+      console.log('Screen share cancelled:', error.message);
+      return;
+    }
+    console.error('Failed to share the screen:', error);
+    displayError(`Could not share your screen: ${error.message}`);
+  }
+}
+
+/**
+ * Connects the share button and banner state to a voice session until it stops
+ * @param {VoiceSession} voiceSession - Session created by the escalation widget
+ * @param {string} contactId - Voice contact the session belongs to
+ */
+export function attachScreenShare(voiceSession, contactId) {
+  active = voiceSession;
+
+  voiceSession
+    .on('started', () => {
+      showShareButton(isSupported());
+      showSharingState(voiceSession.isSharingScreen());
+    })
+    .on('screenShare', ({ on }) => {
+      if (active !== voiceSession) {
+        return;
+      }
+      showSharingState(on);
+      reportSharing(contactId, on);
+      displayMessage(on ? 'You are sharing your screen with the agent.' : 'You stopped sharing your screen.', 'system');
+    })
+    .on('stopped', () => {
+      if (active === voiceSession) {
+        active = null;
+        showShareButton(false);
+        showSharingState(false);
+      }
+    });
+}
+
+/**
+ * Wires the share button (called once on page load)
+ */
+export function setupScreenShare() {
+  const shareBtn = document.getElementById('share-screen-btn');
+  if (!shareBtn) {
+    return;
+  }
+
+  shareBtn.addEventListener('click', async () => {
+    if (!active) {
+      return;
+    }
+    if (active.isSharingScreen()) {
+      active.stopScreenShare();
+    } else {
+      await startSharing(active);
+    }
+  });
+}
@@ -0,0 +1,78 @@
+// Chat transcript loading for the customer widget
+// Fetches the conversation history through the ChatJS getTranscript API and
+// tracks which messages are already on screen, so history loaded after a
+// (re)connect and live onMessage events never render the same message twice.
+
+const PAGE_SIZE = 100; // getTranscript maximum
+const MAX_PAGES = 20;
+
+// Transcript item IDs already rendered in #chat-messages
+const seenMessageIds = new Set();
+
+/**
+ * Records a message as rendered
+ * @param {string} [id] - Transcript item ID
+ * @returns {boolean} True when the message had not been seen before
+ */
+export function markMessageSeen(id) {
+  if (!id) {
+    return true;
+  }
+  if (seenMessageIds.has(id)) {
+    return false;
+  }
+  seenMessageIds.add(id);
+  return true;
+}
+
+/**
+ * Forgets rendered messages when a new conversation starts
+ */
+export function resetSeenMessages() {
+  seenMessageIds.clear();
+}
+
+/**
+ * Loads the full transcript of a chat session, oldest first
+ * @param {Object} session - ChatJS customer session
+ * @returns {Promise<Array<Object>>} Transcript items (MESSAGE, EVENT, ATTACHMENT)
+ */
+export async function loadTranscript(session) {
+  const items = [];
+  let nextToken;
+
+  // Page backwards from the newest message until the start of the chat
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await session.getTranscript({
+      scanDirection: 'BACKWARD',
+      sortOrder: 'ASCENDING',
+      maxResults: PAGE_SIZE,
+      ...(nextToken && { nextToken })
+    });
+
+    items.unshift(...(response.data?.Transcript || []));
+    nextToken = response.data?.NextToken;
+    if (!nextToken) {
+      break;
+    }
+  }
+
+  if (nextToken) {
+    console.warn(`Transcript longer than ${MAX_PAGES * PAGE_SIZE} items, showing the most recent only`);
+  }
+
+  return items.sort((a, b) => new Date(a.AbsoluteTime) - new Date(b.AbsoluteTime));
+}
+
+/**
+ * Formats a transcript timestamp for display next to a message
+ * @param {string} absoluteTime - ISO 8601 time from the transcript
+ * @returns {string} Local time, e.g. "14:05"
+ */
+export function formatMessageTime(absoluteTime) {
+  const date = new Date(absoluteTime);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
@@ -0,0 +1,84 @@
+// Conversation transcript download offered when a session ends
+// The document is requested from /contact-transcript just before the contact is
+// stopped, while the customer's participant token is still accepted, and kept
+// here until the customer downloads or emails it.
+
+import { callAPI, displayMessage } from './app.js';
+import { loadActiveContact } from './activeContact.js';
+
+// Mail clients truncate long mailto: bodies
+const EMAIL_BODY_MAX_LENGTH = 1800;
+
+let preparedTranscript = null;
+
+/**
+ * Fetches the transcript of the active chat and every linked voice leg
+ * Failures are logged and only mean no download is offered.
+ */
+export async function prepareTranscript() {
+  preparedTranscript = null;
+
+  const saved = loadActiveContact();
+  if (!saved?.chat) {
+    return;
+  }
+
+  try {
+    preparedTranscript = await callAPI('/contact-transcript', {
+      contactId: saved.chat.contactId,
+      participantToken: saved.chat.participantToken,
+      relatedContactIds: saved.voiceContactIds || []
+    });
+    console.log('Transcript prepared for contacts:', preparedTranscript.contactIds);
+  } catch (error) {
+    console.warn('Transcript not available:', error.message);
+  }
+}
+
+function download(content, type, extension) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `transcript-${preparedTranscript.generatedAt.slice(0, 10)}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function emailTranscript() {
+  let body = preparedTranscript.text;
+  if (body.length > EMAIL_BODY_MAX_LENGTH) {
+    body = body.slice(0, EMAIL_BODY_MAX_LENGTH) + '\n[Transcript truncated - use Download for the full conversation]';
+  }
+  window.location.href = `mailto:?subject=${encodeURIComponent('Conversation transcript')}&body=${encodeURIComponent(body)}`;
+}
+
+/**
+ * Shows the Download/Email transcript actions when a transcript was prepared
+ */
+export function showTranscriptActions() {
+  const actions = document.getElementById('transcript-actions');
+  if (!actions || !preparedTranscript) {
+    return;
+  }
+
+  document.getElementById('download-transcript-txt-btn').onclick = () => download(preparedTranscript.text, 'text/plain', 'txt');
+  document.getElementById('download-transcript-html-btn').onclick = () => download(preparedTranscript.html, 'text/html', 'html');
+  document.getElementById('email-transcript-btn').onclick = emailTranscript;
+
+  actions.style.display = 'flex';
+  displayMessage('Your conversation transcript is ready to download or email.', 'system');
+}
+
+/**
+ * Hides the transcript actions and drops the prepared transcript
+ */
+export function hideTranscriptActions() {
+  preparedTranscript = null;
+  const actions = document.getElementById('transcript-actions');
+  if (actions) {
+    actions.style.display = 'none';
+  }
+}
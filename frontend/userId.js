@@ -44,11 +44,60 @@ export function getUserId() {
   return userId;
 }
 
+// Refresh the session token this many seconds before it expires
+const SESSION_REFRESH_MARGIN_SECONDS = 60;
+
+/**
+ * Ensures this browser session holds a valid signed session token
+ * The backend issues the UserId together with a token whose subject is that
+ * UserId; the token is sent as a bearer token on every contact API call.
+ * A token close to expiry is renewed for the same UserId, so the session keeps
+ * ownership of the contacts it has already started.
+ * @param {string} apiEndpoint - REST API base URL
+ * @returns {Promise<{userId: string, sessionToken: string}>} The current session
+ */
+export async function ensureSession(apiEndpoint) {
+  const sessionToken = sessionStorage.getItem('sessionToken');
+  const expiresAt = Number(sessionStorage.getItem('sessionExpiresAt'));
+  const now = Math.floor(Date.now() / 1000);
+
+  if (sessionToken && expiresAt - SESSION_REFRESH_MARGIN_SECONDS > now) {
+    return { userId: sessionStorage.getItem('userId'), sessionToken };
+  }
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  // Only a token that has not yet expired can be renewed
+  if (sessionToken && expiresAt > now) {
+    headers['Authorization'] = `Bearer ${sessionToken}`;
+  }
+
+  const response = await fetch(`${apiEndpoint}/session`, {
+    method: 'POST',
+    headers
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to create session: ${response.status} ${response.statusText}`);
+  }
+
+  const session = await response.json();
+  sessionStorage.setItem('userId', session.userId);
+  sessionStorage.setItem('sessionToken', session.sessionToken);
+  sessionStorage.setItem('sessionExpiresAt', String(session.expiresAt));
+  console.log('Established session for UserId:', session.userId);
+
+  return { userId: session.userId, sessionToken: session.sessionToken };
+}
+
 /**
- * Clears the stored UserId from sessionStorage
+ * Clears the stored UserId and session token from sessionStorage
  * Useful for testing or manual session reset
  */
 export function clearUserId() {
   sessionStorage.removeItem('userId');
+  sessionStorage.removeItem('sessionToken');
+  sessionStorage.removeItem('sessionExpiresAt');
   console.log('UserId cleared from session');
 }
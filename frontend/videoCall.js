@@ -0,0 +1,129 @@
+// Video for the customer's call
+// Shows the agent's video and the customer's camera preview in the widget, with
+// a camera toggle in the in-call controls. Every WebRTC contact is created
+// video-capable, so the camera can be turned on during any call, not only one
+// started in video mode.
+
+import { displayError, displayMessage } from './app.js';
+
+// Voice session the video panel currently shows
+let active = null;
+
+function updateCameraButton(on) {
+  const button = document.getElementById('camera-btn');
+  if (button) {
+    button.classList.toggle('active', on);
+    button.setAttribute('aria-pressed', String(on));
+    button.querySelector('span').textContent = on ? 'Stop video' : 'Start video';
+  }
+}
+
+function showCameraButton(show) {
+  const button = document.getElementById('camera-btn');
+  if (button) {
+    button.style.display = show ? 'inline-flex' : 'none';
+  }
+}
+
+function setTileVisible(elementId, visible) {
+  const element = document.getElementById(elementId);
+  if (element) {
+    element.style.display = visible ? 'block' : 'none';
+  }
+
+  const panel = document.getElementById('video-panel');
+  if (panel) {
+    const anyVisible = [...panel.querySelectorAll('video')].some(video => video.style.display !== 'none');
+    panel.style.display = anyVisible ? 'flex' : 'none';
+  }
+}
+
+async function turnCameraOn(voiceSession) {
+  try {
+    await voiceSession.startVideo();
+  } catch (error) {
+    console.error('Failed to start the camera:', error);
+    const blocked = error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError';
+    displayError(blocked
+      ? 'Camera access is blocked. Allow it from the icon in your browser\'s address bar, then try again.'
+      : `Could not start your camera: ${error.message}`);
+  }
+}
+
+/**
+ * Connects the video panel and camera toggle to a voice session until it stops
+ * @param {VoiceSession} voiceSession - Session created by the voice or escalation widget
+ * @param {Object} [options]
+ * @param {boolean} [options.startCamera] - Turn the camera on as soon as the call connects (video mode)
+ */
+export function attachVideo(voiceSession, { startCamera = false } = {}) {
+  active = voiceSession;
+  // Tile ID -> element it is bound to
+  const tiles = new Map();
+
+  voiceSession
+    .on('started', () => {
+      showCameraButton(true);
+      updateCameraButton(voiceSession.isVideoOn());
+      if (startCamera && !voiceSession.isVideoOn()) {
+        turnCameraOn(voiceSession);
+      }
+    })
+    .on('video', ({ on }) => updateCameraButton(on))
+    .on('videoTile', tileState => {
+      // Content tiles are screen shares, not cameras
+      if (tileState.isContent || active !== voiceSession) {
+        return;
+      }
+
+      const elementId = tileState.localTile ? 'local-video' : 'remote-video';
+      const element = document.getElementById(elementId);
+      if (!element) {
+        return;
+      }
+
+      if (!tileState.localTile && !tiles.has(tileState.tileId)) {
+        displayMessage('The agent turned on their camera.', 'system');
+      }
+      voiceSession.bindVideoElement(tileState.tileId, element);
+      tiles.set(tileState.tileId, elementId);
+      setTileVisible(elementId, true);
+    })
+    .on('videoTileRemoved', ({ tileId }) => {
+      const elementId = tiles.get(tileId);
+      if (elementId) {
+        tiles.delete(tileId);
+        setTileVisible(elementId, false);
+      }
+    })
+    .on('stopped', () => {
+      if (active === voiceSession) {
+        active = null;
+        showCameraButton(false);
+        updateCameraButton(false);
+        setTileVisible('local-video', false);
+        setTileVisible('remote-video', false);
+      }
+    });
+}
+
+/**
+ * Wires the camera toggle (called once on page load)
+ */
+export function setupVideo() {
+  const cameraBtn = document.getElementById('camera-btn');
+  if (!cameraBtn) {
+    return;
+  }
+
+  cameraBtn.addEventListener('click', async () => {
+    if (!active) {
+      return;
+    }
+    if (active.isVideoOn()) {
+      await active.stopVideo().catch(error => console.error('Failed to stop the camera:', error));
+    } else {
+      await turnCameraOn(active);
+    }
+  });
+}
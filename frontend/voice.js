@@ -1,38 +1,55 @@
 // Voice Widget using amazon-chime-sdk-js
-import {
-  ConsoleLogger,
-  DefaultDeviceController,
-  DefaultMeetingSession,
-  LogLevel,
-  MeetingSessionConfiguration
-} from 'amazon-chime-sdk-js';
-import { updateStatus, displayMessage, displayError, callAPI, showCallBanner, toggleCallButtons } from './app.js';
+import * as ChimeSDK from 'amazon-chime-sdk-js';
+import { updateStatus, displayMessage, displayError, callAPI, showCallBanner, toggleCallButtons, showContinueChatButton, setSwitchToChatEnabled } from './app.js';
 import { wsClient } from './websocket.js';
+import { saveVoiceLeg, clearVoiceLeg } from './activeContact.js';
+import { VoiceSession, getAudioElement } from './voiceSession.js';
+import { loadDevicePreferences, attachDeviceSettings } from './deviceSettings.js';
+import { attachCallControls } from './callControls.js';
+import { attachQualityMonitor } from './qualityMonitor.js';
+import { attachVideo } from './videoCall.js';
+import { DtmfInputDevice } from './dtmf.js';
+import { runPreflightCheck } from './preflight.js';
 
 export const VoiceWidget = {
-  meetingSession: null,
+  voiceSession: null,
   contactId: null,
-  audioElement: null,
+  video: false, // Video mode: the camera turns on as soon as the call connects
+  startRequestKey: null, // Idempotency-Key shared by repeated start attempts for one contact
+  startRequestMode: null, // Mode the key was created for; the request body differs per mode
+  downgradeRequest: null, // { key, contactId } shared by repeated switch-to-chat attempts for one call
+  switchingToChat: false,
+
+  // Resolves with 'chat' or 'cancel' when the customer leaves the pre-call check
+  // without calling; no contact is created in that case
+  async start(mode = 'voice-chat') {
+    console.log('--- VoiceWidget.start() called ---', { mode });
+    this.video = mode === 'video-chat';
+    updateStatus('Checking your microphone and connection...');
+
+    const preflight = await runPreflightCheck({ deviceId: loadDevicePreferences().audioinput });
+    if (preflight !== 'call') {
+      console.log('Pre-call check ended without a call:', preflight);
+      updateStatus('Ready to help');
+      return preflight;
+    }
 
-  async start() {
-    console.log('--- VoiceWidget.start() called ---');
     updateStatus('Connecting to voice...');
 
     try {
-      // Get UserId for this session
-      const { getUserId } = await import('./userId.js');
-      const userId = getUserId();
-      
-      // Call Lambda to get WebRTC contact details, including UserId in attributes
-      const contactData = await callAPI('/start-voice-contact', {
-        attributes: {
-          userId: userId
-        }
-      });
+      // Call Lambda to get WebRTC contact details; the backend sets the userId
+      // attribute from our session token
+      // A retry in another mode sends another body, which the backend rejects under a reused key
+      if (!this.startRequestKey || this.startRequestMode !== mode) {
+        this.startRequestKey = crypto.randomUUID();
+        this.startRequestMode = mode;
+      }
+      const contactData = await callAPI('/start-voice-contact', this.video ? { video: true } : {}, { idempotencyKey: this.startRequestKey });
       console.log('Voice contact data received:', contactData);
 
-      // Store contact ID for later use
+      // Store contact ID for later use; the leg is re-offered if the page reloads mid-call
       this.contactId = contactData.contactId;
+      saveVoiceLeg(contactData, 'voice');
 
       // Connect to WebSocket (registration happens automatically with UserId)
       try {
@@ -47,80 +64,10 @@ export const VoiceWidget = {
         // Continue without WebSocket - voice will still work
       }
 
-      // Parse the connection data from Connect
-      const connectionData = contactData.connectionData;
-      
-      // Create Chime meeting session configuration
-      const meetingResponse = {
-        Meeting: connectionData.Meeting
-      };
-      
-      const attendeeResponse = {
-        Attendee: connectionData.Attendee
-      };
-
-      const configuration = new MeetingSessionConfiguration(
-        meetingResponse,
-        attendeeResponse
-      );
-
-      // Create logger
-      const logger = new ConsoleLogger('VoiceWidget', LogLevel.INFO);
-
-      // Create device controller
-      const deviceController = new DefaultDeviceController(logger);
-
-      // Create meeting session
-      this.meetingSession = new DefaultMeetingSession(
-        configuration,
-        logger,
-        deviceController
-      );
-
-      // Get or create audio element
-      this.audioElement = document.getElementById('voice-audio');
-      if (!this.audioElement) {
-        this.audioElement = document.createElement('audio');
-        this.audioElement.id = 'voice-audio';
-        document.body.appendChild(this.audioElement);
-      }
-
-      // Bind audio element
-      const audioOutputElement = this.audioElement;
-      await this.meetingSession.audioVideo.bindAudioElement(audioOutputElement);
-
-      // Set up observers
-      const observer = {
-        audioVideoDidStart: () => {
-          console.log('Audio/Video started');
-          this.handleConnected();
-        },
-        audioVideoDidStop: (sessionStatus) => {
-          console.log('Audio/Video stopped:', sessionStatus);
-          this.handleDisconnected();
-        }
-      };
-
-      this.meetingSession.audioVideo.addObserver(observer);
-
-      // Start the session
-      await this.meetingSession.audioVideo.start();
-
-      // Choose audio input device (microphone)
-      const audioInputDevices = await this.meetingSession.audioVideo.listAudioInputDevices();
-      if (audioInputDevices.length > 0) {
-        await this.meetingSession.audioVideo.startAudioInput(audioInputDevices[0].deviceId);
-        console.log('Audio input started:', audioInputDevices[0].label);
-      }
-
-      // Choose audio output device (speakers)
-      const audioOutputDevices = await this.meetingSession.audioVideo.listAudioOutputDevices();
-      if (audioOutputDevices.length > 0) {
-        await this.meetingSession.audioVideo.chooseAudioOutput(audioOutputDevices[0].deviceId);
-        console.log('Audio output selected:', audioOutputDevices[0].label);
-      }
+      await this.joinMeeting(contactData.connectionData);
 
       console.log('Voice session started successfully');
+      return 'call';
     } catch (error) {
       console.error('Failed to start voice:', error);
       updateStatus('Voice connection failed');
@@ -128,15 +75,54 @@ export const VoiceWidget = {
     }
   },
 
+  // Join the Chime meeting from Connect's connection data and start audio
+  async joinMeeting(connectionData) {
+    this.voiceSession = new VoiceSession({
+      sdk: ChimeSDK,
+      connectionData,
+      audioElement: getAudioElement('voice-audio'),
+      name: 'VoiceWidget',
+      preferredDevices: loadDevicePreferences(),
+      createInputDevice: deviceId => new DtmfInputDevice(deviceId)
+    })
+      .on('started', () => this.handleConnected())
+      .on('stopped', () => this.handleDisconnected());
+
+    attachDeviceSettings(this.voiceSession);
+    attachCallControls(this.voiceSession, this.contactId);
+    attachQualityMonitor(this.voiceSession, { contactId: this.contactId, onSwitchToChat: () => this.endVoiceOnly() });
+    attachVideo(this.voiceSession, { startCamera: this.video });
+    await this.voiceSession.start();
+  },
+
+  // Rejoin a voice leg that is still active after a page reload
+  async rejoin(voiceContactData) {
+    console.log('--- VoiceWidget.rejoin() called ---', { contactId: voiceContactData.contactId });
+    updateStatus('Reconnecting to voice...');
+
+    try {
+      this.contactId = voiceContactData.contactId;
+      saveVoiceLeg(voiceContactData, 'voice');
+      await this.joinMeeting(voiceContactData.connectionData);
+      console.log('Voice session rejoined successfully');
+    } catch (error) {
+      console.error('Failed to rejoin voice:', error);
+      updateStatus('Voice connection failed');
+      displayError('Failed to rejoin call: ' + error.message);
+    }
+  },
+
   handleConnected() {
     console.log('Voice connection established');
     updateStatus('Voice call active');
     
     displayMessage('✓ Voice call started. Waiting for agent to connect!', 'system');
 
-    // Show call active banner and toggle buttons
+    // Show call active banner and toggle buttons; switching to chat is offered
+    // for the whole call, like escalation is for the whole chat
     showCallBanner(true);
     toggleCallButtons(true);
+    showContinueChatButton(true);
   },
 
   async handleChatContactCreated(message) {
@@ -163,11 +149,11 @@ export const VoiceWidget = {
   async handleChatAgentConnected(message) {
     console.log('Chat agent connected event received:', message);
     
-    // Agent has connected to chat - show the "Continue in chat" button
+    // Agent has connected to chat - make sure the "Switch to Chat" button is shown
     const { showContinueChatButton } = await import('./app.js');
     showContinueChatButton(true);
     
-    displayMessage('✓ Agent connected to chat. You can now continue in chat after ending the voice call.', 'system');
+    displayMessage('✓ Agent connected to chat. You can switch to chat at any time.', 'system');
   },
 
   handleDisconnected() {
@@ -183,26 +169,64 @@ export const VoiceWidget = {
 
     // Clear contact ID
     this.contactId = null;
+    this.video = false;
+    this.startRequestKey = null;
   },
 
+  // Switch to chat: the backend ends the call and hands back the chat with the
+  // same agent, starting one when the call has no chat leg yet
   async endVoiceOnly() {
     console.log('--- VoiceWidget.endVoiceOnly() called ---');
     
+    // The end-call button and the quality offer can both fire for one switch
+    if (this.switchingToChat) {
+      console.log('Switch to chat already in progress');
+      return;
+    }
+    
+    // One key per call, so every attempt replays the same switch instead of starting another chat
+    if (this.downgradeRequest?.contactId !== this.contactId) {
+      this.downgradeRequest = { key: crypto.randomUUID(), contactId: this.contactId };
+    }
+    
+    const { ChatWidget } = await import('./chat.js');
+    let chat;
+    this.switchingToChat = true;
+    setSwitchToChatEnabled(false);
     try {
-      updateStatus('Ending voice call...');
+      updateStatus('Switching to chat...');
       
-      // Stop the meeting session
-      if (this.meetingSession) {
-        this.meetingSession.audioVideo.stop();
+      chat = await callAPI('/downgrade-to-chat', {
+        contactId: this.contactId,
+        ...(ChatWidget.contactId && { chatContactId: ChatWidget.contactId })
+      }, { idempotencyKey: this.downgradeRequest.key });
+      console.log('Voice contact downgraded to chat:', chat);
+    } catch (error) {
+      // The call is still up, so the customer can keep talking or try again with the same key
+      console.error('Failed to switch to chat:', error);
+      updateStatus('Voice call active');
+      displayError('Could not switch to chat: ' + error.message);
+      return;
+    } finally {
+      this.switchingToChat = false;
+      setSwitchToChatEnabled(true);
+    }
+    this.downgradeRequest = null;
+    
+    try {
+      // The backend has already stopped the voice contact; leave its meeting
+      if (this.voiceSession) {
+        await this.voiceSession.stop();
+      }
+      clearVoiceLeg();
+      
+      if (chat.created) {
+        await ChatWidget.initializeWithDetails(chat.contactId, chat.participantId, chat.participantToken);
       }
-
-      // Call Lambda to stop the voice contact
-      await callAPI('/stop-contact', { contactId: this.contactId });
-      console.log('Voice contact stopped successfully');
       
-      displayMessage('Voice call ended. You can continue chatting.', 'system');
+      displayMessage('Voice call ended. You can keep chatting with the same agent.', 'system');
       
-      // Hide "Continue in chat" button and show "End Chat" button
+      // Hide "Switch to Chat" button and show "End Chat" button
       const { showContinueChatButton, showEndChatButton } = await import('./app.js');
       showContinueChatButton(false);
       showEndChatButton(true);
@@ -223,8 +247,8 @@ export const VoiceWidget = {
       updateStatus('Ending call and chat...');
       
       // Stop the meeting session
-      if (this.meetingSession) {
-        this.meetingSession.audioVideo.stop();
+      if (this.voiceSession) {
+        await this.voiceSession.stop();
       }
 
       // Call Lambda to stop the voice contact
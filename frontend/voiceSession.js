@@ -0,0 +1,381 @@
+// Voice session engine shared by the voice and escalation widgets
+// Wraps the Chime SDK meeting session for a Connect WebRTC contact behind one
+// lifecycle: start, mute/unmute, device switching, camera, screen share, stop, and events. The Chime
+// SDK module is passed in, so the engine can be unit tested with a mock.
+
+const EVENTS = [
+  'started', 'stopped', 'mute', 'deviceChanged', 'devicesChanged',
+  'reconnecting', 'connectionQuality', 'metrics',
+  'video', 'videoTile', 'videoTileRemoved', 'screenShare'
+];
+
+// Chrome's "default" entry follows the operating system's default device
+const SYSTEM_DEFAULT_DEVICE_ID = 'default';
+
+// The preferred device when it is connected, otherwise the first one
+function pickDevice(devices, preferredId) {
+  return devices.find(device => device.deviceId === preferredId) || devices[0] || null;
+}
+
+/**
+ * Returns the page's audio element for remote audio, creating it if needed
+ * @param {string} id - Element ID
+ * @returns {HTMLAudioElement}
+ */
+export function getAudioElement(id) {
+  let element = document.getElementById(id);
+  if (!element) {
+    element = document.createElement('audio');
+    element.id = id;
+    document.body.appendChild(element);
+  }
+  return element;
+}
+
+export class VoiceSession {
+  /**
+   * @param {Object} options
+   * @param {Object} options.sdk - The amazon-chime-sdk-js module
+   * @param {{Meeting: Object, Attendee: Object}} options.connectionData - WebRTC connection data from Connect
+   * @param {HTMLAudioElement} options.audioElement - Element that plays the agent's audio
+   * @param {string} [options.name] - Logger name
+   * @param {{audioinput?: string, audiooutput?: string}} [options.preferredDevices] - Device IDs the customer chose before
+   * @param {function(string): (string|Object)} [options.createInputDevice] - Wraps a microphone ID in a Chime
+   *   AudioTransformDevice (e.g. DtmfInputDevice); the plain device ID is used by default
+   */
+  constructor({ sdk, connectionData, audioElement, name = 'VoiceSession', preferredDevices = {}, createInputDevice = deviceId => deviceId }) {
+    this.sdk = sdk;
+    this.connectionData = connectionData;
+    this.audioElement = audioElement;
+    this.name = name;
+    this.meetingSession = null;
+    this.devices = { audioinput: null, audiooutput: null };
+    this.preferredDevices = { ...preferredDevices };
+    this.createInputDevice = createInputDevice;
+    this.inputDevice = null;
+    this.cameraId = null;
+    this.sharingScreen = false;
+    this.handlers = new Map(EVENTS.map(event => [event, new Set()]));
+  }
+
+  /**
+   * Registers an event handler
+   * @param {string} event - Event name: started, stopped, mute, deviceChanged, devicesChanged,
+   *   reconnecting, connectionQuality ({poor}), metrics (Chime observable metrics, about once a second),
+   *   video ({on}), videoTile (Chime VideoTileState), videoTileRemoved ({tileId}) or screenShare ({on})
+   * @param {Function} handler - Called with the event payload
+   * @returns {VoiceSession} This session, for chaining
+   */
+  on(event, handler) {
+    if (!this.handlers.has(event)) {
+      throw new Error(`Unknown voice session event: ${event}`);
+    }
+    this.handlers.get(event).add(handler);
+    return this;
+  }
+
+  emit(event, payload) {
+    for (const handler of this.handlers.get(event)) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Error handling voice session event ${event}:`, error);
+      }
+    }
+  }
+
+  get audioVideo() {
+    return this.meetingSession?.audioVideo;
+  }
+
+  /**
+   * Joins the meeting and starts audio on the preferred (or first) microphone and speaker
+   */
+  async start() {
+    const { ConsoleLogger, DefaultDeviceController, DefaultMeetingSession, LogLevel, MeetingSessionConfiguration } = this.sdk;
+
+    const configuration = new MeetingSessionConfiguration(
+      { Meeting: this.connectionData.Meeting },
+      { Attendee: this.connectionData.Attendee }
+    );
+    const logger = new ConsoleLogger(this.name, LogLevel.INFO);
+    const deviceController = new DefaultDeviceController(logger);
+    this.meetingSession = new DefaultMeetingSession(configuration, logger, deviceController);
+
+    await this.audioVideo.bindAudioElement(this.audioElement);
+
+    this.audioVideo.addObserver({
+      audioVideoDidStart: () => {
+        console.log(`${this.name}: audio/video started`);
+        this.emit('started');
+      },
+      audioVideoDidStop: (sessionStatus) => {
+        console.log(`${this.name}: audio/video stopped:`, sessionStatus);
+        this.emit('stopped', sessionStatus);
+      },
+      audioVideoDidStartConnecting: (reconnecting) => {
+        if (reconnecting) {
+          console.warn(`${this.name}: connection lost, reconnecting`);
+          this.emit('reconnecting');
+        }
+      },
+      connectionDidBecomePoor: () => {
+        console.warn(`${this.name}: connection became poor`);
+        this.emit('connectionQuality', { poor: true });
+      },
+      connectionDidBecomeGood: () => {
+        console.log(`${this.name}: connection became good`);
+        this.emit('connectionQuality', { poor: false });
+      },
+      metricsDidReceive: (clientMetricReport) => {
+        this.emit('metrics', clientMetricReport.getObservableMetrics());
+      },
+      videoTileDidUpdate: (tileState) => {
+        // Tiles without an attendee are placeholders Chime has not bound yet
+        if (tileState.localTile || tileState.boundAttendeeId) {
+          this.emit('videoTile', tileState);
+        }
+      },
+      videoTileWasRemoved: (tileId) => {
+        this.emit('videoTileRemoved', { tileId });
+      }
+    });
+
+    // Content share runs as a second attendee; the browser's own "Stop sharing"
+    // bar ends it too, so the state follows these callbacks
+    this.audioVideo.addContentShareObserver({
+      contentShareDidStart: () => {
+        console.log(`${this.name}: screen share started`);
+        this.sharingScreen = true;
+        this.emit('screenShare', { on: true });
+      },
+      contentShareDidStop: () => {
+        console.log(`${this.name}: screen share stopped`);
+        this.sharingScreen = false;
+        this.emit('screenShare', { on: false });
+      }
+    });
+
+    this.audioVideo.addDeviceChangeObserver({
+      audioInputsChanged: devices => this.handleDevicesChanged('audioinput', devices),
+      audioOutputsChanged: devices => this.handleDevicesChanged('audiooutput', devices)
+    });
+
+    await this.audioVideo.start();
+
+    for (const kind of ['audioinput', 'audiooutput']) {
+      const device = pickDevice(await this.listDevices(kind), this.preferredDevices[kind]);
+      if (device) {
+        await this.switchDevice(kind, device.deviceId);
+      }
+    }
+  }
+
+  /**
+   * Follows devices being plugged in or removed during the call:
+   * - the customer's preferred device is used again as soon as it reappears
+   * - a removed device falls back to the preferred or first remaining one
+   * - the system default is re-acquired so it follows the new OS default (e.g. a headset)
+   * @param {'audioinput'|'audiooutput'} kind - Device kind
+   * @param {MediaDeviceInfo[]} devices - Fresh device list from Chime
+   */
+  async handleDevicesChanged(kind, devices) {
+    this.emit('devicesChanged', { kind, devices });
+
+    const current = this.devices[kind];
+    const preferred = this.preferredDevices[kind];
+    const isConnected = deviceId => devices.some(device => device.deviceId === deviceId);
+
+    let target = null;
+    if (preferred && preferred !== current && isConnected(preferred)) {
+      target = preferred;
+    } else if (!current || !isConnected(current)) {
+      target = pickDevice(devices, preferred)?.deviceId;
+    } else if (current === SYSTEM_DEFAULT_DEVICE_ID) {
+      target = SYSTEM_DEFAULT_DEVICE_ID;
+    }
+
+    if (!target) {
+      return;
+    }
+
+    try {
+      console.log(`${this.name}: ${kind} devices changed, switching to`, target);
+      await this.switchDevice(kind, target);
+    } catch (error) {
+      console.error(`${this.name}: failed to switch ${kind} after a device change:`, error);
+    }
+  }
+
+  /**
+   * Lists the available devices of one kind
+   * @param {'audioinput'|'audiooutput'|'videoinput'} kind - Device kind
+   * @returns {Promise<MediaDeviceInfo[]>}
+   */
+  async listDevices(kind) {
+    if (!this.audioVideo) {
+      return [];
+    }
+    if (kind === 'videoinput') {
+      return this.audioVideo.listVideoInputDevices();
+    }
+    return kind === 'audioinput'
+      ? this.audioVideo.listAudioInputDevices()
+      : this.audioVideo.listAudioOutputDevices();
+  }
+
+  /**
+   * Moves the call to another microphone or speaker
+   * @param {'audioinput'|'audiooutput'} kind - Device kind
+   * @param {string} deviceId - Device ID from listDevices
+   */
+  async switchDevice(kind, deviceId) {
+    if (!this.audioVideo) {
+      throw new Error('Voice session has not been started');
+    }
+
+    if (kind === 'audioinput') {
+      this.inputDevice = this.createInputDevice(deviceId);
+      await this.audioVideo.startAudioInput(this.inputDevice);
+    } else if (kind === 'audiooutput') {
+      await this.audioVideo.chooseAudioOutput(deviceId);
+    } else {
+      throw new Error(`Unknown device kind: ${kind}`);
+    }
+
+    this.devices[kind] = deviceId;
+    console.log(`${this.name}: ${kind} set to`, deviceId);
+    this.emit('deviceChanged', { kind, deviceId });
+  }
+
+  /**
+   * Switches to a device the customer picked and prefers it for the rest of the call
+   * @param {'audioinput'|'audiooutput'} kind - Device kind
+   * @param {string} deviceId - Device ID from listDevices
+   */
+  async selectDevice(kind, deviceId) {
+    await this.switchDevice(kind, deviceId);
+    this.preferredDevices[kind] = deviceId;
+  }
+
+  mute() {
+    this.audioVideo?.realtimeMuteLocalAudio();
+    this.emit('mute', { muted: true });
+  }
+
+  unmute() {
+    // Chime refuses to unmute when unmuting is not allowed; report the real state
+    const unmuted = this.audioVideo ? this.audioVideo.realtimeUnmuteLocalAudio() : false;
+    this.emit('mute', { muted: !unmuted });
+    return unmuted;
+  }
+
+  isMuted() {
+    return this.audioVideo ? this.audioVideo.realtimeIsLocalAudioMuted() : false;
+  }
+
+  /**
+   * Turns the customer's camera on and starts sending it to the agent
+   * @param {string} [deviceId] - Camera from listDevices('videoinput'); the preferred or first camera by default
+   */
+  async startVideo(deviceId) {
+    if (!this.audioVideo) {
+      throw new Error('Voice session has not been started');
+    }
+
+    const cameraId = deviceId || pickDevice(await this.listDevices('videoinput'), this.preferredDevices.videoinput)?.deviceId;
+    if (!cameraId) {
+      throw new Error('No camera was found');
+    }
+
+    await this.audioVideo.startVideoInput(cameraId);
+    this.audioVideo.startLocalVideoTile();
+    this.cameraId = cameraId;
+    console.log(`${this.name}: camera on`, cameraId);
+    this.emit('video', { on: true });
+  }
+
+  async stopVideo() {
+    if (!this.audioVideo || !this.cameraId) {
+      return;
+    }
+
+    this.audioVideo.stopLocalVideoTile();
+    await this.audioVideo.stopVideoInput();
+    this.cameraId = null;
+    console.log(`${this.name}: camera off`);
+    this.emit('video', { on: false });
+  }
+
+  isVideoOn() {
+    return !!this.cameraId;
+  }
+
+  /**
+   * Asks the customer to pick a screen, window or tab and shares it with the agent
+   * Rejects with the browser's NotAllowedError when the customer cancels the picker.
+   */
+  async startScreenShare() {
+    if (!this.audioVideo) {
+      throw new Error('Voice session has not been started');
+    }
+    await this.audioVideo.startContentShareFromScreenCapture();
+  }
+
+  stopScreenShare() {
+    if (this.sharingScreen) {
+      this.audioVideo?.stopContentShare();
+    }
+  }
+
+  isSharingScreen() {
+    return this.sharingScreen;
+  }
+
+  /**
+   * Shows a video tile in a <video> element
+   * @param {number} tileId - Tile from a videoTile event
+   * @param {HTMLVideoElement} element - Element to render into
+   */
+  bindVideoElement(tileId, element) {
+    this.audioVideo?.bindVideoElement(tileId, element);
+  }
+
+  /**
+   * Sends keypad tones to the contact (IVR menus, account numbers)
+   * @param {string} digits - 0-9, * and #
+   */
+  async sendDtmf(digits) {
+    if (typeof this.inputDevice?.playDigits !== 'function') {
+      throw new Error('Keypad tones are not available for this microphone');
+    }
+    // Muted audio never reaches Connect, tones included
+    if (this.isMuted()) {
+      throw new Error('Unmute to use the keypad');
+    }
+    await this.inputDevice.playDigits(digits);
+  }
+
+  /**
+   * Leaves the meeting and releases the microphone, camera and screen share; 'stopped' follows from Chime
+   */
+  async stop() {
+    if (!this.audioVideo) {
+      return;
+    }
+
+    try {
+      await this.audioVideo.stopAudioInput();
+      if (this.cameraId) {
+        await this.audioVideo.stopVideoInput();
+      }
+    } catch (error) {
+      console.warn(`${this.name}: failed to release the microphone or camera:`, error);
+    }
+    this.stopScreenShare();
+    this.audioVideo.stop();
+    this.devices = { audioinput: null, audiooutput: null };
+    this.inputDevice = null;
+    this.cameraId = null;
+  }
+}
@@ -0,0 +1,377 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { VoiceSession } from './voiceSession.js';
+
+const CONNECTION_DATA = {
+  Meeting: { MeetingId: 'meeting-1' },
+  Attendee: { AttendeeId: 'attendee-1', JoinToken: 'join-token' }
+};
+
+// Minimal stand-in for amazon-chime-sdk-js that records audioVideo calls
+function createMockSdk({
+  inputs = [{ deviceId: 'mic-1', label: 'Mic' }],
+  outputs = [{ deviceId: 'spk-1', label: 'Speaker' }],
+  cameras = [{ deviceId: 'cam-1', label: 'Camera' }]
+} = {}) {
+  const calls = [];
+  const state = { muted: false, canUnmute: true, observer: null, deviceObserver: null, contentShareObserver: null };
+
+  const audioVideo = {
+    bindAudioElement: async element => calls.push(['bindAudioElement', element]),
+    addObserver: observer => { state.observer = observer; },
+    addDeviceChangeObserver: observer => { state.deviceObserver = observer; },
+    addContentShareObserver: observer => { state.contentShareObserver = observer; },
+    start: async () => {
+      calls.push(['start']);
+      state.observer.audioVideoDidStart();
+    },
+    stop: () => {
+      calls.push(['stop']);
+      state.observer.audioVideoDidStop({ statusCode: 1 });
+    },
+    listAudioInputDevices: async () => inputs,
+    listAudioOutputDevices: async () => outputs,
+    startAudioInput: async deviceId => calls.push(['startAudioInput', deviceId]),
+    stopAudioInput: async () => calls.push(['stopAudioInput']),
+    chooseAudioOutput: async deviceId => calls.push(['chooseAudioOutput', deviceId]),
+    listVideoInputDevices: async () => cameras,
+    startVideoInput: async deviceId => calls.push(['startVideoInput', deviceId]),
+    stopVideoInput: async () => calls.push(['stopVideoInput']),
+    startLocalVideoTile: () => calls.push(['startLocalVideoTile']),
+    stopLocalVideoTile: () => calls.push(['stopLocalVideoTile']),
+    bindVideoElement: (tileId, element) => calls.push(['bindVideoElement', tileId, element]),
+    startContentShareFromScreenCapture: async () => {
+      calls.push(['startContentShareFromScreenCapture']);
+      state.contentShareObserver.contentShareDidStart();
+    },
+    stopContentShare: () => {
+      calls.push(['stopContentShare']);
+      state.contentShareObserver.contentShareDidStop();
+    },
+    realtimeMuteLocalAudio: () => { state.muted = true; },
+    realtimeUnmuteLocalAudio: () => {
+      if (state.canUnmute) {
+        state.muted = false;
+      }
+      return state.canUnmute;
+    },
+    realtimeIsLocalAudioMuted: () => state.muted
+  };
+
+  const sdk = {
+    LogLevel: { INFO: 'INFO' },
+    ConsoleLogger: class { constructor(name) { this.name = name; } },
+    DefaultDeviceController: class {},
+    MeetingSessionConfiguration: class {
+      constructor(meeting, attendee) {
+        calls.push(['configuration', meeting, attendee]);
+      }
+    },
+    DefaultMeetingSession: class { constructor() { this.audioVideo = audioVideo; } }
+  };
+
+  return { sdk, calls, state };
+}
+
+function createSession(mock, preferredDevices) {
+  return new VoiceSession({ sdk: mock.sdk, connectionData: CONNECTION_DATA, audioElement: 'audio-element', name: 'Test', preferredDevices });
+}
+
+const device = deviceId => ({ deviceId, label: deviceId });
+
+describe('VoiceSession', () => {
+  it('joins the meeting from Connect connection data and picks the first devices', async () => {
+    const mock = createMockSdk();
+    const session = createSession(mock);
+    const events = [];
+    session.on('started', () => events.push('started'));
+
+    await session.start();
+
+    assert.deepStrictEqual(mock.calls, [
+      ['configuration', { Meeting: CONNECTION_DATA.Meeting }, { Attendee: CONNECTION_DATA.Attendee }],
+      ['bindAudioElement', 'audio-element'],
+      ['start'],
+      ['startAudioInput', 'mic-1'],
+      ['chooseAudioOutput', 'spk-1']
+    ]);
+    assert.deepStrictEqual(events, ['started']);
+    assert.deepStrictEqual(session.devices, { audioinput: 'mic-1', audiooutput: 'spk-1' });
+  });
+
+  it('starts without devices when none are available', async () => {
+    const mock = createMockSdk({ inputs: [], outputs: [] });
+    const session = createSession(mock);
+
+    await session.start();
+
+    assert.deepStrictEqual(session.devices, { audioinput: null, audiooutput: null });
+  });
+
+  it('starts on the preferred devices when they are connected', async () => {
+    const mock = createMockSdk({ inputs: [device('mic-1'), device('headset-mic')], outputs: [device('spk-1')] });
+    const session = createSession(mock, { audioinput: 'headset-mic', audiooutput: 'unplugged-speaker' });
+
+    await session.start();
+
+    assert.deepStrictEqual(session.devices, { audioinput: 'headset-mic', audiooutput: 'spk-1' });
+  });
+
+  it('switches devices and reports the change', async () => {
+    const mock = createMockSdk();
+    const session = createSession(mock);
+    const changes = [];
+    session.on('deviceChanged', change => changes.push(change));
+    await session.start();
+
+    await session.switchDevice('audioinput', 'mic-2');
+
+    assert.deepStrictEqual(mock.calls.at(-1), ['startAudioInput', 'mic-2']);
+    assert.deepStrictEqual(changes.at(-1), { kind: 'audioinput', deviceId: 'mic-2' });
+    await assert.rejects(session.switchDevice('videoinput', 'cam-1'), /Unknown device kind/);
+  });
+
+  it('rejects device switches before the session starts', async () => {
+    const session = createSession(createMockSdk());
+
+    await assert.rejects(session.switchDevice('audioinput', 'mic-1'), /has not been started/);
+  });
+
+  it('remembers a device the customer selects as preferred', async () => {
+    const session = createSession(createMockSdk());
+    await session.start();
+
+    await session.selectDevice('audioinput', 'headset-mic');
+
+    assert.strictEqual(session.devices.audioinput, 'headset-mic');
+    assert.strictEqual(session.preferredDevices.audioinput, 'headset-mic');
+  });
+
+  describe('device hot-swap', () => {
+    it('moves to the preferred device as soon as it is plugged in', async () => {
+      const mock = createMockSdk();
+      const session = createSession(mock, { audioinput: 'headset-mic' });
+      const lists = [];
+      session.on('devicesChanged', change => lists.push(change.kind));
+      await session.start();
+      assert.strictEqual(session.devices.audioinput, 'mic-1');
+
+      await mock.state.deviceObserver.audioInputsChanged([device('mic-1'), device('headset-mic')]);
+
+      assert.strictEqual(session.devices.audioinput, 'headset-mic');
+      assert.deepStrictEqual(lists, ['audioinput']);
+    });
+
+    it('falls back to a remaining device when the current one is removed', async () => {
+      const mock = createMockSdk({ outputs: [device('headphones'), device('spk-1')] });
+      const session = createSession(mock);
+      await session.start();
+
+      await mock.state.deviceObserver.audioOutputsChanged([device('spk-1')]);
+
+      assert.deepStrictEqual(mock.calls.at(-1), ['chooseAudioOutput', 'spk-1']);
+      assert.strictEqual(session.devices.audiooutput, 'spk-1');
+    });
+
+    it('re-acquires the system default so it follows the new OS default', async () => {
+      const mock = createMockSdk({ inputs: [device('default'), device('mic-1')] });
+      const session = createSession(mock);
+      await session.start();
+      const callsBefore = mock.calls.length;
+
+      await mock.state.deviceObserver.audioInputsChanged([device('default'), device('mic-1'), device('headset-mic')]);
+
+      assert.deepStrictEqual(mock.calls.slice(callsBefore), [['startAudioInput', 'default']]);
+    });
+
+    it('leaves an explicitly chosen device alone when others come and go', async () => {
+      const mock = createMockSdk({ inputs: [device('mic-1'), device('mic-2')] });
+      const session = createSession(mock);
+      await session.start();
+      await session.selectDevice('audioinput', 'mic-2');
+      const callsBefore = mock.calls.length;
+
+      await mock.state.deviceObserver.audioInputsChanged([device('mic-1'), device('mic-2'), device('headset-mic')]);
+
+      assert.strictEqual(mock.calls.length, callsBefore);
+    });
+  });
+
+  it('mutes and unmutes, reporting when Chime refuses to unmute', async () => {
+    const mock = createMockSdk();
+    const session = createSession(mock);
+    const mutes = [];
+    session.on('mute', ({ muted }) => mutes.push(muted));
+    await session.start();
+
+    session.mute();
+    assert.strictEqual(session.isMuted(), true);
+    assert.strictEqual(session.unmute(), true);
+
+    session.mute();
+    mock.state.canUnmute = false;
+    assert.strictEqual(session.unmute(), false);
+
+    assert.deepStrictEqual(mutes, [true, false, true, true]);
+  });
+
+  it('sends keypad tones through the wrapped microphone, but not while muted', async () => {
+    const mock = createMockSdk();
+    const played = [];
+    const session = new VoiceSession({
+      sdk: mock.sdk,
+      connectionData: CONNECTION_DATA,
+      audioElement: 'audio-element',
+      createInputDevice: deviceId => ({ deviceId, playDigits: async digits => played.push(digits) })
+    });
+    await session.start();
+
+    await session.sendDtmf('12#');
+    session.mute();
+
+    assert.strictEqual(mock.calls.find(([name]) => name === 'startAudioInput')[1].deviceId, 'mic-1');
+    assert.deepStrictEqual(played, ['12#']);
+    await assert.rejects(session.sendDtmf('3'), /Unmute/);
+  });
+
+  it('rejects keypad tones when the microphone is not wrapped for DTMF', async () => {
+    const session = createSession(createMockSdk());
+    await session.start();
+
+    await assert.rejects(session.sendDtmf('1'), /not available/);
+  });
+
+  it('releases the microphone and emits stopped on stop', async () => {
+    const mock = createMockSdk();
+    const session = createSession(mock);
+    let stopStatus = null;
+    session.on('stopped', status => { stopStatus = status; });
+    await session.start();
+
+    await session.stop();
+
+    assert.deepStrictEqual(mock.calls.slice(-2), [['stopAudioInput'], ['stop']]);
+    assert.deepStrictEqual(stopStatus, { statusCode: 1 });
+    assert.deepStrictEqual(session.devices, { audioinput: null, audiooutput: null });
+  });
+
+  it('surfaces reconnects, connection quality changes and metrics', async () => {
+    const mock = createMockSdk();
+    const session = createSession(mock);
+    const events = [];
+    session
+      .on('reconnecting', () => events.push(['reconnecting']))
+      .on('connectionQuality', quality => events.push(['connectionQuality', quality]))
+      .on('metrics', metrics => events.push(['metrics', metrics]));
+    await session.start();
+
+    mock.state.observer.audioVideoDidStartConnecting(false);
+    mock.state.observer.audioVideoDidStartConnecting(true);
+    mock.state.observer.connectionDidBecomePoor();
+    mock.state.observer.connectionDidBecomeGood();
+    mock.state.observer.metricsDidReceive({ getObservableMetrics: () => ({ audioPacketsReceivedFractionLoss: 0.1 }) });
+
+    assert.deepStrictEqual(events, [
+      ['reconnecting'],
+      ['connectionQuality', { poor: true }],
+      ['connectionQuality', { poor: false }],
+      ['metrics', { audioPacketsReceivedFractionLoss: 0.1 }]
+    ]);
+  });
+
+  it('turns the camera on and off and releases it on stop', async () => {
+    const mock = createMockSdk();
+    const session = createSession(mock);
+    const events = [];
+    session.on('video', ({ on }) => events.push(on));
+    await session.start();
+    mock.calls.length = 0;
+
+    await session.startVideo();
+    await session.stopVideo();
+    await session.startVideo('cam-2');
+    await session.stop();
+
+    assert.deepStrictEqual(mock.calls, [
+      ['startVideoInput', 'cam-1'],
+      ['startLocalVideoTile'],
+      ['stopLocalVideoTile'],
+      ['stopVideoInput'],
+      ['startVideoInput', 'cam-2'],
+      ['startLocalVideoTile'],
+      ['stopAudioInput'],
+      ['stopVideoInput'],
+      ['stop']
+    ]);
+    assert.deepStrictEqual(events, [true, false, true]);
+    assert.strictEqual(session.isVideoOn(), false);
+  });
+
+  it('refuses to start video without a camera', async () => {
+    const session = createSession(createMockSdk({ cameras: [] }));
+    await session.start();
+
+    await assert.rejects(session.startVideo(), /No camera was found/);
+    assert.strictEqual(session.isVideoOn(), false);
+  });
+
+  it('reports bound video tiles and their removal', async () => {
+    const mock = createMockSdk();
+    const session = createSession(mock);
+    const events = [];
+    session
+      .on('videoTile', tile => events.push(['videoTile', tile.tileId]))
+      .on('videoTileRemoved', ({ tileId }) => events.push(['videoTileRemoved', tileId]));
+    await session.start();
+
+    mock.state.observer.videoTileDidUpdate({ tileId: 1, localTile: false, boundAttendeeId: null });
+    mock.state.observer.videoTileDidUpdate({ tileId: 2, localTile: false, boundAttendeeId: 'agent-1' });
+    mock.state.observer.videoTileDidUpdate({ tileId: 3, localTile: true, boundAttendeeId: null });
+    mock.state.observer.videoTileWasRemoved(2);
+
+    assert.deepStrictEqual(events, [['videoTile', 2], ['videoTile', 3], ['videoTileRemoved', 2]]);
+  });
+
+  it('shares the screen until stopped by the customer, the browser or the end of the call', async () => {
+    const mock = createMockSdk();
+    const session = createSession(mock);
+    const events = [];
+    session.on('screenShare', ({ on }) => events.push(on));
+    await session.start();
+    mock.calls.length = 0;
+
+    await session.startScreenShare();
+    session.stopScreenShare();
+    session.stopScreenShare();
+    await session.startScreenShare();
+    // Chrome's "Stop sharing" bar
+    mock.state.contentShareObserver.contentShareDidStop();
+    await session.startScreenShare();
+    await session.stop();
+
+    assert.deepStrictEqual(mock.calls, [
+      ['startContentShareFromScreenCapture'],
+      ['stopContentShare'],
+      ['startContentShareFromScreenCapture'],
+      ['startContentShareFromScreenCapture'],
+      ['stopAudioInput'],
+      ['stopContentShare'],
+      ['stop']
+    ]);
+    assert.deepStrictEqual(events, [true, false, true, false, true, false]);
+    assert.strictEqual(session.isSharingScreen(), false);
+  });
+
+  it('keeps notifying other handlers when one throws', async () => {
+    const session = createSession(createMockSdk());
+    let notified = false;
+    session.on('started', () => { throw new Error('handler failed'); });
+    session.on('started', () => { notified = true; });
+
+    await session.start();
+
+    assert.strictEqual(notified, true);
+    assert.throws(() => session.on('unknown', () => {}), /Unknown voice session event/);
+  });
+});
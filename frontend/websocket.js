@@ -144,23 +144,6 @@ export class WebSocketClient {
     this.messageHandlers.set(type, handler);
   }
 
-  sendTypingIndicator(isTyping, sessionId = null) {
-    if (!this.isConnected) {
-      console.error('WebSocket not connected, cannot send typing indicator');
-      return;
-    }
-
-    const message = {
-      type: 'typing',
-      isTyping: isTyping,
-      sessionId: sessionId,
-      timestamp: new Date().toISOString()
-    };
-
-    console.log('Sending typing indicator:', message);
-    this.send(message);
-  }
-
   sendChatMessage(content, sessionId = null) {
     if (!this.isConnected) {
       console.error('WebSocket not connected, cannot send chat message');
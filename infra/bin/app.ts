@@ -2,42 +2,65 @@
 import 'source-map-support/register';
 import * as cdk from 'aws-cdk-lib';
 import { ConnectMultimodalStack } from '../lib/connect-multimodal-stack';
-import * as fs from 'fs';
-import * as path from 'path';
+import { loadConfig, ConfigurationError, AppConfig } from '../../lambda-shared/config';
 
 const app = new cdk.App();
 
-// Load configuration from config.json
-const configPath = path.join(__dirname, '../../config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+// Context and environment variables still override single values; everything
+// is validated together, so a missing ID stops the synth here
+const overrides = {
+  aws: { region: app.node.tryGetContext('region') || process.env.AWS_REGION },
+  connect: {
+    instanceId: app.node.tryGetContext('connectInstanceId') || process.env.CONNECT_INSTANCE_ID,
+    contactFlowId: app.node.tryGetContext('connectContactFlowId') || process.env.CONNECT_CONTACT_FLOW_ID,
+  },
+};
+
+let config: Readonly<AppConfig>;
+try {
+  config = loadConfig({
+    environment: app.node.tryGetContext('environment') || process.env.DEPLOY_ENV,
+    overrides,
+  });
+} catch (error) {
+  if (error instanceof ConfigurationError) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  throw error;
+}
+
+const stage = config.deployment.environment;
 
 console.log('Loaded configuration:', {
+  environment: stage,
   region: config.aws.region,
   instanceId: config.connect.instanceId,
   contactFlowId: config.connect.contactFlowId,
-  stackName: config.deployment.stackName
+  defaultQueueId: config.connect.defaultQueueId,
+  stackName: config.deployment.stageStackName
 });
 
-// Allow overrides from context or environment variables
-const connectInstanceId = app.node.tryGetContext('connectInstanceId') || 
-  process.env.CONNECT_INSTANCE_ID || 
-  config.connect.instanceId;
-
-const connectContactFlowId = app.node.tryGetContext('connectContactFlowId') || 
-  process.env.CONNECT_CONTACT_FLOW_ID || 
-  config.connect.contactFlowId;
-
-const region = app.node.tryGetContext('region') ||
-  process.env.AWS_REGION ||
-  config.aws.region;
-
-new ConnectMultimodalStack(app, config.deployment.stackName, {
-  connectInstanceId,
-  connectContactFlowId,
+// One stack per environment; its Connect instance, flow and queue come from
+// config.<environment>.json
+const stack = new ConnectMultimodalStack(app, config.deployment.stageStackName, {
+  stage,
+  terminationProtection: stage === 'prod',
+  connectInstanceId: config.connect.instanceId,
+  connectContactFlowId: config.connect.contactFlowId,
+  connectDefaultQueueId: config.connect.defaultQueueId,
+  // Origins besides the CloudFront distributions that may call the REST API
+  additionalAllowedOrigins: config.api?.allowedOrigins || [],
+  rateLimits: config.api?.rateLimits,
+  routingRules: config.routing?.rules,
+  escalationFallback: config.routing?.escalationFallback,
+  agentEventStream: config.connect.agentEventStream,
   env: {
     account: process.env.CDK_DEFAULT_ACCOUNT || config.aws.account,
-    region: region,
+    region: config.aws.region,
   },
 });
 
+cdk.Tags.of(stack).add('Environment', stage);
+
 app.synth();
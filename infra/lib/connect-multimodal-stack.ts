@@ -11,12 +11,34 @@ import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
 import * as events from 'aws-cdk-lib/aws-events';
 import * as targets from 'aws-cdk-lib/aws-events-targets';
 import * as iam from 'aws-cdk-lib/aws-iam';
+import * as kinesis from 'aws-cdk-lib/aws-kinesis';
+import * as lambdaEventSources from 'aws-cdk-lib/aws-lambda-event-sources';
+import * as connect from 'aws-cdk-lib/aws-connect';
+import * as secretsmanager from 'aws-cdk-lib/aws-secretsmanager';
 import { Construct } from 'constructs';
 import * as path from 'path';
 
 export interface ConnectMultimodalStackProps extends cdk.StackProps {
+  // Deployment environment (dev, staging, prod); names the account-wide
+  // resources, and 'prod' keeps data and site buckets on removal
+  stage: string;
   connectInstanceId: string;
   connectContactFlowId: string;
+  // Queue for chats that are not routed to the agent of a related contact
+  connectDefaultQueueId: string;
+  // Extra origins allowed to call the REST API (e.g. a local dev server);
+  // the customer and agent CloudFront distributions are always allowed
+  additionalAllowedOrigins?: string[];
+  // Per-route rate limit overrides, e.g. { "/start-chat-contact": { "userLimit": 10 } }
+  rateLimits?: Record<string, { userLimit?: number; ipLimit?: number; windowSeconds?: number }>;
+  // Attribute routing rules for chats, in priority order (see lambda-chat-routing/routing-engine.js)
+  routingRules?: Array<{ id: string; queueId: string; match: Record<string, string | string[]> }>;
+  // Where escalations go when the related contact's agent cannot take them,
+  // and how long to hold them for a busy agent first
+  escalationFallback?: { queueId?: string; waitSeconds?: number; routableStatuses?: string[] };
+  // Agent events for hold detection: the instance's existing stream (streamArn),
+  // or a new stream attached to the instance (create); neither turns hold off
+  agentEventStream?: { streamArn?: string; create?: boolean };
 }
 
 export class ConnectMultimodalStack extends cdk.Stack {
@@ -35,17 +57,18 @@ export class ConnectMultimodalStack extends cdk.Stack {
   constructor(scope: Construct, id: string, props: ConnectMultimodalStackProps) {
     super(scope, id, props);
 
+    // Production retains its connections table and versioned site buckets when
+    // the stack is deleted; other stages clean up after themselves
+    const production = props.stage === 'prod';
+    const siteBucketProps: s3.BucketProps = production
+      ? { removalPolicy: cdk.RemovalPolicy.RETAIN, versioned: true }
+      : { removalPolicy: cdk.RemovalPolicy.DESTROY, autoDeleteObjects: true };
+
     // S3 bucket for customer app (private)
-    this.customerBucket = new s3.Bucket(this, 'CustomerBucket', {
-      removalPolicy: cdk.RemovalPolicy.DESTROY,
-      autoDeleteObjects: true,
-    });
+    this.customerBucket = new s3.Bucket(this, 'CustomerBucket', siteBucketProps);
 
     // S3 bucket for agent app (private)
-    this.agentBucket = new s3.Bucket(this, 'AgentBucket', {
-      removalPolicy: cdk.RemovalPolicy.DESTROY,
-      autoDeleteObjects: true,
-    });
+    this.agentBucket = new s3.Bucket(this, 'AgentBucket', siteBucketProps);
 
     // CloudFront Function for customer app SPA routing
     const customerUrlRewriteFunction = new cloudfront.Function(this, 'CustomerUrlRewriteFunction', {
@@ -93,7 +116,7 @@ function handler(event) {
         }],
       },
       defaultRootObject: 'index.html',
-      comment: 'CloudFront distribution for Connect Customer App',
+      comment: `CloudFront distribution for Connect Customer App (${props.stage})`,
     });
 
     // CloudFront distribution for agent app
@@ -108,7 +131,7 @@ function handler(event) {
         }],
       },
       defaultRootObject: 'index.html',
-      comment: 'CloudFront distribution for Connect Agent App',
+      comment: `CloudFront distribution for Connect Agent App (${props.stage})`,
     });
 
     // Deploy customer frontend
@@ -127,18 +150,43 @@ function handler(event) {
       distributionPaths: ['/*'],
     });
 
+    // Code asset for Lambdas that depend on lambda-shared. npm installs it as a
+    // symlink (node_modules/connect-multimodal-shared -> ../lambda-shared), so the
+    // asset must follow symlinks to bundle the shared modules.
+    const sharedLambdaCode = (dir: string) =>
+      lambda.Code.fromAsset(path.join(__dirname, '../..', dir), {
+        followSymlinks: cdk.SymlinkFollowMode.ALWAYS,
+      });
+
+    // HMAC key for signing customer session tokens
+    const sessionSecret = new secretsmanager.Secret(this, 'SessionTokenSecret', {
+      description: 'Signing key for customer session tokens issued by the Connect API',
+      generateSecretString: {
+        passwordLength: 64,
+        excludePunctuation: true,
+      },
+    });
+
     // Lambda function for Connect integration
     const connectLambda = new lambda.Function(this, 'ConnectLambda', {
       runtime: lambda.Runtime.NODEJS_18_X,
       handler: 'index.handler',
-      code: lambda.Code.fromAsset(path.join(__dirname, '../../lambda')),
+      code: sharedLambdaCode('lambda'),
       timeout: cdk.Duration.seconds(30),
       environment: {
         CONNECT_INSTANCE_ID: props.connectInstanceId,
         CONNECT_CONTACT_FLOW_ID: props.connectContactFlowId,
+        SESSION_SECRET_ARN: sessionSecret.secretArn,
+        ALLOWED_ORIGINS: [
+          `https://${this.customerDistribution.distributionDomainName}`,
+          `https://${this.agentDistribution.distributionDomainName}`,
+          ...(props.additionalAllowedOrigins || []),
+        ].join(','),
       },
     });
 
+    sessionSecret.grantRead(connectLambda);
+
     // Grant Lambda permissions to call Connect APIs
     connectLambda.addToRolePolicy(
       new iam.PolicyStatement({
@@ -148,6 +196,7 @@ function handler(event) {
           'connect:StartWebRTCContact',
           'connect:StopContact',
           'connect:DescribeContact',
+          'connect:UpdateContactAttributes',
         ],
         resources: ['*'],
       })
@@ -155,27 +204,31 @@ function handler(event) {
 
     // API Gateway
     this.api = new apigateway.RestApi(this, 'ConnectApi', {
-      restApiName: 'Connect Multimodal API',
+      restApiName: `Connect Multimodal API (${props.stage})`,
       description: 'API for Amazon Connect multi-modal demo',
-      defaultCorsPreflightOptions: {
-        allowOrigins: apigateway.Cors.ALL_ORIGINS,
-        allowMethods: apigateway.Cors.ALL_METHODS,
-        allowHeaders: ['Content-Type', 'Authorization'],
-      },
     });
 
     // Lambda integration
     const lambdaIntegration = new apigateway.LambdaIntegration(connectLambda);
 
-    // API endpoints
-    const startChatResource = this.api.root.addResource('start-chat-contact');
-    startChatResource.addMethod('POST', lambdaIntegration);
-
-    const startVoiceResource = this.api.root.addResource('start-voice-contact');
-    startVoiceResource.addMethod('POST', lambdaIntegration);
-
-    const stopContactResource = this.api.root.addResource('stop-contact');
-    stopContactResource.addMethod('POST', lambdaIntegration);
+    // API endpoints. OPTIONS goes to the Lambda too, which answers CORS
+    // preflight from its origin allow-list.
+    const addApiRoute = (pathPart: string) => {
+      const resource = this.api.root.addResource(pathPart);
+      resource.addMethod('POST', lambdaIntegration);
+      resource.addMethod('OPTIONS', lambdaIntegration);
+      return resource;
+    };
+
+    addApiRoute('session');
+    addApiRoute('start-chat-contact');
+    addApiRoute('start-voice-contact');
+    addApiRoute('downgrade-to-chat');
+    addApiRoute('stop-contact');
+    addApiRoute('resume-contact');
+    addApiRoute('contact-transcript');
+    addApiRoute('call-quality');
+    addApiRoute('screen-share');
 
     // DynamoDB table for WebSocket connections
     this.connectionsTable = new dynamodb.Table(this, 'ConnectionsTable', {
@@ -184,7 +237,8 @@ function handler(event) {
         type: dynamodb.AttributeType.STRING
       },
       billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
-      removalPolicy: cdk.RemovalPolicy.DESTROY,
+      removalPolicy: production ? cdk.RemovalPolicy.RETAIN : cdk.RemovalPolicy.DESTROY,
+      pointInTimeRecoverySpecification: { pointInTimeRecoveryEnabled: production },
       timeToLiveAttribute: 'ttl'
     });
 
@@ -206,6 +260,37 @@ function handler(event) {
       }
     });
 
+    // Fixed-window rate limit counters for the REST API, keyed by route + userId / source IP
+    const rateLimitTable = new dynamodb.Table(this, 'RateLimitTable', {
+      partitionKey: {
+        name: 'key',
+        type: dynamodb.AttributeType.STRING
+      },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.DESTROY,
+      timeToLiveAttribute: 'ttl'
+    });
+
+    rateLimitTable.grantReadWriteData(connectLambda);
+    connectLambda.addEnvironment('RATE_LIMIT_TABLE_NAME', rateLimitTable.tableName);
+    if (props.rateLimits) {
+      connectLambda.addEnvironment('RATE_LIMITS', JSON.stringify(props.rateLimits));
+    }
+
+    // Responses of start-chat/start-voice/downgrade requests, replayed for repeats of their Idempotency-Key
+    const idempotencyTable = new dynamodb.Table(this, 'IdempotencyTable', {
+      partitionKey: {
+        name: 'key',
+        type: dynamodb.AttributeType.STRING
+      },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.DESTROY,
+      timeToLiveAttribute: 'ttl'
+    });
+
+    idempotencyTable.grantReadWriteData(connectLambda);
+    connectLambda.addEnvironment('IDEMPOTENCY_TABLE_NAME', idempotencyTable.tableName);
+
     // Single WebSocket Lambda function to handle all routes
     const wsLambda = new lambda.Function(this, 'WebSocketLambda', {
       runtime: lambda.Runtime.NODEJS_18_X,
@@ -237,7 +322,7 @@ function handler(event) {
     );
 
     this.websocketApi = new apigatewayv2.WebSocketApi(this, 'WebSocketApi', {
-      apiName: 'Connect Multimodal WebSocket API',
+      apiName: `Connect Multimodal WebSocket API (${props.stage})`,
       description: 'WebSocket API for real-time chat contact delivery',
       connectRouteOptions: { integration: connectIntegration },
       disconnectRouteOptions: { integration: disconnectIntegration },
@@ -266,9 +351,10 @@ function handler(event) {
     const contactEventLambda = new lambda.Function(this, 'ContactEventLambda', {
       runtime: lambda.Runtime.NODEJS_18_X,
       handler: 'index.handler',
-      code: lambda.Code.fromAsset(path.join(__dirname, '../../lambda-contact-event')),
+      code: sharedLambdaCode('lambda-contact-event'),
       environment: {
         CONNECT_INSTANCE_ID: props.connectInstanceId,
+        CONNECT_CONTACT_FLOW_ID: props.connectContactFlowId,
         CONNECTIONS_TABLE_NAME: this.connectionsTable.tableName,
         WEBSOCKET_API_ENDPOINT: `https://${this.websocketApi.apiId}.execute-api.${this.region}.amazonaws.com/${wsStage.stageName}`
       },
@@ -294,16 +380,21 @@ function handler(event) {
       })
     );
 
+    // Contact events from every Connect instance in the account reach the
+    // default bus, so each stage's rules only match its own instance
+    const instanceArn = `arn:aws:connect:${this.region}:${this.account}:instance/${props.connectInstanceId}`;
+
     // EventBridge rule for Connect CONNECTED_TO_AGENT events (VOICE)
     const voiceAgentConnectedRule = new events.Rule(this, 'VoiceAgentConnectedRule', {
-      ruleName: 'connect-voice-agent-connected-rule',
+      ruleName: `connect-voice-agent-connected-rule-${props.stage}`,
       description: 'Captures Connect CONNECTED_TO_AGENT events for voice contacts',
       eventPattern: {
         source: ['aws.connect'],
         detailType: ['Amazon Connect Contact Event'],
         detail: {
           eventType: ['CONNECTED_TO_AGENT'],
-          channel: ['VOICE']
+          channel: ['VOICE'],
+          instanceArn: [instanceArn]
         }
       }
     });
@@ -313,14 +404,15 @@ function handler(event) {
 
     // EventBridge rule for Connect CONNECTED_TO_AGENT events (CHAT)
     const chatAgentConnectedRule = new events.Rule(this, 'ChatAgentConnectedRule', {
-      ruleName: 'connect-chat-agent-connected-rule',
+      ruleName: `connect-chat-agent-connected-rule-${props.stage}`,
       description: 'Captures Connect CONNECTED_TO_AGENT events for chat contacts',
       eventPattern: {
         source: ['aws.connect'],
         detailType: ['Amazon Connect Contact Event'],
         detail: {
           eventType: ['CONNECTED_TO_AGENT'],
-          channel: ['CHAT']
+          channel: ['CHAT'],
+          instanceArn: [instanceArn]
         }
       }
     });
@@ -328,24 +420,71 @@ function handler(event) {
     // Add Lambda as target for chat agent connected rule
     chatAgentConnectedRule.addTarget(new targets.LambdaFunction(contactEventLambda));
 
+    // Agent event stream - contact events have no hold/resume, agent snapshots do.
+    // The contact event Lambda turns CONNECTED_ONHOLD changes on voice contacts
+    // into CALL_HOLD_CHANGED messages for the customer's widget. An instance has
+    // only one agent event stream, so an instance that already has one is read
+    // from, never reconfigured.
+    let agentEventStream: kinesis.IStream | undefined;
+    if (props.agentEventStream?.streamArn) {
+      agentEventStream = kinesis.Stream.fromStreamArn(this, 'AgentEventStream', props.agentEventStream.streamArn);
+    } else if (props.agentEventStream?.create) {
+      agentEventStream = new kinesis.Stream(this, 'AgentEventStream', {
+        streamMode: kinesis.StreamMode.ON_DEMAND,
+        retentionPeriod: cdk.Duration.hours(24)
+      });
+
+      new connect.CfnInstanceStorageConfig(this, 'AgentEventStreamConfig', {
+        instanceArn,
+        resourceType: 'AGENT_EVENTS',
+        storageType: 'KINESIS_STREAM',
+        kinesisStreamConfig: { streamArn: agentEventStream.streamArn }
+      });
+    }
+
+    if (agentEventStream) {
+      contactEventLambda.addEventSource(new lambdaEventSources.KinesisEventSource(agentEventStream, {
+        startingPosition: lambda.StartingPosition.LATEST,
+        batchSize: 100,
+        maxBatchingWindow: cdk.Duration.seconds(1),
+        retryAttempts: 2
+      }));
+    }
+
     // Chat Routing Lambda - determines which queue to route chat to
     const chatRoutingLambda = new lambda.Function(this, 'ChatRoutingLambda', {
       runtime: lambda.Runtime.NODEJS_18_X,
       handler: 'index.handler',
-      code: lambda.Code.fromAsset(path.join(__dirname, '../../lambda-chat-routing')),
+      code: sharedLambdaCode('lambda-chat-routing'),
       environment: {
         CONNECT_INSTANCE_ID: props.connectInstanceId,
-        DEFAULT_QUEUE_ARN: 'arn:aws:connect:us-west-2:319849630214:instance/602d4c63-50be-4b56-ac69-6068140d5a61/queue/b3afe3a2-0fb3-45ba-ac71-32cce1fac074',
+        DEFAULT_QUEUE_ARN: `${instanceArn}/queue/${props.connectDefaultQueueId}`,
         AWS_ACCOUNT_ID: this.account
       },
       timeout: cdk.Duration.seconds(30)
     });
 
+    // Routing rules name queues by ID; the Lambda gets ARNs on this stage's instance
+    if (props.routingRules?.length) {
+      chatRoutingLambda.addEnvironment('ROUTING_RULES', this.toJsonString(
+        props.routingRules.map(({ queueId, ...rule }) => ({ ...rule, queueArn: `${instanceArn}/queue/${queueId}` }))
+      ));
+    }
+    if (props.escalationFallback?.queueId) {
+      chatRoutingLambda.addEnvironment('ESCALATION_FALLBACK_QUEUE_ARN', `${instanceArn}/queue/${props.escalationFallback.queueId}`);
+    }
+    if (props.escalationFallback?.waitSeconds) {
+      chatRoutingLambda.addEnvironment('ESCALATION_WAIT_SECONDS', String(props.escalationFallback.waitSeconds));
+    }
+    if (props.escalationFallback?.routableStatuses?.length) {
+      chatRoutingLambda.addEnvironment('ROUTABLE_AGENT_STATUSES', this.toJsonString(props.escalationFallback.routableStatuses));
+    }
+
     // Grant permissions to chat routing Lambda
     chatRoutingLambda.addToRolePolicy(
       new iam.PolicyStatement({
         effect: iam.Effect.ALLOW,
-        actions: ['connect:DescribeContact'],
+        actions: ['connect:DescribeContact', 'connect:GetCurrentUserData'],
         resources: ['*']
       })
     );
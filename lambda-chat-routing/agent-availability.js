@@ -0,0 +1,109 @@
+// Agent availability for same-agent routing
+// An escalated contact only goes to the personal queue of the agent on the
+// related contact when that agent could actually be offered it: logged in, in
+// a routable status, not about to change status, not stuck on a missed contact
+// and with a free slot on the contact's channel. Anything else comes back with
+// a reason the router records on the flow response.
+
+const { ConfigurationError } = require('connect-multimodal-shared');
+
+// Name of Connect's built-in routable status. GetCurrentUserData reports status
+// names only, so instances that rename it list their names in ROUTABLE_AGENT_STATUSES.
+const DEFAULT_ROUTABLE_STATUSES = ['Available'];
+
+// Contact states that block new offers until the agent clears them
+const BLOCKING_CONTACT_STATES = ['MISSED', 'ERROR', 'REJECTED'];
+
+/**
+ * Parses the ROUTABLE_AGENT_STATUSES environment variable
+ * @param {string} [json] - JSON array of agent status names
+ * @returns {string[]} - Routable status names; DEFAULT_ROUTABLE_STATUSES when unset
+ * @throws {ConfigurationError} When the value is not a non-empty array of names
+ */
+function parseRoutableStatuses(json) {
+  if (!json) {
+    return DEFAULT_ROUTABLE_STATUSES;
+  }
+
+  let statuses;
+  try {
+    statuses = JSON.parse(json);
+  } catch (error) {
+    throw new ConfigurationError([`ROUTABLE_AGENT_STATUSES is not valid JSON: ${error.message}`]);
+  }
+  if (!Array.isArray(statuses) || !statuses.length
+    || !statuses.every(status => typeof status === 'string' && status.trim() !== '')) {
+    throw new ConfigurationError(['ROUTABLE_AGENT_STATUSES must be a non-empty array of status names']);
+  }
+  return statuses;
+}
+
+/**
+ * Decides whether an agent can take a new contact on a channel
+ * @param {Object|undefined} userData - The agent's GetCurrentUserData entry; undefined when not logged in
+ * @param {string} channel - Channel of the contact being routed (VOICE, CHAT)
+ * @param {string[]} [routableStatuses] - Status names that receive contacts
+ * @returns {{available: boolean, reason?: string, canWait?: boolean}} - canWait is true when the
+ *   agent is logged in and may free up, so a timed wait in their queue is worthwhile
+ */
+function assessAgentAvailability(userData, channel, routableStatuses = DEFAULT_ROUTABLE_STATUSES) {
+  if (!userData || userData.Status?.StatusName === 'Offline') {
+    return { available: false, reason: 'agent-offline', canWait: false };
+  }
+
+  if (!routableStatuses.includes(userData.Status?.StatusName) || userData.NextStatus) {
+    return { available: false, reason: 'agent-not-routable', canWait: true };
+  }
+
+  if ((userData.Contacts || []).some(contact => BLOCKING_CONTACT_STATES.includes(contact.AgentContactState))) {
+    return { available: false, reason: 'agent-missed-contact', canWait: true };
+  }
+
+  if (!(userData.AvailableSlotsByChannel?.[channel] > 0)) {
+    return { available: false, reason: 'agent-at-capacity', canWait: true };
+  }
+
+  return { available: true };
+}
+
+/**
+ * Looks up an agent's real-time status and contacts and assesses them
+ * A failed lookup is reported as agent-status-unknown rather than thrown, so
+ * the router can still fall back.
+ * @param {Object} contactCenter - Contact-center adapter
+ * @param {string} agentId - Agent ID
+ * @param {string} channel - Channel of the contact being routed
+ * @param {string[]} [routableStatuses] - Status names that receive contacts
+ * @returns {Promise<{available: boolean, reason?: string, canWait?: boolean}>}
+ */
+async function checkAgentAvailability(contactCenter, agentId, channel, routableStatuses) {
+  let userData;
+  try {
+    const response = await contactCenter.getCurrentUserData({
+      Filters: { Agents: [agentId] }
+    });
+    userData = (response.UserDataList || []).find(data => data.User?.Id === agentId);
+  } catch (error) {
+    console.error('Failed to get current user data for agent:', agentId, error.message);
+    return { available: false, reason: 'agent-status-unknown', canWait: true };
+  }
+
+  const availability = assessAgentAvailability(userData, channel, routableStatuses);
+  console.log('Agent availability:', {
+    agentId,
+    channel,
+    status: userData?.Status?.StatusName,
+    nextStatus: userData?.NextStatus,
+    activeContacts: userData?.Contacts?.length ?? 0,
+    availableSlots: userData?.AvailableSlotsByChannel?.[channel],
+    ...availability
+  });
+  return availability;
+}
+
+module.exports = {
+  DEFAULT_ROUTABLE_STATUSES,
+  parseRoutableStatuses,
+  assessAgentAvailability,
+  checkAgentAvailability
+};
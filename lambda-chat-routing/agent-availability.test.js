@@ -0,0 +1,65 @@
+const { parseRoutableStatuses, assessAgentAvailability, checkAgentAvailability } = require('./agent-availability');
+
+// GetCurrentUserData entry for an idle agent in the Available status
+const userData = (overrides = {}) => ({
+  User: { Id: 'agent-789' },
+  Status: { StatusName: 'Available' },
+  AvailableSlotsByChannel: { VOICE: 1, CHAT: 2 },
+  Contacts: [],
+  ...overrides
+});
+
+describe('Agent availability', () => {
+  beforeEach(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  test('should accept an Available agent with a free slot on the channel', () => {
+    expect(assessAgentAvailability(userData(), 'VOICE')).toEqual({ available: true });
+    expect(assessAgentAvailability(userData({ AvailableSlotsByChannel: { VOICE: 0, CHAT: 1 } }), 'CHAT'))
+      .toEqual({ available: true });
+  });
+
+  test('should not wait for agents who are logged out', () => {
+    expect(assessAgentAvailability(undefined, 'VOICE'))
+      .toEqual({ available: false, reason: 'agent-offline', canWait: false });
+    expect(assessAgentAvailability(userData({ Status: { StatusName: 'Offline' } }), 'VOICE'))
+      .toEqual({ available: false, reason: 'agent-offline', canWait: false });
+  });
+
+  test('should report why a logged-in agent cannot take the contact', () => {
+    const reasonFor = (data) => assessAgentAvailability(userData(data), 'VOICE').reason;
+
+    expect(reasonFor({ Status: { StatusName: 'Break' } })).toBe('agent-not-routable');
+    expect(reasonFor({ NextStatus: 'Lunch' })).toBe('agent-not-routable');
+    expect(reasonFor({ Contacts: [{ ContactId: 'c-1', Channel: 'VOICE', AgentContactState: 'MISSED' }] }))
+      .toBe('agent-missed-contact');
+    expect(reasonFor({ AvailableSlotsByChannel: { VOICE: 0, CHAT: 2 } })).toBe('agent-at-capacity');
+    expect(reasonFor({ AvailableSlotsByChannel: undefined })).toBe('agent-at-capacity');
+  });
+
+  test('should accept renamed or additional routable statuses', () => {
+    const routableStatuses = parseRoutableStatuses('["Ready", "Ready - Overflow"]');
+
+    expect(assessAgentAvailability(userData({ Status: { StatusName: 'Ready - Overflow' } }), 'VOICE', routableStatuses))
+      .toEqual({ available: true });
+    expect(assessAgentAvailability(userData(), 'VOICE', routableStatuses).reason).toBe('agent-not-routable');
+    expect(parseRoutableStatuses(undefined)).toEqual(['Available']);
+    expect(() => parseRoutableStatuses('[]')).toThrow('ROUTABLE_AGENT_STATUSES must be a non-empty array');
+  });
+
+  test('should look up the agent and treat lookup failures as unknown status', async () => {
+    const contactCenter = {
+      getCurrentUserData: jest.fn()
+        .mockResolvedValueOnce({ UserDataList: [userData()] })
+        .mockRejectedValueOnce(new Error('Rate exceeded'))
+    };
+
+    await expect(checkAgentAvailability(contactCenter, 'agent-789', 'VOICE')).resolves.toEqual({ available: true });
+    expect(contactCenter.getCurrentUserData).toHaveBeenCalledWith({ Filters: { Agents: ['agent-789'] } });
+
+    await expect(checkAgentAvailability(contactCenter, 'agent-789', 'VOICE'))
+      .resolves.toEqual({ available: false, reason: 'agent-status-unknown', canWait: true });
+  });
+});
@@ -1,8 +1,29 @@
-const { ConnectClient, DescribeContactCommand } = require('@aws-sdk/client-connect');
+const connectSdk = require('@aws-sdk/client-connect');
+const { createContactCenter, requireEnv, ConfigurationError, ContactNotFoundError, ConnectAccessDeniedError } = require('connect-multimodal-shared');
+const { parseRoutingRules, selectRoute } = require('./routing-engine');
+const { parseRoutableStatuses, checkAgentAvailability } = require('./agent-availability');
 
-const connectClient = new ConnectClient({});
-const INSTANCE_ID = process.env.CONNECT_INSTANCE_ID;
-const DEFAULT_QUEUE_ARN = process.env.DEFAULT_QUEUE_ARN || 'arn:aws:connect:us-west-2:319849630214:instance/602d4c63-50be-4b56-ac69-6068140d5a61/queue/b3afe3a2-0fb3-45ba-ac71-32cce1fac074';
+// Set by the CDK stack from the central configuration; a cold start without
+// them fails rather than routing contacts to an unknown queue
+const {
+  CONNECT_INSTANCE_ID: INSTANCE_ID,
+  DEFAULT_QUEUE_ARN
+} = requireEnv(['CONNECT_INSTANCE_ID', 'DEFAULT_QUEUE_ARN']);
+
+// Attribute routing rules in priority order; an invalid rule fails the cold start too
+const ROUTING_RULES = parseRoutingRules(process.env.ROUTING_RULES);
+
+// Where escalations go when their agent cannot take them (optional; the
+// routing rules and default queue apply otherwise), and how long a contact may
+// wait in the agent's queue for a busy agent before overflowing there
+const ESCALATION_FALLBACK_QUEUE_ARN = process.env.ESCALATION_FALLBACK_QUEUE_ARN;
+const ESCALATION_WAIT_SECONDS = parseWaitSeconds(process.env.ESCALATION_WAIT_SECONDS);
+
+// Agent status names that count as routable on this instance
+const ROUTABLE_AGENT_STATUSES = parseRoutableStatuses(process.env.ROUTABLE_AGENT_STATUSES);
+
+// Live Connect instance, or the local emulator when CONNECT_EMULATOR=true
+const contactCenter = createContactCenter({ instanceId: INSTANCE_ID, sdk: connectSdk });
 
 exports.handler = async (event) => {
   console.log('=== Routing Lambda ===');
@@ -17,32 +38,31 @@ exports.handler = async (event) => {
     console.log('Channel:', Channel);
     console.log('Attributes:', Attributes);
 
-    // Check if this is an escalated contact with a related contact ID
-    if (!isEscalatedContact(Attributes)) {
-      console.log('Not an escalated contact, using default queue');
-      return {
-        queueArn: DEFAULT_QUEUE_ARN
-      };
-    }
-
-    const relatedContactId = Attributes.relatedContactId;
-    console.log('Processing escalated contact with related contact:', relatedContactId);
+    // Escalated contacts, and chats started by downgrading a call, stay with
+    // the agent of the related contact, ahead of any rule
+    if (isEscalatedContact(Attributes)) {
+      const relatedContactId = Attributes.relatedContactId;
+      console.log('Processing escalated contact with related contact:', relatedContactId, {
+        downgradedFrom: Attributes.DowngradedFromContactId
+      });
 
-    // Attempt to route to the same agent handling the related contact
-    const agentQueueArn = await routeToSameAgent(relatedContactId);
+      // Attempt to route to the same agent handling the related contact
+      const agentRoute = await routeToSameAgent(relatedContactId, Channel || 'VOICE');
 
-    if (agentQueueArn) {
-      console.log('Successfully routing to agent queue:', agentQueueArn);
-      return {
-        queueArn: agentQueueArn
-      };
-    } else {
-      console.log('Agent routing failed, falling back to default queue');
-      return {
-        queueArn: DEFAULT_QUEUE_ARN
-      };
+      if (agentRoute?.availability.available) {
+        console.log('Successfully routing to agent queue:', agentRoute.queueArn);
+        return {
+          queueArn: agentRoute.queueArn
+        };
+      }
+      if (agentRoute) {
+        return routeAroundUnavailableAgent(agentRoute, Attributes);
+      }
+      console.log('Agent routing failed, falling back to routing rules');
     }
 
+    return routeByAttributes(Attributes);
+
   } catch (error) {
     console.error('=== ERROR in routing ===');
     console.error('Error:', error);
@@ -59,12 +79,9 @@ async function getContactDetails(contactId) {
   console.log('Getting contact details for:', contactId);
 
   try {
-    const command = new DescribeContactCommand({
-      InstanceId: INSTANCE_ID,
+    const response = await contactCenter.describeContact({
       ContactId: contactId
     });
-
-    const response = await connectClient.send(command);
     
     if (!response.Contact) {
       console.warn('No contact found for ID:', contactId);
@@ -95,9 +112,9 @@ async function getContactDetails(contactId) {
     console.error('Failed to get contact details for:', contactId, error);
     
     // Log specific error types for better debugging
-    if (error.name === 'ResourceNotFoundException') {
+    if (error instanceof ContactNotFoundError) {
       console.error('Contact not found:', contactId);
-    } else if (error.name === 'AccessDeniedException') {
+    } else if (error instanceof ConnectAccessDeniedError) {
       console.error('Access denied when retrieving contact:', contactId);
     } else {
       console.error('Unexpected error retrieving contact:', error.message);
@@ -135,6 +152,76 @@ function getAgentQueueArn(agentId) {
   return agentQueueArn;
 }
 
+/**
+ * Picks the queue from the routing rules, or the default queue when none matches
+ * @param {Object} attributes - Contact attributes
+ * @returns {{queueArn: string, routingRule?: string}} - Flow response; routingRule names the matching rule
+ */
+function routeByAttributes(attributes) {
+  const route = selectRoute(ROUTING_RULES, attributes);
+
+  if (route) {
+    console.log('Routing rule matched:', route);
+    return {
+      queueArn: route.queueArn,
+      routingRule: route.id
+    };
+  }
+
+  console.log('No routing rule matched, using default queue');
+  return {
+    queueArn: DEFAULT_QUEUE_ARN
+  };
+}
+
+/**
+ * Routes an escalated contact whose agent cannot take it
+ * A logged-in agent who may free up keeps the contact for ESCALATION_WAIT_SECONDS
+ * (the flow's queue loop then moves it to overflowQueueArn); otherwise it goes
+ * straight to the fallback queue. routingReason tells the flow why.
+ * @param {{queueArn: string, availability: Object}} agentRoute - Result of routeToSameAgent
+ * @param {Object} attributes - Contact attributes
+ * @returns {Object} - Flow response
+ */
+function routeAroundUnavailableAgent(agentRoute, attributes) {
+  const { reason, canWait } = agentRoute.availability;
+  const fallback = ESCALATION_FALLBACK_QUEUE_ARN
+    ? { queueArn: ESCALATION_FALLBACK_QUEUE_ARN }
+    : routeByAttributes(attributes);
+
+  if (canWait && ESCALATION_WAIT_SECONDS) {
+    console.log(`Agent cannot take the contact yet (${reason}), waiting ${ESCALATION_WAIT_SECONDS}s in agent queue before overflowing to:`, fallback.queueArn);
+    return {
+      queueArn: agentRoute.queueArn,
+      waitSeconds: String(ESCALATION_WAIT_SECONDS),
+      overflowQueueArn: fallback.queueArn,
+      routingReason: reason
+    };
+  }
+
+  console.log(`Agent cannot take the contact (${reason}), routing to fallback queue:`, fallback.queueArn);
+  return {
+    ...fallback,
+    routingReason: reason
+  };
+}
+
+/**
+ * Parses ESCALATION_WAIT_SECONDS
+ * @param {string} [value] - Whole number of seconds; unset or 0 disables the timed wait
+ * @returns {number}
+ * @throws {ConfigurationError} When the value is not a whole number
+ */
+function parseWaitSeconds(value) {
+  if (!value) {
+    return 0;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new ConfigurationError([`ESCALATION_WAIT_SECONDS must be a whole number of seconds: ${value}`]);
+  }
+  return Number(value);
+}
+
 /**
  * Checks if a contact is an escalated contact by looking for relatedContactId attribute
  * @param {Object} attributes - Contact attributes
@@ -152,9 +239,11 @@ function isEscalatedContact(attributes) {
 /**
  * Attempts to route an escalated contact to the same agent handling the related contact
  * @param {string} relatedContactId - The ID of the related contact
- * @returns {Promise<string|null>} - Agent queue ARN or null if routing fails
+ * @param {string} channel - Channel of the escalated contact
+ * @returns {Promise<{queueArn: string, availability: Object}|null>} - Agent queue ARN with the
+ *   agent's availability, or null if there is no agent to route to
  */
-async function routeToSameAgent(relatedContactId) {
+async function routeToSameAgent(relatedContactId, channel) {
   try {
     console.log('Attempting to route to same agent for related contact:', relatedContactId);
 
@@ -183,8 +272,14 @@ async function routeToSameAgent(relatedContactId) {
       return null;
     }
 
+    // A personal queue accepts contacts even when its agent is logged out or busy
+    const availability = await checkAgentAvailability(contactCenter, agentId, channel, ROUTABLE_AGENT_STATUSES);
+
     console.log('Successfully prepared routing to agent queue:', agentQueueArn);
-    return agentQueueArn;
+    return {
+      queueArn: agentQueueArn,
+      availability
+    };
 
   } catch (error) {
     console.error('Error in routeToSameAgent:', error);
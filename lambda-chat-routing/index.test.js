@@ -5,7 +5,21 @@ process.env = {
   CONNECT_INSTANCE_ID: 'test-instance-id',
   AWS_REGION: 'us-west-2',
   AWS_ACCOUNT_ID: '123456789012',
-  DEFAULT_QUEUE_ARN: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/default-queue'
+  DEFAULT_QUEUE_ARN: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/default-queue',
+  ROUTING_RULES: JSON.stringify([
+    {
+      id: 'ev-korean',
+      queueArn: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/ev-korean',
+      match: { vehicleModel: ['IONIQ 5', 'IONIQ 6'], language: 'ko' }
+    },
+    {
+      id: 'premium',
+      queueArn: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/premium',
+      match: { customerTier: 'premium' }
+    }
+  ]),
+  ESCALATION_FALLBACK_QUEUE_ARN: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/escalations',
+  ESCALATION_WAIT_SECONDS: '60'
 };
 
 // Mock AWS SDK
@@ -14,9 +28,21 @@ jest.mock('@aws-sdk/client-connect', () => ({
   ConnectClient: jest.fn(() => ({
     send: mockDescribeContact
   })),
-  DescribeContactCommand: jest.fn((params) => params)
+  DescribeContactCommand: jest.fn((params) => params),
+  GetCurrentUserDataCommand: jest.fn((params) => params)
 }));
 
+// GetCurrentUserData response for an agent who can take a voice contact
+const availableAgent = (agentId, userData = {}) => ({
+  UserDataList: [{
+    User: { Id: agentId },
+    Status: { StatusName: 'Available' },
+    AvailableSlotsByChannel: { VOICE: 1, CHAT: 2 },
+    Contacts: [{ ContactId: 'chat-contact-456', Channel: 'CHAT', AgentContactState: 'CONNECTED' }],
+    ...userData
+  }]
+});
+
 const { handler } = require('./index');
 
 describe('Routing Lambda - Agent Continuity', () => {
@@ -42,19 +68,21 @@ describe('Routing Lambda - Agent Continuity', () => {
         }
       };
 
-      mockDescribeContact.mockResolvedValue({
-        Contact: {
-          Id: 'chat-contact-456',
-          Channel: 'CHAT',
-          AgentInfo: {
-            Id: 'agent-789',
-            Arn: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/agent/agent-789'
-          },
-          QueueInfo: {
-            Id: 'queue-123'
+      mockDescribeContact
+        .mockResolvedValueOnce({
+          Contact: {
+            Id: 'chat-contact-456',
+            Channel: 'CHAT',
+            AgentInfo: {
+              Id: 'agent-789',
+              Arn: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/agent/agent-789'
+            },
+            QueueInfo: {
+              Id: 'queue-123'
+            }
           }
-        }
-      });
+        })
+        .mockResolvedValueOnce(availableAgent('agent-789'));
 
       // Act
       const result = await handler(event);
@@ -63,10 +91,20 @@ describe('Routing Lambda - Agent Continuity', () => {
       expect(result).toEqual({
         queueArn: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/agent-789'
       });
-      expect(mockDescribeContact).toHaveBeenCalledWith({
-        InstanceId: 'test-instance-id',
-        ContactId: 'chat-contact-456'
-      });
+      expect(mockDescribeContact).toHaveBeenCalledWith(
+        {
+          InstanceId: 'test-instance-id',
+          ContactId: 'chat-contact-456'
+        },
+        expect.objectContaining({ abortSignal: expect.anything() })
+      );
+      expect(mockDescribeContact).toHaveBeenCalledWith(
+        {
+          InstanceId: 'test-instance-id',
+          Filters: { Agents: ['agent-789'] }
+        },
+        expect.objectContaining({ abortSignal: expect.anything() })
+      );
     });
 
     test('should use default queue when no related contact ID provided', async () => {
@@ -178,7 +216,172 @@ describe('Routing Lambda - Agent Continuity', () => {
     });
   });
 
+  describe('Attribute Routing', () => {
+    const EV_KOREAN_QUEUE = 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/ev-korean';
+
+    const routingEvent = (attributes) => ({
+      Details: {
+        ContactData: {
+          ContactId: 'chat-contact-123',
+          Channel: 'CHAT',
+          Attributes: attributes
+        }
+      }
+    });
+
+    test('should route to the queue of the first matching rule', async () => {
+      const result = await handler(routingEvent({ vehicleModel: 'IONIQ 6', language: 'ko-KR', customerTier: 'premium' }));
+
+      expect(result).toEqual({ queueArn: EV_KOREAN_QUEUE, routingRule: 'ev-korean' });
+      expect(mockDescribeContact).not.toHaveBeenCalled();
+    });
+
+    test('should keep escalated contacts with the same agent ahead of matching rules', async () => {
+      mockDescribeContact
+        .mockResolvedValueOnce({ Contact: { Id: 'chat-contact-456', AgentInfo: { Id: 'agent-789' } } })
+        .mockResolvedValueOnce(availableAgent('agent-789'));
+
+      const result = await handler(routingEvent({ relatedContactId: 'chat-contact-456', vehicleModel: 'IONIQ 6', language: 'ko' }));
+
+      expect(result).toEqual({
+        queueArn: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/agent-789'
+      });
+    });
+
+    test('should apply the rules when same-agent routing is not possible', async () => {
+      mockDescribeContact.mockResolvedValue({
+        Contact: { Id: 'chat-contact-456' }
+      });
+
+      const result = await handler(routingEvent({ relatedContactId: 'chat-contact-456', vehicleModel: 'IONIQ 6', language: 'ko' }));
+
+      expect(result).toEqual({ queueArn: EV_KOREAN_QUEUE, routingRule: 'ev-korean' });
+    });
+  });
+
+  describe('Agent Availability', () => {
+    const AGENT_QUEUE = 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/agent-789';
+    const FALLBACK_QUEUE = 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/escalations';
+
+    const escalationEvent = {
+      Details: {
+        ContactData: {
+          ContactId: 'voice-contact-123',
+          Channel: 'VOICE',
+          Attributes: { relatedContactId: 'chat-contact-456' }
+        }
+      }
+    };
+
+    const mockRelatedContact = () => mockDescribeContact
+      .mockResolvedValueOnce({ Contact: { Id: 'chat-contact-456', AgentInfo: { Id: 'agent-789' } } });
+    const mockAgentStatus = (userData) => mockRelatedContact().mockResolvedValueOnce(userData);
+
+    test('should send escalations for a logged-out agent to the fallback queue', async () => {
+      mockAgentStatus({ UserDataList: [] });
+
+      const result = await handler(escalationEvent);
+
+      expect(result).toEqual({ queueArn: FALLBACK_QUEUE, routingReason: 'agent-offline' });
+    });
+
+    test('should wait in the agent queue and overflow when the agent is busy', async () => {
+      mockAgentStatus(availableAgent('agent-789', { AvailableSlotsByChannel: { VOICE: 0, CHAT: 0 } }));
+
+      const result = await handler(escalationEvent);
+
+      expect(result).toEqual({
+        queueArn: AGENT_QUEUE,
+        waitSeconds: '60',
+        overflowQueueArn: FALLBACK_QUEUE,
+        routingReason: 'agent-at-capacity'
+      });
+    });
+
+    test('should wait for the agent when their status cannot be read', async () => {
+      mockRelatedContact().mockRejectedValueOnce(new Error('Rate exceeded'));
+
+      const result = await handler(escalationEvent);
+
+      expect(result).toMatchObject({ queueArn: AGENT_QUEUE, routingReason: 'agent-status-unknown' });
+    });
+
+    test('should check chat capacity for a chat started by downgrading a call', async () => {
+      mockDescribeContact
+        .mockResolvedValueOnce({ Contact: { Id: 'voice-contact-123', Channel: 'VOICE', AgentInfo: { Id: 'agent-789' } } })
+        .mockResolvedValueOnce(availableAgent('agent-789', { AvailableSlotsByChannel: { VOICE: 0, CHAT: 1 } }));
+
+      const result = await handler({
+        Details: {
+          ContactData: {
+            ContactId: 'chat-contact-789',
+            Channel: 'CHAT',
+            Attributes: { relatedContactId: 'voice-contact-123', DowngradedFromContactId: 'voice-contact-123' }
+          }
+        }
+      });
+
+      expect(result).toEqual({ queueArn: AGENT_QUEUE });
+    });
+
+    test('should use the routing rules when no fallback queue is configured', async () => {
+      const fallbackQueueArn = process.env.ESCALATION_FALLBACK_QUEUE_ARN;
+      delete process.env.ESCALATION_FALLBACK_QUEUE_ARN;
+
+      let routeWithoutFallback;
+      try {
+        jest.isolateModules(() => {
+          routeWithoutFallback = require('./index').handler;
+        });
+      } finally {
+        process.env.ESCALATION_FALLBACK_QUEUE_ARN = fallbackQueueArn;
+      }
+      mockAgentStatus({ UserDataList: [] });
+
+      const result = await routeWithoutFallback({
+        Details: {
+          ContactData: {
+            ...escalationEvent.Details.ContactData,
+            Attributes: { relatedContactId: 'chat-contact-456', customerTier: 'premium' }
+          }
+        }
+      });
+
+      expect(result).toEqual({
+        queueArn: 'arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/premium',
+        routingRule: 'premium',
+        routingReason: 'agent-offline'
+      });
+    });
+  });
+
   describe('Error Handling', () => {
+    test('should refuse to load with an invalid escalation wait', () => {
+      const waitSeconds = process.env.ESCALATION_WAIT_SECONDS;
+      process.env.ESCALATION_WAIT_SECONDS = 'a minute';
+
+      try {
+        jest.isolateModules(() => {
+          expect(() => require('./index')).toThrow('ESCALATION_WAIT_SECONDS must be a whole number of seconds');
+        });
+      } finally {
+        process.env.ESCALATION_WAIT_SECONDS = waitSeconds;
+      }
+    });
+
+    test('should refuse to load without a default queue', () => {
+      const defaultQueueArn = process.env.DEFAULT_QUEUE_ARN;
+      delete process.env.DEFAULT_QUEUE_ARN;
+
+      try {
+        jest.isolateModules(() => {
+          expect(() => require('./index')).toThrow('DEFAULT_QUEUE_ARN environment variable is not set');
+        });
+      } finally {
+        process.env.DEFAULT_QUEUE_ARN = defaultQueueArn;
+      }
+    });
+
     test('should handle missing environment variables gracefully', async () => {
       // Arrange
       const originalRegion = process.env.AWS_REGION;
@@ -248,14 +451,16 @@ describe('Routing Lambda - Agent Continuity', () => {
         }
       };
 
-      mockDescribeContact.mockResolvedValue({
-        Contact: {
-          Id: 'chat-contact-456',
-          AgentInfo: {
-            Id: 'agent-789'
+      mockDescribeContact
+        .mockResolvedValueOnce({
+          Contact: {
+            Id: 'chat-contact-456',
+            AgentInfo: {
+              Id: 'agent-789'
+            }
           }
-        }
-      });
+        })
+        .mockResolvedValueOnce(availableAgent('agent-789'));
 
       // Act
       const result = await handler(event);
@@ -0,0 +1,114 @@
+// Attribute-based routing rules
+// Rules come from the central configuration (routing.rules) and reach the
+// Lambda as ROUTING_RULES, with queue IDs already turned into ARNs by the stack.
+// They are checked in order and the first rule whose conditions all match the
+// contact's attributes picks the queue. Same-agent routing for escalated
+// contacts runs before any rule; the default queue catches everything else.
+
+const { ConfigurationError } = require('connect-multimodal-shared');
+
+// Contact attribute -> normalizer; rules may only match on these
+const ROUTING_ATTRIBUTES = {
+  vehicleModel: value => value.trim().toLowerCase(),
+  // en-US and en_GB both match a rule for "en"
+  language: value => value.trim().toLowerCase().split(/[-_]/)[0],
+  customerTier: value => value.trim().toLowerCase(),
+  intent: value => value.trim().toLowerCase()
+};
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+function validateRule(rule, index) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`rule ${index} must be an object`];
+  }
+
+  const label = isNonEmptyString(rule.id) ? `rule "${rule.id}"` : `rule ${index}`;
+  const problems = [];
+
+  if (!isNonEmptyString(rule.id)) {
+    problems.push(`${label} needs an id`);
+  }
+  if (!isNonEmptyString(rule.queueArn) || !rule.queueArn.startsWith('arn:aws:connect:')) {
+    problems.push(`${label} needs a Connect queueArn`);
+  }
+
+  const match = rule.match;
+  if (!match || typeof match !== 'object' || Array.isArray(match) || !Object.keys(match).length) {
+    problems.push(`${label} needs at least one condition in match`);
+    return problems;
+  }
+
+  for (const [attribute, expected] of Object.entries(match)) {
+    const values = [].concat(expected);
+    if (!ROUTING_ATTRIBUTES[attribute]) {
+      problems.push(`${label} matches on ${attribute}, which is not a routing attribute (${Object.keys(ROUTING_ATTRIBUTES).join(', ')})`);
+    } else if (!values.length || !values.every(isNonEmptyString)) {
+      problems.push(`${label} must match ${attribute} against a string or a list of strings`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Parses and validates the ROUTING_RULES environment variable
+ * @param {string} [json] - JSON array of { id, queueArn, match: { attribute: value | [values] } }
+ * @returns {Array<{id: string, queueArn: string, conditions: Array<{attribute: string, values: Set<string>}>}>}
+ *   Rules in priority order; empty when no rules are configured
+ * @throws {ConfigurationError} Listing every invalid rule
+ */
+function parseRoutingRules(json) {
+  if (!json) {
+    return [];
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(json);
+  } catch (error) {
+    throw new ConfigurationError([`ROUTING_RULES is not valid JSON: ${error.message}`]);
+  }
+  if (!Array.isArray(rules)) {
+    throw new ConfigurationError(['ROUTING_RULES must be an array']);
+  }
+
+  const problems = rules.flatMap(validateRule);
+  const ids = rules.map(rule => rule?.id).filter(isNonEmptyString);
+  for (const id of new Set(ids.filter((id, index) => ids.indexOf(id) !== index))) {
+    problems.push(`rule id "${id}" is used more than once`);
+  }
+  if (problems.length) {
+    throw new ConfigurationError(problems);
+  }
+
+  return rules.map(rule => ({
+    id: rule.id,
+    queueArn: rule.queueArn,
+    conditions: Object.entries(rule.match).map(([attribute, expected]) => ({
+      attribute,
+      values: new Set([].concat(expected).map(ROUTING_ATTRIBUTES[attribute]))
+    }))
+  }));
+}
+
+/**
+ * Picks the first rule whose conditions all match
+ * A condition with several values matches any of them; a missing attribute never matches.
+ * @param {Array} rules - Result of parseRoutingRules
+ * @param {Object} [attributes] - Contact attributes from the flow event
+ * @returns {{id: string, queueArn: string}|null} - Matching rule, or null to use the default queue
+ */
+function selectRoute(rules, attributes = {}) {
+  const rule = rules.find(({ conditions }) => conditions.every(({ attribute, values }) => {
+    const value = attributes?.[attribute];
+    return isNonEmptyString(value) && values.has(ROUTING_ATTRIBUTES[attribute](value));
+  }));
+
+  return rule ? { id: rule.id, queueArn: rule.queueArn } : null;
+}
+
+module.exports = {
+  ROUTING_ATTRIBUTES,
+  parseRoutingRules,
+  selectRoute
+};
@@ -0,0 +1,63 @@
+const { parseRoutingRules, selectRoute } = require('./routing-engine');
+
+const queueArn = queue => `arn:aws:connect:us-west-2:123456789012:instance/test-instance-id/queue/${queue}`;
+
+const RULES = [
+  { id: 'ev-korean', queueArn: queueArn('ev-korean'), match: { vehicleModel: ['IONIQ 5', 'IONIQ 6'], language: 'ko' } },
+  { id: 'premium-sales', queueArn: queueArn('premium-sales'), match: { customerTier: 'premium', intent: 'purchase' } },
+  { id: 'spanish', queueArn: queueArn('spanish'), match: { language: 'es' } }
+];
+
+describe('Routing engine', () => {
+  const rules = parseRoutingRules(JSON.stringify(RULES));
+
+  test('should pick the first rule whose conditions all match', () => {
+    expect(selectRoute(rules, { vehicleModel: 'IONIQ 5', language: 'ko', intent: 'purchase', customerTier: 'premium' }))
+      .toEqual({ id: 'ev-korean', queueArn: queueArn('ev-korean') });
+    expect(selectRoute(rules, { vehicleModel: 'TUCSON', language: 'ko', intent: 'purchase', customerTier: 'premium' }))
+      .toEqual({ id: 'premium-sales', queueArn: queueArn('premium-sales') });
+  });
+
+  test('should compare values without regard to case and language region', () => {
+    expect(selectRoute(rules, { language: 'ES-mx' })?.id).toBe('spanish');
+    expect(selectRoute(rules, { vehicleModel: ' ioniq 6 ', language: 'ko_KR' })?.id).toBe('ev-korean');
+  });
+
+  test('should return null when no rule matches or attributes are missing', () => {
+    expect(selectRoute(rules, { customerTier: 'premium' })).toBeNull();
+    expect(selectRoute(rules, { language: 'fr' })).toBeNull();
+    expect(selectRoute(rules, {})).toBeNull();
+    expect(selectRoute(rules, undefined)).toBeNull();
+    expect(selectRoute([], { language: 'es' })).toBeNull();
+  });
+
+  test('should treat an unset variable as no rules', () => {
+    expect(parseRoutingRules(undefined)).toEqual([]);
+    expect(parseRoutingRules('')).toEqual([]);
+  });
+
+  test('should reject invalid rules with every problem listed', () => {
+    const invalid = [
+      { id: 'no-queue', match: { language: 'en' } },
+      { id: 'bad-attribute', queueArn: queueArn('q'), match: { postcode: '90210' } },
+      { id: 'empty-values', queueArn: queueArn('q'), match: { intent: [] } },
+      { queueArn: queueArn('q'), match: {} },
+      { id: 'spanish', queueArn: queueArn('q'), match: { language: 'es' } },
+      { id: 'spanish', queueArn: queueArn('q'), match: { language: 'es' } }
+    ];
+
+    expect(() => parseRoutingRules(JSON.stringify(invalid))).toThrow(expect.objectContaining({
+      name: 'ConfigurationError',
+      problems: [
+        'rule "no-queue" needs a Connect queueArn',
+        'rule "bad-attribute" matches on postcode, which is not a routing attribute (vehicleModel, language, customerTier, intent)',
+        'rule "empty-values" must match intent against a string or a list of strings',
+        'rule 3 needs an id',
+        'rule 3 needs at least one condition in match',
+        'rule id "spanish" is used more than once'
+      ]
+    }));
+    expect(() => parseRoutingRules('{not json')).toThrow(/not valid JSON/);
+    expect(() => parseRoutingRules('{}')).toThrow(/must be an array/);
+  });
+});
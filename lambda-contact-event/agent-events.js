@@ -0,0 +1,63 @@
+// Agent event stream handling
+// Connect publishes agent state changes to a Kinesis stream. Contact events on
+// EventBridge carry no hold information, so hold and resume are read from the
+// voice contacts in each agent snapshot instead.
+
+const ON_HOLD_STATE = 'CONNECTED_ONHOLD';
+
+/**
+ * Decodes the agent events in a Kinesis batch
+ * @param {Array<Object>} records - Kinesis event records
+ * @returns {Array<Object>} - Parsed agent events; undecodable records are skipped
+ */
+function parseAgentEventRecords(records) {
+  const agentEvents = [];
+
+  for (const record of records) {
+    try {
+      agentEvents.push(JSON.parse(Buffer.from(record.kinesis.data, 'base64').toString('utf8')));
+    } catch (error) {
+      console.error('Skipping undecodable agent event record:', record.eventID, error);
+    }
+  }
+
+  return agentEvents;
+}
+
+function voiceContactStates(snapshot) {
+  return new Map((snapshot?.Contacts || [])
+    .filter(contact => contact.Channel === 'VOICE')
+    .map(contact => [contact.ContactId, contact.State]));
+}
+
+/**
+ * Finds voice contacts that went on hold or came off hold in one agent event
+ * @param {Object} agentEvent - Agent event from the stream
+ * @returns {Array<{ contactId: string, onHold: boolean }>}
+ */
+function findHoldTransitions(agentEvent) {
+  if (agentEvent.EventType !== 'STATE_CHANGE') {
+    return [];
+  }
+
+  const previous = voiceContactStates(agentEvent.PreviousAgentSnapshot);
+  const current = voiceContactStates(agentEvent.CurrentAgentSnapshot);
+  const transitions = [];
+
+  for (const contactId of new Set([...previous.keys(), ...current.keys()])) {
+    const wasOnHold = previous.get(contactId) === ON_HOLD_STATE;
+    const isOnHold = current.get(contactId) === ON_HOLD_STATE;
+
+    // A contact that leaves the snapshot while held has ended, which also ends the hold
+    if (wasOnHold !== isOnHold) {
+      transitions.push({ contactId, onHold: isOnHold });
+    }
+  }
+
+  return transitions;
+}
+
+module.exports = {
+  parseAgentEventRecords,
+  findHoldTransitions
+};
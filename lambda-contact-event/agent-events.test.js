@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseAgentEventRecords, findHoldTransitions } = require('./agent-events');
+
+function snapshot(...contacts) {
+  return { Contacts: contacts.map(([ContactId, State, Channel = 'VOICE']) => ({ ContactId, State, Channel })) };
+}
+
+function stateChange(previous, current) {
+  return { EventType: 'STATE_CHANGE', PreviousAgentSnapshot: previous, CurrentAgentSnapshot: current };
+}
+
+describe('Agent event stream', () => {
+  it('decodes Kinesis records and skips undecodable ones', () => {
+    const event = { EventType: 'HEART_BEAT' };
+    const records = [
+      { eventID: '1', kinesis: { data: Buffer.from(JSON.stringify(event)).toString('base64') } },
+      { eventID: '2', kinesis: { data: Buffer.from('not json').toString('base64') } }
+    ];
+
+    assert.deepStrictEqual(parseAgentEventRecords(records), [event]);
+  });
+
+  it('reports voice contacts going on hold and being resumed', () => {
+    const held = stateChange(snapshot(['voice-1', 'CONNECTED']), snapshot(['voice-1', 'CONNECTED_ONHOLD']));
+    const resumed = stateChange(snapshot(['voice-1', 'CONNECTED_ONHOLD']), snapshot(['voice-1', 'CONNECTED']));
+
+    assert.deepStrictEqual(findHoldTransitions(held), [{ contactId: 'voice-1', onHold: true }]);
+    assert.deepStrictEqual(findHoldTransitions(resumed), [{ contactId: 'voice-1', onHold: false }]);
+  });
+
+  it('ends the hold when a held contact leaves the snapshot', () => {
+    const ended = stateChange(snapshot(['voice-1', 'CONNECTED_ONHOLD']), snapshot());
+
+    assert.deepStrictEqual(findHoldTransitions(ended), [{ contactId: 'voice-1', onHold: false }]);
+  });
+
+  it('ignores chat contacts, unchanged states and other event types', () => {
+    const chatHeld = stateChange(snapshot(['chat-1', 'CONNECTED', 'CHAT']), snapshot(['chat-1', 'CONNECTED_ONHOLD', 'CHAT']));
+    const unchanged = stateChange(snapshot(['voice-1', 'CONNECTED']), snapshot(['voice-1', 'CONNECTED']));
+    const heartbeat = { EventType: 'HEART_BEAT', CurrentAgentSnapshot: snapshot(['voice-1', 'CONNECTED_ONHOLD']) };
+
+    assert.deepStrictEqual(findHoldTransitions(chatHeld), []);
+    assert.deepStrictEqual(findHoldTransitions(unchanged), []);
+    assert.deepStrictEqual(findHoldTransitions(heartbeat), []);
+  });
+});
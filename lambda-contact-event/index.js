@@ -1,25 +1,29 @@
-const { ConnectClient, StartChatContactCommand, DescribeContactCommand } = require('@aws-sdk/client-connect');
+const connectSdk = require('@aws-sdk/client-connect');
 const { ApiGatewayManagementApiClient, PostToConnectionCommand } = require('@aws-sdk/client-apigatewaymanagementapi');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { createContactCenter, requireEnv, CHAT_CONTENT_TYPES } = require('connect-multimodal-shared');
+const { parseAgentEventRecords, findHoldTransitions } = require('./agent-events');
 
-const connectClient = new ConnectClient({});
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 
-const INSTANCE_ID = process.env.CONNECT_INSTANCE_ID;
-const TABLE_NAME = process.env.CONNECTIONS_TABLE_NAME;
-const WEBSOCKET_ENDPOINT = process.env.WEBSOCKET_API_ENDPOINT;
+// Set by the CDK stack from the central configuration
+const {
+  CONNECT_INSTANCE_ID: INSTANCE_ID,
+  CONNECT_CONTACT_FLOW_ID: CONTACT_FLOW_ID,
+  CONNECTIONS_TABLE_NAME: TABLE_NAME,
+  WEBSOCKET_API_ENDPOINT: WEBSOCKET_ENDPOINT
+} = requireEnv(['CONNECT_INSTANCE_ID', 'CONNECT_CONTACT_FLOW_ID', 'CONNECTIONS_TABLE_NAME', 'WEBSOCKET_API_ENDPOINT']);
+
+// Live Connect instance, or the local emulator when CONNECT_EMULATOR=true
+const contactCenter = createContactCenter({ instanceId: INSTANCE_ID, sdk: connectSdk });
 
 // Helper function to extract UserId from contact attributes
 async function getUserIdFromContact(contactId) {
   console.log('Fetching contact attributes from DescribeContact API...');
   try {
-    const describeCommand = new DescribeContactCommand({
-      InstanceId: INSTANCE_ID,
-      ContactId: contactId
-    });
-    const contactDetails = await connectClient.send(describeCommand);
+    const contactDetails = await contactCenter.describeContact({ ContactId: contactId });
     console.log('Contact details from DescribeContact:', JSON.stringify(contactDetails.Contact?.Attributes, null, 2));
     const userId = contactDetails.Contact?.Attributes?.userId;
     console.log('Extracted UserId from DescribeContact:', userId);
@@ -34,11 +38,7 @@ async function getUserIdFromContact(contactId) {
 async function getInitiationMethod(contactId) {
   console.log('Fetching InitiationMethod from contact attributes...');
   try {
-    const describeCommand = new DescribeContactCommand({
-      InstanceId: INSTANCE_ID,
-      ContactId: contactId
-    });
-    const contactDetails = await connectClient.send(describeCommand);
+    const contactDetails = await contactCenter.describeContact({ ContactId: contactId });
     const initiationMethod = contactDetails.Contact?.Attributes?.InitiationMethod;
     console.log('Extracted InitiationMethod from DescribeContact:', initiationMethod);
     return initiationMethod;
@@ -48,10 +48,53 @@ async function getInitiationMethod(contactId) {
   }
 }
 
+// Tells the customer's widget that the agent put the call on hold or resumed it
+async function notifyHoldChange({ contactId, onHold }) {
+  const userId = await getUserIdFromContact(contactId);
+  if (!userId) {
+    console.warn('No UserId on held voice contact - skipping hold notification:', contactId);
+    return;
+  }
+
+  const connection = await findConnectionByUserId(userId);
+  if (!connection) {
+    console.warn('No WebSocket connection for hold notification:', { contactId, userId });
+    return;
+  }
+
+  await sendToWebSocket(connection.connectionId, {
+    type: 'CALL_HOLD_CHANGED',
+    contactId,
+    onHold,
+    timestamp: new Date().toISOString()
+  });
+}
+
+async function handleAgentEventRecords(records) {
+  const transitions = parseAgentEventRecords(records).flatMap(findHoldTransitions);
+  console.log(`Agent events: ${records.length} records, ${transitions.length} hold changes`);
+
+  for (const transition of transitions) {
+    try {
+      await notifyHoldChange(transition);
+    } catch (error) {
+      // One failed notification shouldn't make Kinesis retry the whole batch
+      console.error('Failed to send hold notification:', transition, error);
+    }
+  }
+
+  return { statusCode: 200, body: 'Success' };
+}
+
 exports.handler = async (event) => {
   console.log('=== Contact Event Handler ===');
   console.log('Event:', JSON.stringify(event, null, 2));
   
+  // Agent event stream batches (Kinesis) carry hold and resume
+  if (Array.isArray(event.Records)) {
+    return handleAgentEventRecords(event.Records);
+  }
+  
   try {
     const { detail } = event;
     const { contactId, eventType, channel, agentInfo } = detail;
@@ -238,16 +281,14 @@ async function createChatContact(voiceContactId) {
     console.warn('No UserId available to add to chat contact attributes');
   }
   
-  const command = new StartChatContactCommand({
-    InstanceId: INSTANCE_ID,
-    ContactFlowId: process.env.CONNECT_CONTACT_FLOW_ID || 'c539c831-a1fa-4b03-8438-568143a865dd',
+  const response = await contactCenter.startChatContact({
+    ContactFlowId: CONTACT_FLOW_ID,
     ParticipantDetails: {
       DisplayName: 'Customer'
     },
-    Attributes: attributes
+    Attributes: attributes,
+    SupportedMessagingContentTypes: CHAT_CONTENT_TYPES
   });
-  
-  const response = await connectClient.send(command);
   console.log('Chat contact created successfully with attributes:', attributes);
   
   return {
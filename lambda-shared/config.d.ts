@@ -0,0 +1,99 @@
+// Types for config.js, used by the CDK app
+
+export interface RateLimitRule {
+  userLimit?: number;
+  ipLimit?: number;
+  windowSeconds?: number;
+}
+
+// Chat routing rule; conditions match contact attributes, values are any-of
+export interface RoutingRule {
+  id: string;
+  queueId: string;
+  match: Partial<Record<'vehicleModel' | 'language' | 'customerTier' | 'intent', string | string[]>>;
+}
+
+export interface AgentEventStream {
+  // The instance's existing agent event stream; read without changing the instance
+  streamArn?: string;
+  // Create a stream and attach it to an instance that has none
+  create?: boolean;
+}
+
+export interface EscalationFallback {
+  // Queue instead of the routing rules and default queue
+  queueId?: string;
+  // Seconds to hold the contact for a logged-in agent before overflowing; 0 disables
+  waitSeconds?: number;
+  // Agent status names that receive contacts; defaults to ["Available"]
+  routableStatuses?: string[];
+}
+
+export interface AppConfig {
+  aws: {
+    region: string;
+    account?: string;
+  };
+  connect: {
+    instanceId: string;
+    contactFlowId: string;
+    // Queue for contacts that are not routed to a specific agent
+    defaultQueueId: string;
+    instanceAlias?: string;
+    ccpUrl: string;
+    // Agent events for hold detection; an instance has only one stream
+    agentEventStream?: AgentEventStream;
+  };
+  deployment: {
+    // Base name; each environment deploys stageStackName
+    stackName: string;
+    environment: string;
+    // Set by loadConfig: <stackName>-<environment>
+    stageStackName: string;
+  };
+  api?: {
+    allowedOrigins?: string[];
+    rateLimits?: Record<string, RateLimitRule>;
+  };
+  routing?: {
+    // Checked in order after same-agent routing; the first match picks the queue
+    rules?: RoutingRule[];
+    // For escalations whose agent is offline, busy or not routable
+    escalationFallback?: EscalationFallback;
+  };
+  preflight?: {
+    // STUN servers for the customer pre-call check; none by default
+    stunUrls?: string[];
+  };
+}
+
+export type DeepPartial<T> = { [K in keyof T]?: T[K] extends object ? DeepPartial<T[K]> : T[K] };
+
+export interface ConfigRule {
+  type: 'string' | 'integer' | 'boolean' | 'array' | 'object';
+  required?: boolean;
+  /** Strings only */
+  pattern?: RegExp;
+  /** Integers only */
+  min?: number;
+}
+
+export const CONFIG_SCHEMA: Record<string, ConfigRule>;
+
+export class ConfigurationError extends Error {
+  problems: string[];
+  constructor(problems: string[]);
+}
+
+export function validateConfig(config: unknown): string[];
+
+export function loadConfig(options?: {
+  environment?: string;
+  overrides?: DeepPartial<Omit<AppConfig, 'deployment'>>;
+  rootDir?: string;
+}): Readonly<AppConfig>;
+
+export function requireEnv<Name extends string>(
+  names: Name[],
+  env?: Record<string, string | undefined>
+): Record<Name, string>;
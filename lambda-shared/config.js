@@ -0,0 +1,200 @@
+// Central configuration
+// Deployment settings live in config.json at the project root, with
+// config.<environment>.json merged over it. The CDK stack and sync-configs.sh
+// load them through loadConfig, which rejects missing or malformed values up
+// front. Lambdas receive their share as environment variables and check them
+// with requireEnv at cold start, so nothing falls back to a built-in queue or
+// flow from another account.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_ENVIRONMENT = 'dev';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Dotted path -> rule; paths not listed are passed through unchecked.
+// pattern applies to strings, min to integers.
+const CONFIG_SCHEMA = {
+  'aws.region': { type: 'string', required: true, pattern: /^[a-z]{2}(-[a-z]+)+-\d$/ },
+  'aws.account': { type: 'string', pattern: /^\d{12}$/ },
+  'connect.instanceId': { type: 'string', required: true, pattern: UUID },
+  'connect.contactFlowId': { type: 'string', required: true, pattern: UUID },
+  'connect.defaultQueueId': { type: 'string', required: true, pattern: UUID },
+  'connect.instanceAlias': { type: 'string' },
+  'connect.ccpUrl': { type: 'string', required: true, pattern: /^https:\/\// },
+  'connect.agentEventStream.streamArn': { type: 'string', pattern: /^arn:aws[a-z-]*:kinesis:[a-z0-9-]+:\d{12}:stream\/[A-Za-z0-9_.-]+$/ },
+  'connect.agentEventStream.create': { type: 'boolean' },
+  'deployment.stackName': { type: 'string', required: true, pattern: /^[A-Za-z][A-Za-z0-9-]*$/ },
+  'deployment.environment': { type: 'string', required: true, pattern: /^[a-z0-9-]+$/ },
+  'api.allowedOrigins': { type: 'array' },
+  'api.rateLimits': { type: 'object' },
+  'routing.rules': { type: 'array' },
+  'preflight.stunUrls': { type: 'array' },
+  'routing.escalationFallback.queueId': { type: 'string', pattern: UUID },
+  'routing.escalationFallback.waitSeconds': { type: 'integer', min: 0 },
+  'routing.escalationFallback.routableStatuses': { type: 'array' }
+};
+
+class ConfigurationError extends Error {
+  /**
+   * @param {string[]} problems - One entry per missing or invalid value
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigurationError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function getPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+}
+
+// Objects merge key by key; arrays and scalars in the override replace the
+// base, and undefined values leave it alone
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined) {
+      continue;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value !== null && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  }
+  return Object.freeze(object);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new ConfigurationError([`${path.basename(file)} could not be read: ${error.message}`]);
+  }
+}
+
+/**
+ * Checks a configuration object against CONFIG_SCHEMA
+ * Empty strings count as missing.
+ * @param {Object} config - Merged configuration
+ * @returns {string[]} - Problems found; empty when the configuration is valid
+ */
+function validateConfig(config) {
+  const problems = [];
+
+  for (const [dottedPath, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const value = getPath(config, dottedPath);
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        problems.push(`${dottedPath} is required`);
+      }
+      continue;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    const typeMatches = rule.type === 'integer' ? Number.isInteger(value) : actualType === rule.type;
+    if (!typeMatches) {
+      problems.push(`${dottedPath} must be of type ${rule.type}`);
+    } else if (rule.min !== undefined && value < rule.min) {
+      problems.push(`${dottedPath} must be at least ${rule.min}`);
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+      problems.push(`${dottedPath} has an invalid value: ${value}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Loads and validates the configuration for one environment
+ * @param {Object} [options]
+ * @param {string} [options.environment] - Environment name; config.<environment>.json must exist
+ *   unless it is the base file's own deployment.environment
+ * @param {Object} [options.overrides] - Values merged last (e.g. CDK context); undefined entries are ignored
+ * @param {string} [options.rootDir] - Directory holding config.json (for tests)
+ * @returns {Readonly<Object>} - Frozen configuration with deployment.environment and
+ *   deployment.stageStackName (e.g. ConnectMultimodalStack-prod) set
+ * @throws {ConfigurationError} When a file is missing or a value is missing or invalid
+ */
+function loadConfig({ environment, overrides, rootDir = PROJECT_ROOT } = {}) {
+  const baseFile = path.join(rootDir, 'config.json');
+  if (!fs.existsSync(baseFile)) {
+    throw new ConfigurationError(['config.json not found; copy config.example.json and fill in your Connect details']);
+  }
+
+  const base = readJson(baseFile);
+  const baseEnvironment = base.deployment?.environment || DEFAULT_ENVIRONMENT;
+  const selected = environment || baseEnvironment;
+
+  let config = base;
+  const overrideFile = path.join(rootDir, `config.${selected}.json`);
+  if (fs.existsSync(overrideFile)) {
+    config = mergeConfig(config, readJson(overrideFile));
+  } else if (selected !== baseEnvironment) {
+    // A typo in the environment name must not deploy the base settings under a new name
+    throw new ConfigurationError([`config.${selected}.json not found for environment "${selected}"`]);
+  }
+
+  config = mergeConfig(config, overrides);
+  config = mergeConfig(config, { deployment: { environment: selected } });
+
+  const problems = validateConfig(config);
+  if (problems.length) {
+    throw new ConfigurationError(problems);
+  }
+
+  // Each environment is its own stack, so dev, staging and prod can share an account
+  config.deployment.stageStackName = `${config.deployment.stackName}-${selected}`;
+  return deepFreeze(config);
+}
+
+/**
+ * Reads environment variables a Lambda cannot run without
+ * Call at module load so a misconfigured function fails its cold start.
+ * @param {string[]} names - Variable names
+ * @param {Object} [env] - Environment to read (for tests)
+ * @returns {Object<string, string>} - Values by name
+ * @throws {ConfigurationError} Listing every missing variable
+ */
+function requireEnv(names, env = process.env) {
+  const missing = names.filter(name => !env[name]);
+  if (missing.length) {
+    throw new ConfigurationError(missing.map(name => `${name} environment variable is not set`));
+  }
+  return Object.fromEntries(names.map(name => [name, env[name]]));
+}
+
+// CLI for the shell scripts: node lambda-shared/config.js <dotted.path>
+// Uses DEPLOY_ENV as the environment; exits 1 with the problems when invalid.
+if (require.main === module) {
+  try {
+    const value = getPath(loadConfig({ environment: process.env.DEPLOY_ENV }), process.argv[2] || '');
+    if (value === undefined) {
+      throw new ConfigurationError([`${process.argv[2]} is not set`]);
+    }
+    process.stdout.write(typeof value === 'string' ? value : JSON.stringify(value));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  ConfigurationError,
+  validateConfig,
+  loadConfig,
+  requireEnv
+};
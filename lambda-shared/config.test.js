@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, validateConfig, requireEnv, ConfigurationError } = require('./config');
+
+const BASE_CONFIG = {
+  aws: { region: 'us-west-2', account: '123456789012' },
+  connect: {
+    instanceId: '11111111-1111-1111-1111-111111111111',
+    contactFlowId: '22222222-2222-2222-2222-222222222222',
+    defaultQueueId: '33333333-3333-3333-3333-333333333333',
+    ccpUrl: 'https://example.my.connect.aws/ccp-v2/'
+  },
+  deployment: { stackName: 'ConnectMultimodalStack', environment: 'dev' },
+  api: { allowedOrigins: ['http://localhost:5173'] }
+};
+
+describe('Central configuration', () => {
+  let rootDir;
+
+  const writeConfig = (name, content) => {
+    fs.writeFileSync(path.join(rootDir, name), JSON.stringify(content));
+  };
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    writeConfig('config.json', BASE_CONFIG);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('loads config.json for its own environment and freezes it', () => {
+    const config = loadConfig({ rootDir });
+
+    assert.deepStrictEqual(config, {
+      ...BASE_CONFIG,
+      deployment: { ...BASE_CONFIG.deployment, stageStackName: 'ConnectMultimodalStack-dev' }
+    });
+    assert.ok(Object.isFrozen(config.connect));
+  });
+
+  it('merges the environment override file over the base file', () => {
+    writeConfig('config.prod.json', {
+      connect: { defaultQueueId: '44444444-4444-4444-4444-444444444444' },
+      api: { allowedOrigins: [] }
+    });
+
+    const config = loadConfig({ rootDir, environment: 'prod' });
+
+    assert.strictEqual(config.deployment.environment, 'prod');
+    assert.strictEqual(config.deployment.stageStackName, 'ConnectMultimodalStack-prod');
+    assert.strictEqual(config.connect.defaultQueueId, '44444444-4444-4444-4444-444444444444');
+    assert.strictEqual(config.connect.instanceId, BASE_CONFIG.connect.instanceId);
+    assert.deepStrictEqual(config.api.allowedOrigins, []);
+  });
+
+  it('refuses an environment without an override file', () => {
+    assert.throws(() => loadConfig({ rootDir, environment: 'prdo' }), /config\.prdo\.json not found/);
+  });
+
+  it('fails fast on a missing config.json', () => {
+    fs.rmSync(path.join(rootDir, 'config.json'));
+
+    assert.throws(() => loadConfig({ rootDir }), ConfigurationError);
+  });
+
+  it('lists every missing and malformed value', () => {
+    writeConfig('config.json', {
+      ...BASE_CONFIG,
+      connect: { instanceId: 'not-a-uuid', contactFlowId: '', ccpUrl: 'http://insecure' }
+    });
+
+    assert.throws(() => loadConfig({ rootDir }), error => {
+      assert.ok(error instanceof ConfigurationError);
+      assert.deepStrictEqual(error.problems, [
+        'connect.instanceId has an invalid value: not-a-uuid',
+        'connect.contactFlowId is required',
+        'connect.defaultQueueId is required',
+        'connect.ccpUrl has an invalid value: http://insecure'
+      ]);
+      return true;
+    });
+  });
+
+  it('applies explicit overrides before validating', () => {
+    const config = loadConfig({ rootDir, overrides: { aws: { region: 'eu-west-2', account: undefined } } });
+    assert.strictEqual(config.aws.region, 'eu-west-2');
+    assert.strictEqual(config.aws.account, BASE_CONFIG.aws.account);
+
+    assert.throws(() => loadConfig({ rootDir, overrides: { aws: { region: 'moon' } } }), /aws\.region/);
+  });
+
+  it('checks value types', () => {
+    assert.deepStrictEqual(
+      validateConfig({ ...BASE_CONFIG, api: { allowedOrigins: 'http://localhost:5173' } }),
+      ['api.allowedOrigins must be of type array']
+    );
+    assert.deepStrictEqual(
+      validateConfig({ ...BASE_CONFIG, routing: { escalationFallback: { queueId: 'escalations', waitSeconds: '60' } } }),
+      [
+        'routing.escalationFallback.queueId has an invalid value: escalations',
+        'routing.escalationFallback.waitSeconds must be of type integer'
+      ]
+    );
+    assert.deepStrictEqual(
+      validateConfig({ ...BASE_CONFIG, routing: { escalationFallback: { waitSeconds: 1.5 } } }),
+      ['routing.escalationFallback.waitSeconds must be of type integer']
+    );
+    assert.deepStrictEqual(
+      validateConfig({ ...BASE_CONFIG, routing: { escalationFallback: { waitSeconds: -5 } } }),
+      ['routing.escalationFallback.waitSeconds must be at least 0']
+    );
+    assert.deepStrictEqual(validateConfig({ ...BASE_CONFIG, routing: { escalationFallback: { waitSeconds: 0 } } }), []);
+    assert.deepStrictEqual(
+      validateConfig({ ...BASE_CONFIG, connect: { ...BASE_CONFIG.connect, agentEventStream: { streamArn: 'agent-events', create: 'yes' } } }),
+      [
+        'connect.agentEventStream.streamArn has an invalid value: agent-events',
+        'connect.agentEventStream.create must be of type boolean'
+      ]
+    );
+  });
+
+  it('requires Lambda environment variables to be set', () => {
+    assert.deepStrictEqual(requireEnv(['A'], { A: 'value' }), { A: 'value' });
+    assert.throws(() => requireEnv(['A', 'B', 'C'], { B: 'value', C: '' }), error => {
+      assert.deepStrictEqual(error.problems, [
+        'A environment variable is not set',
+        'C environment variable is not set'
+      ]);
+      return true;
+    });
+  });
+});
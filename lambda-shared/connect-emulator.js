@@ -0,0 +1,505 @@
+// In-memory Amazon Connect emulator
+// Implements the contact-center adapter interface (see contact-center.js) and
+// tracks contacts, channels, agents, attributes and state transitions so chat,
+// voice and escalation scenarios can run without a live Connect instance.
+
+const crypto = require('crypto');
+
+// Contact lifecycle: INITIATED -> QUEUED -> CONNECTED -> ENDED
+const STATE_TRANSITIONS = {
+  INITIATED: ['QUEUED', 'ENDED'],
+  QUEUED: ['CONNECTED', 'ENDED'],
+  CONNECTED: ['ENDED'],
+  ENDED: []
+};
+
+// EventBridge eventType emitted when a contact enters each state
+const STATE_EVENT_TYPES = {
+  INITIATED: 'INITIATED',
+  QUEUED: 'QUEUED',
+  CONNECTED: 'CONNECTED_TO_AGENT',
+  ENDED: 'DISCONNECTED'
+};
+
+// Routing profile concurrency for agents registered without one
+const DEFAULT_MAX_SLOTS = { VOICE: 1, CHAT: 3 };
+
+/**
+ * Creates an error shaped like the ones @aws-sdk/client-connect throws
+ * @param {string} name - Connect exception name, e.g. ResourceNotFoundException
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code of the equivalent API error
+ * @returns {Error}
+ */
+function createConnectError(name, message, statusCode = 400) {
+  const error = new Error(message);
+  error.name = name;
+  error.statusCode = statusCode;
+  error.$metadata = { httpStatusCode: statusCode };
+  return error;
+}
+
+class ConnectEmulator {
+  constructor({ instanceId, region, accountId } = {}) {
+    this.instanceId = instanceId || 'emulator-instance';
+    this.region = region || process.env.AWS_REGION || 'us-east-1';
+    this.accountId = accountId || process.env.AWS_ACCOUNT_ID || '000000000000';
+    this.reset();
+  }
+
+  // Clear all contacts, agents and recorded events
+  reset() {
+    this.contacts = new Map();
+    this.agents = new Map();
+    this.clientTokens = new Map();
+    this.connectionTokens = new Map();
+    this.events = [];
+    this.listeners = [];
+  }
+
+  // --- Contact-center adapter interface ---
+
+  async startChatContact(params = {}) {
+    return this.withClientToken(params, () => {
+      const contact = this.createContact('CHAT', params);
+
+      return {
+        ContactId: contact.Id,
+        ParticipantId: contact.participantId,
+        ParticipantToken: contact.participantToken
+      };
+    });
+  }
+
+  async startWebRTCContact(params = {}) {
+    return this.withClientToken(params, () => {
+      const contact = this.createContact('VOICE', params);
+      const meetingId = crypto.randomUUID();
+      contact.meeting = {
+        MeetingId: meetingId,
+        MediaRegion: this.region,
+        MediaPlacement: {
+          AudioHostUrl: `emulator-audio.${this.region}.local/${meetingId}`,
+          AudioFallbackUrl: `wss://emulator-audio.${this.region}.local/${meetingId}`,
+          SignalingUrl: `wss://emulator-signal.${this.region}.local/control/${meetingId}`,
+          TurnControlUrl: `https://emulator-turn.${this.region}.local/v2/turn_sessions`
+        }
+      };
+
+      return {
+        ContactId: contact.Id,
+        ParticipantId: contact.participantId,
+        ParticipantToken: contact.participantToken,
+        ConnectionData: {
+          Meeting: { ...contact.meeting },
+          Attendee: {
+            AttendeeId: contact.participantId,
+            JoinToken: contact.participantToken
+          }
+        }
+      };
+    });
+  }
+
+  // Connect Participant Service: the participant token identifies the contact
+  async createParticipantConnection({ ParticipantToken, Type = [] } = {}) {
+    const contact = [...this.contacts.values()].find(c => c.participantToken === ParticipantToken);
+
+    if (!contact || contact.State === 'ENDED') {
+      throw createConnectError('AccessDeniedException', 'Participant token is not valid for an active contact', 403);
+    }
+
+    const expiry = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const response = {};
+
+    if (Type.includes('WEBSOCKET')) {
+      response.Websocket = {
+        Url: `wss://emulator-participant.${this.region}.local/connect/${contact.Id}`,
+        ConnectionExpiry: expiry
+      };
+    }
+    if (Type.includes('CONNECTION_CREDENTIALS')) {
+      const connectionToken = crypto.randomBytes(24).toString('base64');
+      this.connectionTokens.set(connectionToken, contact.Id);
+      response.ConnectionCredentials = {
+        ConnectionToken: connectionToken,
+        Expiry: expiry
+      };
+    }
+    if (Type.includes('WEBRTC_CONNECTION')) {
+      if (!contact.meeting) {
+        throw createConnectError('ValidationException', `Contact ${contact.Id} has no WebRTC session`);
+      }
+      // A rejoin gets a new attendee in the same meeting
+      response.WebRTCConnection = {
+        Meeting: { ...contact.meeting },
+        Attendee: {
+          AttendeeId: crypto.randomUUID(),
+          JoinToken: crypto.randomBytes(24).toString('base64')
+        }
+      };
+    }
+
+    return response;
+  }
+
+  async stopContact({ ContactId } = {}) {
+    const contact = this.requireContact(ContactId);
+
+    if (contact.State === 'ENDED') {
+      throw createConnectError('ContactNotFoundException', `Contact ${ContactId} is not active`, 410);
+    }
+
+    this.transition(contact, 'ENDED');
+    return {};
+  }
+
+  async describeContact({ ContactId } = {}) {
+    const contact = this.requireContact(ContactId);
+    return { Contact: this.toContactDescription(contact) };
+  }
+
+  // Connect Participant Service: pages through a chat's messages, oldest first
+  async getTranscript({ ConnectionToken, MaxResults = 15, NextToken, SortOrder = 'ASCENDING' } = {}) {
+    const contact = this.contacts.get(this.connectionTokens.get(ConnectionToken));
+    if (!contact) {
+      throw createConnectError('AccessDeniedException', 'Connection token is not valid', 403);
+    }
+
+    const messages = SortOrder === 'DESCENDING' ? [...contact.transcript].reverse() : contact.transcript;
+    const start = NextToken ? Number(NextToken) : 0;
+    const end = start + MaxResults;
+
+    return {
+      InitialContactId: contact.Id,
+      Transcript: messages.slice(start, end).map(message => ({ ...message })),
+      ...(end < messages.length && { NextToken: String(end) })
+    };
+  }
+
+  async updateContactAttributes({ InitialContactId, Attributes = {} } = {}) {
+    this.updateAttributes(InitialContactId, Attributes);
+    return {};
+  }
+
+  // Real-time agent data; logged-out (Offline) agents are not listed, as in Connect
+  async getCurrentUserData({ Filters = {} } = {}) {
+    const requested = Filters.Agents || [];
+    const agents = [...this.agents.values()].filter(agent =>
+      (requested.includes(agent.Id) || requested.includes(agent.Arn)) && agent.status !== 'Offline'
+    );
+
+    return {
+      UserDataList: agents.map(agent => this.toUserData(agent)),
+      ApproximateTotalCount: agents.length
+    };
+  }
+
+  // --- Scenario controls ---
+
+  /**
+   * Registers an agent that contacts can be connected to
+   * @param {string} agentId - Agent ID (also used as the personal queue ID)
+   * @param {Object} [details] - Optional agent details
+   * @param {string} [details.username] - Login name
+   * @param {string} [details.status] - Agent status name; Offline agents are logged out
+   * @param {Object} [details.maxSlotsByChannel] - Routing profile concurrency per channel
+   * @returns {Object} - The agent record
+   */
+  addAgent(agentId, { username, status = 'Available', maxSlotsByChannel = DEFAULT_MAX_SLOTS } = {}) {
+    const agent = {
+      Id: agentId,
+      Arn: `${this.instanceArn()}/agent/${agentId}`,
+      Username: username || agentId,
+      status,
+      nextStatus: null,
+      maxSlotsByChannel: { ...maxSlotsByChannel },
+      contactIds: new Set()
+    };
+
+    this.agents.set(agentId, agent);
+    return agent;
+  }
+
+  /**
+   * Changes an agent's status, as the agent would in the CCP
+   * @param {string} agentId - Agent ID
+   * @param {string} status - Status name (Available, Offline or a custom status such as Break)
+   * @param {Object} [options]
+   * @param {string} [options.nextStatus] - Status to take once current contacts end
+   */
+  setAgentStatus(agentId, status, { nextStatus = null } = {}) {
+    const agent = this.agents.get(agentId);
+    if (!agent) {
+      throw createConnectError('ResourceNotFoundException', `Agent not found: ${agentId}`, 404);
+    }
+    agent.status = status;
+    agent.nextStatus = nextStatus;
+  }
+
+  /**
+   * Places a contact in a queue (defaults to the instance's general queue)
+   * @param {string} contactId - Contact ID
+   * @param {string} [queueId] - Queue ID
+   */
+  queueContact(contactId, queueId = 'default-queue') {
+    const contact = this.requireContact(contactId);
+    contact.QueueInfo = { Id: queueId, EnqueueTimestamp: new Date() };
+    this.transition(contact, 'QUEUED');
+  }
+
+  /**
+   * Connects a contact to an agent, queueing it first when still INITIATED
+   * @param {string} contactId - Contact ID
+   * @param {string} agentId - Agent ID (registered on the fly if unknown)
+   */
+  connectToAgent(contactId, agentId) {
+    const contact = this.requireContact(contactId);
+    const agent = this.agents.get(agentId) || this.addAgent(agentId);
+
+    if (contact.State === 'INITIATED') {
+      this.queueContact(contactId);
+    }
+
+    contact.AgentInfo = {
+      Id: agent.Id,
+      Arn: agent.Arn,
+      ConnectedToAgentTimestamp: new Date()
+    };
+    agent.contactIds.add(contact.Id);
+    this.transition(contact, 'CONNECTED');
+  }
+
+  /**
+   * Ends a contact from the contact-center side (agent hang-up, flow disconnect)
+   * @param {string} contactId - Contact ID
+   */
+  endContact(contactId) {
+    this.transition(this.requireContact(contactId), 'ENDED');
+  }
+
+  /**
+   * Merges attributes into a contact, as an Update Contact Attributes block would
+   * @param {string} contactId - Contact ID
+   * @param {Object} attributes - Attributes to merge
+   */
+  updateAttributes(contactId, attributes) {
+    const contact = this.requireContact(contactId);
+    Object.assign(contact.Attributes, attributes);
+    contact.LastUpdateTimestamp = new Date();
+  }
+
+  /**
+   * Adds a message to a chat contact's transcript, as if a participant sent it
+   * @param {string} contactId - Chat contact ID
+   * @param {Object} message
+   * @param {string} message.role - CUSTOMER, AGENT or SYSTEM
+   * @param {string} message.content - Message text
+   * @param {string} [message.displayName] - Sender display name
+   * @returns {Object} - The transcript item
+   */
+  sendChatMessage(contactId, { role, content, displayName }) {
+    const contact = this.requireContact(contactId);
+    if (contact.Channel !== 'CHAT') {
+      throw createConnectError('InvalidRequestException', `Contact ${contactId} is not a chat contact`);
+    }
+
+    const item = {
+      Id: crypto.randomUUID(),
+      Type: 'MESSAGE',
+      ParticipantRole: role,
+      DisplayName: displayName || (role === 'CUSTOMER' ? contact.DisplayName : role),
+      ContentType: 'text/plain',
+      Content: content,
+      AbsoluteTime: new Date().toISOString()
+    };
+    contact.transcript.push(item);
+    return item;
+  }
+
+  /**
+   * Subscribes to contact events shaped like EventBridge "Amazon Connect Contact Event"s
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Unsubscribe function
+   */
+  onContactEvent(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Returns the personal queue ARN for an agent, as Connect builds it
+   * @param {string} agentId - Agent ID
+   * @returns {string}
+   */
+  getAgentQueueArn(agentId) {
+    return `${this.instanceArn()}/queue/${agentId}`;
+  }
+
+  // --- Internals ---
+
+  instanceArn() {
+    return `arn:aws:connect:${this.region}:${this.accountId}:instance/${this.instanceId}`;
+  }
+
+  createContact(channel, params) {
+    if (!params.ContactFlowId) {
+      throw createConnectError('InvalidParameterException', 'ContactFlowId is required');
+    }
+
+    const now = new Date();
+    const contactId = crypto.randomUUID();
+    const contact = {
+      Id: contactId,
+      Arn: `${this.instanceArn()}/contact/${contactId}`,
+      Channel: channel,
+      InitiationMethod: 'API',
+      State: 'INITIATED',
+      ContactFlowId: params.ContactFlowId,
+      DisplayName: params.ParticipantDetails?.DisplayName,
+      Attributes: { ...(params.Attributes || {}) },
+      RelatedContactId: params.RelatedContactId,
+      InitiationTimestamp: now,
+      LastUpdateTimestamp: now,
+      participantId: crypto.randomUUID(),
+      participantToken: crypto.randomBytes(24).toString('base64'),
+      transcript: [],
+      history: [{ state: 'INITIATED', timestamp: now }]
+    };
+
+    this.contacts.set(contactId, contact);
+    this.emit(contact, 'INITIATED');
+    return contact;
+  }
+
+  // Connect returns the original response when a start request repeats its ClientToken
+  withClientToken(params, start) {
+    if (params.ClientToken && this.clientTokens.has(params.ClientToken)) {
+      return this.clientTokens.get(params.ClientToken);
+    }
+
+    const response = start();
+    if (params.ClientToken) {
+      this.clientTokens.set(params.ClientToken, response);
+    }
+    return response;
+  }
+
+  requireContact(contactId) {
+    const contact = this.contacts.get(contactId);
+    if (!contact) {
+      throw createConnectError('ResourceNotFoundException', `Contact not found: ${contactId}`, 404);
+    }
+    return contact;
+  }
+
+  transition(contact, nextState) {
+    if (!STATE_TRANSITIONS[contact.State].includes(nextState)) {
+      throw createConnectError(
+        'InvalidRequestException',
+        `Invalid contact state transition for ${contact.Id}: ${contact.State} -> ${nextState}`
+      );
+    }
+
+    const now = new Date();
+    contact.State = nextState;
+    contact.LastUpdateTimestamp = now;
+    contact.history.push({ state: nextState, timestamp: now });
+
+    if (nextState === 'ENDED') {
+      contact.DisconnectTimestamp = now;
+      if (contact.AgentInfo) {
+        this.agents.get(contact.AgentInfo.Id)?.contactIds.delete(contact.Id);
+      }
+    }
+
+    this.emit(contact, nextState);
+  }
+
+  emit(contact, state) {
+    const event = {
+      version: '0',
+      id: crypto.randomUUID(),
+      'detail-type': 'Amazon Connect Contact Event',
+      source: 'aws.connect',
+      account: this.accountId,
+      time: new Date().toISOString(),
+      region: this.region,
+      resources: [contact.Arn],
+      detail: {
+        contactId: contact.Id,
+        channel: contact.Channel,
+        eventType: STATE_EVENT_TYPES[state],
+        instanceArn: this.instanceArn(),
+        initiationMethod: contact.InitiationMethod,
+        ...(contact.QueueInfo && { queueInfo: { queueArn: `${this.instanceArn()}/queue/${contact.QueueInfo.Id}` } }),
+        ...(contact.AgentInfo && { agentInfo: { agentArn: contact.AgentInfo.Arn } })
+      }
+    };
+
+    this.events.push(event);
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  toUserData(agent) {
+    const contacts = [...agent.contactIds].map(id => this.contacts.get(id));
+    const activeSlots = {};
+    const availableSlots = {};
+    for (const [channel, max] of Object.entries(agent.maxSlotsByChannel)) {
+      activeSlots[channel] = contacts.filter(contact => contact.Channel === channel).length;
+      availableSlots[channel] = Math.max(max - activeSlots[channel], 0);
+    }
+
+    return {
+      User: { Id: agent.Id, Arn: agent.Arn },
+      Status: {
+        StatusName: agent.status,
+        StatusArn: `${this.instanceArn()}/agent-state/${agent.status.toLowerCase()}`
+      },
+      ...(agent.nextStatus && { NextStatus: agent.nextStatus }),
+      MaxSlotsByChannel: { ...agent.maxSlotsByChannel },
+      ActiveSlotsByChannel: activeSlots,
+      AvailableSlotsByChannel: availableSlots,
+      Contacts: contacts.map(contact => ({
+        ContactId: contact.Id,
+        Channel: contact.Channel,
+        InitiationMethod: contact.InitiationMethod,
+        AgentContactState: 'CONNECTED',
+        ConnectedToAgentTimestamp: contact.AgentInfo.ConnectedToAgentTimestamp
+      }))
+    };
+  }
+
+  toContactDescription(contact) {
+    const { participantId, participantToken, meeting, transcript, history, ContactFlowId, DisplayName, ...description } = contact;
+    return {
+      ...description,
+      Attributes: { ...contact.Attributes },
+      ...(contact.AgentInfo && { AgentInfo: { ...contact.AgentInfo } }),
+      ...(contact.QueueInfo && { QueueInfo: { ...contact.QueueInfo } })
+    };
+  }
+}
+
+let sharedEmulator = null;
+
+/**
+ * Returns the process-wide emulator so every handler in a test run sees the same contacts
+ * @param {Object} [options] - Constructor options, used on first call only
+ * @returns {ConnectEmulator}
+ */
+function getEmulator(options) {
+  if (!sharedEmulator) {
+    sharedEmulator = new ConnectEmulator(options);
+  }
+  return sharedEmulator;
+}
+
+module.exports = {
+  ConnectEmulator,
+  getEmulator,
+  createConnectError,
+  STATE_TRANSITIONS
+};
@@ -0,0 +1,209 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { ConnectEmulator } = require('./connect-emulator');
+
+const CHAT_PARAMS = {
+  ContactFlowId: 'flow-123',
+  ParticipantDetails: { DisplayName: 'Customer' },
+  Attributes: { InitiationMethod: 'Chat', userId: 'user-1' }
+};
+
+describe('ConnectEmulator', () => {
+  let emulator;
+
+  beforeEach(() => {
+    emulator = new ConnectEmulator({ instanceId: 'test-instance', region: 'us-west-2', accountId: '123456789012' });
+  });
+
+  it('should create chat contacts with attributes in INITIATED state', async () => {
+    const result = await emulator.startChatContact(CHAT_PARAMS);
+
+    assert.ok(result.ContactId);
+    assert.ok(result.ParticipantId);
+    assert.ok(result.ParticipantToken);
+
+    const { Contact } = await emulator.describeContact({ ContactId: result.ContactId });
+    assert.strictEqual(Contact.Channel, 'CHAT');
+    assert.strictEqual(Contact.State, 'INITIATED');
+    assert.deepStrictEqual(Contact.Attributes, CHAT_PARAMS.Attributes);
+    assert.strictEqual(Contact.AgentInfo, undefined);
+    assert.strictEqual(Contact.participantToken, undefined, 'Participant token should not leak into DescribeContact');
+  });
+
+  it('should return Chime connection data for WebRTC contacts', async () => {
+    const result = await emulator.startWebRTCContact({ ContactFlowId: 'flow-123' });
+
+    assert.ok(result.ConnectionData.Meeting.MeetingId);
+    assert.strictEqual(result.ConnectionData.Meeting.MediaRegion, 'us-west-2');
+    assert.strictEqual(result.ConnectionData.Attendee.AttendeeId, result.ParticipantId);
+
+    const { Contact } = await emulator.describeContact({ ContactId: result.ContactId });
+    assert.strictEqual(Contact.Channel, 'VOICE');
+  });
+
+  it('should queue and connect a contact to an agent', async () => {
+    const { ContactId } = await emulator.startChatContact(CHAT_PARAMS);
+
+    emulator.connectToAgent(ContactId, 'agent-1');
+
+    const { Contact } = await emulator.describeContact({ ContactId });
+    assert.strictEqual(Contact.State, 'CONNECTED');
+    assert.strictEqual(Contact.AgentInfo.Id, 'agent-1');
+    assert.strictEqual(Contact.AgentInfo.Arn, 'arn:aws:connect:us-west-2:123456789012:instance/test-instance/agent/agent-1');
+    assert.deepStrictEqual(
+      emulator.events.map(e => e.detail.eventType),
+      ['INITIATED', 'QUEUED', 'CONNECTED_TO_AGENT']
+    );
+    assert.ok(emulator.agents.get('agent-1').contactIds.has(ContactId));
+  });
+
+  it('should notify contact event listeners with EventBridge-shaped events', async () => {
+    const received = [];
+    const unsubscribe = emulator.onContactEvent(event => received.push(event));
+
+    const { ContactId } = await emulator.startWebRTCContact({ ContactFlowId: 'flow-123' });
+    emulator.connectToAgent(ContactId, 'agent-1');
+    unsubscribe();
+    emulator.endContact(ContactId);
+
+    const connected = received.find(e => e.detail.eventType === 'CONNECTED_TO_AGENT');
+    assert.strictEqual(connected.source, 'aws.connect');
+    assert.strictEqual(connected['detail-type'], 'Amazon Connect Contact Event');
+    assert.strictEqual(connected.detail.contactId, ContactId);
+    assert.strictEqual(connected.detail.channel, 'VOICE');
+    assert.ok(connected.detail.agentInfo.agentArn.endsWith('/agent/agent-1'));
+    assert.strictEqual(received.length, 3, 'Unsubscribed listener should not receive DISCONNECTED');
+  });
+
+  it('should end contacts on stopContact and release the agent', async () => {
+    const { ContactId } = await emulator.startChatContact(CHAT_PARAMS);
+    emulator.connectToAgent(ContactId, 'agent-1');
+
+    await emulator.stopContact({ ContactId });
+
+    const { Contact } = await emulator.describeContact({ ContactId });
+    assert.strictEqual(Contact.State, 'ENDED');
+    assert.ok(Contact.DisconnectTimestamp);
+    assert.strictEqual(emulator.agents.get('agent-1').contactIds.size, 0);
+
+    await assert.rejects(
+      emulator.stopContact({ ContactId }),
+      { name: 'ContactNotFoundException' }
+    );
+  });
+
+  it('should reject invalid state transitions', async () => {
+    const { ContactId } = await emulator.startChatContact(CHAT_PARAMS);
+    emulator.endContact(ContactId);
+
+    assert.throws(
+      () => emulator.connectToAgent(ContactId, 'agent-1'),
+      { name: 'InvalidRequestException' }
+    );
+  });
+
+  it('should throw SDK-shaped errors for unknown contacts and missing parameters', async () => {
+    await assert.rejects(
+      emulator.describeContact({ ContactId: 'missing' }),
+      { name: 'ResourceNotFoundException', statusCode: 404 }
+    );
+
+    await assert.rejects(
+      emulator.startChatContact({}),
+      { name: 'InvalidParameterException' }
+    );
+  });
+
+  it('should return the original contact when a ClientToken repeats', async () => {
+    const first = await emulator.startChatContact({ ...CHAT_PARAMS, ClientToken: 'token-1' });
+    const second = await emulator.startChatContact({ ...CHAT_PARAMS, ClientToken: 'token-1' });
+    const third = await emulator.startChatContact({ ...CHAT_PARAMS, ClientToken: 'token-2' });
+
+    assert.deepStrictEqual(second, first);
+    assert.notStrictEqual(third.ContactId, first.ContactId);
+    assert.strictEqual(emulator.contacts.size, 2);
+  });
+
+  it('should create participant connections for active contacts only', async () => {
+    const chat = await emulator.startChatContact(CHAT_PARAMS);
+    const voice = await emulator.startWebRTCContact({ ContactFlowId: 'flow-123' });
+
+    const chatConnection = await emulator.createParticipantConnection({
+      ParticipantToken: chat.ParticipantToken,
+      Type: ['WEBSOCKET', 'CONNECTION_CREDENTIALS']
+    });
+    assert.ok(chatConnection.Websocket.Url);
+    assert.ok(chatConnection.ConnectionCredentials.ConnectionToken);
+    assert.strictEqual(chatConnection.WebRTCConnection, undefined);
+
+    const voiceConnection = await emulator.createParticipantConnection({
+      ParticipantToken: voice.ParticipantToken,
+      Type: ['WEBRTC_CONNECTION']
+    });
+    assert.strictEqual(voiceConnection.WebRTCConnection.Meeting.MeetingId, voice.ConnectionData.Meeting.MeetingId);
+    assert.notStrictEqual(voiceConnection.WebRTCConnection.Attendee.AttendeeId, voice.ConnectionData.Attendee.AttendeeId);
+
+    await emulator.stopContact({ ContactId: voice.ContactId });
+    await assert.rejects(
+      emulator.createParticipantConnection({ ParticipantToken: voice.ParticipantToken, Type: ['WEBRTC_CONNECTION'] }),
+      { name: 'AccessDeniedException', statusCode: 403 }
+    );
+    await assert.rejects(
+      emulator.createParticipantConnection({ ParticipantToken: 'unknown', Type: ['WEBSOCKET'] }),
+      { name: 'AccessDeniedException' }
+    );
+  });
+
+  it('should page through a chat transcript with a connection token', async () => {
+    const chat = await emulator.startChatContact(CHAT_PARAMS);
+    ['one', 'two', 'three'].forEach(content => emulator.sendChatMessage(chat.ContactId, { role: 'CUSTOMER', content }));
+
+    const { ConnectionCredentials } = await emulator.createParticipantConnection({
+      ParticipantToken: chat.ParticipantToken,
+      Type: ['CONNECTION_CREDENTIALS']
+    });
+
+    const first = await emulator.getTranscript({ ConnectionToken: ConnectionCredentials.ConnectionToken, MaxResults: 2 });
+    const second = await emulator.getTranscript({
+      ConnectionToken: ConnectionCredentials.ConnectionToken,
+      MaxResults: 2,
+      NextToken: first.NextToken
+    });
+
+    assert.deepStrictEqual(first.Transcript.map(item => item.Content), ['one', 'two']);
+    assert.deepStrictEqual(second.Transcript.map(item => item.Content), ['three']);
+    assert.strictEqual(second.NextToken, undefined);
+    assert.strictEqual(first.Transcript[0].DisplayName, 'Customer');
+    await assert.rejects(emulator.getTranscript({ ConnectionToken: 'unknown' }), { name: 'AccessDeniedException' });
+  });
+
+  it('should merge attribute updates', async () => {
+    const { ContactId } = await emulator.startChatContact(CHAT_PARAMS);
+
+    emulator.updateAttributes(ContactId, { relatedContactId: 'voice-1' });
+    await emulator.updateContactAttributes({ InitialContactId: ContactId, Attributes: { DowngradedFromContactId: 'voice-1' } });
+
+    const { Contact } = await emulator.describeContact({ ContactId });
+    assert.strictEqual(Contact.Attributes.userId, 'user-1');
+    assert.strictEqual(Contact.Attributes.relatedContactId, 'voice-1');
+    assert.strictEqual(Contact.Attributes.DowngradedFromContactId, 'voice-1');
+  });
+
+  it('should report agent status and free slots for logged-in agents', async () => {
+    const { ContactId } = await emulator.startChatContact(CHAT_PARAMS);
+    emulator.connectToAgent(ContactId, 'agent-1');
+    emulator.addAgent('agent-2', { status: 'Offline' });
+
+    const { UserDataList } = await emulator.getCurrentUserData({ Filters: { Agents: ['agent-1', 'agent-2'] } });
+
+    assert.strictEqual(UserDataList.length, 1, 'Offline agents should not be listed');
+    assert.strictEqual(UserDataList[0].Status.StatusName, 'Available');
+    assert.deepStrictEqual(UserDataList[0].AvailableSlotsByChannel, { VOICE: 1, CHAT: 2 });
+    assert.deepStrictEqual(UserDataList[0].Contacts.map(c => c.ContactId), [ContactId]);
+
+    emulator.setAgentStatus('agent-1', 'Break');
+    const { UserDataList: [onBreak] } = await emulator.getCurrentUserData({ Filters: { Agents: ['agent-1'] } });
+    assert.strictEqual(onBreak.Status.StatusName, 'Break');
+  });
+});
@@ -0,0 +1,211 @@
+// Contact-center service shared by the Connect Lambdas
+// Wraps the Amazon Connect operations our handlers use behind one interface so
+// the same handler code can run against a live instance or the local emulator.
+// Every call gets the same timeout, retry and error mapping behaviour.
+
+const crypto = require('crypto');
+const { getEmulator } = require('./connect-emulator');
+const { ConnectTimeoutError, ContactNotFoundError, toConnectServiceError } = require('./errors');
+
+// Per-attempt timeout and retry policy for every Connect operation
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BASE_DELAY_MS = 100;
+
+// Operations that create contacts; they carry a ClientToken so retries are idempotent
+const CONTACT_CREATING_OPERATIONS = ['StartChatContact', 'StartWebRTCContact'];
+
+// Content types every customer chat declares, whichever Lambda starts it; the
+// widget renders Markdown and interactive templates (list picker, time picker,
+// quick replies) and answers them with interactive responses
+const CHAT_CONTENT_TYPES = [
+  'text/plain',
+  'text/markdown',
+  'application/vnd.amazonaws.connect.message.interactive',
+  'application/vnd.amazonaws.connect.message.interactive.response'
+];
+
+// Operations that end a contact. An attempt that timed out may still have gone
+// through, so a retry that no longer finds the contact counts as success.
+const CONTACT_ENDING_OPERATIONS = ['StopContact'];
+
+// Connect Participant Service operations; they are authorised by the participant
+// token instead of IAM and take no InstanceId
+const PARTICIPANT_OPERATIONS = ['CreateParticipantConnection', 'GetTranscript'];
+
+/**
+ * Builds a transport for the @aws-sdk/client-connect v3 client
+ * @param {Object} client - A `ConnectClient` instance
+ * @param {Object} commands - The @aws-sdk/client-connect module (command constructors)
+ * @returns {Function} - Transport sending `new <operation>Command(params)`
+ */
+function createV3Transport(client, commands) {
+  return (operation, params, { abortSignal } = {}) => {
+    const Command = commands[`${operation}Command`];
+    if (!Command) {
+      throw new Error(`Unsupported Connect operation: ${operation}`);
+    }
+    return client.send(new Command(params), { abortSignal });
+  };
+}
+
+/**
+ * Builds a transport that dispatches operations to the in-memory emulator
+ * @param {Object} emulator - A ConnectEmulator instance
+ * @returns {Function} - Transport calling `emulator.<operation>(params)`
+ */
+function createEmulatorTransport(emulator) {
+  return (operation, params) => {
+    const method = operation.charAt(0).toLowerCase() + operation.slice(1);
+    return emulator[method](params);
+  };
+}
+
+/**
+ * Runs one attempt of an operation, aborting it after `timeoutMs`
+ * @param {Function} attempt - (abortSignal) => Promise
+ * @param {string} operation - Connect operation name
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise}
+ */
+function withTimeout(attempt, operation, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new ConnectTimeoutError(`${operation} timed out after ${timeoutMs}ms`, { operation }));
+    }, timeoutMs);
+  });
+
+  return Promise.race([attempt(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, baseDelayMs) {
+  return Math.floor(Math.random() * baseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * Creates a contact-center adapter on top of a Connect transport
+ * Every method takes the Connect API request without InstanceId and resolves
+ * with the Connect API response. Failures are rejected as ConnectServiceError
+ * subclasses (see errors.js); retryable ones are retried with backoff.
+ * @param {Object} options
+ * @param {string} options.instanceId - Connect instance ID added to every request
+ * @param {Function} options.transport - (operation, params, { abortSignal }) => Promise<response>
+ * @param {Function} [options.participantTransport] - Transport for Connect Participant Service operations
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.maxAttempts] - Attempts before giving up on retryable errors
+ * @param {number} [options.baseDelayMs] - Backoff base delay
+ * @returns {Object} - Contact-center adapter
+ */
+function createConnectAdapter({
+  instanceId,
+  transport,
+  participantTransport,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS
+}) {
+  const call = async (operation, params) => {
+    const isParticipantOperation = PARTICIPANT_OPERATIONS.includes(operation);
+    const send = isParticipantOperation ? participantTransport : transport;
+    if (!send) {
+      throw new Error(`No transport configured for ${operation}`);
+    }
+    const request = isParticipantOperation ? { ...params } : { InstanceId: instanceId, ...params };
+
+    // Reuse one ClientToken across attempts so a retried start never creates a second contact
+    if (CONTACT_CREATING_OPERATIONS.includes(operation) && !request.ClientToken) {
+      request.ClientToken = crypto.randomUUID();
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await withTimeout(
+          (abortSignal) => Promise.resolve().then(() => send(operation, request, { abortSignal })),
+          operation,
+          timeoutMs
+        );
+      } catch (error) {
+        const serviceError = toConnectServiceError(error, operation);
+
+        if (attempt > 1 && serviceError instanceof ContactNotFoundError && CONTACT_ENDING_OPERATIONS.includes(operation)) {
+          console.log(`Connect ${operation} found no contact on attempt ${attempt}; an earlier attempt already ended it`);
+          return {};
+        }
+
+        if (!serviceError.retryable || attempt >= maxAttempts) {
+          console.error(`Connect ${operation} failed after ${attempt} attempt(s):`, {
+            errorType: serviceError.name,
+            awsErrorName: serviceError.awsErrorName,
+            message: serviceError.message
+          });
+          throw serviceError;
+        }
+
+        const delay = backoffDelay(attempt, baseDelayMs);
+        console.warn(`Connect ${operation} attempt ${attempt} failed with ${serviceError.name}, retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  };
+
+  return {
+    startChatContact: (params) => call('StartChatContact', params),
+    startWebRTCContact: (params) => call('StartWebRTCContact', params),
+    stopContact: (params) => call('StopContact', params),
+    describeContact: (params) => call('DescribeContact', params),
+    updateContactAttributes: (params) => call('UpdateContactAttributes', params),
+    getCurrentUserData: (params) => call('GetCurrentUserData', params),
+    createParticipantConnection: (params) => call('CreateParticipantConnection', params),
+    getTranscript: (params) => call('GetTranscript', params)
+  };
+}
+
+/**
+ * Resolves the contact-center adapter for a Lambda
+ * Uses the shared in-memory emulator when CONNECT_EMULATOR=true, otherwise a
+ * v3 ConnectClient. SDK-level retries are disabled so the adapter owns retries.
+ * @param {Object} options
+ * @param {string} options.instanceId - Connect instance ID
+ * @param {Object} options.sdk - The @aws-sdk/client-connect module
+ * @param {Object} [options.participantSdk] - The @aws-sdk/client-connectparticipant module,
+ *   needed only by Lambdas that call Participant Service operations
+ * @param {Object} [options.env] - Environment to read CONNECT_EMULATOR from
+ * @param {...*} [options.adapterOptions] - timeoutMs, maxAttempts, baseDelayMs
+ * @returns {Object} - Contact-center adapter
+ */
+function createContactCenter({ instanceId, sdk, participantSdk, env = process.env, ...adapterOptions }) {
+  if (env.CONNECT_EMULATOR === 'true') {
+    console.log('Using local Amazon Connect emulator for instance:', instanceId);
+    const transport = createEmulatorTransport(getEmulator({ instanceId }));
+    return createConnectAdapter({ instanceId, transport, participantTransport: transport, ...adapterOptions });
+  }
+
+  const client = new sdk.ConnectClient({ maxAttempts: 1 });
+  const participantTransport = participantSdk
+    ? createV3Transport(new participantSdk.ConnectParticipantClient({ maxAttempts: 1 }), participantSdk)
+    : undefined;
+  return createConnectAdapter({
+    instanceId,
+    transport: createV3Transport(client, sdk),
+    participantTransport,
+    ...adapterOptions
+  });
+}
+
+module.exports = {
+  CHAT_CONTENT_TYPES,
+  createV3Transport,
+  createEmulatorTransport,
+  createConnectAdapter,
+  createContactCenter
+};
@@ -0,0 +1,233 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ConnectEmulator } = require('./connect-emulator');
+const {
+  createConnectAdapter,
+  createEmulatorTransport,
+  createV3Transport,
+  createContactCenter
+} = require('./contact-center');
+const {
+  ConnectServiceError,
+  ContactNotFoundError,
+  ConnectThrottlingError,
+  ConnectQuotaExceededError,
+  ConnectUnavailableError,
+  ConnectTimeoutError,
+  toConnectServiceError
+} = require('./errors');
+
+// Fast retry policy so tests don't wait on real backoff
+const FAST = { timeoutMs: 50, baseDelayMs: 1 };
+
+function sdkError(name, httpStatusCode = 400) {
+  return Object.assign(new Error(`${name} from Connect`), { name, $metadata: { httpStatusCode } });
+}
+
+// Transport that fails with the given errors before resolving with `result`
+function flakyTransport(errors, result = {}) {
+  const calls = [];
+  const transport = async (operation, params, options) => {
+    calls.push({ operation, params, options });
+    if (calls.length <= errors.length) {
+      throw errors[calls.length - 1];
+    }
+    return result;
+  };
+  return { transport, calls };
+}
+
+describe('Contact-center adapter', () => {
+  it('should add InstanceId to every request', async () => {
+    const { transport, calls } = flakyTransport([]);
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport, ...FAST });
+
+    await adapter.describeContact({ ContactId: 'contact-1' });
+
+    assert.deepStrictEqual(calls[0].params, { InstanceId: 'instance-1', ContactId: 'contact-1' });
+    assert.ok(calls[0].options.abortSignal instanceof AbortSignal);
+  });
+
+  it('should send participant operations through the participant transport without InstanceId', async () => {
+    const connect = flakyTransport([]);
+    const participant = flakyTransport([], { ConnectionCredentials: { ConnectionToken: 'connection-1' } });
+    const adapter = createConnectAdapter({
+      instanceId: 'instance-1',
+      transport: connect.transport,
+      participantTransport: participant.transport,
+      ...FAST
+    });
+
+    const result = await adapter.createParticipantConnection({ ParticipantToken: 'token-1', Type: ['CONNECTION_CREDENTIALS'] });
+
+    assert.strictEqual(result.ConnectionCredentials.ConnectionToken, 'connection-1');
+    assert.strictEqual(connect.calls.length, 0);
+    assert.deepStrictEqual(participant.calls[0].params, { ParticipantToken: 'token-1', Type: ['CONNECTION_CREDENTIALS'] });
+  });
+
+  it('should reject participant operations when no participant transport is configured', async () => {
+    const { transport } = flakyTransport([]);
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport, ...FAST });
+
+    await assert.rejects(
+      adapter.createParticipantConnection({ ParticipantToken: 'token-1' }),
+      /No transport configured for CreateParticipantConnection/
+    );
+  });
+
+  it('should retry throttling and unavailable errors with the same ClientToken', async () => {
+    const { transport, calls } = flakyTransport(
+      [sdkError('ThrottlingException'), sdkError('InternalServiceException', 500)],
+      { ContactId: 'chat-1' }
+    );
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport, ...FAST });
+
+    const result = await adapter.startChatContact({ ContactFlowId: 'flow-1' });
+
+    assert.strictEqual(result.ContactId, 'chat-1');
+    assert.strictEqual(calls.length, 3);
+    assert.ok(calls[0].params.ClientToken);
+    assert.ok(calls.every(call => call.params.ClientToken === calls[0].params.ClientToken));
+  });
+
+  it('should keep a caller-supplied ClientToken', async () => {
+    const { transport, calls } = flakyTransport([]);
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport, ...FAST });
+
+    await adapter.startWebRTCContact({ ContactFlowId: 'flow-1', ClientToken: 'caller-token' });
+
+    assert.strictEqual(calls[0].params.ClientToken, 'caller-token');
+  });
+
+  it('should give up after maxAttempts with a typed error', async () => {
+    const { transport, calls } = flakyTransport(Array(5).fill(sdkError('ThrottlingException')));
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport, maxAttempts: 2, ...FAST });
+
+    await assert.rejects(adapter.stopContact({ ContactId: 'contact-1' }), (error) => {
+      assert.ok(error instanceof ConnectThrottlingError);
+      assert.strictEqual(error.operation, 'StopContact');
+      assert.strictEqual(error.awsErrorName, 'ThrottlingException');
+      return true;
+    });
+    assert.strictEqual(calls.length, 2);
+  });
+
+  it('should not retry non-retryable errors', async () => {
+    const { transport, calls } = flakyTransport([sdkError('ResourceNotFoundException', 404)]);
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport, ...FAST });
+
+    await assert.rejects(adapter.describeContact({ ContactId: 'missing' }), ContactNotFoundError);
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it('should fail fast when a service quota is exceeded', async () => {
+    const { transport, calls } = flakyTransport([sdkError('LimitExceededException', 429)]);
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport, ...FAST });
+
+    await assert.rejects(adapter.startChatContact({ ContactFlowId: 'flow-1' }), (error) => {
+      assert.ok(error instanceof ConnectQuotaExceededError);
+      assert.strictEqual(error.statusCode, 503);
+      assert.strictEqual(error.retryable, false);
+      return true;
+    });
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it('should treat a contact missing on a StopContact retry as stopped', async () => {
+    const { transport, calls } = flakyTransport([
+      new ConnectTimeoutError('StopContact timed out after 50ms', { operation: 'StopContact' }),
+      sdkError('ContactNotFoundException', 404)
+    ]);
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport, ...FAST });
+
+    assert.deepStrictEqual(await adapter.stopContact({ ContactId: 'contact-1' }), {});
+    assert.strictEqual(calls.length, 2);
+
+    // Not found on the first attempt is still an error
+    const missing = flakyTransport([sdkError('ContactNotFoundException', 404)]);
+    const missingAdapter = createConnectAdapter({ instanceId: 'instance-1', transport: missing.transport, ...FAST });
+    await assert.rejects(missingAdapter.stopContact({ ContactId: 'missing' }), ContactNotFoundError);
+  });
+
+  it('should abort and time out hung calls', async () => {
+    let aborted = 0;
+    const transport = (operation, params, { abortSignal }) => new Promise(() => {
+      abortSignal.addEventListener('abort', () => aborted++);
+    });
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport, maxAttempts: 2, ...FAST });
+
+    await assert.rejects(adapter.describeContact({ ContactId: 'contact-1' }), ConnectTimeoutError);
+    assert.strictEqual(aborted, 2);
+  });
+
+  it('should map emulator errors through the emulator transport', async () => {
+    const emulator = new ConnectEmulator({ instanceId: 'instance-1' });
+    const adapter = createConnectAdapter({ instanceId: 'instance-1', transport: createEmulatorTransport(emulator), ...FAST });
+
+    const { ContactId } = await adapter.startChatContact({ ContactFlowId: 'flow-1' });
+    const { Contact } = await adapter.describeContact({ ContactId });
+
+    assert.strictEqual(Contact.Channel, 'CHAT');
+    await assert.rejects(adapter.describeContact({ ContactId: 'missing' }), ContactNotFoundError);
+  });
+
+  it('should send v3 commands through the client', async () => {
+    const sent = [];
+    class DescribeContactCommand {
+      constructor(input) { this.input = input; }
+    }
+    const client = { send: async (command, options) => { sent.push({ command, options }); return { Contact: {} }; } };
+
+    const transport = createV3Transport(client, { DescribeContactCommand });
+    await transport('DescribeContact', { ContactId: 'contact-1' }, { abortSignal: 'signal' });
+
+    assert.ok(sent[0].command instanceof DescribeContactCommand);
+    assert.deepStrictEqual(sent[0].command.input, { ContactId: 'contact-1' });
+    assert.strictEqual(sent[0].options.abortSignal, 'signal');
+    assert.throws(() => transport('StopContact', {}), /Unsupported Connect operation/);
+  });
+
+  it('should build a ConnectClient without SDK retries', async () => {
+    let clientConfig;
+    const sdk = {
+      ConnectClient: class {
+        constructor(config) { clientConfig = config; }
+        async send() { return {}; }
+      },
+      StopContactCommand: class {}
+    };
+
+    const adapter = createContactCenter({ instanceId: 'instance-1', sdk, env: {} });
+    await adapter.stopContact({ ContactId: 'contact-1' });
+
+    assert.deepStrictEqual(clientConfig, { maxAttempts: 1 });
+  });
+
+  it('should use the shared emulator when CONNECT_EMULATOR is true', async () => {
+    const adapter = createContactCenter({ instanceId: 'instance-1', sdk: {}, env: { CONNECT_EMULATOR: 'true' } });
+
+    const { ContactId } = await adapter.startChatContact({ ContactFlowId: 'flow-1' });
+    const { Contact } = await adapter.describeContact({ ContactId });
+
+    assert.strictEqual(Contact.Id, ContactId);
+  });
+});
+
+describe('toConnectServiceError', () => {
+  it('should map SDK error names, 5xx responses and network failures', () => {
+    assert.ok(toConnectServiceError(sdkError('ContactNotFoundException', 410), 'StopContact') instanceof ContactNotFoundError);
+    assert.ok(toConnectServiceError(sdkError('SomethingNew', 502), 'StopContact') instanceof ConnectUnavailableError);
+    assert.ok(toConnectServiceError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }), 'StopContact') instanceof ConnectUnavailableError);
+  });
+
+  it('should fall back to a non-retryable ConnectServiceError', () => {
+    const error = toConnectServiceError(new Error('boom'), 'DescribeContact');
+
+    assert.strictEqual(error.constructor, ConnectServiceError);
+    assert.strictEqual(error.code, 'CONNECT_ERROR');
+    assert.strictEqual(error.statusCode, 500);
+    assert.strictEqual(error.retryable, false);
+    assert.strictEqual(error.message, 'DescribeContact failed: boom');
+  });
+});
@@ -0,0 +1,117 @@
+// Typed errors for Amazon Connect operations
+// Every failure from the contact-center adapter is one of these, so handlers can
+// branch on the error class instead of on SDK-specific `code` or `name` values.
+
+class ConnectServiceError extends Error {
+  // Error code and HTTP status our APIs report, and whether the call may be retried
+  code = 'CONNECT_ERROR';
+  statusCode = 500;
+  retryable = false;
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {string} [details.operation] - Connect operation that failed, e.g. DescribeContact
+   * @param {Error} [details.cause] - Original SDK error
+   */
+  constructor(message, { operation, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.operation = operation;
+    this.cause = cause;
+    this.awsErrorName = cause?.name;
+  }
+}
+
+class ContactNotFoundError extends ConnectServiceError {
+  code = 'CONTACT_NOT_FOUND';
+  statusCode = 404;
+}
+
+class InvalidConnectRequestError extends ConnectServiceError {
+  code = 'INVALID_CONNECT_REQUEST';
+  statusCode = 400;
+}
+
+class ConnectAccessDeniedError extends ConnectServiceError {
+  code = 'CONNECT_ACCESS_DENIED';
+}
+
+class ConnectThrottlingError extends ConnectServiceError {
+  code = 'CONNECT_THROTTLED';
+  statusCode = 429;
+  retryable = true;
+}
+
+// A service quota such as concurrent active chats is full; waiting a few
+// hundred milliseconds won't free it, so it is not retried
+class ConnectQuotaExceededError extends ConnectServiceError {
+  code = 'CONNECT_QUOTA_EXCEEDED';
+  statusCode = 503;
+}
+
+class ConnectUnavailableError extends ConnectServiceError {
+  code = 'CONNECT_UNAVAILABLE';
+  statusCode = 503;
+  retryable = true;
+}
+
+class ConnectTimeoutError extends ConnectServiceError {
+  code = 'CONNECT_TIMEOUT';
+  statusCode = 504;
+  retryable = true;
+}
+
+// Connect exception names (SDK error `name`) per error type
+const ERROR_TYPES_BY_AWS_NAME = {
+  ResourceNotFoundException: ContactNotFoundError,
+  ContactNotFoundException: ContactNotFoundError,
+  InvalidParameterException: InvalidConnectRequestError,
+  InvalidRequestException: InvalidConnectRequestError,
+  ValidationException: InvalidConnectRequestError,
+  AccessDeniedException: ConnectAccessDeniedError,
+  UnauthorizedException: ConnectAccessDeniedError,
+  ThrottlingException: ConnectThrottlingError,
+  TooManyRequestsException: ConnectThrottlingError,
+  LimitExceededException: ConnectQuotaExceededError,
+  InternalServiceException: ConnectUnavailableError,
+  ServiceUnavailableException: ConnectUnavailableError
+};
+
+// Network-level failures worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Maps any error raised by a Connect call to a typed ConnectServiceError
+ * @param {Error} error - Error thrown by the SDK (or the emulator)
+ * @param {string} operation - Connect operation name
+ * @returns {ConnectServiceError}
+ */
+function toConnectServiceError(error, operation) {
+  if (error instanceof ConnectServiceError) {
+    return error;
+  }
+
+  const awsName = error?.name;
+  const httpStatusCode = error?.$metadata?.httpStatusCode || error?.statusCode;
+  const message = `${operation} failed: ${error?.message || awsName || 'Unknown error'}`;
+
+  let ErrorType = ERROR_TYPES_BY_AWS_NAME[awsName];
+  if (!ErrorType && (httpStatusCode >= 500 || RETRYABLE_NETWORK_CODES.includes(error?.code))) {
+    ErrorType = ConnectUnavailableError;
+  }
+
+  return new (ErrorType || ConnectServiceError)(message, { operation, cause: error });
+}
+
+module.exports = {
+  ConnectServiceError,
+  ContactNotFoundError,
+  InvalidConnectRequestError,
+  ConnectAccessDeniedError,
+  ConnectThrottlingError,
+  ConnectQuotaExceededError,
+  ConnectUnavailableError,
+  ConnectTimeoutError,
+  toConnectServiceError
+};
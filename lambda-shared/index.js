@@ -0,0 +1,7 @@
+// Shared modules for the Connect Lambdas
+module.exports = {
+  ...require('./contact-center'),
+  ...require('./connect-emulator'),
+  ...require('./errors'),
+  ...require('./config')
+};
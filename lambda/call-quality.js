@@ -0,0 +1,53 @@
+// Call quality reports from the customer widget
+// The browser summarises the Chime audio metrics of a voice call every 30
+// seconds, and again when the call degrades, moves to chat or ends. Each report
+// is logged in CloudWatch Embedded Metric Format, so CloudWatch turns the values
+// into metrics per trigger without a PutMetricData call.
+
+const METRIC_NAMESPACE = 'ConnectMultimodal/CallQuality';
+
+// Report field -> metric name and unit
+const METRICS = [
+  ['packetLossPercent', 'PacketLossPercent', 'Percent'],
+  ['maxPacketLossPercent', 'MaxPacketLossPercent', 'Percent'],
+  ['jitterMs', 'JitterMs', 'Milliseconds'],
+  ['roundTripTimeMs', 'RoundTripTimeMs', 'Milliseconds'],
+  ['reconnects', 'Reconnects', 'Count']
+];
+
+/**
+ * Builds the Embedded Metric Format log record for one quality report
+ * @param {Object} report - Validated /call-quality request body
+ * @param {Object} context
+ * @param {string} context.userId - Customer the report came from
+ * @param {number} [context.now] - Timestamp in ms (for tests)
+ * @returns {Object} - EMF record; metrics missing from the report are left out
+ */
+function createQualityMetricsRecord(report, { userId, now = Date.now() }) {
+  const reported = METRICS.filter(([field]) => report[field] !== undefined);
+
+  const record = {
+    _aws: {
+      Timestamp: now,
+      CloudWatchMetrics: [{
+        Namespace: METRIC_NAMESPACE,
+        Dimensions: [['Trigger']],
+        Metrics: reported.map(([, name, unit]) => ({ Name: name, Unit: unit }))
+      }]
+    },
+    Trigger: report.trigger,
+    contactId: report.contactId,
+    userId,
+    sampleCount: report.sampleCount
+  };
+
+  for (const [field, name] of reported) {
+    record[name] = report[field];
+  }
+  return record;
+}
+
+module.exports = {
+  METRIC_NAMESPACE,
+  createQualityMetricsRecord
+};
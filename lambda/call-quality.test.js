@@ -0,0 +1,34 @@
+const { METRIC_NAMESPACE, createQualityMetricsRecord } = require('./call-quality');
+
+describe('Call quality metrics', () => {
+  test('should emit the reported values as metrics per trigger', () => {
+    const record = createQualityMetricsRecord({
+      contactId: 'voice-1',
+      trigger: 'degraded',
+      sampleCount: 30,
+      packetLossPercent: 7.5,
+      jitterMs: 42
+    }, { userId: 'user-1', now: 1700000000000 });
+
+    expect(record._aws).toEqual({
+      Timestamp: 1700000000000,
+      CloudWatchMetrics: [{
+        Namespace: METRIC_NAMESPACE,
+        Dimensions: [['Trigger']],
+        Metrics: [
+          { Name: 'PacketLossPercent', Unit: 'Percent' },
+          { Name: 'JitterMs', Unit: 'Milliseconds' }
+        ]
+      }]
+    });
+    expect(record).toMatchObject({
+      Trigger: 'degraded',
+      contactId: 'voice-1',
+      userId: 'user-1',
+      sampleCount: 30,
+      PacketLossPercent: 7.5,
+      JitterMs: 42
+    });
+    expect(record).not.toHaveProperty('RoundTripTimeMs');
+  });
+});
@@ -0,0 +1,104 @@
+// CORS policy for the REST API
+// Only origins listed in ALLOWED_ORIGINS (comma-separated, set by the CDK stack
+// from the CloudFront distributions and config.json) may call the API. The
+// matching origin is echoed back; there is no wildcard.
+
+const ALLOWED_METHODS = 'POST, OPTIONS';
+const ALLOWED_HEADERS = 'Content-Type, Authorization, Idempotency-Key';
+// Response headers browser code may read
+const EXPOSED_HEADERS = 'Retry-After, Idempotent-Replayed';
+const PREFLIGHT_MAX_AGE_SECONDS = 600;
+
+/**
+ * Normalises an origin for comparison (lower-case, no trailing slash)
+ * @param {string} origin - Origin such as https://d123.cloudfront.net
+ * @returns {string}
+ */
+function normalizeOrigin(origin) {
+  return origin.trim().toLowerCase().replace(/\/+$/, '');
+}
+
+/**
+ * Parses the comma-separated allow-list
+ * @param {string} [value] - ALLOWED_ORIGINS value
+ * @returns {string[]} - Normalised origins; empty when unset, which allows no origin
+ */
+function parseAllowedOrigins(value) {
+  return (value || '')
+    .split(',')
+    .map(normalizeOrigin)
+    .filter(Boolean);
+}
+
+/**
+ * Reads the Origin header from an API Gateway event (header names are case-insensitive)
+ * @param {Object} event - API Gateway proxy event
+ * @returns {string|null}
+ */
+function getRequestOrigin(event) {
+  const headers = event.headers || {};
+  const name = Object.keys(headers).find(key => key.toLowerCase() === 'origin');
+  return name ? headers[name] : null;
+}
+
+/**
+ * Evaluates a request against the allow-list
+ * @param {Object} event - API Gateway proxy event
+ * @param {string[]} allowedOrigins - Normalised allowed origins
+ * @returns {{ origin: string|null, allowed: boolean, headers: Object }}
+ *   `allowed` is true for requests without an Origin header (non-browser callers);
+ *   `headers` holds the CORS response headers for an allowed origin.
+ */
+function evaluateCors(event, allowedOrigins) {
+  const origin = getRequestOrigin(event);
+  // Responses differ per Origin, so caches must key on it
+  const headers = { Vary: 'Origin' };
+
+  if (!origin) {
+    return { origin: null, allowed: true, headers };
+  }
+
+  if (!allowedOrigins.includes(normalizeOrigin(origin))) {
+    return { origin, allowed: false, headers };
+  }
+
+  return {
+    origin,
+    allowed: true,
+    headers: {
+      ...headers,
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+      'Access-Control-Allow-Methods': ALLOWED_METHODS,
+      'Access-Control-Expose-Headers': EXPOSED_HEADERS
+    }
+  };
+}
+
+/**
+ * Builds the response to an OPTIONS preflight request
+ * @param {{ allowed: boolean, headers: Object }} cors - Result of evaluateCors
+ * @returns {Object} - API Gateway proxy response
+ */
+function createPreflightResponse(cors) {
+  if (!cors.allowed || !cors.origin) {
+    return { statusCode: 403, headers: cors.headers, body: '' };
+  }
+
+  return {
+    statusCode: 204,
+    headers: {
+      ...cors.headers,
+      'Access-Control-Max-Age': String(PREFLIGHT_MAX_AGE_SECONDS)
+    },
+    body: ''
+  };
+}
+
+module.exports = {
+  ALLOWED_HEADERS,
+  parseAllowedOrigins,
+  getRequestOrigin,
+  evaluateCors,
+  createPreflightResponse
+};
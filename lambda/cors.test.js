@@ -0,0 +1,63 @@
+const {
+  parseAllowedOrigins,
+  getRequestOrigin,
+  evaluateCors,
+  createPreflightResponse
+} = require('./cors');
+
+const CUSTOMER_ORIGIN = 'https://d111.cloudfront.net';
+const ALLOWED = parseAllowedOrigins(`${CUSTOMER_ORIGIN}, https://D222.cloudfront.net/`);
+
+describe('CORS policy', () => {
+  test('should parse and normalise the allow-list', () => {
+    expect(ALLOWED).toEqual(['https://d111.cloudfront.net', 'https://d222.cloudfront.net']);
+    expect(parseAllowedOrigins(undefined)).toEqual([]);
+    expect(parseAllowedOrigins(' , ')).toEqual([]);
+  });
+
+  test('should read the Origin header in any casing', () => {
+    expect(getRequestOrigin({ headers: { origin: CUSTOMER_ORIGIN } })).toBe(CUSTOMER_ORIGIN);
+    expect(getRequestOrigin({ headers: { Origin: CUSTOMER_ORIGIN } })).toBe(CUSTOMER_ORIGIN);
+    expect(getRequestOrigin({ headers: null })).toBeNull();
+  });
+
+  test('should echo back only a matching origin', () => {
+    const cors = evaluateCors({ headers: { Origin: 'https://d222.cloudfront.net' } }, ALLOWED);
+
+    expect(cors.allowed).toBe(true);
+    expect(cors.headers['Access-Control-Allow-Origin']).toBe('https://d222.cloudfront.net');
+    expect(cors.headers.Vary).toBe('Origin');
+  });
+
+  test('should not add CORS headers for other origins', () => {
+    const cors = evaluateCors({ headers: { Origin: 'https://evil.example.com' } }, ALLOWED);
+
+    expect(cors.allowed).toBe(false);
+    expect(cors.headers).toEqual({ Vary: 'Origin' });
+  });
+
+  test('should allow no origin when the allow-list is empty', () => {
+    expect(evaluateCors({ headers: { Origin: CUSTOMER_ORIGIN } }, []).allowed).toBe(false);
+  });
+
+  test('should treat requests without an Origin as non-browser calls', () => {
+    const cors = evaluateCors({ headers: {} }, ALLOWED);
+
+    expect(cors.allowed).toBe(true);
+    expect(cors.headers['Access-Control-Allow-Origin']).toBeUndefined();
+  });
+
+  test('should answer preflight with 204 for allowed origins and 403 otherwise', () => {
+    const allowed = createPreflightResponse(evaluateCors({ headers: { Origin: CUSTOMER_ORIGIN } }, ALLOWED));
+    const denied = createPreflightResponse(evaluateCors({ headers: { Origin: 'https://evil.example.com' } }, ALLOWED));
+    const noOrigin = createPreflightResponse(evaluateCors({ headers: {} }, ALLOWED));
+
+    expect(allowed.statusCode).toBe(204);
+    expect(allowed.headers['Access-Control-Allow-Origin']).toBe(CUSTOMER_ORIGIN);
+    expect(allowed.headers['Access-Control-Allow-Headers']).toContain('Authorization');
+    expect(allowed.headers['Access-Control-Max-Age']).toBe('600');
+    expect(denied.statusCode).toBe(403);
+    expect(denied.headers['Access-Control-Allow-Origin']).toBeUndefined();
+    expect(noOrigin.statusCode).toBe(403);
+  });
+});
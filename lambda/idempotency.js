@@ -0,0 +1,162 @@
+// Idempotency for contact-creating REST routes
+// A request carrying an Idempotency-Key header claims a record in DynamoDB
+// before the contact is created; the successful response is stored on it and
+// replayed for repeats of the same key within the retention window.
+
+const crypto = require('crypto');
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// How long a completed response is replayed, and how long an in-flight claim
+// blocks repeats (longer than the Lambda timeout)
+const RESPONSE_TTL_SECONDS = 10 * 60;
+const IN_PROGRESS_TTL_SECONDS = 60;
+
+/**
+ * Reads the Idempotency-Key header (header names are case-insensitive)
+ * @param {Object} event - API Gateway proxy event
+ * @returns {string|null}
+ */
+function getIdempotencyKey(event) {
+  const headers = event.headers || {};
+  const name = Object.keys(headers).find(key => key.toLowerCase() === IDEMPOTENCY_KEY_HEADER.toLowerCase());
+  return name ? headers[name] : null;
+}
+
+/**
+ * Scopes a client key to the caller and route so keys never collide across users
+ * @param {string} userId - Authenticated userId
+ * @param {string} route - Route path
+ * @param {string} idempotencyKey - Client-supplied key
+ * @returns {string}
+ */
+function scopeKey(userId, route, idempotencyKey) {
+  return `${userId}#${route}#${idempotencyKey}`;
+}
+
+/**
+ * Derives the Connect ClientToken for a scoped key, so Connect itself also
+ * returns the original contact if our record is missing
+ * @param {string} scopedKey - Result of scopeKey
+ * @returns {string}
+ */
+function toClientToken(scopedKey) {
+  return crypto.createHash('sha256').update(scopedKey).digest('hex');
+}
+
+/**
+ * Fingerprints a validated request body so a key can't be reused for a different request
+ * @param {Object} body - Validated request body
+ * @returns {string}
+ */
+function fingerprint(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Creates an idempotency store backed by a DynamoDB table
+ * @param {Object} options
+ * @param {Object} options.docClient - DynamoDBDocumentClient
+ * @param {string} options.tableName - Table with partition key `key` and TTL attribute `ttl`
+ * @param {Function} [options.now] - Clock in ms (for tests)
+ * @returns {{ begin: Function, complete: Function, release: Function }}
+ */
+function createIdempotencyStore({ docClient, tableName, now = Date.now }) {
+  const nowSeconds = () => Math.floor(now() / 1000);
+
+  // DynamoDB TTL deletes lazily, so expired records are treated as absent here
+  const resolveExisting = (item, requestFingerprint) => {
+    if (item.fingerprint !== requestFingerprint) {
+      return { state: 'MISMATCH' };
+    }
+    if (item.status === 'COMPLETED') {
+      return { state: 'REPLAY', response: { statusCode: item.statusCode, body: JSON.parse(item.body) } };
+    }
+    return { state: 'IN_PROGRESS' };
+  };
+
+  /**
+   * Claims a key for a new request, or reports how an earlier request with it went
+   * @param {string} key - Scoped idempotency key
+   * @param {string} requestFingerprint - Fingerprint of the request body
+   * @returns {Promise<{ state: 'NEW'|'REPLAY'|'IN_PROGRESS'|'MISMATCH', response?: Object }>}
+   */
+  const begin = async (key, requestFingerprint) => {
+    const current = nowSeconds();
+
+    try {
+      await docClient.send(new PutCommand({
+        TableName: tableName,
+        Item: {
+          key,
+          status: 'IN_PROGRESS',
+          fingerprint: requestFingerprint,
+          ttl: current + IN_PROGRESS_TTL_SECONDS
+        },
+        ConditionExpression: 'attribute_not_exists(#key) OR #ttl < :now',
+        ExpressionAttributeNames: { '#key': 'key', '#ttl': 'ttl' },
+        ExpressionAttributeValues: { ':now': current }
+      }));
+      return { state: 'NEW' };
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+
+    const { Item } = await docClient.send(new GetCommand({
+      TableName: tableName,
+      Key: { key },
+      ConsistentRead: true
+    }));
+
+    // Expired and removed between the put and the get: let the caller retry the claim
+    if (!Item) {
+      return { state: 'IN_PROGRESS' };
+    }
+    return resolveExisting(Item, requestFingerprint);
+  };
+
+  /**
+   * Stores the successful response for replay
+   * @param {string} key - Scoped idempotency key
+   * @param {{ statusCode: number, body: Object }} response - Response to replay
+   */
+  const complete = async (key, response) => {
+    await docClient.send(new UpdateCommand({
+      TableName: tableName,
+      Key: { key },
+      UpdateExpression: 'SET #status = :completed, statusCode = :statusCode, body = :body, #ttl = :ttl',
+      ExpressionAttributeNames: { '#status': 'status', '#ttl': 'ttl' },
+      ExpressionAttributeValues: {
+        ':completed': 'COMPLETED',
+        ':statusCode': response.statusCode,
+        ':body': JSON.stringify(response.body),
+        ':ttl': nowSeconds() + RESPONSE_TTL_SECONDS
+      }
+    }));
+  };
+
+  /**
+   * Drops the claim after a failed request so the client can retry with the same key
+   * @param {string} key - Scoped idempotency key
+   */
+  const release = async (key) => {
+    await docClient.send(new DeleteCommand({ TableName: tableName, Key: { key } }));
+  };
+
+  return { begin, complete, release };
+}
+
+module.exports = {
+  IDEMPOTENCY_KEY_HEADER,
+  IDEMPOTENCY_KEY_PATTERN,
+  RESPONSE_TTL_SECONDS,
+  getIdempotencyKey,
+  scopeKey,
+  toClientToken,
+  fingerprint,
+  createIdempotencyStore
+};
@@ -0,0 +1,119 @@
+const {
+  createIdempotencyStore,
+  getIdempotencyKey,
+  scopeKey,
+  toClientToken,
+  fingerprint
+} = require('./idempotency');
+
+// In-memory stand-in for the idempotency table; honours the claim condition
+function createFakeDocClient() {
+  const items = new Map();
+  const send = jest.fn(async (command) => {
+    const { input } = command;
+    const name = command.constructor.name;
+
+    if (name === 'PutCommand') {
+      const existing = items.get(input.Item.key);
+      if (existing && existing.ttl >= input.ExpressionAttributeValues[':now']) {
+        throw Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+      }
+      items.set(input.Item.key, { ...input.Item });
+      return {};
+    }
+    if (name === 'GetCommand') {
+      return { Item: items.get(input.Key.key) };
+    }
+    if (name === 'UpdateCommand') {
+      const values = input.ExpressionAttributeValues;
+      Object.assign(items.get(input.Key.key), {
+        status: values[':completed'],
+        statusCode: values[':statusCode'],
+        body: values[':body'],
+        ttl: values[':ttl']
+      });
+      return {};
+    }
+    if (name === 'DeleteCommand') {
+      items.delete(input.Key.key);
+      return {};
+    }
+    throw new Error(`Unexpected command ${name}`);
+  });
+  return { items, send };
+}
+
+describe('Idempotency store', () => {
+  let docClient;
+  let nowMs;
+  let store;
+  const key = scopeKey('user-1', '/start-chat-contact', 'key-12345678');
+  const bodyHash = fingerprint({ displayName: 'Customer', attributes: {} });
+
+  beforeEach(() => {
+    docClient = createFakeDocClient();
+    nowMs = 1_000_000_000;
+    store = createIdempotencyStore({ docClient, tableName: 'idempotency', now: () => nowMs });
+  });
+
+  test('should claim a new key, then replay the completed response', async () => {
+    expect(await store.begin(key, bodyHash)).toEqual({ state: 'NEW' });
+
+    await store.complete(key, { statusCode: 200, body: { contactId: 'chat-1', participantToken: 'token' } });
+
+    expect(await store.begin(key, bodyHash)).toEqual({
+      state: 'REPLAY',
+      response: { statusCode: 200, body: { contactId: 'chat-1', participantToken: 'token' } }
+    });
+  });
+
+  test('should report a key that is still being processed', async () => {
+    await store.begin(key, bodyHash);
+
+    expect(await store.begin(key, bodyHash)).toEqual({ state: 'IN_PROGRESS' });
+  });
+
+  test('should reject reuse of a key for a different body', async () => {
+    await store.begin(key, bodyHash);
+
+    expect(await store.begin(key, fingerprint({ displayName: 'Someone else' }))).toEqual({ state: 'MISMATCH' });
+  });
+
+  test('should let a released key be claimed again', async () => {
+    await store.begin(key, bodyHash);
+    await store.release(key);
+
+    expect(await store.begin(key, bodyHash)).toEqual({ state: 'NEW' });
+  });
+
+  test('should treat expired records as absent', async () => {
+    await store.begin(key, bodyHash);
+    await store.complete(key, { statusCode: 200, body: {} });
+
+    nowMs += 11 * 60 * 1000;
+
+    expect(await store.begin(key, bodyHash)).toEqual({ state: 'NEW' });
+  });
+
+  test('should propagate unexpected DynamoDB errors', async () => {
+    docClient.send.mockRejectedValueOnce(new Error('Service unavailable'));
+
+    await expect(store.begin(key, bodyHash)).rejects.toThrow('Service unavailable');
+  });
+});
+
+describe('Idempotency helpers', () => {
+  test('should read the Idempotency-Key header in any casing', () => {
+    expect(getIdempotencyKey({ headers: { 'idempotency-key': 'abc' } })).toBe('abc');
+    expect(getIdempotencyKey({ headers: { 'Idempotency-Key': 'abc' } })).toBe('abc');
+    expect(getIdempotencyKey({})).toBeNull();
+  });
+
+  test('should derive a stable ClientToken per user, route and key', () => {
+    const token = toClientToken(scopeKey('user-1', '/start-chat-contact', 'key-1'));
+
+    expect(token).toBe(toClientToken(scopeKey('user-1', '/start-chat-contact', 'key-1')));
+    expect(token).not.toBe(toClientToken(scopeKey('user-2', '/start-chat-contact', 'key-1')));
+    expect(token).toHaveLength(64);
+  });
+});
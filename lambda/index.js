@@ -1,37 +1,186 @@
-const AWS = require('aws-sdk');
-const connect = new AWS.Connect();
+const connectSdk = require('@aws-sdk/client-connect');
+const participantSdk = require('@aws-sdk/client-connectparticipant');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const {
+  createContactCenter,
+  requireEnv,
+  CHAT_CONTENT_TYPES,
+  ConnectServiceError,
+  ContactNotFoundError,
+  ConnectAccessDeniedError
+} = require('connect-multimodal-shared');
+const { SCHEMAS, validateRequest, createValidationError } = require('./validation');
+const { SessionTokenError, getBearerToken, redactAuthorization, issueSession, authenticate } = require('./session');
+const { parseAllowedOrigins, evaluateCors, createPreflightResponse } = require('./cors');
+const { parseRateLimits, createRateLimiter } = require('./rate-limit');
+const {
+  IDEMPOTENCY_KEY_PATTERN,
+  getIdempotencyKey,
+  scopeKey,
+  toClientToken,
+  fingerprint,
+  createIdempotencyStore
+} = require('./idempotency');
+const { fetchChatMessages, createTranscriptDocument } = require('./transcript');
+const { createQualityMetricsRecord } = require('./call-quality');
 
-// Environment configuration
-const INSTANCE_ID = process.env.CONNECT_INSTANCE_ID;
-const CONTACT_FLOW_ID = process.env.CONNECT_CONTACT_FLOW_ID;
+// Routes that act on contacts and therefore need a customer session token
+const AUTHENTICATED_ROUTES = [
+  '/start-chat-contact',
+  '/start-voice-contact',
+  '/downgrade-to-chat',
+  '/stop-contact',
+  '/resume-contact',
+  '/contact-transcript',
+  '/call-quality',
+  '/screen-share'
+];
+
+// Upper bound on contacts followed through relatedContactId links for one transcript
+const MAX_LINKED_CONTACTS = 10;
+
+// Every customer WebRTC contact may carry video both ways, so a voice call can
+// turn the camera on later; whether video is actually sent is up to each side.
+// Only the customer shares their screen.
+const WEBRTC_CAPABILITIES = {
+  Customer: { Video: 'SEND', ScreenShare: 'SEND' },
+  Agent: { Video: 'SEND' }
+};
+
+// Environment configuration; the Connect IDs come from the central config and are required
+const {
+  CONNECT_INSTANCE_ID: INSTANCE_ID,
+  CONNECT_CONTACT_FLOW_ID: CONTACT_FLOW_ID
+} = requireEnv(['CONNECT_INSTANCE_ID', 'CONNECT_CONTACT_FLOW_ID']);
+const ALLOWED_ORIGINS = parseAllowedOrigins(process.env.ALLOWED_ORIGINS);
+const RATE_LIMIT_TABLE_NAME = process.env.RATE_LIMIT_TABLE_NAME;
+const RATE_LIMITS = parseRateLimits(process.env.RATE_LIMITS);
+const IDEMPOTENCY_TABLE_NAME = process.env.IDEMPOTENCY_TABLE_NAME;
+
+// Live Connect instance, or the local emulator when CONNECT_EMULATOR=true
+const contactCenter = createContactCenter({ instanceId: INSTANCE_ID, sdk: connectSdk, participantSdk });
+
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+// Rate limiting is off when no counter table is configured (local runs and tests)
+const rateLimiter = RATE_LIMIT_TABLE_NAME
+  ? createRateLimiter({
+    docClient,
+    tableName: RATE_LIMIT_TABLE_NAME,
+    limits: RATE_LIMITS
+  })
+  : null;
+
+// Without a table, Idempotency-Key still maps to a Connect ClientToken
+const idempotencyStore = IDEMPOTENCY_TABLE_NAME
+  ? createIdempotencyStore({ docClient, tableName: IDEMPOTENCY_TABLE_NAME })
+  : null;
 
 console.log('Lambda initialized with configuration:', {
   instanceId: INSTANCE_ID,
   contactFlowId: CONTACT_FLOW_ID,
+  allowedOrigins: ALLOWED_ORIGINS,
+  rateLimitTable: RATE_LIMIT_TABLE_NAME,
+  rateLimits: RATE_LIMITS,
+  idempotencyTable: IDEMPOTENCY_TABLE_NAME,
   region: process.env.AWS_REGION
 });
 
 exports.handler = async (event) => {
   console.log('=== Lambda Invocation Started ===');
-  console.log('Event received:', JSON.stringify(event, null, 2));
+  console.log('Event received:', JSON.stringify(redactAuthorization(event), null, 2));
   console.log('Request ID:', event.requestContext?.requestId);
   console.log('Source IP:', event.requestContext?.identity?.sourceIp);
   
+  const cors = evaluateCors(event, ALLOWED_ORIGINS);
+  
+  if (event.httpMethod === 'OPTIONS') {
+    console.log('Handling CORS preflight for origin:', cors.origin, 'allowed:', cors.allowed);
+    return createPreflightResponse(cors);
+  }
+  
+  if (!cors.allowed) {
+    console.warn('Rejecting request from disallowed origin:', cors.origin);
+    return withCorsHeaders(createResponse(403, {
+      error: 'Forbidden',
+      errorCode: 'ORIGIN_NOT_ALLOWED',
+      message: 'This origin is not allowed to call the API'
+    }), cors);
+  }
+  
+  const response = await routeRequest(event);
+  return withCorsHeaders(response, cors);
+};
+
+async function routeRequest(event) {
   const path = event.path || event.resource;
   console.log('Resolved path:', path);
   
   try {
     let result;
     
-    if (path === '/start-chat-contact') {
+    // The verified token subject is the only customer identity the routes trust.
+    // /session is open, but a token sent to it must be valid since it is renewed.
+    let session;
+    if (AUTHENTICATED_ROUTES.includes(path) || (path === '/session' && getBearerToken(event))) {
+      session = await authenticate(event);
+      console.log('Authenticated session for userId:', session.userId);
+    }
+    
+    const rateLimit = await checkRateLimit(path, session, event);
+    if (!rateLimit.allowed) {
+      console.warn('Rate limit exceeded:', { path, limitedBy: rateLimit.limitedBy, userId: session?.userId });
+      return createResponse(429, {
+        error: 'Too many requests',
+        errorCode: 'RATE_LIMITED',
+        message: `Rate limit exceeded, retry after ${rateLimit.retryAfterSeconds} seconds`,
+        retryAfterSeconds: rateLimit.retryAfterSeconds
+      }, { 'Retry-After': String(rateLimit.retryAfterSeconds) });
+    }
+    
+    // Reject malformed or invalid bodies before any route handler runs
+    let body;
+    if (SCHEMAS[path]) {
+      const validation = validateRequest(path, event.body);
+      if (!validation.valid) {
+        console.warn('Request validation failed:', JSON.stringify(validation.error));
+        return createResponse(400, validation.error);
+      }
+      body = validation.body;
+      console.log('Validated request body:', body);
+    }
+    
+    if (path === '/session') {
+      console.log('Routing to handleCreateSession');
+      result = await handleCreateSession(session);
+    } else if (path === '/start-chat-contact') {
       console.log('Routing to handleStartChat');
-      result = await handleStartChat(event);
+      result = await withIdempotency(path, event, body, session,
+        (clientToken) => handleStartChat(body, session, clientToken));
     } else if (path === '/start-voice-contact') {
       console.log('Routing to handleStartVoice');
-      result = await handleStartVoice(event);
+      result = await withIdempotency(path, event, body, session,
+        (clientToken) => handleStartVoice(body, session, clientToken));
+    } else if (path === '/downgrade-to-chat') {
+      console.log('Routing to handleDowngradeToChat');
+      result = await withIdempotency(path, event, body, session,
+        (clientToken) => handleDowngradeToChat(body, session, clientToken));
     } else if (path === '/stop-contact') {
       console.log('Routing to handleStopContact');
-      result = await handleStopContact(event);
+      result = await handleStopContact(body, session);
+    } else if (path === '/resume-contact') {
+      console.log('Routing to handleResumeContact');
+      result = await handleResumeContact(body, session);
+    } else if (path === '/contact-transcript') {
+      console.log('Routing to handleContactTranscript');
+      result = await handleContactTranscript(body, session);
+    } else if (path === '/call-quality') {
+      console.log('Routing to handleCallQuality');
+      result = await handleCallQuality(body, session);
+    } else if (path === '/screen-share') {
+      console.log('Routing to handleScreenShare');
+      result = await handleScreenShare(body, session);
     } else {
       console.warn('Unknown path requested:', path);
       result = createResponse(404, { error: 'Not found' });
@@ -46,44 +195,77 @@ exports.handler = async (event) => {
     console.error('Error code:', error.code);
     console.error('Error stack:', error.stack);
     
+    if (error instanceof SessionTokenError) {
+      return createResponse(401, {
+        error: 'Unauthorized',
+        errorCode: error.code,
+        message: error.message
+      });
+    }
+    
+    // Connect failures carry their own status code (throttled, unavailable, timed out, ...)
+    if (error instanceof ConnectServiceError) {
+      return createResponse(error.statusCode, {
+        error: error.message,
+        errorCode: error.code,
+        errorType: error.name,
+        retryable: error.retryable
+      });
+    }
+    
     return createResponse(500, { 
       error: error.message,
       errorCode: error.code,
       errorType: error.constructor.name
     });
   }
-};
+}
+
+/**
+ * Issues a customer session, or renews the presented one
+ * Renewal keeps the userId, so contacts created earlier in the session stay
+ * owned by it and its WebSocket registration still matches.
+ * @param {Object} [currentSession] - Authenticated session when a bearer token was sent
+ * @returns {Promise<Object>} - API Gateway response with userId, sessionToken and expiresAt
+ */
+async function handleCreateSession(currentSession) {
+  console.log('--- handleCreateSession: Start ---');
+  
+  const session = await issueSession(currentSession?.userId);
+  console.log(currentSession ? 'Renewed customer session:' : 'Issued customer session:', {
+    userId: session.userId,
+    expiresAt: session.expiresAt
+  });
+  
+  console.log('--- handleCreateSession: Success ---');
+  return createResponse(200, session);
+}
 
-async function handleStartChat(event) {
+async function handleStartChat(body, session, clientToken) {
   console.log('--- handleStartChat: Start ---');
   
-  // Parse request body if present
-  let body = {};
-  if (event.body) {
-    try {
-      body = JSON.parse(event.body);
-      console.log('Parsed request body:', body);
-    } catch (e) {
-      console.warn('Failed to parse request body:', e.message);
-    }
+  if (hasForeignUserId(body, session)) {
+    return createForbiddenResponse('USER_ID_MISMATCH', 'attributes.userId does not match the session');
   }
   
   const params = {
-    InstanceId: INSTANCE_ID,
     ContactFlowId: CONTACT_FLOW_ID,
     ParticipantDetails: {
-      DisplayName: body.displayName || 'Customer'
+      DisplayName: body.displayName
     },
     Attributes: {
-      InitiationMethod: 'Chat',
-      ...(body.attributes || {})
-    }
+      ...body.attributes,
+      userId: session.userId,
+      InitiationMethod: 'Chat'
+    },
+    SupportedMessagingContentTypes: CHAT_CONTENT_TYPES,
+    ...(clientToken && { ClientToken: clientToken })
   };
   
   console.log('Calling Connect StartChatContact API with params:', JSON.stringify(params, null, 2));
   
   const startTime = Date.now();
-  const result = await connect.startChatContact(params).promise();
+  const result = await contactCenter.startChatContact(params);
   const duration = Date.now() - startTime;
   
   console.log(`Connect API call completed in ${duration}ms`);
@@ -103,23 +285,11 @@ async function handleStartChat(event) {
   return createResponse(200, response);
 }
 
-async function handleStartVoice(event) {
+async function handleStartVoice(body, session, clientToken) {
   console.log('--- handleStartVoice: Start ---');
   
-  // Parse request body
-  let body = {};
-  if (event.body) {
-    try {
-      body = JSON.parse(event.body);
-      console.log('Parsed request body:', body);
-    } catch (e) {
-      console.warn('Failed to parse request body:', e.message);
-      return createResponse(400, { 
-        error: 'Invalid request body',
-        errorCode: 'INVALID_REQUEST_BODY',
-        message: 'Request body must be valid JSON'
-      });
-    }
+  if (hasForeignUserId(body, session)) {
+    return createForbiddenResponse('USER_ID_MISMATCH', 'attributes.userId does not match the session');
   }
   
   // Validate related chat contact if provided (for escalation)
@@ -127,12 +297,9 @@ async function handleStartVoice(event) {
     console.log('Validating related chat contact:', body.relatedContactId);
     
     try {
-      const validateParams = {
-        InstanceId: INSTANCE_ID,
+      const contactDetails = await contactCenter.describeContact({
         ContactId: body.relatedContactId
-      };
-      
-      const contactDetails = await connect.describeContact(validateParams).promise();
+      });
       console.log('Related contact details:', {
         contactId: contactDetails.Contact.Id,
         channel: contactDetails.Contact.Channel,
@@ -145,21 +312,38 @@ async function handleStartVoice(event) {
         return createResponse(400, {
           error: 'Related contact must be a chat contact',
           errorCode: 'INVALID_RELATED_CONTACT_TYPE',
-          message: 'The specified related contact is not a chat contact'
+          message: 'The specified related contact is not a chat contact',
+          fieldErrors: [{ field: 'relatedContactId', code: 'INVALID_RELATED_CONTACT_TYPE', message: 'relatedContactId must reference a chat contact' }]
         });
       }
       
-      // Note: Allowing escalation regardless of chat contact state
+      // Only the customer who owns the chat may escalate it
+      if (!isOwnedBy(contactDetails.Contact, session)) {
+        console.warn('Related contact belongs to a different user:', body.relatedContactId);
+        return createForbiddenResponse('CONTACT_NOT_OWNED', 'The specified chat contact does not belong to this session');
+      }
       
+      // An ended chat has no agent left to keep, so the call would land in a fresh queue
+      if (contactDetails.Contact.DisconnectTimestamp || contactDetails.Contact.State === 'ENDED') {
+        console.error('Related chat contact has ended:', body.relatedContactId);
+        return createResponse(400, {
+          error: 'Related contact is not active',
+          errorCode: 'INACTIVE_RELATED_CONTACT',
+          message: 'The specified chat contact has ended',
+          fieldErrors: [{ field: 'relatedContactId', code: 'INACTIVE_RELATED_CONTACT', message: 'relatedContactId must reference an active chat contact' }]
+        });
+      }
+
       console.log('Related chat contact validation successful');
     } catch (error) {
       console.error('Failed to validate related contact:', error);
       
-      if (error.code === 'ResourceNotFoundException') {
+      if (error instanceof ContactNotFoundError) {
         return createResponse(400, {
           error: 'Related contact not found',
           errorCode: 'RELATED_CONTACT_NOT_FOUND',
-          message: 'The specified chat contact does not exist'
+          message: 'The specified chat contact does not exist',
+          fieldErrors: [{ field: 'relatedContactId', code: 'RELATED_CONTACT_NOT_FOUND', message: 'relatedContactId does not reference an existing contact' }]
         });
       }
       
@@ -173,7 +357,8 @@ async function handleStartVoice(event) {
   
   // Prepare attributes for voice contact
   const attributes = {
-    ...(body.attributes || {})
+    ...body.attributes,
+    userId: session.userId
   };
   
   // Set InitiationMethod based on whether this is an escalated contact
@@ -186,19 +371,25 @@ async function handleStartVoice(event) {
     console.log('Setting InitiationMethod to "Voice" for voice+chat interaction');
   }
   
+  // Lets the flow route to video-enabled agents and tells the agent to expect the camera
+  if (body.video) {
+    attributes.VideoRequested = 'true';
+  }
+  
   const params = {
-    InstanceId: INSTANCE_ID,
     ContactFlowId: CONTACT_FLOW_ID,
     ParticipantDetails: {
-      DisplayName: body.displayName || 'Customer'
+      DisplayName: body.displayName
     },
-    Attributes: attributes
+    Attributes: attributes,
+    AllowedCapabilities: WEBRTC_CAPABILITIES,
+    ...(clientToken && { ClientToken: clientToken })
   };
   
   console.log('Calling Connect StartWebRTCContact API with params:', JSON.stringify(params, null, 2));
   
   const startTime = Date.now();
-  const result = await connect.startWebRTCContact(params).promise();
+  const result = await contactCenter.startWebRTCContact(params);
   const duration = Date.now() - startTime;
   
   console.log(`Connect API call completed in ${duration}ms`);
@@ -207,7 +398,8 @@ async function handleStartVoice(event) {
     participantId: result.ParticipantId,
     hasToken: !!result.ParticipantToken,
     hasConnectionData: !!result.ConnectionData,
-    isEscalated: !!body.relatedContactId
+    isEscalated: !!body.relatedContactId,
+    video: !!body.video
   });
   
   // Return complete response data including escalation context
@@ -216,42 +408,142 @@ async function handleStartVoice(event) {
     participantId: result.ParticipantId,
     participantToken: result.ParticipantToken,
     connectionData: result.ConnectionData,
-    interactionMode: body.relatedContactId ? 'escalated' : 'voice-chat'
+    interactionMode: body.relatedContactId ? 'escalated' : 'voice-chat',
+    video: !!body.video
   };
   
   console.log('--- handleStartVoice: Success ---');
   return createResponse(200, response);
 }
 
-async function handleStopContact(event) {
-  console.log('--- handleStopContact: Start ---');
+/**
+ * Moves a customer from a voice call to chat with the same agent
+ * The call's chat leg (the voice+chat companion chat, or the chat an escalated
+ * call came from) is tagged with the downgrade; a call without one gets a new
+ * chat linked through relatedContactId, which the chat routing Lambda sends to
+ * the call's agent. The voice contact is stopped once the chat is ready.
+ * @param {Object} body - Validated body: contactId (voice), optional chatContactId and displayName
+ * @param {Object} session - Authenticated session
+ * @param {string} [clientToken] - ClientToken for a new chat contact
+ * @returns {Promise<Object>} - API Gateway proxy response
+ */
+async function handleDowngradeToChat(body, session, clientToken) {
+  console.log('--- handleDowngradeToChat: Start ---');
   
-  // Parse request body
-  let body = {};
-  if (event.body) {
-    try {
-      body = JSON.parse(event.body);
-      console.log('Parsed request body:', body);
-    } catch (e) {
-      console.warn('Failed to parse request body:', e.message);
-      return createResponse(400, { error: 'Invalid request body' });
+  // Not-found surfaces as 404
+  const { Contact: voiceContact } = await contactCenter.describeContact({ ContactId: body.contactId });
+  if (!isOwnedBy(voiceContact, session)) {
+    console.warn('Refusing to downgrade contact owned by a different user:', body.contactId);
+    return createForbiddenResponse('CONTACT_NOT_OWNED', 'The specified contact does not belong to this session');
+  }
+  
+  if (voiceContact.Channel !== 'VOICE') {
+    return createNotVoiceContactResponse();
+  }
+  
+  if (voiceContact.DisconnectTimestamp) {
+    console.log('Voice contact has already ended:', body.contactId);
+    return createContactEndedResponse();
+  }
+  
+  const lineage = {
+    DowngradedFromContactId: voiceContact.Id,
+    DowngradedAt: new Date().toISOString()
+  };
+  
+  let chat;
+  if (body.chatContactId) {
+    const { Contact: chatContact } = await contactCenter.describeContact({ ContactId: body.chatContactId });
+    const linked = chatContact.Attributes?.relatedContactId === voiceContact.Id ||
+      voiceContact.Attributes?.relatedContactId === chatContact.Id;
+    
+    if (!isOwnedBy(chatContact, session) || chatContact.Channel !== 'CHAT' || !linked) {
+      console.warn('Chat contact is not the chat leg of this call:', {
+        chatContactId: body.chatContactId,
+        voiceContactId: body.contactId
+      });
+      return createResponse(400, createValidationError('VALIDATION_FAILED', '1 field(s) failed validation', [{
+        field: 'chatContactId',
+        code: 'CHAT_NOT_LINKED',
+        message: 'chatContactId must reference this call\'s chat contact'
+      }]));
     }
+    
+    if (chatContact.DisconnectTimestamp) {
+      console.log('Chat leg has already ended:', body.chatContactId);
+      return createContactEndedResponse();
+    }
+    
+    await contactCenter.updateContactAttributes({
+      InitialContactId: chatContact.Id,
+      Attributes: lineage
+    });
+    console.log('Tagged existing chat leg with downgrade lineage:', { chatContactId: chatContact.Id, ...lineage });
+    
+    chat = { contactId: chatContact.Id, created: false };
+  } else {
+    const result = await contactCenter.startChatContact({
+      ContactFlowId: CONTACT_FLOW_ID,
+      ParticipantDetails: {
+        DisplayName: body.displayName
+      },
+      Attributes: {
+        userId: session.userId,
+        InitiationMethod: 'Voice',
+        relatedContactId: voiceContact.Id,
+        ...lineage
+      },
+      SupportedMessagingContentTypes: CHAT_CONTENT_TYPES,
+      ...(clientToken && { ClientToken: clientToken })
+    });
+    console.log('Started chat for downgraded call:', { chatContactId: result.ContactId, ...lineage });
+    
+    chat = {
+      contactId: result.ContactId,
+      participantId: result.ParticipantId,
+      participantToken: result.ParticipantToken,
+      created: true
+    };
   }
   
-  if (!body.contactId) {
-    console.error('Missing required parameter: contactId');
-    return createResponse(400, { error: 'contactId is required' });
+  try {
+    await contactCenter.stopContact({ ContactId: voiceContact.Id });
+  } catch (error) {
+    // The customer or agent may have hung up in the meantime
+    if (!(error instanceof ContactNotFoundError)) {
+      throw error;
+    }
+    console.log('Voice contact ended before it could be stopped:', voiceContact.Id);
+  }
+  
+  const response = {
+    ...chat,
+    voiceContactId: voiceContact.Id,
+    interactionMode: 'downgraded'
+  };
+  
+  console.log('--- handleDowngradeToChat: Success ---');
+  return createResponse(200, response);
+}
+
+async function handleStopContact(body, session) {
+  console.log('--- handleStopContact: Start ---');
+  
+  // Only the customer who owns the contact may stop it (not-found surfaces as 404)
+  const { Contact } = await contactCenter.describeContact({ ContactId: body.contactId });
+  if (!isOwnedBy(Contact, session)) {
+    console.warn('Refusing to stop contact owned by a different user:', body.contactId);
+    return createForbiddenResponse('CONTACT_NOT_OWNED', 'The specified contact does not belong to this session');
   }
   
   const params = {
-    InstanceId: INSTANCE_ID,
     ContactId: body.contactId
   };
   
   console.log('Calling Connect StopContact API with params:', JSON.stringify(params, null, 2));
   
   const startTime = Date.now();
-  await connect.stopContact(params).promise();
+  await contactCenter.stopContact(params);
   const duration = Date.now() - startTime;
   
   console.log(`Connect API call completed in ${duration}ms`);
@@ -269,14 +561,393 @@ async function handleStopContact(event) {
   return createResponse(200, response);
 }
 
-function createResponse(statusCode, body) {
+async function handleResumeContact(body, session) {
+  console.log('--- handleResumeContact: Start ---');
+  
+  // Only the owner may rejoin, and only while the chat is still in progress (not-found surfaces as 404)
+  const { Contact } = await contactCenter.describeContact({ ContactId: body.contactId });
+  if (!isOwnedBy(Contact, session)) {
+    console.warn('Refusing to resume contact owned by a different user:', body.contactId);
+    return createForbiddenResponse('CONTACT_NOT_OWNED', 'The specified contact does not belong to this session');
+  }
+  
+  if (Contact.Channel !== 'CHAT') {
+    return createNotChatContactResponse();
+  }
+  
+  if (Contact.DisconnectTimestamp) {
+    console.log('Contact has already ended:', body.contactId);
+    return createContactEndedResponse();
+  }
+  
+  // A fresh connection proves the participant token still belongs to a live participant
+  let chatConnection;
+  try {
+    chatConnection = await contactCenter.createParticipantConnection({
+      ParticipantToken: body.participantToken,
+      Type: ['CONNECTION_CREDENTIALS']
+    });
+  } catch (error) {
+    if (error instanceof ConnectAccessDeniedError) {
+      console.log('Participant token rejected, chat is no longer joinable:', body.contactId);
+      return createContactEndedResponse();
+    }
+    throw error;
+  }
+  
+  const voice = body.voiceContactId
+    ? await resumeVoiceLeg(body.voiceContactId, body.voiceParticipantToken, session)
+    : null;
+  
+  const response = {
+    contactId: Contact.Id,
+    participantToken: body.participantToken,
+    connectionExpiry: chatConnection.ConnectionCredentials?.Expiry,
+    // ENABLE_ESCALATION is only pushed when the agent first connects, so a reloaded page learns it here
+    agentConnected: !!Contact.AgentInfo?.ConnectedToAgentTimestamp,
+    voice
+  };
+  
+  console.log('Contact resumed:', {
+    contactId: Contact.Id,
+    agentConnected: response.agentConnected,
+    voiceContactId: body.voiceContactId,
+    voiceActive: !!voice?.active
+  });
+  
+  console.log('--- handleResumeContact: Success ---');
+  return createResponse(200, response);
+}
+
+/**
+ * Checks whether a voice leg can be rejoined and, if so, opens a new WebRTC
+ * connection into its meeting
+ * A leg that ended, is not owned or whose token is rejected is reported as
+ * inactive rather than failing the chat resume.
+ * @param {string} voiceContactId - Voice contact ID
+ * @param {string} [voiceParticipantToken] - Participant token from StartWebRTCContact
+ * @param {Object} session - Authenticated session
+ * @returns {Promise<{ contactId: string, active: boolean, connectionData?: Object }>}
+ */
+async function resumeVoiceLeg(voiceContactId, voiceParticipantToken, session) {
+  const inactive = { contactId: voiceContactId, active: false };
+  
+  let contact;
+  try {
+    ({ Contact: contact } = await contactCenter.describeContact({ ContactId: voiceContactId }));
+  } catch (error) {
+    if (error instanceof ContactNotFoundError) {
+      return inactive;
+    }
+    throw error;
+  }
+  
+  if (!isOwnedBy(contact, session) || contact.Channel !== 'VOICE' || contact.DisconnectTimestamp || !voiceParticipantToken) {
+    console.log('Voice leg is not resumable:', { voiceContactId, ended: !!contact.DisconnectTimestamp });
+    return inactive;
+  }
+  
+  try {
+    const { WebRTCConnection } = await contactCenter.createParticipantConnection({
+      ParticipantToken: voiceParticipantToken,
+      Type: ['WEBRTC_CONNECTION']
+    });
+    return { contactId: voiceContactId, active: true, connectionData: WebRTCConnection };
+  } catch (error) {
+    if (error instanceof ConnectAccessDeniedError) {
+      return inactive;
+    }
+    throw error;
+  }
+}
+
+async function handleCallQuality(body, session) {
+  console.log('--- handleCallQuality: Start ---');
+  
+  const { Contact } = await contactCenter.describeContact({ ContactId: body.contactId });
+  if (!isOwnedBy(Contact, session)) {
+    console.warn('Refusing call quality report for contact owned by a different user:', body.contactId);
+    return createForbiddenResponse('CONTACT_NOT_OWNED', 'The specified contact does not belong to this session');
+  }
+  
+  // One log line per report; CloudWatch extracts the metrics from it
+  console.log(JSON.stringify(createQualityMetricsRecord(body, { userId: session.userId })));
+  
+  console.log('--- handleCallQuality: Success ---');
+  return createResponse(200, { success: true, contactId: body.contactId });
+}
+
+async function handleScreenShare(body, session) {
+  console.log('--- handleScreenShare: Start ---');
+  
+  const { Contact } = await contactCenter.describeContact({ ContactId: body.contactId });
+  if (!isOwnedBy(Contact, session)) {
+    console.warn('Refusing screen share state for contact owned by a different user:', body.contactId);
+    return createForbiddenResponse('CONTACT_NOT_OWNED', 'The specified contact does not belong to this session');
+  }
+  
+  if (Contact.Channel !== 'VOICE') {
+    return createNotVoiceContactResponse();
+  }
+  
+  if (Contact.DisconnectTimestamp) {
+    console.log('Contact has already ended:', body.contactId);
+    return createContactEndedResponse();
+  }
+  
+  // The agent app reads this attribute on contact refresh to show the sharing badge
+  await contactCenter.updateContactAttributes({
+    InitialContactId: Contact.Id,
+    Attributes: { CustomerScreenSharing: String(body.sharing) }
+  });
+  console.log('Screen share state updated:', { contactId: Contact.Id, sharing: body.sharing });
+  
+  console.log('--- handleScreenShare: Success ---');
+  return createResponse(200, { success: true, contactId: Contact.Id, sharing: body.sharing });
+}
+
+async function handleContactTranscript(body, session) {
+  console.log('--- handleContactTranscript: Start ---');
+  
+  const { Contact } = await contactCenter.describeContact({ ContactId: body.contactId });
+  if (!isOwnedBy(Contact, session)) {
+    console.warn('Refusing transcript for contact owned by a different user:', body.contactId);
+    return createForbiddenResponse('CONTACT_NOT_OWNED', 'The specified contact does not belong to this session');
+  }
+  
+  if (Contact.Channel !== 'CHAT') {
+    return createNotChatContactResponse();
+  }
+  
+  let messages;
+  try {
+    messages = await fetchChatMessages(contactCenter, body.participantToken);
+  } catch (error) {
+    if (error instanceof ConnectAccessDeniedError) {
+      console.log('Participant token rejected, transcript is no longer available:', body.contactId);
+      return createContactEndedResponse();
+    }
+    throw error;
+  }
+  
+  const contacts = await collectLinkedContacts(Contact, body.relatedContactIds, session);
+  const document = createTranscriptDocument({ contacts, messages });
+  
+  console.log('Transcript assembled:', {
+    contactIds: document.contactIds,
+    messageCount: messages.length
+  });
+  
+  console.log('--- handleContactTranscript: Success ---');
+  return createResponse(200, document);
+}
+
+/**
+ * Collects a chat and every contact linked to it through relatedContactId
+ * Voice+chat legs point from the chat to the voice contact and escalations
+ * point from the voice contact to the chat, so the client supplies the voice
+ * legs it knows about and both directions are followed from there. Contacts
+ * that are missing or owned by someone else are left out.
+ * @param {Object} chatContact - The chat contact from DescribeContact
+ * @param {string[]} relatedContactIds - Contact IDs supplied by the client
+ * @param {Object} session - Authenticated session
+ * @returns {Promise<Array<Object>>} - Contacts ordered by initiation time
+ */
+async function collectLinkedContacts(chatContact, relatedContactIds, session) {
+  const contacts = [chatContact];
+  const seen = new Set([chatContact.Id]);
+  const queue = [chatContact.Attributes?.relatedContactId, ...relatedContactIds];
+  
+  while (queue.length > 0 && contacts.length < MAX_LINKED_CONTACTS) {
+    const contactId = queue.shift();
+    if (!contactId || seen.has(contactId)) {
+      continue;
+    }
+    seen.add(contactId);
+    
+    let contact;
+    try {
+      ({ Contact: contact } = await contactCenter.describeContact({ ContactId: contactId }));
+    } catch (error) {
+      if (error instanceof ContactNotFoundError) {
+        console.warn('Skipping missing linked contact:', contactId);
+        continue;
+      }
+      throw error;
+    }
+    
+    if (!isOwnedBy(contact, session)) {
+      console.warn('Skipping linked contact owned by a different user:', contactId);
+      continue;
+    }
+    
+    contacts.push(contact);
+    queue.push(contact.Attributes?.relatedContactId);
+  }
+  
+  return contacts.sort((a, b) => new Date(a.InitiationTimestamp) - new Date(b.InitiationTimestamp));
+}
+
+/**
+ * Runs a contact-creating route at most once per Idempotency-Key
+ * The first request claims the key; repeats replay its successful response,
+ * get 409 while it is still running, or 422 if the key was used for a
+ * different body. Failed requests release the key so the client can retry.
+ * @param {string} path - Route path
+ * @param {Object} event - API Gateway proxy event
+ * @param {Object} body - Validated request body
+ * @param {Object} session - Authenticated session
+ * @param {Function} handle - (clientToken) => Promise<response>
+ * @returns {Promise<Object>} - API Gateway proxy response
+ */
+async function withIdempotency(path, event, body, session, handle) {
+  const idempotencyKey = getIdempotencyKey(event);
+  if (!idempotencyKey) {
+    return handle(undefined);
+  }
+  
+  if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return createResponse(400, createValidationError('VALIDATION_FAILED', '1 field(s) failed validation', [{
+      field: 'Idempotency-Key',
+      code: 'INVALID_FORMAT',
+      message: 'Idempotency-Key must be 8-128 letters, digits, "-" or "_"'
+    }]));
+  }
+  
+  const key = scopeKey(session.userId, path, idempotencyKey);
+  const clientToken = toClientToken(key);
+  if (!idempotencyStore) {
+    return handle(clientToken);
+  }
+  
+  let claim;
+  try {
+    claim = await idempotencyStore.begin(key, fingerprint(body));
+  } catch (error) {
+    console.error('Idempotency store unavailable, relying on Connect ClientToken:', error);
+    return handle(clientToken);
+  }
+  
+  console.log('Idempotency claim:', { idempotencyKey, state: claim.state });
+  
+  if (claim.state === 'REPLAY') {
+    return createResponse(claim.response.statusCode, claim.response.body, { 'Idempotent-Replayed': 'true' });
+  }
+  if (claim.state === 'IN_PROGRESS') {
+    return createResponse(409, {
+      error: 'Request in progress',
+      errorCode: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+      message: 'A request with this Idempotency-Key is still being processed'
+    }, { 'Retry-After': '1' });
+  }
+  if (claim.state === 'MISMATCH') {
+    return createResponse(422, {
+      error: 'Idempotency key reused',
+      errorCode: 'IDEMPOTENCY_KEY_REUSED',
+      message: 'This Idempotency-Key was already used for a different request'
+    });
+  }
+  
+  let result;
+  try {
+    result = await handle(clientToken);
+  } finally {
+    // Only a successful contact is kept for replay
+    const settle = result?.statusCode === 200
+      ? idempotencyStore.complete(key, { statusCode: result.statusCode, body: JSON.parse(result.body) })
+      : idempotencyStore.release(key);
+    await settle.catch(error => console.error('Failed to settle idempotency record:', error));
+  }
+  return result;
+}
+
+/**
+ * Counts the request against the route's userId and source IP limits
+ * Fails open: a DynamoDB outage must not take contact creation down with it.
+ * @param {string} path - Route path
+ * @param {Object} [session] - Authenticated session
+ * @param {Object} event - API Gateway proxy event
+ * @returns {Promise<{ allowed: boolean, limitedBy?: string, retryAfterSeconds?: number }>}
+ */
+async function checkRateLimit(path, session, event) {
+  if (!rateLimiter) {
+    return { allowed: true };
+  }
+  
+  try {
+    return await rateLimiter.check({
+      route: path,
+      userId: session?.userId,
+      sourceIp: event.requestContext?.identity?.sourceIp
+    });
+  } catch (error) {
+    console.error('Rate limit check failed, allowing request:', error);
+    return { allowed: true };
+  }
+}
+
+/**
+ * Checks whether a contact's userId attribute matches the session subject
+ * @param {Object} contact - Contact from DescribeContact
+ * @param {Object} session - Authenticated session
+ * @returns {boolean}
+ */
+function isOwnedBy(contact, session) {
+  return !!contact?.Attributes?.userId && contact.Attributes.userId === session.userId;
+}
+
+// A client may echo its own userId in attributes, but never someone else's
+function hasForeignUserId(body, session) {
+  const userId = body.attributes?.userId;
+  return userId !== undefined && userId !== session.userId;
+}
+
+function createNotChatContactResponse() {
+  return createResponse(400, createValidationError('VALIDATION_FAILED', '1 field(s) failed validation', [{
+    field: 'contactId',
+    code: 'INVALID_CONTACT_TYPE',
+    message: 'contactId must reference a chat contact'
+  }]));
+}
+
+function createNotVoiceContactResponse() {
+  return createResponse(400, createValidationError('VALIDATION_FAILED', '1 field(s) failed validation', [{
+    field: 'contactId',
+    code: 'INVALID_CONTACT_TYPE',
+    message: 'contactId must reference a voice contact'
+  }]));
+}
+
+function createContactEndedResponse() {
+  return createResponse(410, {
+    error: 'Contact ended',
+    errorCode: 'CONTACT_ENDED',
+    message: 'The specified contact is no longer in progress'
+  });
+}
+
+function createForbiddenResponse(errorCode, message) {
+  return createResponse(403, {
+    error: 'Forbidden',
+    errorCode,
+    message
+  });
+}
+
+// Adds the CORS headers for the request's origin to a route response
+function withCorsHeaders(response, cors) {
+  return {
+    ...response,
+    headers: { ...response.headers, ...cors.headers }
+  };
+}
+
+function createResponse(statusCode, body, headers = {}) {
   const response = {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      ...headers
     },
     body: JSON.stringify(body)
   };
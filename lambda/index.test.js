@@ -2,20 +2,69 @@
 process.env.CONNECT_INSTANCE_ID = 'test-instance-id';
 process.env.CONNECT_CONTACT_FLOW_ID = 'test-contact-flow-id';
 process.env.AWS_REGION = 'us-east-1';
+process.env.SESSION_TOKEN_SECRET = 'test-session-secret';
+process.env.ALLOWED_ORIGINS = 'https://customer.cloudfront.net,https://agent.cloudfront.net';
+process.env.RATE_LIMIT_TABLE_NAME = 'test-rate-limits';
+process.env.IDEMPOTENCY_TABLE_NAME = 'test-idempotency';
 
-// Mock AWS SDK
+// Mock AWS SDK - each command is dispatched to the matching mockConnect function
 const mockConnect = {
   startChatContact: jest.fn(),
   startWebRTCContact: jest.fn(),
   describeContact: jest.fn(),
-  stopContact: jest.fn()
+  stopContact: jest.fn(),
+  updateContactAttributes: jest.fn(),
+  createParticipantConnection: jest.fn(),
+  getTranscript: jest.fn()
 };
 
-jest.mock('aws-sdk', () => ({
-  Connect: jest.fn(() => mockConnect)
-}));
+jest.mock('@aws-sdk/client-connect', () => {
+  const command = (operation) => jest.fn((input) => ({ operation, input }));
+  return {
+    ConnectClient: jest.fn(() => ({
+      send: (cmd) => mockConnect[cmd.operation](cmd.input)
+    })),
+    StartChatContactCommand: command('startChatContact'),
+    StartWebRTCContactCommand: command('startWebRTCContact'),
+    DescribeContactCommand: command('describeContact'),
+    StopContactCommand: command('stopContact'),
+    UpdateContactAttributesCommand: command('updateContactAttributes')
+  };
+});
+
+jest.mock('@aws-sdk/client-connectparticipant', () => {
+  const command = (operation) => jest.fn((input) => ({ operation, input }));
+  return {
+    ConnectParticipantClient: jest.fn(() => ({
+      send: (cmd) => mockConnect[cmd.operation](cmd.input)
+    })),
+    CreateParticipantConnectionCommand: command('createParticipantConnection'),
+    GetTranscriptCommand: command('getTranscript')
+  };
+});
+
+// Mock DynamoDB - by default every rate limit counter is the first in its window
+// and every idempotency key is new
+const mockDynamoSend = jest.fn(() => Promise.resolve({ Attributes: { count: 1 } }));
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const command = (type) => jest.fn((input) => ({ type, input }));
+  return {
+    DynamoDBDocumentClient: { from: jest.fn(() => ({ send: mockDynamoSend })) },
+    UpdateCommand: command('Update'),
+    PutCommand: command('Put'),
+    GetCommand: command('Get'),
+    DeleteCommand: command('Delete')
+  };
+});
 
 const { handler } = require('./index');
+const { createSessionToken } = require('./session');
+const { fingerprint } = require('./idempotency');
+
+const USER_ID = 'user-123';
+const AUTH_HEADERS = {
+  Authorization: `Bearer ${createSessionToken(USER_ID, 'test-session-secret').token}`
+};
 
 describe('API Lambda - Voice Contact Escalation', () => {
   beforeEach(() => {
@@ -25,27 +74,25 @@ describe('API Lambda - Voice Contact Escalation', () => {
   describe('handleStartVoice - Escalated Voice Contact', () => {
     test('should create escalated voice contact with relatedContactId', async () => {
       // Mock successful related contact validation
-      mockConnect.describeContact.mockReturnValue({
-        promise: () => Promise.resolve({
-          Contact: {
-            Id: 'chat-contact-123',
-            Channel: 'CHAT',
-            State: 'CONNECTED'
-          }
-        })
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: {
+          Id: 'chat-contact-123',
+          Channel: 'CHAT',
+          State: 'CONNECTED',
+          Attributes: { userId: USER_ID }
+        }
       });
 
       // Mock successful voice contact creation
-      mockConnect.startWebRTCContact.mockReturnValue({
-        promise: () => Promise.resolve({
-          ContactId: 'voice-contact-456',
-          ParticipantId: 'participant-789',
-          ParticipantToken: 'token-abc',
-          ConnectionData: { endpoint: 'wss://example.com' }
-        })
+      mockConnect.startWebRTCContact.mockResolvedValue({
+        ContactId: 'voice-contact-456',
+        ParticipantId: 'participant-789',
+        ParticipantToken: 'token-abc',
+        ConnectionData: { endpoint: 'wss://example.com' }
       });
 
       const event = {
+        headers: AUTH_HEADERS,
         path: '/start-voice-contact',
         body: JSON.stringify({
           displayName: 'Test Customer',
@@ -78,24 +125,29 @@ describe('API Lambda - Voice Contact Escalation', () => {
           DisplayName: 'Test Customer'
         },
         Attributes: {
+          userId: USER_ID,
           InitiationMethod: 'Chat',
           relatedContactId: 'chat-contact-123'
-        }
+        },
+        AllowedCapabilities: {
+          Customer: { Video: 'SEND', ScreenShare: 'SEND' },
+          Agent: { Video: 'SEND' }
+        },
+        ClientToken: expect.any(String)
       });
     });
 
     test('should create regular voice contact without relatedContactId', async () => {
       // Mock successful voice contact creation
-      mockConnect.startWebRTCContact.mockReturnValue({
-        promise: () => Promise.resolve({
-          ContactId: 'voice-contact-456',
-          ParticipantId: 'participant-789',
-          ParticipantToken: 'token-abc',
-          ConnectionData: { endpoint: 'wss://example.com' }
-        })
+      mockConnect.startWebRTCContact.mockResolvedValue({
+        ContactId: 'voice-contact-456',
+        ParticipantId: 'participant-789',
+        ParticipantToken: 'token-abc',
+        ConnectionData: { endpoint: 'wss://example.com' }
       });
 
       const event = {
+        headers: AUTH_HEADERS,
         path: '/start-voice-contact',
         body: JSON.stringify({
           displayName: 'Test Customer'
@@ -117,24 +169,51 @@ describe('API Lambda - Voice Contact Escalation', () => {
           DisplayName: 'Test Customer'
         },
         Attributes: {
+          userId: USER_ID,
           InitiationMethod: 'Voice'
-        }
+        },
+        AllowedCapabilities: {
+          Customer: { Video: 'SEND', ScreenShare: 'SEND' },
+          Agent: { Video: 'SEND' }
+        },
+        ClientToken: expect.any(String)
+      });
+      expect(responseBody.video).toBe(false);
+    });
+
+    test('should mark video contacts for routing and report video in the response', async () => {
+      mockConnect.startWebRTCContact.mockResolvedValue({
+        ContactId: 'voice-contact-456',
+        ParticipantId: 'participant-789',
+        ParticipantToken: 'token-abc',
+        ConnectionData: { endpoint: 'wss://example.com' }
+      });
+
+      const result = await handler({
+        headers: AUTH_HEADERS,
+        path: '/start-voice-contact',
+        body: JSON.stringify({ displayName: 'Test Customer', video: true })
       });
 
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body).video).toBe(true);
+      expect(mockConnect.startWebRTCContact).toHaveBeenCalledWith(expect.objectContaining({
+        Attributes: { userId: USER_ID, InitiationMethod: 'Voice', VideoRequested: 'true' },
+        AllowedCapabilities: expect.objectContaining({ Customer: { Video: 'SEND', ScreenShare: 'SEND' } })
+      }));
+
       // Verify no related contact validation was called
       expect(mockConnect.describeContact).not.toHaveBeenCalled();
     });
 
     test('should return error when related contact does not exist', async () => {
       // Mock related contact not found
-      mockConnect.describeContact.mockReturnValue({
-        promise: () => Promise.reject({
-          code: 'ResourceNotFoundException',
-          message: 'Contact not found'
-        })
-      });
+      mockConnect.describeContact.mockRejectedValue(
+        Object.assign(new Error('Contact not found'), { name: 'ResourceNotFoundException' })
+      );
 
       const event = {
+        headers: AUTH_HEADERS,
         path: '/start-voice-contact',
         body: JSON.stringify({
           displayName: 'Test Customer',
@@ -157,17 +236,16 @@ describe('API Lambda - Voice Contact Escalation', () => {
 
     test('should return error when related contact is not a chat contact', async () => {
       // Mock related contact that is not a chat contact
-      mockConnect.describeContact.mockReturnValue({
-        promise: () => Promise.resolve({
-          Contact: {
-            Id: 'voice-contact-123',
-            Channel: 'VOICE',
-            State: 'CONNECTED'
-          }
-        })
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: {
+          Id: 'voice-contact-123',
+          Channel: 'VOICE',
+          State: 'CONNECTED'
+        }
       });
 
       const event = {
+        headers: AUTH_HEADERS,
         path: '/start-voice-contact',
         body: JSON.stringify({
           displayName: 'Test Customer',
@@ -189,17 +267,17 @@ describe('API Lambda - Voice Contact Escalation', () => {
 
     test('should return error when related contact is not active', async () => {
       // Mock related contact that is not active
-      mockConnect.describeContact.mockReturnValue({
-        promise: () => Promise.resolve({
-          Contact: {
-            Id: 'chat-contact-123',
-            Channel: 'CHAT',
-            State: 'ENDED'
-          }
-        })
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: {
+          Id: 'chat-contact-123',
+          Channel: 'CHAT',
+          State: 'ENDED',
+          Attributes: { userId: USER_ID }
+        }
       });
 
       const event = {
+        headers: AUTH_HEADERS,
         path: '/start-voice-contact',
         body: JSON.stringify({
           displayName: 'Test Customer',
@@ -223,15 +301,14 @@ describe('API Lambda - Voice Contact Escalation', () => {
   describe('handleStartChat - InitiationMethod Attribute', () => {
     test('should create chat contact with InitiationMethod set to Chat', async () => {
       // Mock successful chat contact creation
-      mockConnect.startChatContact.mockReturnValue({
-        promise: () => Promise.resolve({
-          ContactId: 'chat-contact-123',
-          ParticipantId: 'participant-456',
-          ParticipantToken: 'token-xyz'
-        })
+      mockConnect.startChatContact.mockResolvedValue({
+        ContactId: 'chat-contact-123',
+        ParticipantId: 'participant-456',
+        ParticipantToken: 'token-xyz'
       });
 
       const event = {
+        headers: AUTH_HEADERS,
         path: '/start-chat-contact',
         body: JSON.stringify({
           displayName: 'Test Customer'
@@ -250,9 +327,836 @@ describe('API Lambda - Voice Contact Escalation', () => {
           DisplayName: 'Test Customer'
         },
         Attributes: {
+          userId: USER_ID,
           InitiationMethod: 'Chat'
+        },
+        SupportedMessagingContentTypes: expect.arrayContaining(['text/plain', 'text/markdown']),
+        ClientToken: expect.any(String)
+      });
+    });
+  });
+
+  describe('Connect service errors', () => {
+    test('should retry throttled calls and return 429 when Connect keeps throttling', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { Id: 'chat-contact-123', Attributes: { userId: USER_ID } }
+      });
+      mockConnect.stopContact.mockRejectedValue(
+        Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' })
+      );
+
+      const result = await handler({
+        headers: AUTH_HEADERS,
+        path: '/stop-contact',
+        body: JSON.stringify({ contactId: 'chat-contact-123' })
+      });
+
+      expect(result.statusCode).toBe(429);
+      const responseBody = JSON.parse(result.body);
+
+      expect(responseBody.errorCode).toBe('CONNECT_THROTTLED');
+      expect(responseBody.errorType).toBe('ConnectThrottlingError');
+      expect(responseBody.retryable).toBe(true);
+      expect(mockConnect.stopContact).toHaveBeenCalledTimes(3);
+    });
+
+    test('should return 503 without retrying when a Connect quota is exceeded', async () => {
+      mockConnect.startChatContact.mockRejectedValue(
+        Object.assign(new Error('Concurrent active chats limit reached'), { name: 'LimitExceededException' })
+      );
+
+      const result = await handler({ headers: AUTH_HEADERS, path: '/start-chat-contact' });
+
+      expect(result.statusCode).toBe(503);
+      const responseBody = JSON.parse(result.body);
+
+      expect(responseBody.errorCode).toBe('CONNECT_QUOTA_EXCEEDED');
+      expect(responseBody.retryable).toBe(false);
+      expect(mockConnect.startChatContact).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not retry and return 500 for unexpected Connect errors', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { Id: 'chat-contact-123', Attributes: { userId: USER_ID } }
+      });
+      mockConnect.stopContact.mockRejectedValue(new Error('Something broke'));
+
+      const result = await handler({
+        headers: AUTH_HEADERS,
+        path: '/stop-contact',
+        body: JSON.stringify({ contactId: 'chat-contact-123' })
+      });
+
+      expect(result.statusCode).toBe(500);
+      expect(JSON.parse(result.body).errorCode).toBe('CONNECT_ERROR');
+      expect(mockConnect.stopContact).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Request validation', () => {
+    test('should return the validation envelope without calling Connect', async () => {
+      const result = await handler({
+        headers: AUTH_HEADERS,
+        path: '/start-chat-contact',
+        body: JSON.stringify({ attributes: { InitiationMethod: 'Voice' } })
+      });
+
+      expect(result.statusCode).toBe(400);
+      const responseBody = JSON.parse(result.body);
+
+      expect(responseBody.errorCode).toBe('VALIDATION_FAILED');
+      expect(responseBody.fieldErrors).toEqual([
+        expect.objectContaining({ field: 'attributes.InitiationMethod', code: 'NOT_ALLOWED' })
+      ]);
+      expect(mockConnect.startChatContact).not.toHaveBeenCalled();
+    });
+
+    test('should reject malformed JSON on start-chat-contact', async () => {
+      const result = await handler({ headers: AUTH_HEADERS, path: '/start-chat-contact', body: '{oops' });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errorCode).toBe('INVALID_REQUEST_BODY');
+      expect(mockConnect.startChatContact).not.toHaveBeenCalled();
+    });
+
+    test('should require contactId on stop-contact', async () => {
+      const result = await handler({ headers: AUTH_HEADERS, path: '/stop-contact', body: JSON.stringify({}) });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).fieldErrors[0].field).toBe('contactId');
+      expect(mockConnect.stopContact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Customer session authentication', () => {
+    test('should issue a session with a userId and signed token', async () => {
+      const result = await handler({ path: '/session' });
+
+      expect(result.statusCode).toBe(200);
+      const responseBody = JSON.parse(result.body);
+
+      expect(responseBody.userId).toEqual(expect.any(String));
+      expect(responseBody.sessionToken.split('.')).toHaveLength(3);
+      expect(responseBody.expiresAt).toBeGreaterThan(Date.now() / 1000);
+
+      // The issued token authenticates contact routes as that userId
+      mockConnect.startChatContact.mockResolvedValue({ ContactId: 'chat-contact-123' });
+      await handler({
+        headers: { authorization: `Bearer ${responseBody.sessionToken}` },
+        path: '/start-chat-contact'
+      });
+      expect(mockConnect.startChatContact.mock.calls[0][0].Attributes.userId).toBe(responseBody.userId);
+    });
+
+    test('should renew a session token without changing its userId', async () => {
+      // Issued seven hours ago, so an hour from expiry
+      const current = createSessionToken(USER_ID, 'test-session-secret', { now: Date.now() - 7 * 60 * 60 * 1000 });
+
+      const result = await handler({ headers: { Authorization: `Bearer ${current.token}` }, path: '/session' });
+
+      expect(result.statusCode).toBe(200);
+      const renewed = JSON.parse(result.body);
+      expect(renewed.userId).toBe(USER_ID);
+      expect(renewed.expiresAt).toBeGreaterThan(current.expiresAt);
+
+      // A contact created before the renewal is still the session's own
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { Id: 'chat-contact-123', Attributes: { userId: USER_ID } }
+      });
+      mockConnect.stopContact.mockResolvedValue({});
+      const stopped = await handler({
+        headers: { Authorization: `Bearer ${renewed.sessionToken}` },
+        path: '/stop-contact',
+        body: JSON.stringify({ contactId: 'chat-contact-123' })
+      });
+
+      expect(stopped.statusCode).toBe(200);
+      expect(mockConnect.stopContact).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not renew an invalid session token', async () => {
+      const forged = createSessionToken(USER_ID, 'wrong-secret').token;
+
+      const result = await handler({ headers: { Authorization: `Bearer ${forged}` }, path: '/session' });
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).errorCode).toBe('INVALID_SESSION_TOKEN');
+    });
+
+    test('should never log the session token', async () => {
+      const token = AUTH_HEADERS.Authorization.split(' ')[1];
+      mockConnect.startChatContact.mockResolvedValue({ ContactId: 'chat-contact-123' });
+      const log = jest.spyOn(console, 'log');
+
+      await handler({
+        headers: AUTH_HEADERS,
+        multiValueHeaders: { Authorization: [AUTH_HEADERS.Authorization] },
+        path: '/start-chat-contact'
+      });
+
+      const logged = log.mock.calls.map(args => args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' '));
+      expect(logged.some(line => line.includes('[REDACTED]'))).toBe(true);
+      expect(logged.some(line => line.includes(token))).toBe(false);
+      log.mockRestore();
+    });
+
+    test('should reject contact routes without a session token', async () => {
+      const result = await handler({
+        path: '/stop-contact',
+        body: JSON.stringify({ contactId: 'chat-contact-123' })
+      });
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).errorCode).toBe('MISSING_SESSION_TOKEN');
+      expect(mockConnect.describeContact).not.toHaveBeenCalled();
+      expect(mockConnect.stopContact).not.toHaveBeenCalled();
+    });
+
+    test('should reject tampered session tokens', async () => {
+      const forged = createSessionToken(USER_ID, 'wrong-secret').token;
+
+      const result = await handler({
+        headers: { Authorization: `Bearer ${forged}` },
+        path: '/start-chat-contact'
+      });
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).errorCode).toBe('INVALID_SESSION_TOKEN');
+      expect(mockConnect.startChatContact).not.toHaveBeenCalled();
+    });
+
+    test('should stop contacts owned by the session user', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { Id: 'chat-contact-123', Attributes: { userId: USER_ID } }
+      });
+      mockConnect.stopContact.mockResolvedValue({});
+
+      const result = await handler({
+        headers: AUTH_HEADERS,
+        path: '/stop-contact',
+        body: JSON.stringify({ contactId: 'chat-contact-123' })
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(mockConnect.stopContact).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse to stop another user\'s contact', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { Id: 'chat-contact-999', Attributes: { userId: 'someone-else' } }
+      });
+
+      const result = await handler({
+        headers: AUTH_HEADERS,
+        path: '/stop-contact',
+        body: JSON.stringify({ contactId: 'chat-contact-999' })
+      });
+
+      expect(result.statusCode).toBe(403);
+      expect(JSON.parse(result.body).errorCode).toBe('CONTACT_NOT_OWNED');
+      expect(mockConnect.stopContact).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to escalate another user\'s chat', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { Id: 'chat-contact-999', Channel: 'CHAT', State: 'CONNECTED', Attributes: { userId: 'someone-else' } }
+      });
+
+      const result = await handler({
+        headers: AUTH_HEADERS,
+        path: '/start-voice-contact',
+        body: JSON.stringify({ relatedContactId: 'chat-contact-999' })
+      });
+
+      expect(result.statusCode).toBe(403);
+      expect(JSON.parse(result.body).errorCode).toBe('CONTACT_NOT_OWNED');
+      expect(mockConnect.startWebRTCContact).not.toHaveBeenCalled();
+    });
+
+    test('should reject a userId attribute that differs from the session', async () => {
+      const result = await handler({
+        headers: AUTH_HEADERS,
+        path: '/start-chat-contact',
+        body: JSON.stringify({ attributes: { userId: 'someone-else' } })
+      });
+
+      expect(result.statusCode).toBe(403);
+      expect(JSON.parse(result.body).errorCode).toBe('USER_ID_MISMATCH');
+      expect(mockConnect.startChatContact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Resume contact', () => {
+    const CHAT_CONTACT = { Id: 'chat-contact-123', Channel: 'CHAT', State: 'CONNECTED', Attributes: { userId: USER_ID } };
+    const VOICE_CONTACT = { Id: 'voice-contact-456', Channel: 'VOICE', State: 'CONNECTED', Attributes: { userId: USER_ID } };
+    const accessDenied = () => Object.assign(new Error('Invalid token'), { name: 'AccessDeniedException' });
+
+    const resume = (body) => handler({
+      headers: AUTH_HEADERS,
+      path: '/resume-contact',
+      body: JSON.stringify({ contactId: 'chat-contact-123', participantToken: 'chat-token', ...body })
+    });
+
+    beforeEach(() => {
+      mockConnect.describeContact.mockImplementation(({ ContactId }) => Promise.resolve({
+        Contact: ContactId === VOICE_CONTACT.Id ? VOICE_CONTACT : CHAT_CONTACT
+      }));
+      mockConnect.createParticipantConnection.mockImplementation(({ Type }) => Promise.resolve(
+        Type.includes('WEBRTC_CONNECTION')
+          ? { WebRTCConnection: { Meeting: { MeetingId: 'meeting-1' }, Attendee: { AttendeeId: 'attendee-2' } } }
+          : { ConnectionCredentials: { ConnectionToken: 'connection-1', Expiry: '2026-01-01T00:00:00Z' } }
+      ));
+    });
+
+    test('should resume an active chat owned by the session user', async () => {
+      const result = await resume();
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({
+        contactId: 'chat-contact-123',
+        participantToken: 'chat-token',
+        connectionExpiry: '2026-01-01T00:00:00Z',
+        agentConnected: false,
+        voice: null
+      });
+      expect(mockConnect.createParticipantConnection).toHaveBeenCalledWith({
+        ParticipantToken: 'chat-token',
+        Type: ['CONNECTION_CREDENTIALS']
+      });
+    });
+
+    test('should report when an agent has already joined the chat', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { ...CHAT_CONTACT, AgentInfo: { Id: 'agent-1', ConnectedToAgentTimestamp: '2025-01-01T00:00:00Z' } }
+      });
+
+      const result = await resume();
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body).agentConnected).toBe(true);
+    });
+
+    test('should re-offer an active voice leg with a new WebRTC connection', async () => {
+      const result = await resume({ voiceContactId: 'voice-contact-456', voiceParticipantToken: 'voice-token' });
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body).voice).toEqual({
+        contactId: 'voice-contact-456',
+        active: true,
+        connectionData: { Meeting: { MeetingId: 'meeting-1' }, Attendee: { AttendeeId: 'attendee-2' } }
+      });
+      expect(mockConnect.createParticipantConnection).toHaveBeenCalledWith({
+        ParticipantToken: 'voice-token',
+        Type: ['WEBRTC_CONNECTION']
+      });
+    });
+
+    test('should report an ended voice leg as inactive', async () => {
+      mockConnect.describeContact.mockImplementation(({ ContactId }) => Promise.resolve({
+        Contact: ContactId === VOICE_CONTACT.Id
+          ? { ...VOICE_CONTACT, State: 'ENDED', DisconnectTimestamp: '2025-01-01T00:00:00Z' }
+          : CHAT_CONTACT
+      }));
+
+      const result = await resume({ voiceContactId: 'voice-contact-456', voiceParticipantToken: 'voice-token' });
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body).voice).toEqual({ contactId: 'voice-contact-456', active: false });
+      expect(mockConnect.createParticipantConnection).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse to resume another user\'s contact', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { ...CHAT_CONTACT, Attributes: { userId: 'someone-else' } }
+      });
+
+      const result = await resume();
+
+      expect(result.statusCode).toBe(403);
+      expect(JSON.parse(result.body).errorCode).toBe('CONTACT_NOT_OWNED');
+      expect(mockConnect.createParticipantConnection).not.toHaveBeenCalled();
+    });
+
+    test('should return 410 when the chat has ended', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { ...CHAT_CONTACT, State: 'ENDED', DisconnectTimestamp: '2025-01-01T00:00:00Z' }
+      });
+
+      const result = await resume();
+
+      expect(result.statusCode).toBe(410);
+      expect(JSON.parse(result.body).errorCode).toBe('CONTACT_ENDED');
+    });
+
+    test('should return 410 when the participant token is no longer accepted', async () => {
+      mockConnect.createParticipantConnection.mockRejectedValue(accessDenied());
+
+      const result = await resume();
+
+      expect(result.statusCode).toBe(410);
+      expect(JSON.parse(result.body).errorCode).toBe('CONTACT_ENDED');
+    });
+
+    test('should require a session token', async () => {
+      const result = await handler({
+        path: '/resume-contact',
+        body: JSON.stringify({ contactId: 'chat-contact-123', participantToken: 'chat-token' })
+      });
+
+      expect(result.statusCode).toBe(401);
+      expect(mockConnect.describeContact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Contact transcript', () => {
+    const CHAT_CONTACT = {
+      Id: 'chat-contact-123',
+      Channel: 'CHAT',
+      InitiationTimestamp: '2025-01-01T10:00:00Z',
+      Attributes: { userId: USER_ID }
+    };
+    const VOICE_CONTACT = {
+      Id: 'voice-contact-456',
+      Channel: 'VOICE',
+      InitiationTimestamp: '2025-01-01T10:05:00Z',
+      DisconnectTimestamp: '2025-01-01T10:09:00Z',
+      Attributes: { userId: USER_ID, relatedContactId: 'chat-contact-123' }
+    };
+    const FOREIGN_CONTACT = { ...VOICE_CONTACT, Id: 'voice-contact-999', Attributes: { userId: 'someone-else' } };
+
+    const requestTranscript = (body) => handler({
+      headers: AUTH_HEADERS,
+      path: '/contact-transcript',
+      body: JSON.stringify({ contactId: 'chat-contact-123', participantToken: 'chat-token', ...body })
+    });
+
+    beforeEach(() => {
+      const contacts = [CHAT_CONTACT, VOICE_CONTACT, FOREIGN_CONTACT];
+      mockConnect.describeContact.mockImplementation(({ ContactId }) => Promise.resolve({
+        Contact: contacts.find(contact => contact.Id === ContactId)
+      }));
+      mockConnect.createParticipantConnection.mockResolvedValue({ ConnectionCredentials: { ConnectionToken: 'conn-1' } });
+      mockConnect.getTranscript.mockResolvedValue({
+        Transcript: [{
+          Id: 'm1',
+          Type: 'MESSAGE',
+          ParticipantRole: 'AGENT',
+          DisplayName: 'Jane',
+          Content: 'Calling you now',
+          AbsoluteTime: '2025-01-01T10:04:00Z'
+        }]
+      });
+    });
+
+    test('should assemble the chat and its owned voice legs into one document', async () => {
+      const result = await requestTranscript({ relatedContactIds: ['voice-contact-456', 'voice-contact-999'] });
+
+      expect(result.statusCode).toBe(200);
+      const body = JSON.parse(result.body);
+      expect(body.contactIds).toEqual(['chat-contact-123', 'voice-contact-456']);
+      expect(body.text).toMatch(/Chat started[\s\S]*Jane: Calling you now[\s\S]*Voice call started[\s\S]*Voice call ended/);
+      expect(body.html).toContain('<!DOCTYPE html>');
+      expect(mockConnect.getTranscript).toHaveBeenCalledWith(expect.objectContaining({ ConnectionToken: 'conn-1' }));
+    });
+
+    test('should refuse transcripts of another user\'s chat', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { ...CHAT_CONTACT, Attributes: { userId: 'someone-else' } }
+      });
+
+      const result = await requestTranscript();
+
+      expect(result.statusCode).toBe(403);
+      expect(mockConnect.getTranscript).not.toHaveBeenCalled();
+    });
+
+    test('should return 410 once the participant token no longer works', async () => {
+      mockConnect.createParticipantConnection.mockRejectedValue(
+        Object.assign(new Error('Invalid token'), { name: 'AccessDeniedException' })
+      );
+
+      const result = await requestTranscript();
+
+      expect(result.statusCode).toBe(410);
+      expect(JSON.parse(result.body).errorCode).toBe('CONTACT_ENDED');
+    });
+  });
+
+  describe('Downgrade to chat', () => {
+    const VOICE_CONTACT = { Id: 'voice-contact-456', Channel: 'VOICE', State: 'CONNECTED', Attributes: { userId: USER_ID } };
+    const CHAT_LEG = {
+      Id: 'chat-contact-123',
+      Channel: 'CHAT',
+      State: 'CONNECTED',
+      Attributes: { userId: USER_ID, relatedContactId: 'voice-contact-456' }
+    };
+
+    const downgrade = (body) => handler({
+      headers: AUTH_HEADERS,
+      path: '/downgrade-to-chat',
+      body: JSON.stringify({ contactId: 'voice-contact-456', ...body })
+    });
+
+    const mockContacts = (...contacts) => {
+      mockConnect.describeContact.mockImplementation(({ ContactId }) => Promise.resolve({
+        Contact: contacts.find(contact => contact.Id === ContactId)
+      }));
+    };
+
+    beforeEach(() => {
+      mockConnect.stopContact.mockResolvedValue({});
+      mockConnect.updateContactAttributes.mockResolvedValue({});
+    });
+
+    test('should start a chat linked to the call and stop the voice contact', async () => {
+      mockContacts(VOICE_CONTACT);
+      mockConnect.startChatContact.mockResolvedValue({
+        ContactId: 'chat-contact-789',
+        ParticipantId: 'participant-789',
+        ParticipantToken: 'token-789'
+      });
+
+      const result = await downgrade({});
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({
+        contactId: 'chat-contact-789',
+        participantId: 'participant-789',
+        participantToken: 'token-789',
+        created: true,
+        voiceContactId: 'voice-contact-456',
+        interactionMode: 'downgraded'
+      });
+      expect(mockConnect.startChatContact.mock.calls[0][0].Attributes).toEqual({
+        userId: USER_ID,
+        InitiationMethod: 'Voice',
+        relatedContactId: 'voice-contact-456',
+        DowngradedFromContactId: 'voice-contact-456',
+        DowngradedAt: expect.any(String)
+      });
+      expect(mockConnect.stopContact).toHaveBeenCalledWith({ InstanceId: 'test-instance-id', ContactId: 'voice-contact-456' });
+    });
+
+    test('should replay a repeated switch with the same Idempotency-Key instead of starting a second chat', async () => {
+      // In-memory idempotency table so the second request sees what the first stored
+      const items = new Map();
+      mockDynamoSend.mockImplementation(async (command) => {
+        if (command.input.TableName !== 'test-idempotency') {
+          return { Attributes: { count: 1 } };
+        }
+        const key = command.input.Key?.key || command.input.Item?.key;
+        if (command.type === 'Put') {
+          if (items.has(key)) {
+            throw Object.assign(new Error('Conditional check failed'), { name: 'ConditionalCheckFailedException' });
+          }
+          items.set(key, command.input.Item);
+        } else if (command.type === 'Get') {
+          return { Item: items.get(key) };
+        } else if (command.type === 'Update') {
+          const values = command.input.ExpressionAttributeValues;
+          items.set(key, { ...items.get(key), status: values[':completed'], statusCode: values[':statusCode'], body: values[':body'] });
+        } else if (command.type === 'Delete') {
+          items.delete(key);
         }
+        return {};
+      });
+      mockContacts(VOICE_CONTACT);
+      mockConnect.startChatContact.mockResolvedValue({
+        ContactId: 'chat-contact-789',
+        ParticipantId: 'participant-789',
+        ParticipantToken: 'token-789'
+      });
+      const switchToChat = () => handler({
+        headers: { ...AUTH_HEADERS, 'Idempotency-Key': 'switch-voice-contact-456' },
+        path: '/downgrade-to-chat',
+        body: JSON.stringify({ contactId: 'voice-contact-456' })
       });
+
+      try {
+        const first = await switchToChat();
+        const repeated = await switchToChat();
+
+        expect(first.statusCode).toBe(200);
+        expect(repeated.statusCode).toBe(200);
+        expect(repeated.headers['Idempotent-Replayed']).toBe('true');
+        expect(JSON.parse(repeated.body)).toEqual(JSON.parse(first.body));
+        expect(mockConnect.startChatContact).toHaveBeenCalledTimes(1);
+        expect(mockConnect.stopContact).toHaveBeenCalledTimes(1);
+      } finally {
+        mockDynamoSend.mockImplementation(() => Promise.resolve({ Attributes: { count: 1 } }));
+      }
+    });
+
+    test('should tag the call\'s existing chat leg instead of starting another chat', async () => {
+      mockContacts(VOICE_CONTACT, CHAT_LEG);
+
+      const result = await downgrade({ chatContactId: 'chat-contact-123' });
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toMatchObject({ contactId: 'chat-contact-123', created: false });
+      expect(mockConnect.updateContactAttributes).toHaveBeenCalledWith({
+        InstanceId: 'test-instance-id',
+        InitialContactId: 'chat-contact-123',
+        Attributes: { DowngradedFromContactId: 'voice-contact-456', DowngradedAt: expect.any(String) }
+      });
+      expect(mockConnect.startChatContact).not.toHaveBeenCalled();
+      expect(mockConnect.stopContact).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse a chat that does not belong to the call', async () => {
+      mockContacts(VOICE_CONTACT, { ...CHAT_LEG, Attributes: { userId: USER_ID } });
+
+      const result = await downgrade({ chatContactId: 'chat-contact-123' });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).fieldErrors[0].code).toBe('CHAT_NOT_LINKED');
+      expect(mockConnect.updateContactAttributes).not.toHaveBeenCalled();
+      expect(mockConnect.stopContact).not.toHaveBeenCalled();
+    });
+
+    test('should refuse other users\' calls, chat contacts and ended calls', async () => {
+      mockContacts({ ...VOICE_CONTACT, Attributes: { userId: 'someone-else' } });
+      expect((await downgrade({})).statusCode).toBe(403);
+
+      mockContacts({ ...VOICE_CONTACT, Channel: 'CHAT' });
+      expect((await downgrade({})).statusCode).toBe(400);
+
+      mockContacts({ ...VOICE_CONTACT, State: 'ENDED', DisconnectTimestamp: '2025-01-01T00:00:00Z' });
+      expect((await downgrade({})).statusCode).toBe(410);
+
+      expect(mockConnect.startChatContact).not.toHaveBeenCalled();
+      expect(mockConnect.stopContact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Call quality reports', () => {
+    const requestCallQuality = () => handler({
+      headers: AUTH_HEADERS,
+      path: '/call-quality',
+      body: JSON.stringify({ contactId: 'voice-contact-456', trigger: 'degraded', sampleCount: 8, packetLossPercent: 12 })
+    });
+
+    test('should log the report as CloudWatch metrics for the contact owner', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { Id: 'voice-contact-456', Channel: 'VOICE', Attributes: { userId: USER_ID } }
+      });
+      const log = jest.spyOn(console, 'log');
+
+      const result = await requestCallQuality();
+
+      expect(result.statusCode).toBe(200);
+      const metricsLine = log.mock.calls.map(([line]) => line).find(line => typeof line === 'string' && line.includes('"_aws"'));
+      expect(JSON.parse(metricsLine)).toMatchObject({ Trigger: 'degraded', contactId: 'voice-contact-456', userId: USER_ID, PacketLossPercent: 12 });
+      log.mockRestore();
+    });
+
+    test('should refuse reports for another user\'s contact', async () => {
+      mockConnect.describeContact.mockResolvedValue({
+        Contact: { Id: 'voice-contact-456', Channel: 'VOICE', Attributes: { userId: 'someone-else' } }
+      });
+
+      const result = await requestCallQuality();
+
+      expect(result.statusCode).toBe(403);
+    });
+  });
+
+  describe('Screen share state', () => {
+    const VOICE_CONTACT = { Id: 'voice-contact-456', Channel: 'VOICE', Attributes: { userId: USER_ID } };
+
+    const reportSharing = (sharing) => handler({
+      headers: AUTH_HEADERS,
+      path: '/screen-share',
+      body: JSON.stringify({ contactId: 'voice-contact-456', sharing })
+    });
+
+    test('should flag the voice contact so the agent app can show the share', async () => {
+      mockConnect.describeContact.mockResolvedValue({ Contact: VOICE_CONTACT });
+      mockConnect.updateContactAttributes.mockResolvedValue({});
+
+      const started = await reportSharing(true);
+      const stopped = await reportSharing(false);
+
+      expect(started.statusCode).toBe(200);
+      expect(stopped.statusCode).toBe(200);
+      expect(mockConnect.updateContactAttributes.mock.calls.map(([input]) => input)).toEqual([
+        { InstanceId: 'test-instance-id', InitialContactId: 'voice-contact-456', Attributes: { CustomerScreenSharing: 'true' } },
+        { InstanceId: 'test-instance-id', InitialContactId: 'voice-contact-456', Attributes: { CustomerScreenSharing: 'false' } }
+      ]);
+    });
+
+    test('should refuse another user\'s contact and ended calls', async () => {
+      mockConnect.describeContact.mockResolvedValueOnce({
+        Contact: { ...VOICE_CONTACT, Attributes: { userId: 'someone-else' } }
+      });
+      mockConnect.describeContact.mockResolvedValueOnce({
+        Contact: { ...VOICE_CONTACT, DisconnectTimestamp: '2025-01-01T00:00:00Z' }
+      });
+
+      expect((await reportSharing(true)).statusCode).toBe(403);
+      expect((await reportSharing(true)).statusCode).toBe(410);
+      expect(mockConnect.updateContactAttributes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('CORS', () => {
+    test('should handle OPTIONS preflight for an allowed origin without routing', async () => {
+      const result = await handler({
+        httpMethod: 'OPTIONS',
+        path: '/stop-contact',
+        headers: { origin: 'https://agent.cloudfront.net' }
+      });
+
+      expect(result.statusCode).toBe(204);
+      expect(result.headers['Access-Control-Allow-Origin']).toBe('https://agent.cloudfront.net');
+      expect(result.headers['Access-Control-Allow-Methods']).toBe('POST, OPTIONS');
+      expect(mockConnect.describeContact).not.toHaveBeenCalled();
+    });
+
+    test('should echo the allowed origin on route responses', async () => {
+      const result = await handler({
+        httpMethod: 'POST',
+        path: '/session',
+        headers: { Origin: 'https://customer.cloudfront.net' }
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(result.headers['Access-Control-Allow-Origin']).toBe('https://customer.cloudfront.net');
+      expect(result.headers.Vary).toBe('Origin');
+    });
+
+    test('should reject requests and preflights from other origins', async () => {
+      const preflight = await handler({
+        httpMethod: 'OPTIONS',
+        path: '/start-chat-contact',
+        headers: { Origin: 'https://evil.example.com' }
+      });
+      const result = await handler({
+        httpMethod: 'POST',
+        path: '/start-chat-contact',
+        headers: { ...AUTH_HEADERS, Origin: 'https://evil.example.com' }
+      });
+
+      expect(preflight.statusCode).toBe(403);
+      expect(preflight.headers['Access-Control-Allow-Origin']).toBeUndefined();
+      expect(result.statusCode).toBe(403);
+      expect(JSON.parse(result.body).errorCode).toBe('ORIGIN_NOT_ALLOWED');
+      expect(result.headers['Access-Control-Allow-Origin']).toBeUndefined();
+      expect(mockConnect.startChatContact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Rate limiting', () => {
+    test('should return 429 with Retry-After once the limit is exceeded', async () => {
+      mockDynamoSend.mockResolvedValueOnce({ Attributes: { count: 6 } });
+
+      const result = await handler({
+        headers: AUTH_HEADERS,
+        path: '/start-chat-contact',
+        requestContext: { identity: { sourceIp: '203.0.113.7' } }
+      });
+
+      expect(result.statusCode).toBe(429);
+      expect(Number(result.headers['Retry-After'])).toBeGreaterThan(0);
+      const responseBody = JSON.parse(result.body);
+      expect(responseBody.errorCode).toBe('RATE_LIMITED');
+      expect(responseBody.retryAfterSeconds).toBe(Number(result.headers['Retry-After']));
+      expect(mockConnect.startChatContact).not.toHaveBeenCalled();
+
+      const keys = mockDynamoSend.mock.calls
+        .filter(([command]) => command.input.TableName === 'test-rate-limits')
+        .map(([command]) => command.input.Key.key);
+      expect(keys).toEqual([
+        expect.stringMatching(/^\/start-chat-contact#userId#user-123#/),
+        expect.stringMatching(/^\/start-chat-contact#sourceIp#203\.0\.113\.7#/)
+      ]);
+    });
+
+    test('should allow the request when the counter table is unavailable', async () => {
+      mockDynamoSend.mockRejectedValueOnce(new Error('DynamoDB unavailable'));
+      mockConnect.startChatContact.mockResolvedValue({ ContactId: 'chat-contact-123' });
+
+      const result = await handler({ headers: AUTH_HEADERS, path: '/start-chat-contact' });
+
+      expect(result.statusCode).toBe(200);
+    });
+  });
+
+  describe('Idempotency-Key', () => {
+    const IDEMPOTENT_HEADERS = { ...AUTH_HEADERS, 'Idempotency-Key': 'start-attempt-0001' };
+    const idempotencyCalls = (type) => mockDynamoSend.mock.calls
+      .map(([command]) => command)
+      .filter(command => command.type === type && command.input.TableName === 'test-idempotency');
+
+    test('should create the contact with a derived ClientToken and store the response', async () => {
+      mockConnect.startChatContact.mockResolvedValue({
+        ContactId: 'chat-contact-123',
+        ParticipantId: 'participant-456',
+        ParticipantToken: 'token-xyz'
+      });
+
+      const result = await handler({ headers: IDEMPOTENT_HEADERS, path: '/start-chat-contact' });
+
+      expect(result.statusCode).toBe(200);
+      expect(mockConnect.startChatContact.mock.calls[0][0].ClientToken).toMatch(/^[0-9a-f]{64}$/);
+      expect(idempotencyCalls('Put')[0].input.Item.key).toBe('user-123#/start-chat-contact#start-attempt-0001');
+      expect(JSON.parse(idempotencyCalls('Update')[0].input.ExpressionAttributeValues[':body'])).toEqual({
+        contactId: 'chat-contact-123',
+        participantId: 'participant-456',
+        participantToken: 'token-xyz'
+      });
+    });
+
+    test('should replay the stored response without calling Connect again', async () => {
+      const stored = { contactId: 'chat-contact-123', participantId: 'participant-456', participantToken: 'token-xyz' };
+      mockDynamoSend.mockImplementation(async (command) => {
+        if (command.type === 'Put') {
+          throw Object.assign(new Error('Conditional check failed'), { name: 'ConditionalCheckFailedException' });
+        }
+        if (command.type === 'Get') {
+          return {
+            Item: {
+              status: 'COMPLETED',
+              fingerprint: fingerprint({ displayName: 'Customer', attributes: {} }),
+              statusCode: 200,
+              body: JSON.stringify(stored)
+            }
+          };
+        }
+        return { Attributes: { count: 1 } };
+      });
+
+      try {
+        const result = await handler({ headers: IDEMPOTENT_HEADERS, path: '/start-chat-contact' });
+
+        expect(result.statusCode).toBe(200);
+        expect(result.headers['Idempotent-Replayed']).toBe('true');
+        expect(JSON.parse(result.body)).toEqual(stored);
+        expect(mockConnect.startChatContact).not.toHaveBeenCalled();
+      } finally {
+        mockDynamoSend.mockImplementation(() => Promise.resolve({ Attributes: { count: 1 } }));
+      }
+    });
+
+    test('should release the key when contact creation fails', async () => {
+      mockConnect.startWebRTCContact.mockRejectedValue(new Error('Something broke'));
+
+      const result = await handler({ headers: IDEMPOTENT_HEADERS, path: '/start-voice-contact' });
+
+      expect(result.statusCode).toBe(500);
+      expect(idempotencyCalls('Delete')).toHaveLength(1);
+      expect(idempotencyCalls('Update')).toHaveLength(0);
+    });
+
+    test('should reject malformed keys', async () => {
+      const result = await handler({
+        headers: { ...AUTH_HEADERS, 'Idempotency-Key': 'bad key!' },
+        path: '/start-chat-contact'
+      });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).fieldErrors[0].field).toBe('Idempotency-Key');
+      expect(mockConnect.startChatContact).not.toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+});
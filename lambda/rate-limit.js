@@ -0,0 +1,107 @@
+// Rate limiting for the REST API
+// Fixed-window counters in DynamoDB, one per route and caller key (userId and
+// source IP). Each counter item expires through the table's TTL shortly after
+// its window closes.
+
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Per-route limits; userLimit/ipLimit are requests per window, omitted = not limited
+const DEFAULT_RATE_LIMITS = {
+  '/session': { ipLimit: 30, windowSeconds: 60 },
+  '/start-chat-contact': { userLimit: 5, ipLimit: 20, windowSeconds: 60 },
+  '/start-voice-contact': { userLimit: 5, ipLimit: 20, windowSeconds: 60 },
+  '/downgrade-to-chat': { userLimit: 5, ipLimit: 20, windowSeconds: 60 },
+  '/resume-contact': { userLimit: 10, ipLimit: 30, windowSeconds: 60 },
+  '/contact-transcript': { userLimit: 10, windowSeconds: 60 },
+  // A call reports every 30 seconds plus degraded/switched/ended events
+  '/call-quality': { userLimit: 10, windowSeconds: 60 },
+  '/screen-share': { userLimit: 20, windowSeconds: 60 }
+};
+
+/**
+ * Merges per-route overrides (RATE_LIMITS env JSON) over the defaults
+ * @param {string} [value] - JSON object of route -> { userLimit, ipLimit, windowSeconds }
+ * @returns {Object} - Route limits
+ */
+function parseRateLimits(value) {
+  if (!value) {
+    return DEFAULT_RATE_LIMITS;
+  }
+
+  const overrides = JSON.parse(value);
+  const limits = { ...DEFAULT_RATE_LIMITS };
+  for (const [route, routeLimits] of Object.entries(overrides)) {
+    limits[route] = { ...DEFAULT_RATE_LIMITS[route], ...routeLimits };
+  }
+  return limits;
+}
+
+/**
+ * Creates a rate limiter backed by a DynamoDB table
+ * @param {Object} options
+ * @param {Object} options.docClient - DynamoDBDocumentClient
+ * @param {string} options.tableName - Counter table (partition key `key`, TTL attribute `ttl`)
+ * @param {Object} options.limits - Route limits (see DEFAULT_RATE_LIMITS)
+ * @param {Function} [options.now] - Clock in ms (for tests)
+ * @returns {{ check: Function }}
+ */
+function createRateLimiter({ docClient, tableName, limits, now = Date.now }) {
+  const increment = async (key, windowEnd) => {
+    const result = await docClient.send(new UpdateCommand({
+      TableName: tableName,
+      Key: { key },
+      UpdateExpression: 'ADD #count :one SET #ttl = if_not_exists(#ttl, :ttl)',
+      ExpressionAttributeNames: { '#count': 'count', '#ttl': 'ttl' },
+      ExpressionAttributeValues: { ':one': 1, ':ttl': windowEnd + 60 },
+      ReturnValues: 'UPDATED_NEW'
+    }));
+    return result.Attributes.count;
+  };
+
+  /**
+   * Counts a request and reports whether it is within the route's limits
+   * @param {Object} request
+   * @param {string} request.route - Route path
+   * @param {string} [request.userId] - Authenticated userId
+   * @param {string} [request.sourceIp] - Caller IP
+   * @returns {Promise<{ allowed: boolean, limitedBy?: string, retryAfterSeconds?: number }>}
+   */
+  const check = async ({ route, userId, sourceIp }) => {
+    const routeLimits = limits[route];
+    if (!routeLimits) {
+      return { allowed: true };
+    }
+
+    const nowSeconds = Math.floor(now() / 1000);
+    const windowStart = nowSeconds - (nowSeconds % routeLimits.windowSeconds);
+    const windowEnd = windowStart + routeLimits.windowSeconds;
+
+    const counters = [
+      { limitedBy: 'userId', id: userId, limit: routeLimits.userLimit },
+      { limitedBy: 'sourceIp', id: sourceIp, limit: routeLimits.ipLimit }
+    ].filter(counter => counter.id && counter.limit);
+
+    const counts = await Promise.all(
+      counters.map(counter => increment(`${route}#${counter.limitedBy}#${counter.id}#${windowStart}`, windowEnd))
+    );
+
+    const exceeded = counters.find((counter, i) => counts[i] > counter.limit);
+    if (exceeded) {
+      return {
+        allowed: false,
+        limitedBy: exceeded.limitedBy,
+        retryAfterSeconds: Math.max(1, windowEnd - nowSeconds)
+      };
+    }
+
+    return { allowed: true };
+  };
+
+  return { check };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  parseRateLimits,
+  createRateLimiter
+};
@@ -0,0 +1,94 @@
+const { createRateLimiter, parseRateLimits, DEFAULT_RATE_LIMITS } = require('./rate-limit');
+
+// In-memory stand-in for the DynamoDB counter table
+function createFakeDocClient() {
+  const counters = new Map();
+  return {
+    counters,
+    send: jest.fn(async (command) => {
+      const { Key, ExpressionAttributeValues } = command.input;
+      const item = counters.get(Key.key) || { count: 0, ttl: ExpressionAttributeValues[':ttl'] };
+      item.count += ExpressionAttributeValues[':one'];
+      counters.set(Key.key, item);
+      return { Attributes: { count: item.count } };
+    })
+  };
+}
+
+const LIMITS = {
+  '/start-chat-contact': { userLimit: 2, ipLimit: 3, windowSeconds: 60 }
+};
+
+describe('Rate limiter', () => {
+  let docClient;
+  let nowMs;
+  let limiter;
+
+  beforeEach(() => {
+    docClient = createFakeDocClient();
+    nowMs = 1_000_040_000; // 20s into a 60s window
+    limiter = createRateLimiter({ docClient, tableName: 'rate-limits', limits: LIMITS, now: () => nowMs });
+  });
+
+  test('should allow requests up to the per-user limit, then report Retry-After', async () => {
+    const request = { route: '/start-chat-contact', userId: 'user-1', sourceIp: '10.0.0.1' };
+
+    expect(await limiter.check(request)).toEqual({ allowed: true });
+    expect(await limiter.check(request)).toEqual({ allowed: true });
+    expect(await limiter.check(request)).toEqual({
+      allowed: false,
+      limitedBy: 'userId',
+      retryAfterSeconds: 40
+    });
+  });
+
+  test('should limit by source IP across users', async () => {
+    for (const userId of ['a', 'b', 'c']) {
+      expect((await limiter.check({ route: '/start-chat-contact', userId, sourceIp: '10.0.0.1' })).allowed).toBe(true);
+    }
+
+    const result = await limiter.check({ route: '/start-chat-contact', userId: 'd', sourceIp: '10.0.0.1' });
+    expect(result).toMatchObject({ allowed: false, limitedBy: 'sourceIp' });
+  });
+
+  test('should start a fresh counter in the next window', async () => {
+    const request = { route: '/start-chat-contact', userId: 'user-1' };
+    await limiter.check(request);
+    await limiter.check(request);
+
+    nowMs += 40_000;
+
+    expect(await limiter.check(request)).toEqual({ allowed: true });
+  });
+
+  test('should write counters that expire after their window', async () => {
+    await limiter.check({ route: '/start-chat-contact', userId: 'user-1' });
+
+    const { input } = docClient.send.mock.calls[0][0];
+    expect(input.TableName).toBe('rate-limits');
+    expect(input.Key.key).toBe('/start-chat-contact#userId#user-1#1000020');
+    expect(input.ExpressionAttributeValues[':ttl']).toBe(1000080 + 60);
+  });
+
+  test('should not count routes without limits', async () => {
+    expect(await limiter.check({ route: '/stop-contact', userId: 'user-1' })).toEqual({ allowed: true });
+    expect(docClient.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('parseRateLimits', () => {
+  test('should use the defaults when unset', () => {
+    expect(parseRateLimits(undefined)).toBe(DEFAULT_RATE_LIMITS);
+  });
+
+  test('should merge per-route overrides over the defaults', () => {
+    const limits = parseRateLimits(JSON.stringify({
+      '/start-chat-contact': { userLimit: 10 },
+      '/stop-contact': { userLimit: 30, windowSeconds: 60 }
+    }));
+
+    expect(limits['/start-chat-contact']).toEqual({ userLimit: 10, ipLimit: 20, windowSeconds: 60 });
+    expect(limits['/stop-contact']).toEqual({ userLimit: 30, windowSeconds: 60 });
+    expect(limits['/session']).toEqual(DEFAULT_RATE_LIMITS['/session']);
+  });
+});
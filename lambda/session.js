@@ -0,0 +1,179 @@
+// Customer session tokens
+// The REST Lambda issues each browser session a userId plus an HMAC-signed token
+// whose subject is that userId. Contact routes verify the token and use its
+// subject as the only trusted customer identity.
+
+const crypto = require('crypto');
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+
+const SESSION_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+const TOKEN_VERSION = 'v1';
+
+let signingSecretPromise = null;
+
+class SessionTokenError extends Error {
+  /**
+   * @param {string} code - MISSING_SESSION_TOKEN, INVALID_SESSION_TOKEN or SESSION_TOKEN_EXPIRED
+   * @param {string} message - Error message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionTokenError';
+    this.code = code;
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Resolves the HMAC signing secret
+ * SESSION_TOKEN_SECRET is used directly when set (local runs and tests);
+ * otherwise the secret is read once from Secrets Manager (SESSION_SECRET_ARN).
+ * @returns {Promise<string>}
+ */
+function getSigningSecret() {
+  if (process.env.SESSION_TOKEN_SECRET) {
+    return Promise.resolve(process.env.SESSION_TOKEN_SECRET);
+  }
+
+  if (!signingSecretPromise) {
+    const client = new SecretsManagerClient({});
+    signingSecretPromise = client
+      .send(new GetSecretValueCommand({ SecretId: process.env.SESSION_SECRET_ARN }))
+      .then(result => result.SecretString)
+      .catch(error => {
+        // Don't cache failures; the next request retries
+        signingSecretPromise = null;
+        throw error;
+      });
+  }
+  return signingSecretPromise;
+}
+
+/**
+ * Creates a signed session token for a userId
+ * @param {string} userId - Token subject
+ * @param {string} secret - HMAC secret
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds] - Token lifetime
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {{ token: string, expiresAt: number }} - Token and expiry (epoch seconds)
+ */
+function createSessionToken(userId, secret, { ttlSeconds = SESSION_TOKEN_TTL_SECONDS, now = Date.now() } = {}) {
+  const issuedAt = Math.floor(now / 1000);
+  const payload = { sub: userId, iat: issuedAt, exp: issuedAt + ttlSeconds };
+  const data = `${TOKEN_VERSION}.${base64url(JSON.stringify(payload))}`;
+
+  return { token: `${data}.${sign(data, secret)}`, expiresAt: payload.exp };
+}
+
+/**
+ * Verifies a session token's signature and expiry
+ * @param {string} token - Token from the Authorization header
+ * @param {string} secret - HMAC secret
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {{ sub: string, iat: number, exp: number }} - Token payload
+ * @throws {SessionTokenError}
+ */
+function verifySessionToken(token, secret, { now = Date.now() } = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts[0] !== TOKEN_VERSION) {
+    throw new SessionTokenError('INVALID_SESSION_TOKEN', 'Session token is malformed');
+  }
+
+  const data = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(data, secret));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new SessionTokenError('INVALID_SESSION_TOKEN', 'Session token signature is invalid');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new SessionTokenError('INVALID_SESSION_TOKEN', 'Session token payload is invalid');
+  }
+
+  if (!payload.sub || typeof payload.exp !== 'number') {
+    throw new SessionTokenError('INVALID_SESSION_TOKEN', 'Session token payload is invalid');
+  }
+  if (payload.exp <= Math.floor(now / 1000)) {
+    throw new SessionTokenError('SESSION_TOKEN_EXPIRED', 'Session token has expired');
+  }
+
+  return payload;
+}
+
+/**
+ * Reads the bearer token from an API Gateway event (header names are case-insensitive)
+ * @param {Object} event - API Gateway proxy event
+ * @returns {string|null}
+ */
+function getBearerToken(event) {
+  const headers = event.headers || {};
+  const name = Object.keys(headers).find(key => key.toLowerCase() === 'authorization');
+  const match = name && /^Bearer\s+(.+)$/i.exec(headers[name]);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Copies an API Gateway event with its Authorization headers masked, for logging
+ * @param {Object} event - API Gateway proxy event
+ * @returns {Object}
+ */
+function redactAuthorization(event) {
+  const mask = (headers, value) => headers && Object.fromEntries(Object.entries(headers).map(([key, header]) =>
+    [key, key.toLowerCase() === 'authorization' ? value : header]
+  ));
+
+  return {
+    ...event,
+    headers: mask(event.headers, '[REDACTED]'),
+    multiValueHeaders: mask(event.multiValueHeaders, ['[REDACTED]'])
+  };
+}
+
+/**
+ * Issues a customer session
+ * @param {string} [userId] - Subject of a still-valid token being renewed; a fresh userId when omitted
+ * @returns {Promise<{ userId: string, sessionToken: string, expiresAt: number }>}
+ */
+async function issueSession(userId = crypto.randomUUID()) {
+  const { token, expiresAt } = createSessionToken(userId, await getSigningSecret());
+  return { userId, sessionToken: token, expiresAt };
+}
+
+/**
+ * Authenticates a REST request from its bearer session token
+ * @param {Object} event - API Gateway proxy event
+ * @returns {Promise<{ userId: string, expiresAt: number }>}
+ * @throws {SessionTokenError}
+ */
+async function authenticate(event) {
+  const token = getBearerToken(event);
+  if (!token) {
+    throw new SessionTokenError('MISSING_SESSION_TOKEN', 'Authorization header with a session token is required');
+  }
+
+  const payload = verifySessionToken(token, await getSigningSecret());
+  return { userId: payload.sub, expiresAt: payload.exp };
+}
+
+module.exports = {
+  SESSION_TOKEN_TTL_SECONDS,
+  SessionTokenError,
+  createSessionToken,
+  verifySessionToken,
+  getBearerToken,
+  redactAuthorization,
+  issueSession,
+  authenticate
+};
@@ -0,0 +1,60 @@
+const {
+  createSessionToken,
+  verifySessionToken,
+  getBearerToken,
+  redactAuthorization,
+  SessionTokenError
+} = require('./session');
+
+const SECRET = 'test-session-secret';
+
+describe('Session tokens', () => {
+  test('should round-trip the userId as the token subject', () => {
+    const { token, expiresAt } = createSessionToken('user-123', SECRET, { ttlSeconds: 60, now: 1_000_000 });
+
+    const payload = verifySessionToken(token, SECRET, { now: 1_000_000 });
+
+    expect(payload).toEqual({ sub: 'user-123', iat: 1000, exp: 1060 });
+    expect(expiresAt).toBe(1060);
+  });
+
+  test('should reject expired tokens', () => {
+    const { token } = createSessionToken('user-123', SECRET, { ttlSeconds: 60, now: 1_000_000 });
+
+    expect(() => verifySessionToken(token, SECRET, { now: 1_060_000 }))
+      .toThrow(expect.objectContaining({ code: 'SESSION_TOKEN_EXPIRED' }));
+  });
+
+  test('should reject tokens with a modified payload or signature', () => {
+    const { token } = createSessionToken('user-123', SECRET);
+    const [version, , signature] = token.split('.');
+    const otherPayload = createSessionToken('someone-else', SECRET).token.split('.')[1];
+
+    expect(() => verifySessionToken(`${version}.${otherPayload}.${signature}`, SECRET)).toThrow(SessionTokenError);
+    expect(() => verifySessionToken(token, 'other-secret')).toThrow(SessionTokenError);
+    expect(() => verifySessionToken('not-a-token', SECRET))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SESSION_TOKEN' }));
+  });
+
+  test('should read bearer tokens from any header casing', () => {
+    expect(getBearerToken({ headers: { Authorization: 'Bearer abc' } })).toBe('abc');
+    expect(getBearerToken({ headers: { authorization: 'bearer abc' } })).toBe('abc');
+    expect(getBearerToken({ headers: { Authorization: 'Basic abc' } })).toBeNull();
+    expect(getBearerToken({})).toBeNull();
+  });
+
+  test('should mask Authorization headers in any casing when redacting an event', () => {
+    const event = {
+      path: '/stop-contact',
+      headers: { authorization: 'Bearer secret-token', Origin: 'https://customer.cloudfront.net' },
+      multiValueHeaders: { Authorization: ['Bearer secret-token'] }
+    };
+
+    const redacted = redactAuthorization(event);
+
+    expect(JSON.stringify(redacted)).not.toContain('secret-token');
+    expect(redacted.headers.Origin).toBe('https://customer.cloudfront.net');
+    expect(event.headers.authorization).toBe('Bearer secret-token');
+    expect(redactAuthorization({ path: '/session' })).toEqual({ path: '/session' });
+  });
+});
@@ -0,0 +1,182 @@
+// Conversation transcripts for customers
+// Merges the chat messages with start, agent and end markers for every linked
+// contact (the chat leg and its voice legs) into one chronological document,
+// rendered as plain text and as HTML.
+
+// GetTranscript returns at most 100 items per page
+const TRANSCRIPT_PAGE_SIZE = 100;
+const MAX_TRANSCRIPT_PAGES = 20;
+
+const CHANNEL_LABELS = {
+  CHAT: 'Chat',
+  VOICE: 'Voice call'
+};
+
+// Transcript items either side sent, as opposed to events and system messages
+const isParticipantItem = item => item.ParticipantRole !== 'SYSTEM' &&
+  ((item.Type === 'MESSAGE' && item.Content) || (item.Type === 'ATTACHMENT' && item.Attachments?.length));
+
+/**
+ * Reads every customer-visible message and file of a chat with the customer's participant token
+ * @param {Object} contactCenter - Contact-center adapter
+ * @param {string} participantToken - Customer participant token for the chat
+ * @returns {Promise<Array<Object>>} - MESSAGE and ATTACHMENT transcript items, oldest first
+ */
+async function fetchChatMessages(contactCenter, participantToken) {
+  const { ConnectionCredentials } = await contactCenter.createParticipantConnection({
+    ParticipantToken: participantToken,
+    Type: ['CONNECTION_CREDENTIALS']
+  });
+
+  const items = [];
+  let nextToken;
+  for (let page = 0; page < MAX_TRANSCRIPT_PAGES; page++) {
+    const result = await contactCenter.getTranscript({
+      ConnectionToken: ConnectionCredentials.ConnectionToken,
+      MaxResults: TRANSCRIPT_PAGE_SIZE,
+      ScanDirection: 'FORWARD',
+      SortOrder: 'ASCENDING',
+      ...(nextToken && { NextToken: nextToken })
+    });
+
+    items.push(...(result.Transcript || []));
+    nextToken = result.NextToken;
+    if (!nextToken) {
+      break;
+    }
+  }
+
+  return items.filter(isParticipantItem);
+}
+
+function toIsoString(time) {
+  return new Date(time).toISOString();
+}
+
+/**
+ * Builds the chronological list of transcript entries
+ * @param {Array<Object>} contacts - Contacts from DescribeContact
+ * @param {Array<Object>} messages - Chat transcript items
+ * @returns {Array<{ time: string, type: 'event'|'message', sender?: string, text: string }>}
+ */
+function buildTranscriptEntries(contacts, messages) {
+  const entries = [];
+
+  for (const contact of contacts) {
+    const label = CHANNEL_LABELS[contact.Channel] || contact.Channel;
+
+    entries.push({ time: contact.InitiationTimestamp, type: 'event', text: `${label} started` });
+    if (contact.AgentInfo?.ConnectedToAgentTimestamp) {
+      entries.push({ time: contact.AgentInfo.ConnectedToAgentTimestamp, type: 'event', text: `Agent joined the ${label.toLowerCase()}` });
+    }
+    if (contact.DisconnectTimestamp) {
+      entries.push({ time: contact.DisconnectTimestamp, type: 'event', text: `${label} ended` });
+    }
+  }
+
+  for (const message of messages) {
+    const sender = message.ParticipantRole === 'CUSTOMER' ? 'You' : (message.DisplayName || 'Agent');
+    // The files themselves aren't included; one line per file records that it was sent
+    const texts = message.Type === 'ATTACHMENT'
+      ? message.Attachments.map(attachment => `📎 ${attachment.AttachmentName || 'attachment'}`)
+      : [message.Content];
+
+    for (const text of texts) {
+      entries.push({ time: message.AbsoluteTime, type: 'message', sender, text });
+    }
+  }
+
+  // Array.prototype.sort is stable, so simultaneous entries keep their order
+  return entries
+    .filter(entry => entry.time)
+    .map(entry => ({ ...entry, time: toIsoString(entry.time) }))
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// 2025-01-01T10:00:00.000Z -> 2025-01-01 10:00:00 UTC
+function formatTime(isoTime) {
+  return `${isoTime.slice(0, 10)} ${isoTime.slice(11, 19)} UTC`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderText(entries, { generatedAt, contactIds }) {
+  const lines = [
+    'Conversation transcript',
+    `Generated: ${formatTime(generatedAt)}`,
+    `Contacts: ${contactIds.join(', ')}`,
+    ''
+  ];
+
+  for (const entry of entries) {
+    const prefix = `[${formatTime(entry.time)}]`;
+    lines.push(entry.type === 'message'
+      ? `${prefix} ${entry.sender}: ${entry.text}`
+      : `${prefix} -- ${entry.text} --`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function renderHtml(entries, { generatedAt, contactIds }) {
+  const items = entries.map(entry => {
+    const time = `<time datetime="${entry.time}">${escapeHtml(formatTime(entry.time))}</time>`;
+    return entry.type === 'message'
+      ? `    <li class="message">${time} <strong>${escapeHtml(entry.sender)}:</strong> ${escapeHtml(entry.text)}</li>`
+      : `    <li class="event">${time} <em>${escapeHtml(entry.text)}</em></li>`;
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <title>Conversation transcript</title>',
+    '  <style>body{font-family:sans-serif;max-width:48rem;margin:2rem auto}li{margin:.25rem 0;list-style:none}time{color:#666;margin-right:.5rem}.event{color:#1976d2}</style>',
+    '</head>',
+    '<body>',
+    '  <h1>Conversation transcript</h1>',
+    `  <p>Generated ${escapeHtml(formatTime(generatedAt))} &middot; Contacts: ${contactIds.map(escapeHtml).join(', ')}</p>`,
+    '  <ol>',
+    ...items,
+    '  </ol>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders the transcript document for a set of linked contacts
+ * @param {Object} options
+ * @param {Array<Object>} options.contacts - Linked contacts from DescribeContact
+ * @param {Array<Object>} options.messages - Chat transcript items
+ * @param {Date} [options.now] - Generation time (for tests)
+ * @returns {{ contactIds: string[], generatedAt: string, text: string, html: string }}
+ */
+function createTranscriptDocument({ contacts, messages, now = new Date() }) {
+  const entries = buildTranscriptEntries(contacts, messages);
+  const meta = {
+    generatedAt: now.toISOString(),
+    contactIds: contacts.map(contact => contact.Id)
+  };
+
+  return {
+    ...meta,
+    text: renderText(entries, meta),
+    html: renderHtml(entries, meta)
+  };
+}
+
+module.exports = {
+  fetchChatMessages,
+  buildTranscriptEntries,
+  createTranscriptDocument
+};
@@ -0,0 +1,118 @@
+const { fetchChatMessages, buildTranscriptEntries, createTranscriptDocument } = require('./transcript');
+
+const CHAT = {
+  Id: 'chat-1',
+  Channel: 'CHAT',
+  InitiationTimestamp: new Date('2025-01-01T10:00:00Z'),
+  AgentInfo: { ConnectedToAgentTimestamp: new Date('2025-01-01T10:01:00Z') }
+};
+
+const VOICE = {
+  Id: 'voice-1',
+  Channel: 'VOICE',
+  InitiationTimestamp: new Date('2025-01-01T10:03:00Z'),
+  DisconnectTimestamp: new Date('2025-01-01T10:08:00Z')
+};
+
+const message = (id, role, content, time, displayName) => ({
+  Id: id,
+  Type: 'MESSAGE',
+  ParticipantRole: role,
+  DisplayName: displayName,
+  Content: content,
+  AbsoluteTime: time
+});
+
+const attachment = (id, role, names, time, displayName) => ({
+  Id: id,
+  Type: 'ATTACHMENT',
+  ParticipantRole: role,
+  DisplayName: displayName,
+  Attachments: names.map((name, index) => ({ AttachmentId: `${id}-${index}`, AttachmentName: name, ContentType: 'image/png' })),
+  AbsoluteTime: time
+});
+
+describe('Conversation transcripts', () => {
+  test('should page through the chat transcript and keep customer-visible messages', async () => {
+    const contactCenter = {
+      createParticipantConnection: jest.fn().mockResolvedValue({ ConnectionCredentials: { ConnectionToken: 'conn-1' } }),
+      getTranscript: jest.fn()
+        .mockResolvedValueOnce({
+          Transcript: [
+            message('m1', 'CUSTOMER', 'Hi', '2025-01-01T10:00:30Z'),
+            { Id: 'e1', Type: 'EVENT', ParticipantRole: 'AGENT', AbsoluteTime: '2025-01-01T10:01:00Z' }
+          ],
+          NextToken: 'page-2'
+        })
+        .mockResolvedValueOnce({
+          Transcript: [
+            message('m2', 'SYSTEM', 'Queued', '2025-01-01T10:00:40Z'),
+            message('m3', 'AGENT', 'Hello', '2025-01-01T10:01:10Z', 'Jane'),
+            attachment('a1', 'CUSTOMER', ['dashboard.png'], '2025-01-01T10:01:20Z')
+          ]
+        })
+    };
+
+    const messages = await fetchChatMessages(contactCenter, 'participant-token');
+
+    expect(messages.map(m => m.Id)).toEqual(['m1', 'm3', 'a1']);
+    expect(contactCenter.createParticipantConnection).toHaveBeenCalledWith({
+      ParticipantToken: 'participant-token',
+      Type: ['CONNECTION_CREDENTIALS']
+    });
+    expect(contactCenter.getTranscript).toHaveBeenLastCalledWith(expect.objectContaining({
+      ConnectionToken: 'conn-1',
+      NextToken: 'page-2'
+    }));
+  });
+
+  test('should merge messages and contact markers chronologically', () => {
+    const entries = buildTranscriptEntries([CHAT, VOICE], [
+      message('m1', 'CUSTOMER', 'Can I call?', '2025-01-01T10:02:00Z'),
+      message('m2', 'AGENT', 'Sure', '2025-01-01T10:02:30Z', 'Jane')
+    ]);
+
+    expect(entries.map(entry => entry.text)).toEqual([
+      'Chat started',
+      'Agent joined the chat',
+      'Can I call?',
+      'Sure',
+      'Voice call started',
+      'Voice call ended'
+    ]);
+    expect(entries[2].sender).toBe('You');
+    expect(entries[3].sender).toBe('Jane');
+  });
+
+  test('should render plain text and escaped HTML', () => {
+    const document = createTranscriptDocument({
+      contacts: [CHAT, VOICE],
+      messages: [message('m1', 'AGENT', '<b>Welcome</b> & hello', '2025-01-01T10:01:30Z', 'Jane')],
+      now: new Date('2025-01-01T11:00:00Z')
+    });
+
+    expect(document.contactIds).toEqual(['chat-1', 'voice-1']);
+    expect(document.generatedAt).toBe('2025-01-01T11:00:00.000Z');
+    expect(document.text).toContain('[2025-01-01 10:01:30 UTC] Jane: <b>Welcome</b> & hello');
+    expect(document.text).toContain('[2025-01-01 10:08:00 UTC] -- Voice call ended --');
+    expect(document.html).toContain('&lt;b&gt;Welcome&lt;/b&gt; &amp; hello');
+    expect(document.html).not.toContain('<b>Welcome</b>');
+  });
+
+  test('should list each file either side sent as a line in the text and HTML', () => {
+    const document = createTranscriptDocument({
+      contacts: [CHAT],
+      messages: [
+        attachment('a1', 'CUSTOMER', ['error <1>.png', 'log.txt'], '2025-01-01T10:02:00Z'),
+        attachment('a2', 'AGENT', ['manual.pdf'], '2025-01-01T10:03:00Z', 'Jane')
+      ],
+      now: new Date('2025-01-01T11:00:00Z')
+    });
+
+    expect(document.text).toContain('[2025-01-01 10:02:00 UTC] You: 📎 error <1>.png');
+    expect(document.text).toContain('[2025-01-01 10:02:00 UTC] You: 📎 log.txt');
+    expect(document.text).toContain('[2025-01-01 10:03:00 UTC] Jane: 📎 manual.pdf');
+    expect(document.html).toContain('<strong>You:</strong> 📎 error &lt;1&gt;.png</li>');
+    expect(document.html).toContain('<strong>Jane:</strong> 📎 manual.pdf</li>');
+  });
+});
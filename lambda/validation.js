@@ -0,0 +1,304 @@
+// Request validation for the REST API routes
+// Each route declares a schema of its body fields; validateRequest parses the
+// JSON body, applies the schema and returns either the cleaned body or a
+// uniform error envelope with one entry per failing field.
+
+// Connect contact IDs are UUIDs; allow any ID-shaped string up to Connect's limit
+const CONTACT_ID_PATTERN = /^[A-Za-z0-9-]{1,256}$/;
+
+// Participant tokens are opaque; bound their size only
+const PARTICIPANT_TOKEN_MAX_LENGTH = 4096;
+
+// Voice legs a customer can add to one chat (escalations and voice+chat legs)
+const MAX_RELATED_CONTACTS = 10;
+
+// What prompted a call quality report from the browser
+const QUALITY_TRIGGER_PATTERN = /^(interval|degraded|switched|ended)$/;
+const MAX_QUALITY_MS = 60000;
+
+const DISPLAY_NAME_MAX_LENGTH = 100;
+const DEFAULT_DISPLAY_NAME = 'Customer';
+
+// Customer-supplied contact attributes we accept. InitiationMethod and
+// relatedContactId are set by the Lambda and must not come from the client.
+// vehicleModel, language and intent feed the chat routing rules; customerTier
+// does too, but only from a trusted source such as the contact flow, so a
+// customer cannot pick a premium queue.
+const ALLOWED_ATTRIBUTES = ['userId', 'vehicleModel', 'language', 'intent'];
+const ATTRIBUTE_VALUE_MAX_LENGTH = 256;
+
+const displayNameField = {
+  type: 'string',
+  maxLength: DISPLAY_NAME_MAX_LENGTH,
+  sanitize: sanitizeDisplayName,
+  default: DEFAULT_DISPLAY_NAME
+};
+
+const attributesField = {
+  type: 'attributes',
+  allowedKeys: ALLOWED_ATTRIBUTES,
+  maxValueLength: ATTRIBUTE_VALUE_MAX_LENGTH,
+  default: {}
+};
+
+const SCHEMAS = {
+  '/session': {},
+  '/start-chat-contact': {
+    displayName: displayNameField,
+    attributes: attributesField
+  },
+  '/start-voice-contact': {
+    displayName: displayNameField,
+    attributes: attributesField,
+    relatedContactId: { type: 'string', pattern: CONTACT_ID_PATTERN },
+    video: { type: 'boolean' }
+  },
+  '/downgrade-to-chat': {
+    contactId: { type: 'string', required: true, pattern: CONTACT_ID_PATTERN },
+    chatContactId: { type: 'string', pattern: CONTACT_ID_PATTERN },
+    displayName: displayNameField
+  },
+  '/stop-contact': {
+    contactId: { type: 'string', required: true, pattern: CONTACT_ID_PATTERN }
+  },
+  '/contact-transcript': {
+    contactId: { type: 'string', required: true, pattern: CONTACT_ID_PATTERN },
+    participantToken: { type: 'string', required: true, maxLength: PARTICIPANT_TOKEN_MAX_LENGTH },
+    relatedContactIds: {
+      type: 'array',
+      maxItems: MAX_RELATED_CONTACTS,
+      items: { type: 'string', pattern: CONTACT_ID_PATTERN },
+      default: []
+    }
+  },
+  '/resume-contact': {
+    contactId: { type: 'string', required: true, pattern: CONTACT_ID_PATTERN },
+    participantToken: { type: 'string', required: true, maxLength: PARTICIPANT_TOKEN_MAX_LENGTH },
+    voiceContactId: { type: 'string', pattern: CONTACT_ID_PATTERN },
+    voiceParticipantToken: { type: 'string', maxLength: PARTICIPANT_TOKEN_MAX_LENGTH }
+  },
+  '/call-quality': {
+    contactId: { type: 'string', required: true, pattern: CONTACT_ID_PATTERN },
+    trigger: { type: 'string', required: true, pattern: QUALITY_TRIGGER_PATTERN },
+    sampleCount: { type: 'number', min: 0, max: 100000 },
+    packetLossPercent: { type: 'number', min: 0, max: 100 },
+    maxPacketLossPercent: { type: 'number', min: 0, max: 100 },
+    jitterMs: { type: 'number', min: 0, max: MAX_QUALITY_MS },
+    roundTripTimeMs: { type: 'number', min: 0, max: MAX_QUALITY_MS },
+    reconnects: { type: 'number', min: 0, max: 1000 }
+  },
+  '/screen-share': {
+    contactId: { type: 'string', required: true, pattern: CONTACT_ID_PATTERN },
+    sharing: { type: 'boolean', required: true }
+  }
+};
+
+/**
+ * Strips markup and control characters from a display name and collapses whitespace
+ * @param {string} value - Raw display name
+ * @returns {string} - Sanitised display name (may be empty)
+ */
+function sanitizeDisplayName(value) {
+  return value
+    .replace(/<[^>]*>/g, '')
+    .replace(/[\u0000-\u001F\u007F<>"'`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Object and array defaults are copied so handlers can't mutate the schema
+function copyDefault(value) {
+  if (Array.isArray(value)) {
+    return [...value];
+  }
+  return typeof value === 'object' ? { ...value } : value;
+}
+
+function fieldError(field, code, message) {
+  return { field, code, message };
+}
+
+function validateString(field, value, rule, errors) {
+  if (typeof value !== 'string') {
+    errors.push(fieldError(field, 'INVALID_TYPE', `${field} must be a string`));
+    return undefined;
+  }
+
+  const cleaned = rule.sanitize ? rule.sanitize(value) : value;
+
+  if (rule.maxLength && cleaned.length > rule.maxLength) {
+    errors.push(fieldError(field, 'TOO_LONG', `${field} must be at most ${rule.maxLength} characters`));
+  } else if (rule.pattern && !rule.pattern.test(cleaned)) {
+    errors.push(fieldError(field, 'INVALID_FORMAT', `${field} has an invalid format`));
+  }
+
+  // A name that sanitises to nothing falls back to the default
+  return cleaned || rule.default;
+}
+
+function validateBoolean(field, value, rule, errors) {
+  if (typeof value !== 'boolean') {
+    errors.push(fieldError(field, 'INVALID_TYPE', `${field} must be true or false`));
+    return undefined;
+  }
+  return value;
+}
+
+function validateNumber(field, value, rule, errors) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(fieldError(field, 'INVALID_TYPE', `${field} must be a number`));
+    return undefined;
+  }
+
+  if (value < rule.min || value > rule.max) {
+    errors.push(fieldError(field, 'OUT_OF_RANGE', `${field} must be between ${rule.min} and ${rule.max}`));
+  }
+  return value;
+}
+
+function validateAttributes(field, value, rule, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(fieldError(field, 'INVALID_TYPE', `${field} must be an object`));
+    return undefined;
+  }
+
+  const attributes = {};
+  for (const [key, attributeValue] of Object.entries(value)) {
+    const path = `${field}.${key}`;
+
+    if (!rule.allowedKeys.includes(key)) {
+      errors.push(fieldError(path, 'NOT_ALLOWED', `${key} is not an accepted attribute`));
+    } else if (typeof attributeValue !== 'string') {
+      errors.push(fieldError(path, 'INVALID_TYPE', `${path} must be a string`));
+    } else if (attributeValue.length > rule.maxValueLength) {
+      errors.push(fieldError(path, 'TOO_LONG', `${path} must be at most ${rule.maxValueLength} characters`));
+    } else {
+      attributes[key] = attributeValue;
+    }
+  }
+  return attributes;
+}
+
+function validateArray(field, value, rule, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(fieldError(field, 'INVALID_TYPE', `${field} must be an array`));
+    return undefined;
+  }
+
+  if (value.length > rule.maxItems) {
+    errors.push(fieldError(field, 'TOO_MANY_ITEMS', `${field} must have at most ${rule.maxItems} items`));
+    return undefined;
+  }
+
+  return value.map((item, i) => validateString(`${field}[${i}]`, item, rule.items, errors));
+}
+
+/**
+ * Applies a schema to a parsed request body
+ * @param {Object} schema - Field name -> rule
+ * @param {Object} body - Parsed request body
+ * @returns {{ value: Object, errors: Array<{field: string, code: string, message: string}> }}
+ */
+function applySchema(schema, body) {
+  const errors = [];
+  const value = {};
+
+  for (const field of Object.keys(body)) {
+    if (!schema[field]) {
+      errors.push(fieldError(field, 'UNKNOWN_FIELD', `${field} is not a recognised field`));
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = body[field];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) {
+        errors.push(fieldError(field, 'REQUIRED', `${field} is required`));
+      } else if (rule.default !== undefined) {
+        value[field] = copyDefault(rule.default);
+      }
+      continue;
+    }
+
+    if (rule.type === 'attributes') {
+      value[field] = validateAttributes(field, raw, rule, errors);
+    } else if (rule.type === 'array') {
+      value[field] = validateArray(field, raw, rule, errors);
+    } else if (rule.type === 'number') {
+      value[field] = validateNumber(field, raw, rule, errors);
+    } else if (rule.type === 'boolean') {
+      value[field] = validateBoolean(field, raw, rule, errors);
+    } else {
+      value[field] = validateString(field, raw, rule, errors);
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Builds the error envelope every REST route returns for a bad request
+ * @param {string} errorCode - INVALID_REQUEST_BODY or VALIDATION_FAILED
+ * @param {string} message - Human-readable summary
+ * @param {Array} [fieldErrors] - Field-level errors
+ * @returns {Object}
+ */
+function createValidationError(errorCode, message, fieldErrors = []) {
+  return {
+    error: 'Invalid request',
+    errorCode,
+    message,
+    fieldErrors
+  };
+}
+
+/**
+ * Parses and validates the body of a REST request against its route schema
+ * @param {string} path - Route path, e.g. /start-chat-contact
+ * @param {string} [rawBody] - Raw JSON request body
+ * @returns {{ valid: true, body: Object } | { valid: false, error: Object }}
+ */
+function validateRequest(path, rawBody) {
+  const schema = SCHEMAS[path];
+  if (!schema) {
+    throw new Error(`No request schema defined for ${path}`);
+  }
+
+  let body = {};
+  if (rawBody) {
+    try {
+      body = JSON.parse(rawBody);
+    } catch (e) {
+      return {
+        valid: false,
+        error: createValidationError('INVALID_REQUEST_BODY', 'Request body must be valid JSON')
+      };
+    }
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return {
+      valid: false,
+      error: createValidationError('INVALID_REQUEST_BODY', 'Request body must be a JSON object')
+    };
+  }
+
+  const { value, errors } = applySchema(schema, body);
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      error: createValidationError('VALIDATION_FAILED', `${errors.length} field(s) failed validation`, errors)
+    };
+  }
+
+  return { valid: true, body: value };
+}
+
+module.exports = {
+  SCHEMAS,
+  ALLOWED_ATTRIBUTES,
+  sanitizeDisplayName,
+  createValidationError,
+  validateRequest
+};
@@ -0,0 +1,234 @@
+const { validateRequest, sanitizeDisplayName } = require('./validation');
+
+describe('Request validation', () => {
+  describe('body parsing', () => {
+    test('should reject malformed JSON with INVALID_REQUEST_BODY', () => {
+      const result = validateRequest('/start-chat-contact', '{not json');
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toEqual({
+        error: 'Invalid request',
+        errorCode: 'INVALID_REQUEST_BODY',
+        message: 'Request body must be valid JSON',
+        fieldErrors: []
+      });
+    });
+
+    test('should reject bodies that are not JSON objects', () => {
+      const result = validateRequest('/start-chat-contact', '["a"]');
+
+      expect(result.valid).toBe(false);
+      expect(result.error.errorCode).toBe('INVALID_REQUEST_BODY');
+    });
+
+    test('should apply defaults when the body is empty', () => {
+      const result = validateRequest('/start-chat-contact', undefined);
+
+      expect(result).toEqual({
+        valid: true,
+        body: { displayName: 'Customer', attributes: {} }
+      });
+    });
+  });
+
+  describe('/start-chat-contact', () => {
+    test('should accept allowed attributes', () => {
+      const result = validateRequest('/start-chat-contact', JSON.stringify({
+        displayName: 'Jane Doe',
+        attributes: { userId: 'user-123' }
+      }));
+
+      expect(result.valid).toBe(true);
+      expect(result.body).toEqual({ displayName: 'Jane Doe', attributes: { userId: 'user-123' } });
+    });
+
+    test('should reject attributes outside the allow-list, including server-set ones', () => {
+      const result = validateRequest('/start-chat-contact', JSON.stringify({
+        attributes: { userId: 'user-123', InitiationMethod: 'Voice', relatedContactId: 'x', customerTier: 'premium' }
+      }));
+
+      expect(result.valid).toBe(false);
+      expect(result.error.errorCode).toBe('VALIDATION_FAILED');
+      expect(result.error.fieldErrors).toEqual([
+        expect.objectContaining({ field: 'attributes.InitiationMethod', code: 'NOT_ALLOWED' }),
+        expect.objectContaining({ field: 'attributes.relatedContactId', code: 'NOT_ALLOWED' }),
+        expect.objectContaining({ field: 'attributes.customerTier', code: 'NOT_ALLOWED' })
+      ]);
+    });
+
+    test('should accept the routing attributes a customer may supply', () => {
+      const attributes = { vehicleModel: 'IONIQ 6', language: 'ko-KR', intent: 'purchase' };
+      const result = validateRequest('/start-chat-contact', JSON.stringify({ attributes }));
+
+      expect(result.valid).toBe(true);
+      expect(result.body.attributes).toEqual(attributes);
+    });
+
+    test('should enforce attribute value types and lengths', () => {
+      const tooLong = validateRequest('/start-chat-contact', JSON.stringify({
+        attributes: { userId: 'u'.repeat(257) }
+      }));
+      const notString = validateRequest('/start-chat-contact', JSON.stringify({
+        attributes: { userId: 42 }
+      }));
+      const notObject = validateRequest('/start-chat-contact', JSON.stringify({
+        attributes: ['userId']
+      }));
+
+      expect(tooLong.error.fieldErrors[0]).toMatchObject({ field: 'attributes.userId', code: 'TOO_LONG' });
+      expect(notString.error.fieldErrors[0]).toMatchObject({ field: 'attributes.userId', code: 'INVALID_TYPE' });
+      expect(notObject.error.fieldErrors[0]).toMatchObject({ field: 'attributes', code: 'INVALID_TYPE' });
+    });
+
+    test('should reject unknown fields and over-long display names in one envelope', () => {
+      const result = validateRequest('/start-chat-contact', JSON.stringify({
+        displayName: 'x'.repeat(101),
+        extra: true
+      }));
+
+      expect(result.error.message).toBe('2 field(s) failed validation');
+      expect(result.error.fieldErrors.map(e => [e.field, e.code])).toEqual([
+        ['extra', 'UNKNOWN_FIELD'],
+        ['displayName', 'TOO_LONG']
+      ]);
+    });
+  });
+
+  describe('/start-voice-contact', () => {
+    test('should validate the relatedContactId format', () => {
+      const valid = validateRequest('/start-voice-contact', JSON.stringify({ relatedContactId: 'chat-contact-123' }));
+      const invalid = validateRequest('/start-voice-contact', JSON.stringify({ relatedContactId: '../etc/passwd' }));
+
+      expect(valid.body.relatedContactId).toBe('chat-contact-123');
+      expect(invalid.error.fieldErrors[0]).toMatchObject({ field: 'relatedContactId', code: 'INVALID_FORMAT' });
+    });
+
+    test('should accept a boolean video flag only', () => {
+      const valid = validateRequest('/start-voice-contact', JSON.stringify({ video: true }));
+      const invalid = validateRequest('/start-voice-contact', JSON.stringify({ video: 'yes' }));
+
+      expect(valid.body.video).toBe(true);
+      expect(invalid.error.fieldErrors).toEqual([
+        { field: 'video', code: 'INVALID_TYPE', message: 'video must be true or false' }
+      ]);
+    });
+  });
+
+  describe('/stop-contact', () => {
+    test('should require contactId', () => {
+      const result = validateRequest('/stop-contact', JSON.stringify({}));
+
+      expect(result.valid).toBe(false);
+      expect(result.error.fieldErrors).toEqual([
+        { field: 'contactId', code: 'REQUIRED', message: 'contactId is required' }
+      ]);
+    });
+  });
+
+  describe('/call-quality', () => {
+    test('should accept numeric quality stats within range', () => {
+      const result = validateRequest('/call-quality', JSON.stringify({
+        contactId: 'voice-1',
+        trigger: 'interval',
+        sampleCount: 30,
+        packetLossPercent: 0,
+        jitterMs: 25.5
+      }));
+
+      expect(result).toEqual({
+        valid: true,
+        body: { contactId: 'voice-1', trigger: 'interval', sampleCount: 30, packetLossPercent: 0, jitterMs: 25.5 }
+      });
+    });
+
+    test('should reject non-numeric and out-of-range stats and unknown triggers', () => {
+      const result = validateRequest('/call-quality', JSON.stringify({
+        contactId: 'voice-1',
+        trigger: 'whenever',
+        packetLossPercent: 150,
+        jitterMs: '25'
+      }));
+
+      expect(result.valid).toBe(false);
+      expect(result.error.fieldErrors).toEqual([
+        { field: 'trigger', code: 'INVALID_FORMAT', message: 'trigger has an invalid format' },
+        { field: 'packetLossPercent', code: 'OUT_OF_RANGE', message: 'packetLossPercent must be between 0 and 100' },
+        { field: 'jitterMs', code: 'INVALID_TYPE', message: 'jitterMs must be a number' }
+      ]);
+    });
+  });
+
+  describe('/screen-share', () => {
+    test('should require the sharing flag as a boolean', () => {
+      const valid = validateRequest('/screen-share', JSON.stringify({ contactId: 'voice-1', sharing: true }));
+      const invalid = validateRequest('/screen-share', JSON.stringify({ contactId: 'voice-1', sharing: 'yes' }));
+
+      expect(valid).toEqual({ valid: true, body: { contactId: 'voice-1', sharing: true } });
+      expect(invalid.valid).toBe(false);
+      expect(invalid.error.fieldErrors).toEqual([
+        { field: 'sharing', code: 'INVALID_TYPE', message: 'sharing must be true or false' }
+      ]);
+    });
+  });
+
+  describe('/contact-transcript', () => {
+    test('should validate each related contact ID and default to an empty list', () => {
+      const empty = validateRequest('/contact-transcript', JSON.stringify({ contactId: 'chat-123', participantToken: 'token' }));
+      const invalid = validateRequest('/contact-transcript', JSON.stringify({
+        contactId: 'chat-123',
+        participantToken: 'token',
+        relatedContactIds: ['voice-123', '../etc/passwd']
+      }));
+
+      expect(empty.body.relatedContactIds).toEqual([]);
+      expect(invalid.error.fieldErrors).toEqual([
+        { field: 'relatedContactIds[1]', code: 'INVALID_FORMAT', message: 'relatedContactIds[1] has an invalid format' }
+      ]);
+    });
+
+    test('should reject non-arrays and over-long lists', () => {
+      const notArray = validateRequest('/contact-transcript', JSON.stringify({
+        contactId: 'chat-123', participantToken: 'token', relatedContactIds: 'voice-123'
+      }));
+      const tooMany = validateRequest('/contact-transcript', JSON.stringify({
+        contactId: 'chat-123', participantToken: 'token', relatedContactIds: Array(11).fill('voice-123')
+      }));
+
+      expect(notArray.error.fieldErrors[0].code).toBe('INVALID_TYPE');
+      expect(tooMany.error.fieldErrors[0].code).toBe('TOO_MANY_ITEMS');
+    });
+  });
+
+  describe('/resume-contact', () => {
+    test('should require the chat contact and its participant token', () => {
+      const result = validateRequest('/resume-contact', JSON.stringify({ voiceContactId: 'voice-123' }));
+
+      expect(result.error.fieldErrors.map(e => [e.field, e.code])).toEqual([
+        ['contactId', 'REQUIRED'],
+        ['participantToken', 'REQUIRED']
+      ]);
+    });
+
+    test('should bound participant token length', () => {
+      const result = validateRequest('/resume-contact', JSON.stringify({
+        contactId: 'chat-123',
+        participantToken: 'x'.repeat(4097)
+      }));
+
+      expect(result.error.fieldErrors[0]).toMatchObject({ field: 'participantToken', code: 'TOO_LONG' });
+    });
+  });
+
+  describe('sanitizeDisplayName', () => {
+    test('should strip markup, control characters and extra whitespace', () => {
+      expect(sanitizeDisplayName('  <b>Jane</b>\n\t "Doe" ')).toBe('Jane Doe');
+      expect(sanitizeDisplayName('<script>alert(1)</script>')).toBe('alert(1)');
+    });
+
+    test('should fall back to the default name when nothing is left', () => {
+      const result = validateRequest('/start-chat-contact', JSON.stringify({ displayName: '<img src=x>' }));
+
+      expect(result.body.displayName).toBe('Customer');
+    });
+  });
+});
@@ -6,13 +6,23 @@ set -e
 
 echo "🔧 Syncing configurations from central config.json..."
 
-# Read central config
-REGION=$(jq -r '.aws.region' config.json)
-INSTANCE_ID=$(jq -r '.connect.instanceId' config.json)
-CONTACT_FLOW_ID=$(jq -r '.connect.contactFlowId' config.json)
-CCP_URL=$(jq -r '.connect.ccpUrl' config.json)
+# Read central config (config.json plus config.$DEPLOY_ENV.json); the loader
+# validates it and stops the script on a missing or invalid value
+config_value() {
+  node lambda-shared/config.js "$1"
+}
+ENVIRONMENT=$(config_value deployment.environment)
+STACK_NAME=$(config_value deployment.stageStackName)
+REGION=$(config_value aws.region)
+INSTANCE_ID=$(config_value connect.instanceId)
+CONTACT_FLOW_ID=$(config_value connect.contactFlowId)
+CCP_URL=$(config_value connect.ccpUrl)
+# Optional; the pre-call check skips the STUN probe without it
+STUN_URLS=$(config_value preflight.stunUrls 2>/dev/null || echo '[]')
 
 echo "✅ Loaded central config:"
+echo "   Environment: $ENVIRONMENT"
+echo "   Stack: $STACK_NAME"
 echo "   Region: $REGION"
 echo "   Instance ID: $INSTANCE_ID"
 echo "   CCP URL: $CCP_URL"
@@ -23,13 +33,13 @@ echo "🔍 Fetching deployed API URLs from CloudFormation..."
 cd infra
 API_URL=$(aws cloudformation describe-stacks \
   --region $REGION \
-  --stack-name ConnectMultimodalStack \
+  --stack-name "$STACK_NAME" \
   --query 'Stacks[0].Outputs[?OutputKey==`ApiURL`].OutputValue' \
   --output text)
 
 WEBSOCKET_URL=$(aws cloudformation describe-stacks \
   --region $REGION \
-  --stack-name ConnectMultimodalStack \
+  --stack-name "$STACK_NAME" \
   --query 'Stacks[0].Outputs[?OutputKey==`WebSocketURL`].OutputValue' \
   --output text)
 
@@ -68,6 +78,9 @@ export const config = {
   },
   websocket: {
     url: '${WEBSOCKET_URL}'
+  },
+  preflight: {
+    stunUrls: ${STUN_URLS}
   }
 };
 EOF
@@ -0,0 +1,237 @@
+/**
+ * Offline chat, voice and escalation scenarios against the local Amazon Connect emulator
+ *
+ * Runs the real REST and chat routing Lambda handlers with CONNECT_EMULATOR=true,
+ * so every Connect call lands in the in-memory emulator from lambda-shared.
+ */
+
+process.env.CONNECT_EMULATOR = 'true';
+process.env.CONNECT_INSTANCE_ID = 'emulator-instance';
+process.env.CONNECT_CONTACT_FLOW_ID = 'emulator-flow';
+process.env.AWS_REGION = 'us-west-2';
+process.env.AWS_ACCOUNT_ID = '123456789012';
+process.env.SESSION_TOKEN_SECRET = 'emulator-session-secret';
+process.env.DEFAULT_QUEUE_ARN = 'arn:aws:connect:us-west-2:123456789012:instance/emulator-instance/queue/default-queue';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { getEmulator } = require('../../lambda-shared');
+const { handler: apiHandler } = require('../../lambda/index');
+const { handler: routingHandler } = require('../../lambda-chat-routing/index');
+
+const emulator = getEmulator();
+
+let session;
+
+function post(path, body, token = session.sessionToken, headers = {}) {
+  return apiHandler({
+    path,
+    headers: { Authorization: `Bearer ${token}`, ...headers },
+    body: JSON.stringify(body)
+  }).then(response => ({
+    statusCode: response.statusCode,
+    body: JSON.parse(response.body)
+  }));
+}
+
+async function newSession() {
+  const response = await apiHandler({ path: '/session' });
+  return JSON.parse(response.body);
+}
+
+function routingEvent(contactId) {
+  return {
+    Details: {
+      ContactData: {
+        ContactId: contactId,
+        Channel: emulator.contacts.get(contactId).Channel,
+        Attributes: emulator.contacts.get(contactId).Attributes
+      }
+    }
+  };
+}
+
+describe('Connect emulator scenarios', () => {
+  beforeEach(async () => {
+    emulator.reset();
+    session = await newSession();
+  });
+
+  it('should run a chat-only session from start to stop', async () => {
+    const started = await post('/start-chat-contact', { attributes: { userId: session.userId } });
+    assert.strictEqual(started.statusCode, 200);
+
+    const { contactId } = started.body;
+    emulator.connectToAgent(contactId, 'agent-1');
+
+    const { Contact } = await emulator.describeContact({ ContactId: contactId });
+    assert.strictEqual(Contact.Channel, 'CHAT');
+    assert.strictEqual(Contact.Attributes.InitiationMethod, 'Chat');
+    assert.strictEqual(Contact.Attributes.userId, session.userId);
+
+    const stopped = await post('/stop-contact', { contactId });
+    assert.strictEqual(stopped.statusCode, 200);
+    assert.strictEqual(emulator.contacts.get(contactId).State, 'ENDED');
+  });
+
+  it('should run a voice+chat session with default queue routing', async () => {
+    const started = await post('/start-voice-contact', {});
+    assert.strictEqual(started.statusCode, 200);
+    assert.strictEqual(started.body.interactionMode, 'voice-chat');
+    assert.ok(started.body.connectionData.Meeting.MeetingId);
+
+    const route = await routingHandler(routingEvent(started.body.contactId));
+    assert.strictEqual(route.queueArn, process.env.DEFAULT_QUEUE_ARN);
+
+    const { contactId } = started.body;
+    emulator.connectToAgent(contactId, 'agent-1');
+    const connected = emulator.events.find(e => e.detail.contactId === contactId && e.detail.eventType === 'CONNECTED_TO_AGENT');
+    assert.strictEqual(connected.detail.channel, 'VOICE');
+  });
+
+  it('should escalate chat to voice and route the voice leg to the same agent', async () => {
+    const chat = await post('/start-chat-contact', {});
+    const chatContactId = chat.body.contactId;
+    emulator.connectToAgent(chatContactId, 'agent-7');
+
+    const voice = await post('/start-voice-contact', { relatedContactId: chatContactId });
+    assert.strictEqual(voice.statusCode, 200);
+    assert.strictEqual(voice.body.interactionMode, 'escalated');
+
+    const voiceContact = emulator.contacts.get(voice.body.contactId);
+    assert.strictEqual(voiceContact.Attributes.relatedContactId, chatContactId);
+    assert.strictEqual(voiceContact.Attributes.InitiationMethod, 'Chat');
+
+    const route = await routingHandler(routingEvent(voice.body.contactId));
+    assert.strictEqual(route.queueArn, emulator.getAgentQueueArn('agent-7'));
+  });
+
+  it('should not route the voice leg to an agent who has gone offline', async () => {
+    const chat = await post('/start-chat-contact', {});
+    emulator.connectToAgent(chat.body.contactId, 'agent-7');
+    emulator.setAgentStatus('agent-7', 'Offline');
+
+    const voice = await post('/start-voice-contact', { relatedContactId: chat.body.contactId });
+    const route = await routingHandler(routingEvent(voice.body.contactId));
+
+    assert.strictEqual(route.queueArn, process.env.DEFAULT_QUEUE_ARN);
+    assert.strictEqual(route.routingReason, 'agent-offline');
+  });
+
+  it('should downgrade a call to a chat routed to the same agent', async () => {
+    const voice = await post('/start-voice-contact', {});
+    emulator.connectToAgent(voice.body.contactId, 'agent-7');
+
+    const downgraded = await post('/downgrade-to-chat', { contactId: voice.body.contactId });
+    assert.strictEqual(downgraded.statusCode, 200);
+    assert.strictEqual(downgraded.body.created, true);
+    assert.strictEqual(emulator.contacts.get(voice.body.contactId).State, 'ENDED');
+
+    const chatContact = emulator.contacts.get(downgraded.body.contactId);
+    assert.strictEqual(chatContact.Channel, 'CHAT');
+    assert.strictEqual(chatContact.Attributes.DowngradedFromContactId, voice.body.contactId);
+
+    const route = await routingHandler(routingEvent(downgraded.body.contactId));
+    assert.strictEqual(route.queueArn, emulator.getAgentQueueArn('agent-7'));
+  });
+
+  it('should reject escalation from unknown or non-chat contacts', async () => {
+    const missing = await post('/start-voice-contact', { relatedContactId: 'no-such-contact' });
+    assert.strictEqual(missing.statusCode, 400);
+    assert.strictEqual(missing.body.errorCode, 'RELATED_CONTACT_NOT_FOUND');
+
+    const voice = await post('/start-voice-contact', {});
+    const notChat = await post('/start-voice-contact', { relatedContactId: voice.body.contactId });
+    assert.strictEqual(notChat.statusCode, 400);
+    assert.strictEqual(notChat.body.errorCode, 'INVALID_RELATED_CONTACT_TYPE');
+  });
+
+  it('should not let another session stop or escalate the contact', async () => {
+    const chat = await post('/start-chat-contact', {});
+    const chatContactId = chat.body.contactId;
+    const intruder = await newSession();
+
+    const escalated = await post('/start-voice-contact', { relatedContactId: chatContactId }, intruder.sessionToken);
+    assert.strictEqual(escalated.statusCode, 403);
+
+    const stopped = await post('/stop-contact', { contactId: chatContactId }, intruder.sessionToken);
+    assert.strictEqual(stopped.statusCode, 403);
+    assert.strictEqual(emulator.contacts.get(chatContactId).State, 'INITIATED');
+
+    const ownStop = await post('/stop-contact', { contactId: chatContactId });
+    assert.strictEqual(ownStop.statusCode, 200);
+  });
+
+  it('should return the original contact when a start request is retried with its Idempotency-Key', async () => {
+    const headers = { 'Idempotency-Key': 'double-click-0001' };
+
+    const first = await post('/start-chat-contact', {}, session.sessionToken, headers);
+    const retried = await post('/start-chat-contact', {}, session.sessionToken, headers);
+    const fresh = await post('/start-chat-contact', {});
+
+    assert.strictEqual(retried.body.contactId, first.body.contactId);
+    assert.strictEqual(retried.body.participantToken, first.body.participantToken);
+    assert.notStrictEqual(fresh.body.contactId, first.body.contactId);
+    assert.strictEqual(emulator.contacts.size, 2);
+  });
+
+  it('should resume an escalated chat after a reload and re-offer the voice leg while it is active', async () => {
+    const chat = await post('/start-chat-contact', {});
+    emulator.connectToAgent(chat.body.contactId, 'agent-7');
+    const voice = await post('/start-voice-contact', { relatedContactId: chat.body.contactId });
+
+    const resumeBody = {
+      contactId: chat.body.contactId,
+      participantToken: chat.body.participantToken,
+      voiceContactId: voice.body.contactId,
+      voiceParticipantToken: voice.body.participantToken
+    };
+
+    const resumed = await post('/resume-contact', resumeBody);
+    assert.strictEqual(resumed.statusCode, 200);
+    assert.strictEqual(resumed.body.participantToken, chat.body.participantToken);
+    assert.strictEqual(resumed.body.voice.active, true);
+    assert.strictEqual(resumed.body.voice.connectionData.Meeting.MeetingId, voice.body.connectionData.Meeting.MeetingId);
+
+    const intruder = await newSession();
+    const hijacked = await post('/resume-contact', resumeBody, intruder.sessionToken);
+    assert.strictEqual(hijacked.statusCode, 403);
+
+    await post('/stop-contact', { contactId: voice.body.contactId });
+    const chatOnly = await post('/resume-contact', resumeBody);
+    assert.deepStrictEqual(chatOnly.body.voice, { contactId: voice.body.contactId, active: false });
+
+    await post('/stop-contact', { contactId: chat.body.contactId });
+    const ended = await post('/resume-contact', resumeBody);
+    assert.strictEqual(ended.statusCode, 410);
+  });
+
+  it('should assemble one transcript across an escalated chat and its voice leg', async () => {
+    const chat = await post('/start-chat-contact', {});
+    const chatContactId = chat.body.contactId;
+    emulator.connectToAgent(chatContactId, 'agent-7');
+    emulator.sendChatMessage(chatContactId, { role: 'CUSTOMER', content: 'Can we talk on the phone?' });
+    emulator.sendChatMessage(chatContactId, { role: 'AGENT', content: 'Sure, <calling> now', displayName: 'Jane' });
+    // Timestamps have millisecond precision; without a gap the voice leg can tie with the messages
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const voice = await post('/start-voice-contact', { relatedContactId: chatContactId });
+    await post('/stop-contact', { contactId: voice.body.contactId });
+
+    const transcript = await post('/contact-transcript', {
+      contactId: chatContactId,
+      participantToken: chat.body.participantToken,
+      relatedContactIds: [voice.body.contactId]
+    });
+
+    assert.strictEqual(transcript.statusCode, 200);
+    assert.deepStrictEqual(transcript.body.contactIds, [chatContactId, voice.body.contactId]);
+    assert.match(transcript.body.text, /You: Can we talk on the phone\?[\s\S]*Jane: Sure, <calling> now[\s\S]*Voice call ended/);
+    assert.ok(transcript.body.html.includes('Sure, &lt;calling&gt; now'));
+
+    await post('/stop-contact', { contactId: chatContactId });
+    const afterEnd = await post('/contact-transcript', { contactId: chatContactId, participantToken: chat.body.participantToken });
+    assert.strictEqual(afterEnd.statusCode, 410);
+  });
+});